@@ -7,7 +7,7 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '../../uploads');
+export const uploadsDir = path.join(__dirname, '../../uploads');
 if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
@@ -26,6 +26,57 @@ const storage = multer.diskStorage({
     },
 });
 
+// Default size limit per upload field, in MB (override with UPLOAD_LIMIT_<FIELD>_MB)
+const DEFAULT_FIELD_LIMITS_MB = {
+    oldSitemap: 100,
+    newSitemap: 100,
+    gscExport: 10,
+    redirectMapping: 10,
+    analyticsExport: 10,
+    backlinkExport: 50,
+};
+
+// Fields that may be uploaded gzipped (sitemap.xml.gz) or as a zip/tar of a sitemap index and its sitemaps
+const SITEMAP_FIELDS = ['oldSitemap', 'newSitemap'];
+const SITEMAP_ARCHIVE_EXTENSIONS = ['.gz', '.tgz', '.zip', '.tar'];
+const SITEMAP_ARCHIVE_MIME_TYPES = [
+    'application/gzip',
+    'application/x-gzip',
+    'application/zip',
+    'application/x-zip-compressed',
+    'application/x-tar',
+];
+
+// Every field accepts Excel workbooks; the Search Console export may also be the zip bundle of the performance report
+const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls'];
+const SPREADSHEET_MIME_TYPES = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-excel',
+];
+const GSC_EXPORT_EXTENSIONS = ['.zip'];
+const GSC_EXPORT_MIME_TYPES = ['application/zip', 'application/x-zip-compressed'];
+
+/**
+ * Get the size limit of each upload field in bytes.
+ * Read on first use so variables loaded by dotenv after import are respected.
+ * UPLOAD_LIMIT_OLD_SITEMAP_MB, UPLOAD_LIMIT_NEW_SITEMAP_MB, UPLOAD_LIMIT_GSC_EXPORT_MB,
+ * UPLOAD_LIMIT_REDIRECT_MAPPING_MB, UPLOAD_LIMIT_ANALYTICS_EXPORT_MB and UPLOAD_LIMIT_BACKLINK_EXPORT_MB
+ * override single fields; UPLOAD_LIMIT_MB overrides them all.
+ * @returns {Object} Field name to limit in bytes
+ */
+export const getFieldSizeLimits = () => {
+    const limits = {};
+
+    for (const [field, defaultMb] of Object.entries(DEFAULT_FIELD_LIMITS_MB)) {
+        const envName = `UPLOAD_LIMIT_${field.replace(/([A-Z])/g, '_$1').toUpperCase()}_MB`;
+        const configured = parseFloat(process.env[envName] ?? process.env.UPLOAD_LIMIT_MB);
+        const megabytes = Number.isFinite(configured) && configured > 0 ? configured : defaultMb;
+        limits[field] = Math.round(megabytes * 1024 * 1024);
+    }
+
+    return limits;
+};
+
 // File filter for validation
 const fileFilter = (req, file, cb) => {
     const allowedMimeTypes = [
@@ -33,32 +84,97 @@ const fileFilter = (req, file, cb) => {
         'application/xml',
         'text/csv',
         'application/csv',
+        'text/tab-separated-values',
         'text/plain',
     ];
 
-    const allowedExtensions = ['.xml', '.csv', '.txt'];
+    const allowedExtensions = ['.xml', '.csv', '.tsv', '.txt'];
     const ext = path.extname(file.originalname).toLowerCase();
 
-    if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(ext)) {
+    // The redirect mapping may also be an nginx config, .htaccess or Netlify _redirects file
+    const name = path.basename(file.originalname).toLowerCase();
+    const isRedirectConfig = file.fieldname === 'redirectMapping' &&
+        (ext === '.conf' || name === '.htaccess' || name === '_redirects');
+
+    // Sitemaps may be gzipped or archived
+    const isSitemapArchive = SITEMAP_FIELDS.includes(file.fieldname) &&
+        (SITEMAP_ARCHIVE_EXTENSIONS.includes(ext) || SITEMAP_ARCHIVE_MIME_TYPES.includes(file.mimetype));
+
+    const isGscBundle = file.fieldname === 'gscExport' &&
+        (GSC_EXPORT_EXTENSIONS.includes(ext) || GSC_EXPORT_MIME_TYPES.includes(file.mimetype));
+
+    const isSpreadsheet = SPREADSHEET_EXTENSIONS.includes(ext) || SPREADSHEET_MIME_TYPES.includes(file.mimetype);
+
+    if (allowedMimeTypes.includes(file.mimetype) || allowedExtensions.includes(ext) || isRedirectConfig || isSitemapArchive || isGscBundle || isSpreadsheet) {
         cb(null, true);
     } else {
-        cb(new Error(`Invalid file type. Only XML and CSV files are allowed. Received: ${file.mimetype}`), false);
+        cb(new Error(`Invalid file type. Only XML (optionally gzipped, zipped or tarred), CSV and Excel files (or nginx, .htaccess and _redirects files for the redirect mapping, and the zip bundle for the GSC export) are allowed. Received: ${file.mimetype}`), false);
     }
 };
 
-// Create multer upload instance
-export const upload = multer({
-    storage,
-    fileFilter,
-    limits: {
-        fileSize: 10 * 1024 * 1024, // 10MB limit
-    },
-});
+let upload = null;
+
+/**
+ * Get the multer upload instance, created on first use with the largest field limit
+ * @returns {Object} Multer instance
+ */
+export const getUpload = () => {
+    if (!upload) {
+        upload = multer({
+            storage,
+            fileFilter,
+            limits: {
+                fileSize: Math.max(...Object.values(getFieldSizeLimits())),
+            },
+        });
+    }
+    return upload;
+};
+
+/**
+ * Format a byte count as megabytes for error messages
+ */
+const formatMb = (bytes) => `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
 
-// Field configuration for migration project uploads
-export const migrationProjectFields = upload.fields([
-    { name: 'oldSitemap', maxCount: 1 },
-    { name: 'newSitemap', maxCount: 1 },
-    { name: 'gscExport', maxCount: 1 },
-    { name: 'redirectMapping', maxCount: 1 },
-]);
+// Field configuration for migration project uploads; each field is then held to its own limit
+export const migrationProjectFields = (req, res, next) => {
+    const fieldsMiddleware = getUpload().fields([
+        { name: 'oldSitemap', maxCount: 1 },
+        { name: 'newSitemap', maxCount: 1 },
+        { name: 'gscExport', maxCount: 1 },
+        { name: 'redirectMapping', maxCount: 1 },
+        { name: 'analyticsExport', maxCount: 1 },
+        { name: 'backlinkExport', maxCount: 1 },
+    ]);
+
+    fieldsMiddleware(req, res, (error) => {
+        const limits = getFieldSizeLimits();
+
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? 'File too large' : 'Invalid upload',
+                message: tooLarge && limits[error.field]
+                    ? `${error.field} exceeds the ${formatMb(limits[error.field])} limit`
+                    : error.message,
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+
+        const uploaded = Object.values(req.files || {}).flat();
+        const oversized = uploaded.find(file => file.size > limits[file.fieldname]);
+
+        if (oversized) {
+            // Reject the whole request rather than keep part of it
+            uploaded.forEach(file => fs.unlink(file.path, () => {}));
+            return res.status(413).json({
+                error: 'File too large',
+                message: `${oversized.fieldname} exceeds the ${formatMb(limits[oversized.fieldname])} limit`,
+            });
+        }
+
+        next();
+    });
+};
@@ -0,0 +1,359 @@
+import fs from 'fs';
+import MigrationProject from '../models/MigrationProject.js';
+import { normalizeUrl, resolveNormalizationPolicy } from '../services/sitemapParser.js';
+import { parseRedirectMappingFile } from '../services/redirectConfigParser.js';
+import { buildRedirectMapping } from '../services/redirectMappingService.js';
+import { compareUrls, detectPatternChanges } from '../services/urlComparisonService.js';
+import { applyContentMatches } from '../services/contentMatchingService.js';
+import { buildTrafficIndex, rankAtRiskUrls } from '../services/trafficWeighting.js';
+import { buildLinkEquityIndex, applyLinkEquity, flagBacklinkedUrlsAtRisk } from '../services/linkEquityService.js';
+import {
+    OVERRIDE_ACTIONS,
+    indexOverrides,
+    upsertOverride,
+    collectContentMatches,
+    filterRejectedContentMatches,
+} from '../services/matchOverrideService.js';
+
+/**
+ * Rebuild the URL comparison, pattern analysis, traffic and backlinks at risk from the project's stored URLs,
+ * applying its match overrides. Content matches from the last run are kept, so
+ * nothing is crawled again.
+ * @param {Object} project - Migration project document
+ * @returns {Promise<Object>} Updated URL comparison
+ */
+const rebuildComparison = async (project) => {
+    const oldUrls = project.urls?.old || [];
+    const newUrls = project.urls?.new || [];
+
+    let redirectMapping = null;
+    const redirectPath = project.files?.redirectMapping?.path;
+    if (redirectPath) {
+        if (!fs.existsSync(redirectPath)) {
+            throw new Error('Redirect mapping file is no longer available; re-run processing');
+        }
+        const redirectFile = await parseRedirectMappingFile(redirectPath, {
+            columnMapping: project.columnMappings?.redirectMapping,
+            sheet: project.sheetSelections?.redirectMapping,
+        });
+        redirectMapping = buildRedirectMapping(redirectFile.rows, {
+            normalizationPolicy: project.normalizationPolicy,
+        });
+    }
+
+    const previousComparison = project.results?.urlComparison;
+    const overrides = project.matchOverrides.map(o => o.toObject());
+
+    const comparison = compareUrls(oldUrls, newUrls, redirectMapping, {
+        oldBaseUrl: project.oldBaseUrl,
+        newBaseUrl: project.newBaseUrl,
+        normalizationPolicy: project.normalizationPolicy,
+        overrides,
+    });
+
+    if (previousComparison?.summary?.contentMatchedCount !== undefined) {
+        const overrideIndex = indexOverrides(overrides, project.normalizationPolicy);
+        applyContentMatches(
+            comparison,
+            filterRejectedContentMatches(collectContentMatches(previousComparison), overrideIndex)
+        );
+    }
+
+    const linkEquityIndex = buildLinkEquityIndex(project.results?.backlinkData, project.normalizationPolicy);
+    if (linkEquityIndex.size > 0) {
+        applyLinkEquity(comparison, linkEquityIndex);
+    }
+
+    project.results = project.results || {};
+    project.results.urlComparison = comparison;
+    project.results.patternAnalysis = detectPatternChanges(oldUrls, newUrls, comparison);
+    project.markModified('results.urlComparison');
+    project.markModified('results.patternAnalysis');
+
+    if (project.results.trafficAtRisk) {
+        const trafficIndex = buildTrafficIndex({
+            gscData: project.results.gscData,
+            analyticsData: project.results.analyticsData,
+        }, project.normalizationPolicy);
+        project.results.trafficAtRisk = rankAtRiskUrls(comparison, trafficIndex);
+        project.markModified('results.trafficAtRisk');
+    }
+
+    if (project.results.backlinksAtRisk) {
+        project.results.backlinksAtRisk = flagBacklinkedUrlsAtRisk(
+            comparison,
+            linkEquityIndex,
+            project.results.newSiteStatus,
+            project.normalizationPolicy
+        );
+        project.markModified('results.backlinksAtRisk');
+    }
+
+    return comparison;
+};
+
+/**
+ * Find the current target of an old URL: its match, redirect, content match or top suggestion
+ * @param {Object} comparison - Results from compareUrls
+ * @param {string} oldUrl - Old URL
+ * @returns {string|null} Current target URL
+ */
+const currentTarget = (comparison, oldUrl) => {
+    const entry = [...(comparison?.matched || []), ...(comparison?.redirected || [])]
+        .find(e => e.oldUrl === oldUrl);
+    if (entry) return entry.newUrl;
+
+    const missing = (comparison?.missing || []).find(e => e.oldUrl === oldUrl);
+    return missing?.contentMatch?.newUrl || missing?.suggestion || null;
+};
+
+/**
+ * Validate one decision from a request body and fill in its default target
+ * @param {Object} project - Migration project document
+ * @param {Object} body - { action, oldUrl, newUrl, note, decidedBy }
+ * @returns {Object} Decision ready to store
+ * @throws {Error} If the decision is invalid
+ */
+const prepareDecision = (project, body) => {
+    const { action, oldUrl, note, decidedBy } = body || {};
+
+    if (!OVERRIDE_ACTIONS.includes(action)) {
+        throw new Error(`action must be one of: ${OVERRIDE_ACTIONS.join(', ')}`);
+    }
+    if (!oldUrl) {
+        throw new Error('oldUrl is required');
+    }
+
+    const policy = resolveNormalizationPolicy(project.normalizationPolicy);
+    const normalizedOld = normalizeUrl(oldUrl, policy);
+    const knownOld = (project.urls?.old || []).find(url => normalizeUrl(url, policy) === normalizedOld);
+    if (!knownOld) {
+        throw new Error(`${oldUrl} is not an old site URL of this project`);
+    }
+
+    // Accepting or rejecting without a target applies to the current suggestion or match
+    let newUrl = body.newUrl;
+    if (!newUrl && action !== 'manual') {
+        newUrl = currentTarget(project.results?.urlComparison, knownOld);
+    }
+    if (!newUrl) {
+        throw new Error(`newUrl is required for ${action} (${oldUrl} has no current match or suggestion)`);
+    }
+
+    try {
+        new URL(newUrl);
+    } catch {
+        throw new Error(`newUrl must be an absolute URL: ${newUrl}`);
+    }
+
+    return {
+        oldUrl: knownOld,
+        newUrl,
+        action,
+        note,
+        decidedBy,
+        decidedAt: new Date(),
+    };
+};
+
+/**
+ * Index Search Console page data by normalized URL
+ * @param {Array<Object>} gscData - Pages from the Search Console export
+ * @param {Object} policy - Normalization policy
+ * @returns {Function} Lookup returning { clicks, impressions, ctr, position, topQueries } or null
+ */
+const indexSearchData = (gscData, policy) => {
+    const byUrl = new Map((gscData || []).map(page => [normalizeUrl(page.url, policy), page]));
+
+    return (url) => {
+        const page = byUrl.get(normalizeUrl(url, policy));
+        if (!page) return null;
+
+        return {
+            clicks: page.clicks,
+            impressions: page.impressions,
+            ctr: page.ctr,
+            position: page.position,
+            topQueries: (page.queries || []).slice(0, 10),
+        };
+    };
+};
+
+/**
+ * Get the match review queue and stored decisions
+ * @route GET /api/migration-projects/:id/match-review
+ */
+export const getMatchReview = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const project = await MigrationProject.findById(id)
+            .select('results.urlComparison results.gscData matchOverrides oldBaseUrl newBaseUrl projectName normalizationPolicy');
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        const comparison = project.results?.urlComparison;
+        if (!comparison) {
+            return res.status(404).json({
+                error: 'URL comparison not available',
+                message: 'URL comparison has not been run for this project yet',
+            });
+        }
+
+        // Search traffic and top queries of each old URL help prioritize the queue
+        const searchData = indexSearchData(project.results?.gscData, resolveNormalizationPolicy(project.normalizationPolicy));
+
+        // Missing URLs with something to accept or reject
+        const pending = comparison.missing
+            .filter(entry => entry.contentMatch || entry.suggestion)
+            .map(entry => ({
+                oldUrl: entry.oldUrl,
+                proposedUrl: entry.contentMatch?.newUrl || entry.suggestion,
+                source: entry.contentMatch ? 'content' : 'suggestion',
+                confidence: entry.contentMatch?.confidence ?? entry.suggestions?.[0]?.score ?? null,
+                suggestions: entry.suggestions,
+                search: searchData(entry.oldUrl),
+            }));
+
+        res.json({
+            success: true,
+            project: {
+                id: project._id,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+                projectName: project.projectName,
+            },
+            summary: comparison.summary,
+            pending,
+            unmatched: comparison.missing
+                .filter(entry => !entry.contentMatch && !entry.suggestion)
+                .map(entry => ({ oldUrl: entry.oldUrl, search: searchData(entry.oldUrl) })),
+            overrides: project.matchOverrides,
+        });
+    } catch (error) {
+        console.error('Error getting match review:', error);
+        res.status(500).json({
+            error: 'Failed to get match review',
+            message: error.message,
+        });
+    }
+};
+
+/**
+ * Record match decisions (accept, reject or manual) and rebuild the comparison.
+ * The body is one decision or { decisions: [...] } for a batch.
+ * @route POST /api/migration-projects/:id/match-overrides
+ */
+export const addMatchOverrides = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const project = await MigrationProject.findById(id);
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        const requested = Array.isArray(req.body?.decisions) ? req.body.decisions : [req.body];
+        if (requested.length === 0) {
+            return res.status(400).json({ error: 'No decisions provided' });
+        }
+
+        let decisions;
+        try {
+            decisions = requested.map(body => prepareDecision(project, body));
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid match decision',
+                message: error.message,
+            });
+        }
+
+        let overrides = project.matchOverrides.map(o => o.toObject());
+        for (const decision of decisions) {
+            overrides = upsertOverride(overrides, decision, project.normalizationPolicy);
+        }
+        project.matchOverrides = overrides;
+        project.lastModified = new Date();
+
+        // A running job reads the decisions when it compares URLs and again when it applies
+        // content matches; decisions made after those steps apply on the next run
+        const rebuilt = project.status !== 'processing' && !!project.results?.urlComparison;
+        if (rebuilt) {
+            await rebuildComparison(project);
+        }
+
+        await project.save();
+
+        let message = `${decisions.length} decision(s) recorded; they will be applied on the next run`;
+        if (rebuilt) {
+            message = `${decisions.length} decision(s) recorded and comparison updated`;
+        } else if (project.status === 'processing') {
+            message = `${decisions.length} decision(s) recorded; the running job applies them if it has not finished matching URLs, otherwise the next run does`;
+        }
+
+        res.status(201).json({
+            success: true,
+            message,
+            overrides: project.matchOverrides,
+            summary: project.results?.urlComparison?.summary || null,
+        });
+    } catch (error) {
+        console.error('Error adding match overrides:', error);
+        res.status(500).json({
+            error: 'Failed to add match overrides',
+            message: error.message,
+        });
+    }
+};
+
+/**
+ * Remove a match decision and rebuild the comparison
+ * @route DELETE /api/migration-projects/:id/match-overrides/:overrideId
+ */
+export const deleteMatchOverride = async (req, res) => {
+    try {
+        const { id, overrideId } = req.params;
+
+        const project = await MigrationProject.findById(id);
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        const override = project.matchOverrides.id(overrideId);
+        if (!override) {
+            return res.status(404).json({ error: 'Match override not found' });
+        }
+
+        override.deleteOne();
+        project.lastModified = new Date();
+
+        if (project.status !== 'processing' && project.results?.urlComparison) {
+            await rebuildComparison(project);
+        }
+
+        await project.save();
+
+        res.json({
+            success: true,
+            message: 'Match override removed',
+            overrides: project.matchOverrides,
+            summary: project.results?.urlComparison?.summary || null,
+        });
+    } catch (error) {
+        console.error('Error deleting match override:', error);
+        res.status(500).json({
+            error: 'Failed to delete match override',
+            message: error.message,
+        });
+    }
+};
+
+export default {
+    getMatchReview,
+    addMatchOverrides,
+    deleteMatchOverride,
+};
@@ -1,14 +1,42 @@
+import fs from 'fs';
+import path from 'path';
 import MigrationProject from '../models/MigrationProject.js';
-import { parseSitemap, extractUrls } from '../services/sitemapParser.js';
-import { parseGSCExport, parseRedirectMapping, extractGSCUrls } from '../services/csvParser.js';
+import { extractUrls } from '../services/sitemapParser.js';
+import { resolveSitemapUpload } from '../services/sitemapResolver.js';
+import { compareSitemapExtensions } from '../services/sitemapExtensionService.js';
+import { discoverSitemaps, snapshotSitemaps } from '../services/sitemapSnapshotService.js';
+import { extractGSCUrls } from '../services/csvParser.js';
+import { parseSearchConsoleExport, summarizeSearchConsoleExport } from '../services/searchConsoleParser.js';
+import { parseAnalyticsExport } from '../services/analyticsParser.js';
+import { buildTrafficIndex, rankAtRiskUrls } from '../services/trafficWeighting.js';
+import { parseBacklinkExport } from '../services/backlinkParser.js';
+import { isCrawlerExport, parseCrawlerExport, toStatusResult, toCrawlResult } from '../services/crawlerExportParser.js';
+import { buildLinkEquityIndex, applyLinkEquity, flagBacklinkedUrlsAtRisk } from '../services/linkEquityService.js';
+import { parseRedirectMappingFile } from '../services/redirectConfigParser.js';
+import { buildRedirectMapping, validateRedirectMapping } from '../services/redirectMappingService.js';
+import { verifyLiveRedirects, VERIFICATION_STATUSES } from '../services/redirectVerificationService.js';
 import { compareUrls, detectPatternChanges } from '../services/urlComparisonService.js';
 import { checkMultipleUrls, categorizeResults, findBrokenLinks, analyzeRedirects, checkInternalLinkRedirects } from '../services/statusChecker.js';
 import { crawlUrl } from '../services/crawlerService.js';
+import { configureHost, getHostStats, reviveHost } from '../services/hostScheduler.js';
+import { detectSoftNotFoundPages } from '../services/softNotFoundDetector.js';
+import { matchMissingByContent, applyContentMatches } from '../services/contentMatchingService.js';
+import { indexOverrides, filterRejectedContentMatches } from '../services/matchOverrideService.js';
 import { compareSEOData, generateSummary } from '../services/seoComparisonService.js';
 import { runBatchAudits, getCoreWebVitalsAssessment } from '../services/lighthouseService.js';
 import { comparePerformance } from '../services/performanceComparisonService.js';
 import { testMultipleUrls, compareMobileResponsiveness, generateMobileSummary } from '../services/mobileResponsivenessService.js';
 import { generateCSVReport, generateJSONReport } from '../services/exportService.js';
+import { generateRedirectRules, REDIRECT_FORMATS } from '../services/redirectRuleService.js';
+import { isSpreadsheetFile } from '../services/spreadsheetReader.js';
+import { uploadsDir } from '../config/multer.js';
+
+// A redirect verification that has not reported progress for this long is taken to have died
+// with the server that ran it, so a new one may start
+const STALE_VERIFICATION_MS = 30 * 60 * 1000;
+
+// Pages of the new site downloaded again to look for soft 404s
+const SOFT_NOT_FOUND_CHECK_LIMIT = 50;
 
 /**
  * Process a migration project: parse files, compare URLs, check status
@@ -33,7 +61,9 @@ export const startProcessing = async (req, res) => {
         await project.save();
 
         // Start background processing (don't await - run async)
-        processProject(id).catch(error => {
+        const refreshSitemaps = req.body?.refreshSitemaps === true || req.body?.refreshSitemaps === 'true';
+        const detectJsRedirects = req.body?.detectJsRedirects === true || req.body?.detectJsRedirects === 'true';
+        processProject(id, { refreshSitemaps, detectJsRedirects }).catch(error => {
             console.error(`Error processing project ${id}:`, error);
         });
 
@@ -55,10 +85,10 @@ export const startProcessing = async (req, res) => {
 /**
  * Select important URLs for performance testing
  * @param {Object} comparison - URL comparison results
- * @param {Array} gscData - GSC data if available
+ * @param {Object} trafficIndex - Search Console and analytics traffic from buildTrafficIndex
  * @returns {Array} Selected URLs to test
  */
-const selectImportantUrls = (comparison, gscData) => {
+const selectImportantUrls = (comparison, trafficIndex) => {
     const urlsToTest = [];
     const maxUrls = 10;
 
@@ -69,30 +99,15 @@ const selectImportantUrls = (comparison, gscData) => {
 
     homepageUrls.slice(0, 1).forEach(u => urlsToTest.push(u));
 
-    // Add high-traffic URLs from GSC if available
-    if (gscData && gscData.length > 0) {
+    // Add high-traffic URLs (GSC clicks and impressions, analytics sessions, conversions and revenue)
+    if (trafficIndex && trafficIndex.size > 0) {
         const urlPaths = new Set(urlsToTest.map(u => u.oldUrl));
 
-        // Sort by traffic (clicks + impressions)
-        const sortedGSC = [...gscData].sort((a, b) => {
-            const aTraffic = (a.clicks || 0) + (a.impressions || 0);
-            const bTraffic = (b.clicks || 0) + (b.impressions || 0);
-            return bTraffic - aTraffic;
-        });
+        const byTraffic = [...comparison.matched, ...comparison.redirected]
+            .filter(u => !urlPaths.has(u.oldUrl) && trafficIndex.scoreOf(u.oldUrl) > 0)
+            .sort((a, b) => trafficIndex.scoreOf(b.oldUrl) - trafficIndex.scoreOf(a.oldUrl));
 
-        // Find matching URLs in our comparison
-        for (const gscEntry of sortedGSC) {
-            if (urlsToTest.length >= maxUrls) break;
-
-            const matchedUrl = [...comparison.matched, ...comparison.redirected].find(u =>
-                u.oldUrl === gscEntry.url
-            );
-
-            if (matchedUrl && !urlPaths.has(matchedUrl.oldUrl)) {
-                urlsToTest.push(matchedUrl);
-                urlPaths.add(matchedUrl.oldUrl);
-            }
-        }
+        byTraffic.slice(0, maxUrls - urlsToTest.length).forEach(u => urlsToTest.push(u));
     }
 
     // Fill remaining with matched/redirected URLs
@@ -106,16 +121,96 @@ const selectImportantUrls = (comparison, gscData) => {
     return urlsToTest.slice(0, maxUrls);
 };
 
+/**
+ * Snapshot the live sitemaps of each side that has no uploaded sitemap.
+ * Sitemaps come from the project's sitemap URLs or are discovered from robots.txt; the
+ * snapshot is stored as the side's sitemap file so later runs read the same data.
+ * @param {Object} project - Migration project document
+ * @param {Object} options - Snapshot options
+ * @param {boolean} options.refresh - Replace existing snapshots with freshly fetched sitemaps
+ * @returns {Promise<void>}
+ */
+const ensureSitemapSnapshots = async (project, options = {}) => {
+    const { refresh = false } = options;
+    const snapshots = project.sitemapSnapshots || {};
+
+    for (const side of ['old', 'new']) {
+        const fileKey = `${side}Sitemap`;
+        const snapshot = snapshots[side];
+        const uploaded = project.files?.[fileKey]?.path && !snapshot;
+
+        if (uploaded) continue;
+        if (snapshot && !refresh && fs.existsSync(project.files[fileKey].path)) continue;
+
+        const baseUrl = side === 'old' ? project.oldBaseUrl : project.newBaseUrl;
+        let sitemapUrls = project.sitemapUrls?.[side] || [];
+        let discovery = null;
+
+        if (sitemapUrls.length === 0) {
+            discovery = await discoverSitemaps(baseUrl);
+            sitemapUrls = discovery.sitemaps;
+            console.log(`Discovered ${sitemapUrls.length} ${side} sitemap(s) via ${discovery.source === 'robots' ? discovery.robotsUrl : 'the default /sitemap.xml'}`);
+        }
+
+        const filename = `${fileKey}-snapshot-${Date.now()}.tar.gz`;
+        const archivePath = path.join(uploadsDir, filename);
+
+        try {
+            const report = await snapshotSitemaps(sitemapUrls, archivePath);
+
+            if (snapshot && project.files?.[fileKey]?.path) {
+                fs.unlink(project.files[fileKey].path, () => {});
+            }
+
+            project.files = project.files || {};
+            project.files[fileKey] = { filename, path: archivePath, uploadedAt: report.fetchedAt };
+            snapshots[side] = { sitemapUrls, discovery, ...report };
+        } catch (error) {
+            // Without a sitemap the side is compared with whatever other sources provide
+            console.error(`Could not snapshot ${side} sitemaps:`, error.message);
+            fs.unlink(archivePath, () => {});
+            if (!snapshot) {
+                snapshots[side] = { sitemapUrls, discovery, fetchedAt: new Date(), fileCount: 0, error: error.message };
+            }
+        }
+    }
+
+    project.sitemapSnapshots = snapshots;
+    project.markModified('sitemapSnapshots');
+};
+
+/**
+ * Read the match decisions stored for a project. Reviewers can add decisions while
+ * the project is processing, so the job reads them again instead of using its copy.
+ * @param {string} projectId - Migration project ID
+ * @returns {Promise<Array<Object>>} Match overrides
+ */
+const loadMatchOverrides = async (projectId) => {
+    const current = await MigrationProject.findById(projectId).select('matchOverrides').lean();
+    return current?.matchOverrides || [];
+};
+
 /**
  * Background processing function
+ * @param {string} projectId - Migration project ID
+ * @param {Object} options - Processing options
+ * @param {boolean} options.refreshSitemaps - Fetch live sitemaps again instead of reusing their snapshot
  */
-const processProject = async (projectId) => {
+const processProject = async (projectId, options = {}) => {
     const project = await MigrationProject.findById(projectId);
     if (!project) {
         throw new Error('Project not found');
     }
 
     try {
+        // Requests to the old and new sites are rate limited per host, with the project's limits.
+        // The hosts are revived, so a host given up on in an earlier run is tried again and the
+        // crawl stats cover this run; requests other projects have queued for them go on.
+        reviveHost(project.oldBaseUrl);
+        reviveHost(project.newBaseUrl);
+        configureHost(project.oldBaseUrl, project.rateLimits?.old);
+        configureHost(project.newBaseUrl, project.rateLimits?.new);
+
         // Step 1: Parse sitemaps
         console.log(`[${projectId}] Step 1: Parsing sitemaps...`);
         project.processingStatus = {
@@ -125,40 +220,74 @@ const processProject = async (projectId) => {
         };
         await project.save();
 
+        await ensureSitemapSnapshots(project, { refresh: options.refreshSitemaps });
+        await project.save();
+
         let oldUrls = [];
         let newUrls = [];
+        let oldRecords = [];
+        let newRecords = [];
+        // Pages of crawler exports by side, used instead of live status checks and crawls
+        const crawledPages = {};
+
+        const columnMappings = project.columnMappings || {};
+        const sheetSelections = project.sheetSelections || {};
 
         // Helper to parse file based on extension
-        const parseFile = async (file) => {
-            if (file.filename.endsWith('.csv')) {
+        const parseFile = async (file, columnMapping, sheet) => {
+            const isTable = isSpreadsheetFile(file.filename);
+
+            if (isTable && !columnMapping && await isCrawlerExport(file.path, { sheet })) {
+                const { urls, pages, summary } = await parseCrawlerExport(file.path, { sheet });
+                return {
+                    urls,
+                    raw: urls.map(url => ({ url })),
+                    pages,
+                    report: summary,
+                };
+            } else if (isTable) {
                 const { parseCsvUrls } = await import('../services/csvUrlParser.js');
-                const urls = await parseCsvUrls(file.path);
+                const urls = await parseCsvUrls(file.path, { columnMapping, sheet });
                 return {
                     urls: urls.map(u => u.url), // Extract just URL string
                     raw: urls
                 };
             } else {
-                const { parseSitemap, extractUrls } = await import('../services/sitemapParser.js');
-                const data = await parseSitemap(file.path, true);
+                // Sitemap, sitemap index or archive of an index with its child sitemaps
+                const { urls, report } = await resolveSitemapUpload(file.path, {
+                    fetchRemote: project.fetchRemoteSitemaps,
+                });
                 return {
-                    urls: extractUrls(data),
-                    raw: data
+                    urls: extractUrls(urls),
+                    raw: urls,
+                    report,
                 };
             }
         };
 
+        const sitemapSources = {};
+
         if (project.files?.oldSitemap?.path) {
-            const result = await parseFile(project.files.oldSitemap);
+            const result = await parseFile(project.files.oldSitemap, columnMappings.oldSitemap, sheetSelections.oldSitemap);
             oldUrls = result.urls;
+            oldRecords = result.raw;
+            sitemapSources.old = result.report || null;
+            if (result.pages) crawledPages.old = new Map(result.pages.map(page => [page.url, page]));
             console.log(`Extracted ${oldUrls.length} URLs from old file (${project.files.oldSitemap.filename})`);
         }
 
         if (project.files?.newSitemap?.path) {
-            const result = await parseFile(project.files.newSitemap);
+            const result = await parseFile(project.files.newSitemap, columnMappings.newSitemap, sheetSelections.newSitemap);
             newUrls = result.urls;
+            newRecords = result.raw;
+            sitemapSources.new = result.report || null;
+            if (result.pages) crawledPages.new = new Map(result.pages.map(page => [page.url, page]));
             console.log(`Extracted ${newUrls.length} URLs from new file (${project.files.newSitemap.filename})`);
         }
 
+        project.results = project.results || {};
+        project.results.sitemapSources = sitemapSources;
+
         // Step 2: Parse GSC export (optional)
         console.log(`[${projectId}] Step 2: Parsing GSC export...`);
         project.processingStatus.stage = 'parsing_gsc';
@@ -166,7 +295,12 @@ const processProject = async (projectId) => {
         await project.save();
 
         if (project.files?.gscExport?.path) {
-            const gscData = await parseGSCExport(project.files.gscExport.path);
+            // Flat CSV, or the zip / Excel bundle with pages, queries, countries, devices and dates
+            const searchConsole = await parseSearchConsoleExport(project.files.gscExport.path, {
+                columnMapping: columnMappings.gscExport,
+                sheet: sheetSelections.gscExport,
+            });
+            const gscData = searchConsole.pages;
             const gscUrls = extractGSCUrls(gscData);
 
             // Merge with old URLs (avoid duplicates)
@@ -179,6 +313,41 @@ const processProject = async (projectId) => {
             // Store GSC data
             project.results = project.results || {};
             project.results.gscData = gscData;
+            project.results.searchConsole = summarizeSearchConsoleExport(searchConsole);
+        }
+
+        // Step 2b: Parse analytics landing-page export (optional)
+        if (project.files?.analyticsExport?.path) {
+            console.log(`[${projectId}] Step 2b: Parsing analytics export...`);
+            project.processingStatus.stage = 'parsing_analytics';
+            project.processingStatus.progress = 30;
+            await project.save();
+
+            const analyticsData = await parseAnalyticsExport(project.files.analyticsExport.path, {
+                baseUrl: project.oldBaseUrl,
+                columnMapping: columnMappings.analyticsExport,
+                sheet: sheetSelections.analyticsExport,
+            });
+
+            project.results = project.results || {};
+            project.results.analyticsData = analyticsData;
+        }
+
+        // Step 2c: Parse backlink export (optional)
+        if (project.files?.backlinkExport?.path) {
+            console.log(`[${projectId}] Step 2c: Parsing backlink export...`);
+            project.processingStatus.stage = 'parsing_backlinks';
+            project.processingStatus.progress = 32;
+            await project.save();
+
+            const backlinkData = await parseBacklinkExport(project.files.backlinkExport.path, {
+                baseUrl: project.oldBaseUrl,
+                columnMapping: columnMappings.backlinkExport,
+                sheet: sheetSelections.backlinkExport,
+            });
+
+            project.results = project.results || {};
+            project.results.backlinkData = backlinkData;
         }
 
         // Step 3: Parse redirect mapping (optional)
@@ -187,10 +356,31 @@ const processProject = async (projectId) => {
         project.processingStatus.progress = 35;
         await project.save();
 
-        let redirectMap = null;
+        let redirectMapping = null;
         if (project.files?.redirectMapping?.path) {
-            redirectMap = await parseRedirectMapping(project.files.redirectMapping.path);
-            console.log(`Loaded ${redirectMap.size} redirect mappings`);
+            // CSV, nginx, Apache or Netlify _redirects
+            const redirectFile = await parseRedirectMappingFile(project.files.redirectMapping.path, {
+                columnMapping: columnMappings.redirectMapping,
+                sheet: sheetSelections.redirectMapping,
+            });
+            const redirectRows = redirectFile.rows;
+            redirectMapping = buildRedirectMapping(redirectRows, {
+                normalizationPolicy: project.normalizationPolicy,
+            });
+            console.log(`Loaded ${redirectMapping.exact.size} redirect mappings and ${redirectMapping.rules.length} rules`);
+
+            // Validate the mapping itself before it is used
+            const redirectValidation = validateRedirectMapping(redirectRows, newUrls, {
+                normalizationPolicy: project.normalizationPolicy,
+                sourceFormat: redirectFile.format,
+                unparsedLines: redirectFile.unparsed,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+            });
+            project.results = project.results || {};
+            project.results.redirectValidation = redirectValidation;
+
+            console.log(`Redirect mapping validation: ${redirectValidation.summary.errorCount} errors, ${redirectValidation.summary.warningCount} warnings`);
         }
 
         // Store URLs
@@ -206,30 +396,102 @@ const processProject = async (projectId) => {
         project.processingStatus.progress = 50;
         await project.save();
 
-        const comparison = compareUrls(oldUrls, newUrls, redirectMap);
-        const patterns = detectPatternChanges(oldUrls, newUrls);
+        const comparison = compareUrls(oldUrls, newUrls, redirectMapping, {
+            oldBaseUrl: project.oldBaseUrl,
+            newBaseUrl: project.newBaseUrl,
+            normalizationPolicy: project.normalizationPolicy,
+            overrides: await loadMatchOverrides(projectId),
+        });
 
         project.results.urlComparison = comparison;
-        project.results.patternAnalysis = patterns;
         await project.save();
 
         console.log(`URL comparison complete: ${comparison.summary.matchedCount} matched, ${comparison.summary.missingCount} missing`);
 
+        // Step 4b: Match remaining missing URLs by page content
+        if (comparison.missing.length > 0 && comparison.new.length > 0) {
+            console.log(`[${projectId}] Step 4b: Matching missing URLs by content...`);
+            project.processingStatus.stage = 'matching_content';
+            project.processingStatus.progress = 55;
+            await project.save();
+
+            const contentResults = await matchMissingByContent(
+                comparison.missing.map(m => m.oldUrl),
+                comparison.new.map(n => n.newUrl),
+                {
+                    onProgress: (progress) => {
+                        console.log(`  Content matching: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
+                    },
+                }
+            );
+
+            const overrideIndex = indexOverrides(await loadMatchOverrides(projectId), project.normalizationPolicy);
+            applyContentMatches(comparison, filterRejectedContentMatches(contentResults, overrideIndex));
+            project.results.urlComparison = comparison;
+            project.markModified('results.urlComparison');
+            await project.save();
+
+            console.log(`Content matching complete: ${contentResults.matches.length} missing URLs matched by content`);
+        }
+
+        // Infer URL template changes from the pairs found above
+        const patterns = detectPatternChanges(oldUrls, newUrls, comparison);
+        project.results.patternAnalysis = patterns;
+        await project.save();
+
+        console.log(`Pattern analysis complete: ${patterns.changes.length} template changes detected`);
+
+        // Compare image, video, news and hreflang sitemap extensions across the pairs
+        const sitemapExtensions = compareSitemapExtensions(oldRecords, newRecords, comparison, {
+            normalizationPolicy: project.normalizationPolicy,
+        });
+        project.results.sitemapExtensions = sitemapExtensions;
+        await project.save();
+        oldRecords = null;
+        newRecords = null;
+
+        console.log(`Sitemap extension comparison complete: ${sitemapExtensions.pages.length} pages lost images, videos, news or alternates`);
+
+        // Rank URLs without a match or redirect by the search and analytics traffic they carry
+        const trafficIndex = buildTrafficIndex({
+            gscData: project.results.gscData,
+            analyticsData: project.results.analyticsData,
+        }, project.normalizationPolicy);
+        project.results.trafficAtRisk = rankAtRiskUrls(comparison, trafficIndex);
+        await project.save();
+
+        // Score every old URL by its backlinks
+        const linkEquityIndex = buildLinkEquityIndex(project.results.backlinkData, project.normalizationPolicy);
+        if (linkEquityIndex.size > 0) {
+            applyLinkEquity(comparison, linkEquityIndex);
+            project.results.urlComparison = comparison;
+            project.markModified('results.urlComparison');
+            await project.save();
+        }
+
         // Step 5: Check HTTP status for old URLs
         console.log(`[${projectId}] Step 5: Checking status of old URLs...`);
         project.processingStatus.stage = 'checking_old_urls';
         project.processingStatus.progress = 60;
         await project.save();
 
-        const oldUrlsToCheck = oldUrls.slice(0, 100); // Limit for now
-        const oldStatusResults = await checkMultipleUrls(oldUrlsToCheck, {
-            concurrency: 5,
-            delay: 200,
-            onProgress: (progress) => {
-                // Just log progress, don't save to avoid ParallelSaveError
-                console.log(`  Old URLs: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
-            },
-        });
+        // A crawler export already has the status of every old page, which may no longer be reachable
+        let oldStatusResults;
+        if (crawledPages.old) {
+            console.log(`Using crawler export status for ${crawledPages.old.size} old pages`);
+            oldStatusResults = Array.from(crawledPages.old.values(), toStatusResult);
+        } else {
+            const oldUrlsToCheck = oldUrls.slice(0, 100); // Limit for now
+            oldStatusResults = await checkMultipleUrls(oldUrlsToCheck, {
+                concurrency: 5,
+                delay: 200,
+                detectJsRedirects: options.detectJsRedirects,
+                onProgress: (progress) => {
+                    // Just log progress, don't save to avoid ParallelSaveError
+                    console.log(`  Old URLs: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
+                },
+            });
+        }
 
         const oldCategorized = categorizeResults(oldStatusResults);
         project.results.oldSiteStatus = oldCategorized;
@@ -241,20 +503,72 @@ const processProject = async (projectId) => {
         project.processingStatus.progress = 75;
         await project.save();
 
-        const newUrlsToCheck = newUrls.slice(0, 100); // Limit for now
+        // Targets of backlinked old URLs are checked first so broken ones can be flagged
+        const backlinkedTargets = [...comparison.matched, ...comparison.redirected]
+            .filter(u => u.linkEquity)
+            .sort((a, b) => b.linkEquity.score - a.linkEquity.score)
+            .map(u => u.newUrl);
+        const newUrlsToCheck = [...new Set([...backlinkedTargets, ...newUrls])].slice(0, 100); // Limit for now
         const newStatusResults = await checkMultipleUrls(newUrlsToCheck, {
             concurrency: 5,
             delay: 200,
+            detectJsRedirects: options.detectJsRedirects,
             onProgress: (progress) => {
                 // Just log progress, don't save to avoid ParallelSaveError
                 console.log(`  New URLs: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
             },
         });
 
+        // New platforms often answer missing content with 200 and a "not found" page
+        const softNotFoundCheck = await detectSoftNotFoundPages(newStatusResults, {
+            limit: SOFT_NOT_FOUND_CHECK_LIMIT,
+            onProgress: (progress) => {
+                console.log(`  Soft 404s: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
+            },
+        });
+
         const newCategorized = categorizeResults(newStatusResults);
+        newCategorized.softNotFoundCheck = softNotFoundCheck;
         project.results.newSiteStatus = newCategorized;
+
+        // Backlinked URLs that are missing or whose new URL is broken
+        if (linkEquityIndex.size > 0) {
+            project.results.backlinksAtRisk = flagBacklinkedUrlsAtRisk(
+                comparison,
+                linkEquityIndex,
+                newCategorized,
+                project.normalizationPolicy
+            );
+        }
         await project.save();
 
+        // Step 6b: Check that mapped old URLs redirect to their targets on the live site
+        if (redirectMapping) {
+            console.log(`[${projectId}] Step 6b: Verifying live redirects...`);
+            project.processingStatus.stage = 'verifying_redirects';
+            project.processingStatus.progress = 78;
+            await project.save();
+
+            // Capped like the other live checks of a run; POST /:id/verify-redirects verifies every URL
+            const redirectVerification = await verifyLiveRedirects(redirectMapping, {
+                oldUrls,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+                normalizationPolicy: project.normalizationPolicy,
+                detectJsRedirects: options.detectJsRedirects,
+                limit: 100,
+                onProgress: (progress) => {
+                    console.log(`  Redirects: ${progress.completed}/${progress.total} (${progress.percentage}%)`);
+                },
+            });
+            if (redirectVerification.truncated) {
+                redirectVerification.message = `Verified the first ${redirectVerification.results.length} of ${redirectVerification.expectedCount} mapped URLs; ` +
+                    `POST /api/migration-projects/${projectId}/verify-redirects to verify them all`;
+            }
+            project.results.redirectVerification = redirectVerification;
+            await project.save();
+        }
+
         // Step 7: Validate SEO Elements
         console.log(`[${projectId}] Step 7: Validating SEO elements...`);
         project.processingStatus.stage = 'validating_seo';
@@ -275,8 +589,9 @@ const processProject = async (projectId) => {
 
         for (const pair of urlsToValidate) {
             try {
-                // Scrape old page SEO
-                const oldSEO = await crawlUrl(pair.oldUrl);
+                // Scrape old page SEO, unless the crawler export has it
+                const oldPage = crawledPages.old?.get(pair.oldUrl);
+                const oldSEO = oldPage ? toCrawlResult(oldPage) : await crawlUrl(pair.oldUrl);
                 oldPagesSEO.push({
                     url: pair.oldUrl,
                     title: oldSEO.seoData?.title || '',
@@ -287,8 +602,9 @@ const processProject = async (projectId) => {
                     extractedAt: new Date(),
                 });
 
-                // Scrape new page SEO
-                const newSEO = await crawlUrl(pair.newUrl);
+                // Scrape new page SEO, unless the crawler export has it
+                const newPage = crawledPages.new?.get(pair.newUrl);
+                const newSEO = newPage ? toCrawlResult(newPage) : await crawlUrl(pair.newUrl);
                 newPagesSEO.push({
                     url: pair.newUrl,
                     title: newSEO.seoData?.title || '',
@@ -394,7 +710,7 @@ const processProject = async (projectId) => {
         await project.save();
 
         // Select important URLs to test (max 10)
-        const urlsToTest = selectImportantUrls(comparison, project.results.gscData);
+        const urlsToTest = selectImportantUrls(comparison, trafficIndex);
 
         console.log(`Selected ${urlsToTest.length} URLs for performance testing`);
 
@@ -484,6 +800,12 @@ const processProject = async (projectId) => {
         console.log(`  New site: ${newMobileSummary.fullyResponsive}/${newMobileSummary.totalTested} fully responsive`);
         console.log(`  Comparison: ${mobileComparison.improved} improved, ${mobileComparison.regressed} regressed`);
 
+        // Request counters of the old and new hosts (shared with other projects on the same hosts)
+        const projectHosts = [project.oldBaseUrl, project.newBaseUrl].map(url => new URL(url).host);
+        project.results.crawlStats = {
+            hosts: getHostStats().filter(stats => projectHosts.includes(stats.host)),
+        };
+
         // Mark as completed
         project.status = 'completed';
         project.processingStatus = {
@@ -622,6 +944,233 @@ export const getSEOValidation = async (req, res) => {
     }
 };
 
+/**
+ * Get redirect mapping validation results
+ * @route GET /api/migration-projects/:id/redirect-validation
+ */
+export const getRedirectValidation = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const project = await MigrationProject.findById(id)
+            .select('results.redirectValidation oldBaseUrl newBaseUrl projectName');
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        if (!project.results?.redirectValidation) {
+            return res.status(404).json({
+                error: 'Redirect mapping validation not available',
+                message: 'No redirect mapping has been validated for this project yet',
+            });
+        }
+
+        res.json({
+            success: true,
+            project: {
+                id: project._id,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+                projectName: project.projectName,
+            },
+            redirectValidation: project.results.redirectValidation,
+        });
+    } catch (error) {
+        console.error('Error getting redirect mapping validation:', error);
+        res.status(500).json({
+            error: 'Failed to get redirect mapping validation results',
+            message: error.message,
+        });
+    }
+};
+
+/**
+ * Request every mapped old URL on the live site and check it redirects to its target.
+ * Runs on its own, so it can be repeated on launch day without reprocessing the project.
+ * The check runs in the background; poll GET /:id/redirect-verification for its status and results.
+ * @route POST /api/migration-projects/:id/verify-redirects
+ */
+export const verifyRedirects = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const project = await MigrationProject.findById(id);
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        const redirectPath = project.files?.redirectMapping?.path;
+        if (!redirectPath || !fs.existsSync(redirectPath)) {
+            return res.status(400).json({
+                error: 'Redirect mapping not available',
+                message: 'Upload a redirect mapping to verify live redirects',
+            });
+        }
+
+        // Taken atomically, so two requests cannot both start a verification
+        const now = new Date();
+        const locked = await MigrationProject.findOneAndUpdate(
+            {
+                _id: id,
+                $or: [
+                    { 'redirectVerificationStatus.stage': { $ne: 'verifying' } },
+                    { 'redirectVerificationStatus.updatedAt': { $not: { $gte: new Date(now - STALE_VERIFICATION_MS) } } },
+                ],
+            },
+            { redirectVerificationStatus: { stage: 'verifying', progress: 0, startedAt: now, updatedAt: now } },
+            { new: true }
+        );
+
+        if (!locked) {
+            const startedAt = project.redirectVerificationStatus?.startedAt;
+            return res.status(409).json({
+                error: 'Redirect verification already running',
+                message: startedAt ? `Started at ${startedAt.toISOString()}` : 'Another redirect verification is in progress',
+            });
+        }
+
+        // Start background verification (don't await - run async)
+        const limit = parseInt(req.body?.limit) || Infinity;
+        const detectJsRedirects = req.body?.detectJsRedirects === true || req.body?.detectJsRedirects === 'true';
+        runRedirectVerification(id, { limit, detectJsRedirects }).catch(error => {
+            console.error(`Error verifying live redirects of project ${id}:`, error);
+        });
+
+        res.json({
+            success: true,
+            message: 'Redirect verification started',
+            projectId: id,
+            redirectVerificationStatus: locked.redirectVerificationStatus,
+        });
+    } catch (error) {
+        console.error('Error starting redirect verification:', error);
+        res.status(500).json({
+            error: 'Failed to start redirect verification',
+            message: error.message,
+        });
+    }
+};
+
+/**
+ * Verify the live redirects of a project's mapping in the background.
+ * Status and results are written with targeted updates, so a processing run saving the same
+ * project at the same time does not conflict with them.
+ * @param {string} projectId - Project ID
+ * @param {Object} options - { limit, detectJsRedirects }
+ */
+const runRedirectVerification = async (projectId, options = {}) => {
+    try {
+        const project = await MigrationProject.findById(projectId);
+        if (!project) {
+            throw new Error('Project not found');
+        }
+
+        const redirectFile = await parseRedirectMappingFile(project.files.redirectMapping.path, {
+            columnMapping: project.columnMappings?.redirectMapping,
+            sheet: project.sheetSelections?.redirectMapping,
+        });
+        const redirectMapping = buildRedirectMapping(redirectFile.rows, {
+            normalizationPolicy: project.normalizationPolicy,
+        });
+
+        let lastProgressUpdate = 0;
+        const redirectVerification = await verifyLiveRedirects(redirectMapping, {
+            oldUrls: project.urls?.old || [],
+            oldBaseUrl: project.oldBaseUrl,
+            newBaseUrl: project.newBaseUrl,
+            normalizationPolicy: project.normalizationPolicy,
+            limit: options.limit,
+            detectJsRedirects: options.detectJsRedirects,
+            onProgress: (progress) => {
+                // Progress is stored every few seconds rather than after every URL
+                if (Date.now() - lastProgressUpdate < 2000) return;
+                lastProgressUpdate = Date.now();
+                MigrationProject.findByIdAndUpdate(projectId, {
+                    'redirectVerificationStatus.progress': Math.floor(Number(progress.percentage)),
+                    'redirectVerificationStatus.updatedAt': new Date(),
+                }).catch(() => {});
+            },
+        });
+
+        await MigrationProject.findByIdAndUpdate(projectId, {
+            'results.redirectVerification': redirectVerification,
+            'redirectVerificationStatus.stage': 'completed',
+            'redirectVerificationStatus.progress': 100,
+            'redirectVerificationStatus.completedAt': new Date(),
+        });
+
+        console.log(`[${projectId}] Redirect verification complete`);
+    } catch (error) {
+        console.error(`[${projectId}] Redirect verification failed:`, error);
+
+        await MigrationProject.findByIdAndUpdate(projectId, {
+            'redirectVerificationStatus.stage': 'failed',
+            'redirectVerificationStatus.completedAt': new Date(),
+            'redirectVerificationStatus.error': error.message,
+        });
+    }
+};
+
+/**
+ * Get live redirect verification results
+ * @route GET /api/migration-projects/:id/redirect-verification
+ * @query status - Only return results with this status (e.g. wrongTarget)
+ */
+export const getRedirectVerification = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { status } = req.query;
+
+        const project = await MigrationProject.findById(id)
+            .select('results.redirectVerification redirectVerificationStatus oldBaseUrl newBaseUrl projectName');
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        const redirectVerification = project.results?.redirectVerification;
+        if (!redirectVerification) {
+            return res.status(404).json({
+                error: 'Redirect verification not available',
+                message: project.redirectVerificationStatus?.stage === 'verifying'
+                    ? 'Live redirects are being verified; try again when the verification completes'
+                    : 'Live redirects have not been verified for this project yet',
+                redirectVerificationStatus: project.redirectVerificationStatus,
+            });
+        }
+
+        if (status && !VERIFICATION_STATUSES.includes(status)) {
+            return res.status(400).json({
+                error: 'Invalid status',
+                message: `status must be one of: ${VERIFICATION_STATUSES.join(', ')}`,
+            });
+        }
+
+        res.json({
+            success: true,
+            project: {
+                id: project._id,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+                projectName: project.projectName,
+            },
+            redirectVerification: status
+                ? { ...redirectVerification, results: redirectVerification.results.filter(r => r.status === status) }
+                : redirectVerification,
+            // A new verification may be running while the previous results are shown
+            redirectVerificationStatus: project.redirectVerificationStatus,
+        });
+    } catch (error) {
+        console.error('Error getting redirect verification:', error);
+        res.status(500).json({
+            error: 'Failed to get redirect verification results',
+            message: error.message,
+        });
+    }
+};
+
 /**
  * Get performance validation results
  * @route GET /api/migration-projects/:id/performance
@@ -750,12 +1299,78 @@ export const exportReport = async (req, res) => {
     }
 };
 
+/**
+ * Generate server redirect rules from the URL comparison
+ * @route GET /api/migration-projects/:id/redirect-rules
+ */
+export const getRedirectRules = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { format = 'nginx', includeSuggestions = 'false', download = 'false' } = req.query;
+
+        if (!Object.hasOwn(REDIRECT_FORMATS, format)) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `Format must be one of: ${Object.keys(REDIRECT_FORMATS).join(', ')}`,
+            });
+        }
+
+        const project = await MigrationProject.findById(id)
+            .select('results.urlComparison results.patternAnalysis oldBaseUrl newBaseUrl projectName');
+
+        if (!project) {
+            return res.status(404).json({ error: 'Migration project not found' });
+        }
+
+        if (!project.results?.urlComparison) {
+            return res.status(404).json({
+                error: 'URL comparison not available',
+                message: 'URL comparison has not been run for this project yet',
+            });
+        }
+
+        const ruleSet = generateRedirectRules(
+            project.results.urlComparison,
+            project.results.patternAnalysis,
+            format,
+            { includeSuggestions: includeSuggestions === 'true' }
+        );
+
+        if (download === 'true') {
+            res.setHeader('Content-Type', ruleSet.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${ruleSet.filename}"`);
+            return res.send(ruleSet.content);
+        }
+
+        res.json({
+            success: true,
+            project: {
+                id: project._id,
+                oldBaseUrl: project.oldBaseUrl,
+                newBaseUrl: project.newBaseUrl,
+                projectName: project.projectName,
+            },
+            redirectRules: ruleSet,
+        });
+    } catch (error) {
+        console.error('Error generating redirect rules:', error);
+        res.status(500).json({
+            error: 'Failed to generate redirect rules',
+            message: error.message,
+        });
+    }
+};
+
 export default {
     startProcessing,
     getProcessingStatus,
     getResults,
     getSEOValidation,
+    getRedirectValidation,
+    verifyRedirects,
+    getRedirectVerification,
     getPerformanceValidation,
     getMobileResponsiveness,
     exportReport,
+    getRedirectRules,
 };
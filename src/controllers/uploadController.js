@@ -1,11 +1,122 @@
+import fs from 'fs';
 import { validationResult } from 'express-validator';
 import MigrationProject from '../models/MigrationProject.js';
+import { resolveNormalizationPolicy } from '../services/sitemapParser.js';
+import { resolveHostLimits } from '../services/hostScheduler.js';
+import {
+    UPLOAD_COLUMNS,
+    parseColumnMappings,
+    parseSheetSelections,
+    validateColumnMappings,
+    previewUpload,
+} from '../services/columnMappingService.js';
 
 /**
- * Create a new migration project with file uploads
+ * Parse a normalization policy from a request body field.
+ * Multipart requests send it as a JSON string, JSON requests as an object.
+ * @param {string|Object} value - Raw field value
+ * @returns {Object|undefined} Validated policy, or undefined if not provided
+ * @throws {Error} If the policy is not valid JSON or has invalid values
+ */
+const parseNormalizationPolicy = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    let policy = value;
+    if (typeof value === 'string') {
+        try {
+            policy = JSON.parse(value);
+        } catch {
+            throw new Error('normalizationPolicy must be valid JSON');
+        }
+    }
+
+    if (typeof policy !== 'object' || Array.isArray(policy)) {
+        throw new Error('normalizationPolicy must be an object');
+    }
+
+    return resolveNormalizationPolicy(policy);
+};
+
+/**
+ * Parse a list of live sitemap URLs from a request body field.
+ * Accepts an array, or a string of URLs separated by commas, spaces or new lines.
+ * @param {string|Array<string>} value - Raw field value
+ * @param {string} field - Field name for error messages
+ * @returns {Array<string>} Unique sitemap URLs
+ * @throws {Error} If a URL is not an absolute http(s) URL
+ */
+const parseSitemapUrls = (value, field) => {
+    if (value === undefined || value === null || value === '') return [];
+
+    const list = Array.isArray(value) ? value : String(value).split(/[\s,]+/);
+    const urls = list.map(url => String(url).trim()).filter(Boolean);
+
+    for (const url of urls) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            throw new Error(`${field} contains an invalid URL: ${url}`);
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+            throw new Error(`${field} must contain http or https URLs: ${url}`);
+        }
+    }
+
+    return [...new Set(urls)];
+};
+
+/**
+ * Parse per-side request rate limits from a request body field.
+ * Multipart requests send it as a JSON string, JSON requests as an object.
+ * @param {string|Object} value - Raw field value, e.g. { "old": { "concurrency": 1, "delay": 1000 } }
+ * @returns {Object} { old, new } validated limits
+ * @throws {Error} If the value is not valid JSON or has invalid limits
+ */
+const parseRateLimits = (value) => {
+    if (value === undefined || value === null || value === '') return { old: {}, new: {} };
+
+    let limits = value;
+    if (typeof value === 'string') {
+        try {
+            limits = JSON.parse(value);
+        } catch {
+            throw new Error('rateLimits must be valid JSON');
+        }
+    }
+
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+        throw new Error('rateLimits must be an object with "old" and/or "new" limits');
+    }
+
+    return {
+        old: resolveHostLimits(limits.old),
+        new: resolveHostLimits(limits.new),
+    };
+};
+
+/**
+ * Delete the files multer stored for a request
+ * @param {Object} files - req.files, as field → files
+ */
+const removeUploads = (files) => {
+    for (const fieldFiles of Object.values(files || {})) {
+        for (const file of fieldFiles) {
+            fs.promises.unlink(file.path).catch(() => {});
+        }
+    }
+};
+
+/**
+ * Create a new migration project with file uploads.
+ * Sitemaps can instead be given as live URLs (oldSitemapUrls, newSitemapUrls) or left out,
+ * in which case they are discovered from robots.txt and snapshotted when processing starts.
+ * The uploads are removed again when the project is not created.
  * @route POST /api/migration-projects
  */
 export const createMigrationProject = async (req, res) => {
+    let created = false;
+
     try {
         // Check for validation errors
         const errors = validationResult(req);
@@ -23,6 +134,68 @@ export const createMigrationProject = async (req, res) => {
             });
         }
 
+        let normalizationPolicy;
+        try {
+            normalizationPolicy = parseNormalizationPolicy(req.body.normalizationPolicy);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid normalization policy',
+                message: error.message,
+            });
+        }
+
+        let sitemapUrls;
+        try {
+            sitemapUrls = {
+                old: parseSitemapUrls(req.body.oldSitemapUrls, 'oldSitemapUrls'),
+                new: parseSitemapUrls(req.body.newSitemapUrls, 'newSitemapUrls'),
+            };
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid sitemap URLs',
+                message: error.message,
+            });
+        }
+
+        for (const side of ['old', 'new']) {
+            if (sitemapUrls[side].length > 0 && files?.[`${side}Sitemap`]?.[0]) {
+                return res.status(400).json({
+                    error: 'Invalid sitemap URLs',
+                    message: `Provide either an uploaded ${side}Sitemap or ${side}SitemapUrls, not both`,
+                });
+            }
+        }
+
+        let rateLimits;
+        try {
+            rateLimits = parseRateLimits(req.body.rateLimits);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid rate limits',
+                message: error.message,
+            });
+        }
+
+        let columnMappings;
+        let sheetSelections;
+        try {
+            columnMappings = parseColumnMappings(req.body.columnMappings);
+            sheetSelections = parseSheetSelections(req.body.sheetSelections);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid column mapping',
+                message: error.message,
+            });
+        }
+
+        const mappingProblems = await validateColumnMappings(columnMappings, files, sheetSelections);
+        if (mappingProblems.length > 0) {
+            return res.status(400).json({
+                error: 'Invalid column mapping',
+                message: mappingProblems.join('; '),
+            });
+        }
+
         // Prepare file metadata
         const fileData = {};
         if (files) {
@@ -54,6 +227,20 @@ export const createMigrationProject = async (req, res) => {
                     uploadedAt: new Date(),
                 };
             }
+            if (files.analyticsExport?.[0]) {
+                fileData.analyticsExport = {
+                    filename: files.analyticsExport[0].filename,
+                    path: files.analyticsExport[0].path,
+                    uploadedAt: new Date(),
+                };
+            }
+            if (files.backlinkExport?.[0]) {
+                fileData.backlinkExport = {
+                    filename: files.backlinkExport[0].filename,
+                    path: files.backlinkExport[0].path,
+                    uploadedAt: new Date(),
+                };
+            }
         }
 
         // Create new migration project
@@ -63,9 +250,16 @@ export const createMigrationProject = async (req, res) => {
             projectName: projectName || `Migration: ${oldBaseUrl} → ${newBaseUrl}`,
             description,
             files: fileData,
+            sitemapUrls,
+            normalizationPolicy,
+            columnMappings,
+            sheetSelections,
+            rateLimits,
+            fetchRemoteSitemaps: req.body.fetchRemoteSitemaps === true || req.body.fetchRemoteSitemaps === 'true',
         });
 
         await migrationProject.save();
+        created = true;
 
         res.status(201).json({
             success: true,
@@ -78,6 +272,108 @@ export const createMigrationProject = async (req, res) => {
             error: 'Failed to create migration project',
             message: error.message,
         });
+    } finally {
+        if (!created) removeUploads(req.files);
+    }
+};
+
+/**
+ * Preview how uploaded files will be parsed, without creating a project.
+ * Returns the detected columns, the proposed column mapping, the first rows as parsed
+ * and row-level errors for each file. The uploads are removed afterwards.
+ * @route POST /api/migration-projects/preview
+ */
+export const previewUploads = async (req, res) => {
+    const uploaded = Object.entries(req.files || {}).filter(([field]) => Object.hasOwn(UPLOAD_COLUMNS, field));
+
+    try {
+        if (uploaded.length === 0) {
+            return res.status(400).json({
+                error: 'No file to preview',
+                message: `Upload one of: ${Object.keys(UPLOAD_COLUMNS).join(', ')}`,
+            });
+        }
+
+        let columnMappings;
+        let sheetSelections;
+        try {
+            columnMappings = parseColumnMappings(req.body.columnMappings) || {};
+            sheetSelections = parseSheetSelections(req.body.sheetSelections) || {};
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid column mapping',
+                message: error.message,
+            });
+        }
+
+        const previews = [];
+        for (const [field, [file]] of uploaded) {
+            try {
+                previews.push(await previewUpload(field, file, {
+                    columnMapping: columnMappings[field],
+                    sheet: sheetSelections[field],
+                }));
+            } catch (error) {
+                previews.push({ field, error: error.message });
+            }
+        }
+
+        res.json({
+            success: true,
+            data: previews,
+        });
+    } catch (error) {
+        console.error('Error previewing uploads:', error);
+        res.status(500).json({
+            error: 'Failed to preview uploads',
+            message: error.message,
+        });
+    } finally {
+        removeUploads(req.files);
+    }
+};
+
+/**
+ * Update the URL normalization policy of a migration project
+ * @route PUT /api/migration-projects/:id/normalization-policy
+ */
+export const updateNormalizationPolicy = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        let normalizationPolicy;
+        try {
+            normalizationPolicy = parseNormalizationPolicy(req.body);
+        } catch (error) {
+            return res.status(400).json({
+                error: 'Invalid normalization policy',
+                message: error.message,
+            });
+        }
+
+        const project = await MigrationProject.findById(id);
+
+        if (!project) {
+            return res.status(404).json({
+                error: 'Migration project not found',
+            });
+        }
+
+        project.normalizationPolicy = normalizationPolicy;
+        project.lastModified = new Date();
+        await project.save();
+
+        res.json({
+            success: true,
+            message: 'Normalization policy updated. Re-run processing to apply it.',
+            data: project.normalizationPolicy,
+        });
+    } catch (error) {
+        console.error('Error updating normalization policy:', error);
+        res.status(500).json({
+            error: 'Failed to update normalization policy',
+            message: error.message,
+        });
     }
 };
 
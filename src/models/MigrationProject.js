@@ -36,8 +36,92 @@ const migrationProjectSchema = new mongoose.Schema(
                 path: String,
                 uploadedAt: Date,
             },
+            analyticsExport: {
+                filename: String,
+                path: String,
+                uploadedAt: Date,
+            },
+            backlinkExport: {
+                filename: String,
+                path: String,
+                uploadedAt: Date,
+            },
+        },
+
+        // URL normalization policy used by every comparison
+        normalizationPolicy: {
+            stripWww: { type: Boolean, default: true },
+            keepQueryParams: { type: [String], default: [] },
+            lowercasePaths: { type: Boolean, default: false },
+            stripDefaultDocuments: { type: Boolean, default: false },
+            defaultDocuments: {
+                type: [String],
+                default: ['index.html', 'index.htm', 'index.php', 'default.aspx', 'default.asp'],
+            },
+            trailingSlash: {
+                type: String,
+                enum: ['strip', 'keep', 'add'],
+                default: 'strip',
+            },
+            protocol: {
+                type: String,
+                enum: ['keep', 'https', 'http'],
+                default: 'keep',
+            },
+        },
+
+        // Live sitemap URLs for a side without an uploaded sitemap; empty means discover them from robots.txt
+        sitemapUrls: {
+            old: { type: [String], default: [] },
+            new: { type: [String], default: [] },
+        },
+
+        // Snapshots of the live sitemaps fetched for each side, stored as files.oldSitemap / files.newSitemap
+        sitemapSnapshots: {
+            old: mongoose.Schema.Types.Mixed,
+            new: mongoose.Schema.Types.Mixed,
+        },
+
+        // Explicit column mappings per upload field (column key → header in the file), used instead of guessing
+        columnMappings: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // Workbook sheet to read per upload field (sheet name or index), for Excel uploads
+        sheetSelections: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+
+        // Request rate limits for the old and new hosts (concurrency, delay, ...), see hostScheduler
+        rateLimits: {
+            old: { type: mongoose.Schema.Types.Mixed, default: {} },
+            new: { type: mongoose.Schema.Types.Mixed, default: {} },
         },
 
+        // Fetch child sitemaps missing from an uploaded sitemap index over the network
+        fetchRemoteSitemaps: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Reviewer decisions on URL matches, re-applied whenever the comparison is rebuilt
+        matchOverrides: [
+            {
+                oldUrl: { type: String, required: true },
+                newUrl: { type: String, required: true },
+                action: {
+                    type: String,
+                    enum: ['accept', 'reject', 'manual'],
+                    required: true,
+                },
+                note: String,
+                decidedBy: String,
+                decidedAt: { type: Date, default: Date.now },
+            },
+        ],
+
         // Project metadata
         status: {
             type: String,
@@ -68,10 +152,34 @@ const migrationProjectSchema = new mongoose.Schema(
             error: String,
         },
 
+        // Status of a live redirect verification started on its own (POST /:id/verify-redirects)
+        redirectVerificationStatus: {
+            stage: String,
+            progress: Number,
+            startedAt: Date,
+            updatedAt: Date, // Last progress report; a stale one no longer blocks a new verification
+            completedAt: Date,
+            error: String,
+        },
+
         // Processing results
         results: {
             // GSC data
             gscData: mongoose.Schema.Types.Mixed,
+            searchConsole: mongoose.Schema.Types.Mixed,
+            analyticsData: mongoose.Schema.Types.Mixed,
+            trafficAtRisk: mongoose.Schema.Types.Mixed,
+            backlinkData: mongoose.Schema.Types.Mixed,
+            backlinksAtRisk: mongoose.Schema.Types.Mixed,
+
+            // Child sitemaps resolved for each uploaded sitemap, with URL counts and errors
+            sitemapSources: mongoose.Schema.Types.Mixed,
+            sitemapExtensions: mongoose.Schema.Types.Mixed,
+
+            // Redirect mapping validation
+            redirectValidation: mongoose.Schema.Types.Mixed,
+            // Live redirects of the mapped old URLs checked against the mapping
+            redirectVerification: mongoose.Schema.Types.Mixed,
 
             // URL comparison results
             urlComparison: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    getMatchReview,
+    addMatchOverrides,
+    deleteMatchOverride,
+} from '../controllers/matchReviewController.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/migration-projects/:id/match-review
+ * @desc    Get missing URLs with suggestions awaiting review, and the decisions made so far
+ * @access  Public
+ */
+router.get('/:id/match-review', getMatchReview);
+
+/**
+ * @route   POST /api/migration-projects/:id/match-overrides
+ * @desc    Accept or reject a match, or add a manual mapping, then recalculate the comparison
+ * @access  Public
+ * @body    { action: 'accept'|'reject'|'manual', oldUrl, newUrl?, note? } or { decisions: [...] }
+ */
+router.post('/:id/match-overrides', addMatchOverrides);
+
+/**
+ * @route   DELETE /api/migration-projects/:id/match-overrides/:overrideId
+ * @desc    Remove a match decision and recalculate the comparison
+ * @access  Public
+ */
+router.delete('/:id/match-overrides/:overrideId', deleteMatchOverride);
+
+export default router;
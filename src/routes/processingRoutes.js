@@ -4,9 +4,13 @@ import {
     getProcessingStatus,
     getResults,
     getSEOValidation,
+    getRedirectValidation,
+    verifyRedirects,
+    getRedirectVerification,
     getPerformanceValidation,
     getMobileResponsiveness,
     exportReport,
+    getRedirectRules,
 } from '../controllers/processingController.js';
 
 const router = express.Router();
@@ -15,6 +19,8 @@ const router = express.Router();
  * @route   POST /api/migration-projects/:id/process
  * @desc    Start processing a migration project
  * @access  Public
+ * @body    { refreshSitemaps?: boolean } - Fetch live sitemaps again instead of reusing their snapshot
+ *          { detectJsRedirects?: boolean } - Load pages in a headless browser to trace JavaScript redirects
  */
 router.post('/:id/process', startProcessing);
 
@@ -39,6 +45,29 @@ router.get('/:id/results', getResults);
  */
 router.get('/:id/seo-validation', getSEOValidation);
 
+/**
+ * @route   GET /api/migration-projects/:id/redirect-validation
+ * @desc    Get redirect mapping validation results for a migration project
+ * @access  Public
+ */
+router.get('/:id/redirect-validation', getRedirectValidation);
+
+/**
+ * @route   POST /api/migration-projects/:id/verify-redirects
+ * @desc    Start checking in the background that every mapped old URL redirects to its mapped target on the live site
+ * @access  Public
+ * @body    { limit?: number, detectJsRedirects?: boolean }
+ */
+router.post('/:id/verify-redirects', verifyRedirects);
+
+/**
+ * @route   GET /api/migration-projects/:id/redirect-verification
+ * @desc    Get live redirect verification results and the status of a running verification
+ * @access  Public
+ * @query   status - 'correct', 'wrongTarget', 'temporary', 'chained', 'loop', 'notRedirecting' or 'error'
+ */
+router.get('/:id/redirect-verification', getRedirectVerification);
+
 /**
  * @route   GET /api/migration-projects/:id/performance
  * @desc    Get performance validation results for a migration project
@@ -58,8 +87,18 @@ router.get('/:id/mobile', getMobileResponsiveness);
  * @desc    Export migration audit report (CSV or JSON)
  * @access  Public
  * @query   format - 'csv' or 'json' (default: json)
- * @query   section - 'all', 'urls', 'seo', 'performance', 'mobile' (default: all)
+ * @query   section - 'all', 'urls', 'at-risk', 'backlinks', 'redirects', 'verification', 'extensions', 'seo', 'performance', 'mobile' (default: all)
  */
 router.get('/:id/export', exportReport);
 
+/**
+ * @route   GET /api/migration-projects/:id/redirect-rules
+ * @desc    Generate server redirect rules from the URL comparison
+ * @access  Public
+ * @query   format - 'nginx', 'apache', 'netlify', 'cloudflare' or 'vercel' (default: nginx)
+ * @query   includeSuggestions - 'true' to include suggested matches for missing URLs, unconfirmed (default: false)
+ * @query   download - 'true' to download the config file instead of JSON
+ */
+router.get('/:id/redirect-rules', getRedirectRules);
+
 export default router;
@@ -6,14 +6,22 @@ import {
     getMigrationProject,
     listMigrationProjects,
     deleteMigrationProject,
+    updateNormalizationPolicy,
+    previewUploads,
 } from '../controllers/uploadController.js';
 
 const router = express.Router();
 
 /**
  * @route   POST /api/migration-projects
- * @desc    Create a new migration project with file uploads
+ * @desc    Create a new migration project with file uploads or live sitemap URLs
  * @access  Public
+ * @body    oldSitemapUrls, newSitemapUrls - Sitemap URLs to snapshot instead of uploading
+ *          (without either, sitemaps are discovered from robots.txt)
+ *          oldSitemap, newSitemap - Sitemap, archive, URL list or crawler export (CSV or Excel)
+ *          columnMappings - Explicit headers per upload field, e.g. { "analyticsExport": { "landingPage": "Seite" } }
+ *          sheetSelections - Workbook sheet per Excel upload field, e.g. { "redirectMapping": "Redirects" }
+ *          rateLimits - Request limits per site, e.g. { "old": { "concurrency": 1, "delay": 1000 } }
  */
 router.post(
     '/',
@@ -41,6 +49,16 @@ router.post(
     createMigrationProject
 );
 
+/**
+ * @route   POST /api/migration-projects/preview
+ * @desc    Parse uploaded files without creating a project: detected columns, proposed
+ *          column mapping, first rows as parsed and row-level errors
+ * @access  Public
+ * @body    Any of the project upload fields, columnMappings - Explicit headers to try,
+ *          sheetSelections - Workbook sheets to read
+ */
+router.post('/preview', migrationProjectFields, previewUploads);
+
 /**
  * @route   GET /api/migration-projects
  * @desc    Get all migration projects with pagination
@@ -55,6 +73,13 @@ router.get('/', listMigrationProjects);
  */
 router.get('/:id', getMigrationProject);
 
+/**
+ * @route   PUT /api/migration-projects/:id/normalization-policy
+ * @desc    Update the URL normalization policy of a migration project
+ * @access  Public
+ */
+router.put('/:id/normalization-policy', updateNormalizationPolicy);
+
 /**
  * @route   DELETE /api/migration-projects/:id
  * @desc    Delete migration project by ID
@@ -7,6 +7,7 @@ import { connectMongoDB, connectRedis, closeDatabaseConnections } from './config
 import auditRoutes from './routes/auditRoutes.js';
 import uploadRoutes from './routes/uploadRoutes.js';
 import processingRoutes from './routes/processingRoutes.js';
+import matchReviewRoutes from './routes/matchReviewRoutes.js';
 
 // Load environment variables
 dotenv.config();
@@ -53,6 +54,7 @@ app.use('/uploads', express.static('uploads'));
 app.use('/api/audits', auditRoutes);
 app.use('/api/migration-projects', uploadRoutes);
 app.use('/api/migration-projects', processingRoutes);
+app.use('/api/migration-projects', matchReviewRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -73,6 +75,15 @@ app.get('/', (req, res) => {
             getMigrationProject: 'GET /api/migration-projects/:id',
             listMigrationProjects: 'GET /api/migration-projects',
             deleteMigrationProject: 'DELETE /api/migration-projects/:id',
+            previewUploads: 'POST /api/migration-projects/preview',
+            normalizationPolicy: 'PUT /api/migration-projects/:id/normalization-policy',
+            redirectValidation: 'GET /api/migration-projects/:id/redirect-validation',
+            verifyRedirects: 'POST /api/migration-projects/:id/verify-redirects',
+            redirectVerification: 'GET /api/migration-projects/:id/redirect-verification',
+            redirectRules: 'GET /api/migration-projects/:id/redirect-rules?format=nginx',
+            matchReview: 'GET /api/migration-projects/:id/match-review',
+            addMatchOverrides: 'POST /api/migration-projects/:id/match-overrides',
+            deleteMatchOverride: 'DELETE /api/migration-projects/:id/match-overrides/:overrideId',
         },
     });
 });
@@ -0,0 +1,55 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseAnalyticsExport } from '../analyticsParser.js';
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'analytics-parser-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('parseAnalyticsExport', () => {
+    test('adds up rows per landing page and skips totals', async () => {
+        const filePath = await writeFile('ga4.csv', [
+            'Landing page,Sessions,Total users,Key events,Total revenue',
+            '/shop,"1,200",900,12,"$1,000.50"',
+            '/about,300,250,0,0',
+            '/shop,100,80,1,10.25',
+            '(not set),50,50,0,0',
+            'Grand total,1650,1280,13,1010.75',
+        ].join('\n'));
+
+        const pages = await parseAnalyticsExport(filePath, { baseUrl: 'https://old.com' });
+
+        expect(pages).toEqual([
+            { url: 'https://old.com/shop', landingPage: '/shop', sessions: 1300, users: 980, conversions: 13, revenue: 1010.75 },
+            { url: 'https://old.com/about', landingPage: '/about', sessions: 300, users: 250, conversions: 0, revenue: 0 },
+        ]);
+    });
+
+    test('reads headers named through a column mapping', async () => {
+        const filePath = await writeFile('custom.csv', 'Entry,Visits\n/a,5\n');
+
+        const pages = await parseAnalyticsExport(filePath, {
+            baseUrl: 'https://old.com',
+            columnMapping: { landingPage: 'Entry' },
+        });
+
+        expect(pages).toMatchObject([{ url: 'https://old.com/a', sessions: 5 }]);
+    });
+
+    test('rejects exports without a landing page column', async () => {
+        const filePath = await writeFile('channels.csv', 'Channel,Sessions\nOrganic,5\n');
+
+        await expect(parseAnalyticsExport(filePath)).rejects.toThrow('Analytics export has no landing page column');
+    });
+});
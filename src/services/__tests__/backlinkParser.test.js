@@ -0,0 +1,58 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseBacklinkExport } from '../backlinkParser.js';
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'backlink-parser-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('parseBacklinkExport', () => {
+    test('aggregates a link-level export per target', async () => {
+        const filePath = await writeFile('links.csv', [
+            'Referring page URL,Target URL,Anchor,Nofollow',
+            'https://www.blog.com/post,/shop,shoes,false',
+            'https://blog.com/other,/shop,shoes,true',
+            'https://news.com/a,/shop,store,false',
+            'https://news.com/b,/about,,false',
+        ].join('\n'));
+
+        const targets = await parseBacklinkExport(filePath, { baseUrl: 'https://old.com' });
+
+        expect(targets).toEqual([
+            {
+                url: 'https://old.com/shop',
+                referringDomains: 2,
+                backlinks: 3,
+                followedBacklinks: 2,
+                topAnchors: [{ anchor: 'shoes', count: 2 }, { anchor: 'store', count: 1 }],
+            },
+            { url: 'https://old.com/about', referringDomains: 1, backlinks: 1, followedBacklinks: 1, topAnchors: [] },
+        ]);
+    });
+
+    test('reads a page-level export as is', async () => {
+        const filePath = await writeFile('pages.csv', 'Target page,Ref. domains,Backlinks\nhttps://old.com/a,"1,204",5000\nhttps://old.com/b,3,4\n');
+
+        const targets = await parseBacklinkExport(filePath);
+
+        expect(targets[0]).toEqual({ url: 'https://old.com/a', referringDomains: 1204, backlinks: 5000, followedBacklinks: null, topAnchors: [] });
+    });
+
+    test('rejects exports without link or count columns', async () => {
+        const filePath = await writeFile('urls.csv', 'URL\nhttps://old.com/a\n');
+
+        await expect(parseBacklinkExport(filePath))
+            .rejects.toThrow('Backlink export needs a referring page column or a referring domains / backlinks count column');
+    });
+});
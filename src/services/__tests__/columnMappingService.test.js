@@ -0,0 +1,46 @@
+import { parseColumnMappings, parseSheetSelections, proposeColumnMapping } from '../columnMappingService.js';
+
+describe('parseColumnMappings', () => {
+    test('trims the headers of known fields and columns', () => {
+        expect(parseColumnMappings('{"gscExport":{"page":" Landing Page ","clicks":"Clicks"}}'))
+            .toEqual({ gscExport: { page: 'Landing Page', clicks: 'Clicks' } });
+    });
+
+    test('rejects unknown fields and columns', () => {
+        expect(() => parseColumnMappings({ gsc: {} })).toThrow('Unknown upload field in columnMappings: gsc');
+        expect(() => parseColumnMappings({ gscExport: { url: 'Page' } })).toThrow('Unknown column for gscExport: url');
+        expect(() => parseColumnMappings('{gscExport')).toThrow('columnMappings must be valid JSON');
+    });
+
+    test.each(['toString', 'constructor', 'hasOwnProperty'])('rejects the inherited field %s', (field) => {
+        expect(() => parseColumnMappings({ [field]: {} })).toThrow(`Unknown upload field in columnMappings: ${field}`);
+    });
+
+    test('rejects inherited column keys', () => {
+        expect(() => parseColumnMappings({ gscExport: { toString: 'Page' } })).toThrow('Unknown column for gscExport: toString');
+    });
+});
+
+describe('proposeColumnMapping', () => {
+    test('matches candidate headers exactly first, then ignoring case', () => {
+        expect(proposeColumnMapping('gscExport', ['Landing Page', 'Clicks', 'impressions', 'Page'])).toEqual({
+            page: 'Page',
+            query: null,
+            clicks: 'Clicks',
+            impressions: 'impressions',
+            ctr: null,
+            position: null,
+        });
+    });
+});
+
+describe('parseSheetSelections', () => {
+    test('accepts sheet names and indexes', () => {
+        expect(parseSheetSelections({ gscExport: ' Pages ', analyticsExport: 1 }))
+            .toEqual({ gscExport: 'Pages', analyticsExport: 1 });
+    });
+
+    test('rejects inherited fields', () => {
+        expect(() => parseSheetSelections('{"valueOf":0}')).toThrow('Unknown upload field in sheetSelections: valueOf');
+    });
+});
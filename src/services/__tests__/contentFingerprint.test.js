@@ -0,0 +1,41 @@
+import * as cheerio from 'cheerio';
+import { tokenize, extractMainText, createFingerprint, compareFingerprints } from '../contentFingerprint.js';
+
+const article = 'Our hiking boots are waterproof, light and made to last for years on rough mountain trails in every season';
+
+describe('tokenize', () => {
+    test('splits text into lowercase words, keeping letters with accents', () => {
+        expect(tokenize('Café, Crème & 2 Brûlées!')).toEqual(['café', 'crème', '2', 'brûlées']);
+        expect(tokenize('')).toEqual([]);
+    });
+});
+
+describe('extractMainText', () => {
+    test('reads the main element without navigation and scripts', () => {
+        const $ = cheerio.load(`<body><nav>Home Shop</nav><main><h1>Boots</h1><p>Waterproof</p><script>track()</script></main>
+            <footer>Imprint</footer></body>`);
+
+        expect(extractMainText($)).toBe('Boots Waterproof');
+    });
+});
+
+describe('compareFingerprints', () => {
+    test('scores the same text 1 and unrelated text close to 0', () => {
+        const fingerprint = createFingerprint(article);
+
+        expect(fingerprint.wordCount).toBe(19);
+        expect(compareFingerprints(fingerprint, createFingerprint(article.toUpperCase()))).toBe(1);
+        expect(compareFingerprints(fingerprint, createFingerprint('Contact us by phone or email during office hours on weekdays')))
+            .toBeLessThan(0.1);
+    });
+
+    test('scores lightly edited text higher than unrelated text', () => {
+        const edited = createFingerprint(article.replace('for years', 'for many years'));
+
+        expect(compareFingerprints(createFingerprint(article), edited)).toBeGreaterThan(0.5);
+    });
+
+    test('scores empty fingerprints 0', () => {
+        expect(compareFingerprints(createFingerprint(''), createFingerprint(''))).toBe(0);
+    });
+});
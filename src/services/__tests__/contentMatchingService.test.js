@@ -0,0 +1,37 @@
+import { scoreContentMatch, applyContentMatches } from '../contentMatchingService.js';
+import { createFingerprint } from '../contentFingerprint.js';
+
+const profile = (title, h1, text) => ({ title, h1, fingerprint: createFingerprint(text) });
+
+describe('scoreContentMatch', () => {
+    test('weighs title, H1 and main text', () => {
+        const text = 'Our hiking boots are waterproof, light and made to last for years on rough mountain trails';
+        const score = scoreContentMatch(profile('Hiking Boots | Shop', 'Hiking boots', text), profile('Hiking Boots | Shop', 'Hiking boots', text));
+
+        expect(score).toEqual({
+            confidence: 1,
+            signals: [{ signal: 'title', similarity: 1 }, { signal: 'h1', similarity: 1 }, { signal: 'content', similarity: 1 }],
+        });
+    });
+
+    test('does not count a shared title alone as a match', () => {
+        const score = scoreContentMatch(profile('Shop', 'Boots', 'boots for hiking'), profile('Shop', 'Contact', 'call us today'));
+
+        expect(score.confidence).toBeLessThan(0.6);
+        expect(score.signals.map(s => s.signal)).toEqual(['title']);
+    });
+});
+
+describe('applyContentMatches', () => {
+    test('attaches matches to the missing entries of a comparison', () => {
+        const comparison = { missing: [{ oldUrl: 'https://old.com/a' }, { oldUrl: 'https://old.com/b' }], summary: {} };
+
+        applyContentMatches(comparison, {
+            matches: [{ oldUrl: 'https://old.com/a', newUrl: 'https://new.com/x', confidence: 0.9, signals: [] }],
+        });
+
+        expect(comparison.missing[0].contentMatch).toEqual({ newUrl: 'https://new.com/x', confidence: 0.9, signals: [] });
+        expect(comparison.missing[1].contentMatch).toBeUndefined();
+        expect(comparison.summary.contentMatchedCount).toBe(1);
+    });
+});
@@ -0,0 +1,84 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { isCrawlerExport, parseCrawlerExport, toStatusResult, toCrawlResult } from '../crawlerExportParser.js';
+
+const screamingFrog = [
+    'Address,Content Type,Status Code,Status,Indexability,Title 1,H1-1,H1-2,Canonical Link Element 1,Inlinks,Redirect URL,Response Time',
+    'https://old.com/,text/html; charset=UTF-8,200,OK,Indexable,Home,Welcome,,https://old.com/,40,,0.25',
+    'https://old.com/old,text/html,301,Moved Permanently,Non-Indexable,,,,,3,https://old.com/new,0.1',
+    'https://old.com/gone,text/html,404,Not Found,Non-Indexable,Not found,,,,1,,0.05',
+    'https://old.com/logo.png,image/png,200,OK,Indexable,,,,,12,,0.01',
+    'https://old.com/,text/html,200,OK,Indexable,Home,Welcome,,,40,,0.25',
+].join('\n');
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'crawler-export-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('isCrawlerExport', () => {
+    test('tells crawler exports from bare URL lists', async () => {
+        expect(await isCrawlerExport(await writeFile('internal_all.csv', screamingFrog))).toBe(true);
+        expect(await isCrawlerExport(await writeFile('urls.csv', 'URL\nhttps://old.com/a\n'))).toBe(false);
+    });
+});
+
+describe('parseCrawlerExport', () => {
+    test('keeps HTML pages and lists only the 2xx ones as URLs', async () => {
+        const { urls, pages, summary } = await parseCrawlerExport(await writeFile('export.csv', screamingFrog));
+
+        expect(urls).toEqual(['https://old.com/']);
+        expect(pages[0]).toMatchObject({
+            url: 'https://old.com/',
+            statusCode: 200,
+            indexable: true,
+            title: 'Home',
+            h1: ['Welcome'],
+            canonical: 'https://old.com/',
+            inlinks: 40,
+            responseTime: 250,
+        });
+        expect(summary).toEqual({
+            format: 'crawler',
+            rows: 5,
+            htmlPages: 3,
+            resourcesSkipped: 1,
+            urlCount: 1,
+            redirects: 1,
+            errors: 1,
+            indexable: 1,
+            nonIndexable: 2,
+        });
+    });
+
+    test('rejects files that are not crawler exports', async () => {
+        await expect(parseCrawlerExport(await writeFile('list.csv', 'URL\nhttps://old.com/a\n')))
+            .rejects.toThrow('File is not a crawler export');
+    });
+});
+
+describe('toStatusResult and toCrawlResult', () => {
+    test('convert pages into status and crawl results', async () => {
+        const { pages } = await parseCrawlerExport(await writeFile('convert.csv', screamingFrog));
+        const redirect = pages.find(page => page.statusCode === 301);
+
+        expect(toStatusResult(redirect)).toMatchObject({
+            url: 'https://old.com/old',
+            finalUrl: 'https://old.com/new',
+            isRedirect: true,
+            redirectChain: [{ url: 'https://old.com/old', statusCode: 301, location: 'https://old.com/new', type: 'http', index: 1 }],
+            source: 'crawler',
+        });
+        expect(toCrawlResult(pages[0]).seoData).toMatchObject({ title: 'Home', canonicalUrl: 'https://old.com/', headingsStructure: { h1Text: ['Welcome'] } });
+    });
+});
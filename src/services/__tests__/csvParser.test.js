@@ -0,0 +1,66 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseRedirectMappingRows } from '../csvParser.js';
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'csv-parser-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('parseRedirectMappingRows', () => {
+    test('reads types and priorities, defaulting to exact', async () => {
+        const filePath = await writeFile('mapping.csv', [
+            'OldURL,NewURL,Type,Priority',
+            '/a,/b,,',
+            '/blog/*,/news/$1,Wildcard,2',
+            '^/p/(\\d+)$,/products/$1,regex,1',
+            ',/missing-source,,',
+        ].join('\n'));
+
+        const { rows, unparsed } = await parseRedirectMappingRows(filePath);
+
+        expect(unparsed).toEqual([]);
+        expect(rows).toEqual([
+            { line: 2, oldUrl: '/a', newUrl: '/b', type: 'exact', priority: null },
+            { line: 3, oldUrl: '/blog/*', newUrl: '/news/$1', type: 'wildcard', priority: 2 },
+            { line: 4, oldUrl: '^/p/(\\d+)$', newUrl: '/products/$1', type: 'regex', priority: 1 },
+        ]);
+    });
+
+    test('reports rows with an unknown type instead of importing them as exact', async () => {
+        const filePath = await writeFile('typo.csv', [
+            'OldURL,NewURL,Type',
+            '^/old/(.*)$,/new/$1,regx',
+            '/a,/b,exact',
+        ].join('\n'));
+
+        const { rows, unparsed } = await parseRedirectMappingRows(filePath);
+
+        expect(rows).toHaveLength(1);
+        expect(unparsed).toEqual([{
+            line: 2,
+            text: '^/old/(.*)$,/new/$1,regx',
+            reason: 'Unknown rule type "regx" (expected exact, wildcard, regex)',
+        }]);
+    });
+
+    test('uses an explicit column mapping', async () => {
+        const filePath = await writeFile('custom.csv', 'Source;Destination\n/x;/y\n');
+
+        const { rows } = await parseRedirectMappingRows(filePath, {
+            columnMapping: { oldUrl: 'Source', newUrl: 'Destination' },
+        });
+
+        expect(rows).toEqual([{ line: 2, oldUrl: '/x', newUrl: '/y', type: 'exact', priority: null }]);
+    });
+});
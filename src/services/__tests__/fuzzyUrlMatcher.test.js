@@ -0,0 +1,34 @@
+import { boundedLevenshtein, stringSimilarity, createUrlMatcher } from '../fuzzyUrlMatcher.js';
+
+describe('boundedLevenshtein', () => {
+    test('gives the edit distance, or one past the bound', () => {
+        expect(boundedLevenshtein('kitten', 'sitting')).toBe(3);
+        expect(boundedLevenshtein('kitten', 'sitting', 1)).toBe(2);
+    });
+});
+
+describe('stringSimilarity', () => {
+    test('scores identical strings 1 and drops scores below the minimum', () => {
+        expect(stringSimilarity('/about', '/about')).toBe(1);
+        expect(stringSimilarity('/about', '/contact', 0.9)).toBe(0);
+    });
+});
+
+describe('createUrlMatcher', () => {
+    const urls = ['https://new.com/About-Us', 'https://new.com/about-them', 'https://new.com/contact'];
+
+    test('ranks the closest paths first', () => {
+        const matcher = createUrlMatcher(urls);
+
+        expect(matcher.findSimilar('https://old.com/contacts')[0].url).toBe('https://new.com/contact');
+    });
+
+    test('compares paths with their case unless the policy lowercases them', () => {
+        const exact = createUrlMatcher(urls).findSimilar('https://old.com/about-us', { limit: 1 });
+        const lowercased = createUrlMatcher(urls, { lowercasePaths: true }).findSimilar('https://old.com/about-us', { limit: 1 });
+
+        expect(exact[0].url).toBe('https://new.com/About-Us');
+        expect(exact[0].score).toBeLessThan(1);
+        expect(lowercased[0]).toEqual({ url: 'https://new.com/About-Us', score: 1 });
+    });
+});
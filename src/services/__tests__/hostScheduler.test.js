@@ -0,0 +1,117 @@
+import {
+    resolveHostLimits,
+    configureHost,
+    parseRetryAfter,
+    scheduleRequest,
+    getHostStats,
+    resetHosts,
+    reviveHost,
+} from '../hostScheduler.js';
+
+const url = 'http://scheduler.test/page';
+const fast = { delay: 0, maxDelay: 0, respectCrawlDelay: false };
+
+const networkError = () => Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+afterEach(() => resetHosts());
+
+describe('resolveHostLimits', () => {
+    test('keeps known keys and converts values', () => {
+        expect(resolveHostLimits({ concurrency: '3', delay: 0, respectCrawlDelay: 'false', unknown: 1 }))
+            .toEqual({ concurrency: 3, delay: 0, respectCrawlDelay: false });
+    });
+
+    test('rejects invalid values', () => {
+        expect(() => resolveHostLimits({ delay: -1 })).toThrow('Rate limit "delay" must be a non-negative number');
+        expect(() => resolveHostLimits({ concurrency: 0 })).toThrow('at least 1');
+    });
+});
+
+describe('parseRetryAfter', () => {
+    test('reads seconds and HTTP dates', () => {
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter(new Date(Date.now() - 1000).toUTCString())).toBe(0);
+        expect(parseRetryAfter('soon')).toBeNull();
+        expect(parseRetryAfter(undefined)).toBeNull();
+    });
+});
+
+describe('scheduleRequest', () => {
+    test('retries server errors until a response succeeds', async () => {
+        configureHost(url, fast);
+        const statuses = [503, 500, 200];
+        let calls = 0;
+        const task = async () => {
+            calls++;
+            return { statusCode: statuses.shift() };
+        };
+
+        const result = await scheduleRequest(url, task, { retryAttempts: 3 });
+
+        expect(result.statusCode).toBe(200);
+        expect(calls).toBe(3);
+        expect(getHostStats()[0]).toMatchObject({ requests: 3, retries: 2, serverErrors: 2 });
+    });
+
+    test('returns the last result once attempts run out', async () => {
+        configureHost(url, fast);
+
+        const result = await scheduleRequest(url, async () => ({ statusCode: 500 }), { retryAttempts: 2 });
+
+        expect(result.statusCode).toBe(500);
+    });
+
+    test('gives up on a host after the circuit breaker trips and forgets it on reset', async () => {
+        configureHost(url, { ...fast, failureThreshold: 1, maxCircuitTrips: 0 });
+
+        await expect(scheduleRequest(url, async () => { throw networkError(); }, { retryAttempts: 1 }))
+            .rejects.toThrow('socket hang up');
+        await expect(scheduleRequest(url, async () => ({ statusCode: 200 })))
+            .rejects.toMatchObject({ code: 'HOST_UNAVAILABLE' });
+        expect(getHostStats()[0].down).toBe(true);
+
+        resetHosts(url);
+        configureHost(url, fast);
+
+        await expect(scheduleRequest(url, async () => ({ statusCode: 200 }))).resolves.toEqual({ statusCode: 200 });
+        expect(getHostStats()[0]).toMatchObject({ down: false, requests: 1, networkErrors: 0 });
+    });
+
+    test('revives a host that was given up on without dropping its queued requests', async () => {
+        configureHost(url, { ...fast, concurrency: 1, failureThreshold: 1, maxCircuitTrips: 0 });
+
+        await expect(scheduleRequest(url, async () => { throw networkError(); }, { retryAttempts: 1 }))
+            .rejects.toThrow('socket hang up');
+        expect(getHostStats()[0].down).toBe(true);
+
+        reviveHost(url);
+        let finishFirst;
+        const first = scheduleRequest(url, () => new Promise(resolve => { finishFirst = resolve; }));
+        const queued = scheduleRequest(url, async () => ({ statusCode: 200 }));
+        await new Promise(resolve => setTimeout(resolve, 10));
+
+        reviveHost(url);
+        finishFirst({ statusCode: 200 });
+
+        await expect(first).resolves.toEqual({ statusCode: 200 });
+        await expect(queued).resolves.toEqual({ statusCode: 200 });
+        expect(getHostStats()[0]).toMatchObject({ down: false, requests: 1, networkErrors: 0, concurrency: 1 });
+    });
+
+    test('limits concurrent requests per host', async () => {
+        configureHost(url, { ...fast, concurrency: 2 });
+        let active = 0;
+        let maxActive = 0;
+        const task = async () => {
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            active--;
+            return { statusCode: 200 };
+        };
+
+        await Promise.all(Array.from({ length: 6 }, () => scheduleRequest(url, task)));
+
+        expect(maxActive).toBe(2);
+    });
+});
@@ -0,0 +1,51 @@
+import { buildLinkEquityIndex, applyLinkEquity, flagBacklinkedUrlsAtRisk } from '../linkEquityService.js';
+
+const index = buildLinkEquityIndex([
+    { url: 'https://old.com/shop', referringDomains: 99, backlinks: 500, followedBacklinks: 400 },
+    { url: 'https://old.com/shop/', referringDomains: 1, backlinks: 0, followedBacklinks: 0 },
+    { url: 'https://old.com/about', referringDomains: 0, backlinks: 2, followedBacklinks: null },
+]);
+
+describe('buildLinkEquityIndex', () => {
+    test('adds up targets that normalize to the same URL and scores them', () => {
+        expect(index.size).toBe(2);
+        expect(index.get('https://www.old.com/shop')).toMatchObject({ referringDomains: 100, backlinks: 500, followedBacklinks: 400, score: 100 });
+        expect(index.get('https://old.com/about').score).toBeGreaterThan(0);
+        expect(index.get('https://old.com/none')).toBeNull();
+    });
+});
+
+describe('applyLinkEquity', () => {
+    test('adds scores to backlinked URLs and counts the missing ones', () => {
+        const comparison = {
+            matched: [{ oldUrl: 'https://old.com/about', newUrl: 'https://new.com/about' }],
+            missing: [{ oldUrl: 'https://old.com/shop' }, { oldUrl: 'https://old.com/none' }],
+            summary: {},
+        };
+
+        applyLinkEquity(comparison, index);
+
+        expect(comparison.missing[0].linkEquity).toEqual({ score: 100, referringDomains: 100, backlinks: 500 });
+        expect(comparison.missing[1].linkEquity).toBeUndefined();
+        expect(comparison.summary).toEqual({ backlinkedCount: 2, backlinkedMissingCount: 1 });
+    });
+});
+
+describe('flagBacklinkedUrlsAtRisk', () => {
+    test('flags missing URLs and URLs whose target is broken', () => {
+        const { urls, summary } = flagBacklinkedUrlsAtRisk(
+            {
+                matched: [{ oldUrl: 'https://old.com/about', newUrl: 'https://new.com/about' }],
+                missing: [{ oldUrl: 'https://old.com/shop', suggestion: 'https://new.com/store' }],
+            },
+            index,
+            { clientErrors: [{ url: 'https://new.com/about/', statusCode: 404 }] }
+        );
+
+        expect(urls.map(({ oldUrl, reason, suggestion, statusCode }) => [oldUrl, reason, suggestion, statusCode])).toEqual([
+            ['https://old.com/shop', 'missing', 'https://new.com/store', null],
+            ['https://old.com/about', 'broken', null, 404],
+        ]);
+        expect(summary).toEqual({ total: 2, missingCount: 1, brokenCount: 1, referringDomainsAtRisk: 100, statusChecked: true });
+    });
+});
@@ -0,0 +1,47 @@
+import {
+    indexOverrides,
+    upsertOverride,
+    filterRejectedContentMatches,
+} from '../matchOverrideService.js';
+
+describe('indexOverrides', () => {
+    test('looks up decisions by normalized URL', () => {
+        const index = indexOverrides([
+            { oldUrl: 'https://old.com/a/', newUrl: 'https://new.com/b', action: 'manual' },
+            { oldUrl: 'https://old.com/c', newUrl: 'https://new.com/d', action: 'reject' },
+        ]);
+
+        expect(index.size).toBe(2);
+        expect(index.mappedTo('https://old.com/a')).toMatchObject({ newUrl: 'https://new.com/b' });
+        expect(index.isRejected('https://old.com/c', 'https://new.com/d')).toBe(true);
+        expect(index.isRejected('https://old.com/a', 'https://new.com/b')).toBe(false);
+    });
+});
+
+describe('upsertOverride', () => {
+    test('replaces the earlier target of an old URL and a rejection withdraws the acceptance', () => {
+        let overrides = upsertOverride([], { oldUrl: 'https://old.com/a', newUrl: 'https://new.com/b', action: 'accept' });
+        overrides = upsertOverride(overrides, { oldUrl: 'https://old.com/a', newUrl: 'https://new.com/c', action: 'manual' });
+
+        expect(overrides.map(o => [o.newUrl, o.action])).toEqual([['https://new.com/c', 'manual']]);
+
+        overrides = upsertOverride(overrides, { oldUrl: 'https://old.com/a', newUrl: 'https://new.com/c', action: 'reject' });
+
+        expect(overrides.map(o => [o.newUrl, o.action])).toEqual([['https://new.com/c', 'reject']]);
+    });
+});
+
+describe('filterRejectedContentMatches', () => {
+    test('drops the content matches a reviewer rejected', () => {
+        const index = indexOverrides([{ oldUrl: 'https://old.com/a', newUrl: 'https://new.com/b', action: 'reject' }]);
+        const results = filterRejectedContentMatches({
+            matches: [
+                { oldUrl: 'https://old.com/a', newUrl: 'https://new.com/b' },
+                { oldUrl: 'https://old.com/c', newUrl: 'https://new.com/d' },
+            ],
+            errors: [],
+        }, index);
+
+        expect(results.matches).toEqual([{ oldUrl: 'https://old.com/c', newUrl: 'https://new.com/d' }]);
+    });
+});
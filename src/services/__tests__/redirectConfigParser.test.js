@@ -0,0 +1,127 @@
+import {
+    parseNginxConfig,
+    parseApacheConfig,
+    parseNetlifyRedirects,
+    detectRedirectConfigFormat,
+} from '../redirectConfigParser.js';
+
+describe('parseNginxConfig', () => {
+    test('imports rewrites and returns by location type', () => {
+        const { rows, unparsed } = parseNginxConfig(`
+            server {
+                rewrite ^/old/(.*)$ /new/$1 permanent;
+                location = /about { return 301 /about-us; }
+                location /blog/ { return 301 https://new.com$request_uri; }
+                location ~* ^/shop/(\\d+)$ { return 302 /store/$1; }
+            }
+        `);
+
+        expect(unparsed).toHaveLength(0);
+        expect(rows.map(({ oldUrl, newUrl, type }) => ({ oldUrl, newUrl, type }))).toEqual([
+            { oldUrl: '^/old/(.*)$', newUrl: '/new/$1', type: 'regex' },
+            { oldUrl: '/about', newUrl: '/about-us', type: 'exact' },
+            { oldUrl: '^(/blog/.*)$', newUrl: 'https://new.com$1', type: 'regex' },
+            { oldUrl: '^/shop/(\\d+)$', newUrl: '/store/$1', type: 'regex' },
+        ]);
+        expect(rows[3].caseInsensitive).toBe(true);
+    });
+
+    test('reports redirects inside if blocks as conditional', () => {
+        const { rows, unparsed } = parseNginxConfig(`
+            server {
+                if ($host = foo) { return 301 /y; }
+                location /x {
+                    if ($args ~ id=1) { rewrite ^ /z permanent; }
+                }
+            }
+        `);
+
+        expect(rows).toHaveLength(0);
+        expect(unparsed).toHaveLength(2);
+        expect(unparsed[0].reason).toMatch(/conditional redirect not supported/i);
+        expect(unparsed[0].line).toBe(3);
+    });
+
+    test('rejects internal rewrites and targets with variables', () => {
+        const { rows, unparsed } = parseNginxConfig(`
+            rewrite ^/a$ /b last;
+            return 301 https://$host/c;
+        `);
+
+        expect(rows).toHaveLength(0);
+        expect(unparsed.map(entry => entry.reason)).toEqual([
+            'Internal rewrite, not a redirect',
+            'Target uses nginx variables',
+        ]);
+    });
+});
+
+describe('parseApacheConfig', () => {
+    test('imports Redirect, RedirectMatch and RewriteRule', () => {
+        const { rows, unparsed } = parseApacheConfig([
+            'Redirect 301 /old /new',
+            'RedirectMatch permanent ^/blog/(.*)$ /news/$1',
+            'RewriteEngine On',
+            'RewriteRule ^shop/(.*)$ /store/$1 [R=301,L,NC]',
+        ].join('\n'));
+
+        expect(unparsed).toHaveLength(0);
+        expect(rows.map(({ oldUrl, newUrl }) => [oldUrl, newUrl])).toEqual([
+            ['^/old(/.*)?$', '/new$1'],
+            ['^/blog/(.*)$', '/news/$1'],
+            ['^/?shop/(.*)$', '/store/$1'],
+        ]);
+        expect(rows[2].caseInsensitive).toBe(true);
+    });
+
+    test('reports rules that depend on RewriteCond', () => {
+        const { rows, unparsed } = parseApacheConfig([
+            'RewriteCond %{HTTP_HOST} ^old\\.com$',
+            'RewriteRule ^(.*)$ https://new.com/$1 [R=301,L]',
+        ].join('\n'));
+
+        expect(rows).toHaveLength(0);
+        expect(unparsed[0].reason).toBe('Depends on RewriteCond (line 1)');
+    });
+});
+
+describe('parseNetlifyRedirects', () => {
+    test('imports exact rows and placeholder rules', () => {
+        const { rows, unparsed } = parseNetlifyRedirects([
+            '# comment',
+            '/old /new 301',
+            '/blog/:year/:slug /news/:slug',
+            '/docs/* /help/:splat 302',
+        ].join('\n'));
+
+        expect(unparsed).toHaveLength(0);
+        expect(rows.map(({ oldUrl, newUrl, type }) => [oldUrl, newUrl, type])).toEqual([
+            ['/old', '/new', 'exact'],
+            ['^/blog/([^/]+)/([^/]+)/?$', '/news/$2', 'regex'],
+            ['^/docs/(.*)/?$', '/help/$1', 'regex'],
+        ]);
+    });
+
+    test('reports rewrites and conditions', () => {
+        const { unparsed } = parseNetlifyRedirects([
+            '/app/* /index.html 200',
+            '/ /fr 302 Language=fr',
+        ].join('\n'));
+
+        expect(unparsed.map(entry => entry.reason)).toEqual([
+            'Status 200 is not a redirect',
+            'Conditions (country, language, role, cookie) are not supported',
+        ]);
+    });
+});
+
+describe('detectRedirectConfigFormat', () => {
+    test('uses the file name, then the content', () => {
+        expect(detectRedirectConfigFormat('redirects.conf')).toBe('nginx');
+        expect(detectRedirectConfigFormat('.htaccess')).toBe('apache');
+        expect(detectRedirectConfigFormat('upload-123', 'location /a {\n return 301 /b;\n}')).toBe('nginx');
+        expect(detectRedirectConfigFormat('upload-123', 'RedirectMatch 301 ^/a$ /b')).toBe('apache');
+        expect(detectRedirectConfigFormat('upload-123', 'old,new\n/a,/b')).toBe('csv');
+        expect(detectRedirectConfigFormat('upload-123', '/a /b 301')).toBe('netlify');
+    });
+});
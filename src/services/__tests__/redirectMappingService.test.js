@@ -0,0 +1,149 @@
+import { buildRedirectMapping, resolveRedirect, validateRedirectMapping } from '../redirectMappingService.js';
+
+const row = (line, oldUrl, newUrl) => ({ line, oldUrl, newUrl });
+const bases = { oldBaseUrl: 'https://old.com', newBaseUrl: 'https://new.com' };
+
+describe('resolveRedirect', () => {
+    const resolve = (rows, url) => resolveRedirect(buildRedirectMapping(rows), url, { newBaseUrl: 'https://new.com' });
+
+    test('prefers exact rows, then rules by priority', () => {
+        const rows = [
+            { line: 1, oldUrl: '/blog/*', newUrl: '/news/$1', type: 'wildcard', priority: 2 },
+            { line: 2, oldUrl: '^/blog/(\\d+)$', newUrl: '/archive/$1', type: 'regex', priority: 1 },
+            { line: 3, oldUrl: 'https://old.com/blog/intro', newUrl: '/welcome', type: 'exact' },
+        ];
+
+        expect(resolve(rows, 'https://old.com/blog/intro').target).toBe('https://new.com/welcome');
+        expect(resolve(rows, 'https://old.com/blog/42').target).toBe('https://new.com/archive/42');
+        expect(resolve(rows, 'https://old.com/blog/post').rule).toMatchObject({ type: 'wildcard', line: 1 });
+        expect(resolve(rows, 'https://old.com/shop')).toBeNull();
+    });
+
+    test('matches the query string only for a literal "?" in the source', () => {
+        const rows = [
+            { line: 1, oldUrl: '/search?q=*', newUrl: '/find/$1', type: 'wildcard' },
+            { line: 2, oldUrl: '^/items/(\\d+)/?$', newUrl: '/products/$1', type: 'regex' },
+            { line: 3, oldUrl: '^/page\\?id=(\\d+)$', newUrl: '/pages/$1', type: 'regex' },
+        ];
+
+        expect(resolve(rows, 'https://old.com/search?q=shoes').target).toBe('https://new.com/find/shoes');
+        // "?" is a quantifier here, so the query string is not part of the subject
+        expect(resolve(rows, 'https://old.com/items/7/?utm_source=x').target).toBe('https://new.com/products/7');
+        expect(resolve(rows, 'https://old.com/page?id=3').target).toBe('https://new.com/pages/3');
+    });
+});
+
+describe('validateRedirectMapping', () => {
+    test('passes a clean mapping', () => {
+        const report = validateRedirectMapping(
+            [row(1, 'https://old.com/a', 'https://new.com/a'), row(2, 'https://old.com/b', 'https://new.com/b')],
+            ['https://new.com/a', 'https://new.com/b']
+        );
+
+        expect(report.summary).toMatchObject({ errorCount: 0, warningCount: 0 });
+    });
+
+    test('flags self-redirects after normalization', () => {
+        const report = validateRedirectMapping([row(1, 'https://www.old.com/a/', 'https://old.com/a')]);
+
+        expect(report.issues.selfRedirects).toEqual([{ line: 1, oldUrl: 'https://www.old.com/a/', newUrl: 'https://old.com/a' }]);
+    });
+
+    test('reports chains and each loop once', () => {
+        const report = validateRedirectMapping([
+            row(1, 'https://old.com/a', 'https://old.com/b'),
+            row(2, 'https://old.com/b', 'https://new.com/c'),
+            row(3, 'https://old.com/x', 'https://old.com/y'),
+            row(4, 'https://old.com/y', 'https://old.com/x'),
+        ]);
+
+        expect(report.issues.chains).toHaveLength(1);
+        expect(report.issues.chains[0]).toMatchObject({ line: 1, finalUrl: 'https://new.com/c', hopCount: 2 });
+        expect(report.issues.loops).toHaveLength(1);
+        expect(report.issues.redirectedTargets.map(issue => issue.line)).toEqual([1, 3, 4]);
+    });
+
+    test('tells conflicting duplicates from repeated rows', () => {
+        const report = validateRedirectMapping([
+            row(1, 'https://old.com/a', 'https://new.com/a'),
+            row(2, 'https://old.com/a/', 'https://new.com/other'),
+            row(3, 'https://old.com/b', 'https://new.com/b'),
+            row(4, 'https://old.com/b', 'https://new.com/b'),
+        ]);
+
+        expect(report.issues.conflictingDuplicates).toMatchObject([{ oldUrl: 'https://old.com/a/', lines: [1, 2] }]);
+        expect(report.issues.duplicates).toMatchObject([{ oldUrl: 'https://old.com/b', lines: [3, 4] }]);
+    });
+
+    test('reports targets missing from the new sitemap', () => {
+        const report = validateRedirectMapping(
+            [row(1, 'https://old.com/a', 'https://new.com/gone')],
+            ['https://new.com/a']
+        );
+
+        expect(report.issues.missingTargets).toEqual([{ line: 1, oldUrl: 'https://old.com/a', newUrl: 'https://new.com/gone' }]);
+    });
+
+    test('resolves relative rows against the project base URLs', () => {
+        const rows = [{ line: 1, oldUrl: '/old', newUrl: '/new', type: 'exact' }];
+        const report = validateRedirectMapping(rows, ['https://new.com/new'], bases);
+
+        expect(report.summary.errorCount).toBe(0);
+        expect(report.issues.missingTargets).toHaveLength(0);
+    });
+
+    test('reports relative targets missing from the new sitemap', () => {
+        const rows = [{ line: 1, oldUrl: '/old', newUrl: '/gone', type: 'exact' }];
+        const report = validateRedirectMapping(rows, ['https://new.com/new'], bases);
+
+        expect(report.issues.missingTargets).toEqual([{ line: 1, oldUrl: '/old', newUrl: '/gone' }]);
+    });
+
+    test('finds chains between absolute targets and relative sources', () => {
+        const rows = [
+            { line: 1, oldUrl: 'https://old.com/a', newUrl: 'https://new.com/b', type: 'exact' },
+            { line: 2, oldUrl: '/b', newUrl: '/c', type: 'exact' },
+        ];
+        const report = validateRedirectMapping(rows, ['https://new.com/c'], bases);
+
+        expect(report.issues.chains).toHaveLength(1);
+        expect(report.issues.chains[0]).toMatchObject({ line: 1, finalUrl: 'https://new.com/c', hopCount: 2 });
+        expect(report.issues.missingTargets).toHaveLength(0);
+    });
+
+    test('finds loops mixing relative and absolute rows', () => {
+        const rows = [
+            { line: 1, oldUrl: '/a', newUrl: 'https://new.com/b', type: 'exact' },
+            { line: 2, oldUrl: '/b', newUrl: '/a', type: 'exact' },
+        ];
+        const report = validateRedirectMapping(rows, [], bases);
+
+        expect(report.issues.loops).toHaveLength(1);
+        expect(report.summary.errorCount).toBe(1);
+    });
+
+    test('flags relative self-redirects', () => {
+        const rows = [{ line: 1, oldUrl: '/same', newUrl: '/same/', type: 'exact' }];
+        const report = validateRedirectMapping(rows, [], bases);
+
+        expect(report.issues.selfRedirects).toHaveLength(1);
+    });
+
+    test('compares relative rows by path when no base URLs are given', () => {
+        const rows = [{ line: 1, oldUrl: '/old', newUrl: '/new', type: 'exact' }];
+        const report = validateRedirectMapping(rows, ['https://new.com/new']);
+
+        expect(report.summary.errorCount).toBe(0);
+    });
+
+    test('checks wildcard and regex rows for syntax only', () => {
+        const rows = [
+            { line: 1, oldUrl: '/blog/*', newUrl: '/news/$1', type: 'wildcard' },
+            { line: 2, oldUrl: '^/bad(', newUrl: '/x', type: 'regex' },
+        ];
+        const report = validateRedirectMapping(rows, [], bases);
+
+        expect(report.issues.invalidRules).toHaveLength(1);
+        expect(report.issues.invalidRules[0].line).toBe(2);
+    });
+});
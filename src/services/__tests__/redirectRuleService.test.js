@@ -0,0 +1,143 @@
+import { generateRedirectRules, detectRuleChains } from '../redirectRuleService.js';
+import { parseNginxConfig, parseNetlifyRedirects } from '../redirectConfigParser.js';
+
+const comparison = {
+    redirected: [
+        { oldUrl: 'https://example.com/about', newUrl: 'https://example.com/about-us' },
+        { oldUrl: 'https://example.com/contact', newUrl: 'https://example.com/contact' },
+    ],
+    missing: [
+        { oldUrl: 'https://example.com/team', suggestion: 'https://example.com/about-us' },
+        { oldUrl: 'https://example.com/gone', suggestion: null },
+    ],
+    matched: [],
+};
+
+describe('generateRedirectRules', () => {
+    test('renders mapped rules before suggestions and skips same-path rows', () => {
+        const { rules, summary } = generateRedirectRules(comparison, null, 'netlify', { includeSuggestions: true });
+
+        expect(rules.map(rule => [rule.source, rule.target, rule.origin])).toEqual([
+            ['/about', '/about-us', 'mapped'],
+            ['/team', '/about-us', 'suggested'],
+        ]);
+        expect(summary).toMatchObject({ totalRules: 2, mappedRules: 1, suggestedRules: 1 });
+    });
+
+    test('leaves suggestions out unless asked for', () => {
+        const { rules, content } = generateRedirectRules(comparison, null, 'vercel');
+
+        expect(rules.map(rule => rule.origin)).toEqual(['mapped']);
+        expect(JSON.parse(content).redirects).toHaveLength(1);
+    });
+
+    test('redirects each page matched below a moved base URL instead of the whole host', () => {
+        const moved = {
+            redirected: [],
+            missing: [],
+            matched: [
+                { oldUrl: 'https://old.com/en/about', newUrl: 'https://new.com/about', matchType: 'base_rewrite' },
+                { oldUrl: 'https://old.com/en/blog', newUrl: 'https://new.com/blog', matchType: 'base_rewrite' },
+            ],
+            summary: { hostRewrite: { from: 'old.com', to: 'new.com' } },
+        };
+
+        const { rules, summary } = generateRedirectRules(moved, null, 'netlify');
+
+        expect(rules.map(rule => [rule.type, rule.source, rule.target])).toEqual([
+            ['exact', '/en/about', 'https://new.com/about'],
+            ['exact', '/en/blog', 'https://new.com/blog'],
+        ]);
+        expect(summary.hostRules).toBe(0);
+    });
+
+    test('writes configs the redirect config parsers read back', () => {
+        const nginx = generateRedirectRules(comparison, null, 'nginx', { includeSuggestions: true });
+        const netlify = generateRedirectRules(comparison, null, 'netlify', { includeSuggestions: true });
+
+        expect(parseNginxConfig(nginx.content).rows.map(row => [row.oldUrl, row.newUrl]))
+            .toEqual([['/about', '/about-us'], ['/team', '/about-us']]);
+        expect(parseNetlifyRedirects(netlify.content).rows.map(row => [row.oldUrl, row.newUrl]))
+            .toEqual([['/about', '/about-us'], ['/team', '/about-us']]);
+    });
+
+    test('renders nginx templates as regex locations, which exact locations take precedence over', () => {
+        const moved = {
+            redirected: [1, 2, 3].map(id => ({ oldUrl: `https://example.com/p/${id}`, newUrl: `https://example.com/products/${id}` })),
+            matched: [],
+        };
+        const patternAnalysis = {
+            changes: [{
+                oldTemplate: '/p/{id}',
+                newTemplate: '/products/{id}',
+                captures: [{ placeholder: '{id}', newIndex: 1, oldIndex: 1 }],
+                coverage: 1,
+                confidence: 1,
+            }],
+        };
+
+        const { content, summary } = generateRedirectRules(moved, patternAnalysis, 'nginx');
+
+        expect(summary).toMatchObject({ patternRules: 1, collapsedRows: 3 });
+        expect(content).toContain('location ~ ^/p/(\\d+)/?$ { return 301 /products/$1; }');
+        expect(content).not.toContain('rewrite ');
+    });
+
+    test('renders vercel.json', () => {
+        const { content, filename } = generateRedirectRules(comparison, null, 'vercel');
+
+        expect(filename).toBe('vercel.json');
+        expect(JSON.parse(content).redirects[0]).toEqual({ source: '/about', destination: '/about-us', permanent: true });
+    });
+
+    test('redirects old URLs with a kept query string by their query', () => {
+        const withQuery = {
+            redirected: [
+                { oldUrl: 'https://example.com/page?id=1', newUrl: 'https://example.com/first' },
+                { oldUrl: 'https://example.com/page?id=2', newUrl: 'https://example.com/second' },
+                { oldUrl: 'https://example.com/page', newUrl: 'https://example.com/pages' },
+            ],
+            matched: [],
+        };
+
+        const nginx = generateRedirectRules(withQuery, null, 'nginx');
+        const apache = generateRedirectRules(withQuery, null, 'apache');
+        const vercel = generateRedirectRules(withQuery, null, 'vercel');
+        const netlify = generateRedirectRules(withQuery, null, 'netlify');
+
+        expect(nginx.rules.map(rule => [rule.source, rule.query, rule.target])).toEqual([
+            ['/page', 'id=1', '/first'],
+            ['/page', 'id=2', '/second'],
+            ['/page', undefined, '/pages'],
+        ]);
+        expect(nginx.content).toContain('if ($request_uri ~ "^/page\\?(?=(?:.*&)?id=1(?:&|$))") { return 301 /first; }');
+        expect(nginx.content).toContain('location = /page { return 301 /pages; }');
+        expect(apache.content).toContain('RewriteCond %{QUERY_STRING} ^(?=(?:.*&)?id=2(?:&|$))\nRewriteRule ^/?page$ /second [R=301,L,QSD]');
+        expect(JSON.parse(vercel.content).redirects[0]).toEqual({
+            source: '/page',
+            has: [{ type: 'query', key: 'id', value: '1' }],
+            destination: '/first',
+            permanent: true,
+        });
+        expect(netlify.rules.map(rule => rule.source)).toEqual(['/page']);
+        expect(netlify.warnings.filter(warning => warning.type === 'query').map(warning => warning.query)).toEqual(['id=1', 'id=2']);
+        expect(netlify.summary.unmatchedQueryRows).toBe(2);
+    });
+
+    test.each(['apache2', 'toString', 'constructor', '__proto__'])('rejects the unknown format %s', (format) => {
+        expect(() => generateRedirectRules(comparison, null, format)).toThrow(`Unsupported redirect format: ${format}`);
+    });
+});
+
+describe('detectRuleChains', () => {
+    test('reports chains and loops between rules', () => {
+        const warnings = detectRuleChains([
+            { type: 'exact', source: '/a', target: '/b' },
+            { type: 'exact', source: '/b', target: '/c' },
+            { type: 'exact', source: '/x', target: '/y' },
+            { type: 'exact', source: '/y', target: '/x' },
+        ]);
+
+        expect(warnings.map(warning => warning.type).sort()).toEqual(expect.arrayContaining(['chain', 'loop']));
+    });
+});
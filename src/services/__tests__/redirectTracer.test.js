@@ -0,0 +1,199 @@
+import http from 'http';
+import { parseRefresh, findMetaRefresh, traceRedirects } from '../redirectTracer.js';
+import { resetHosts } from '../hostScheduler.js';
+
+const page = (head) => `<html><head>${head}</head><body>${'content '.repeat(50)}</body></html>`;
+
+// Routes of the test server: path → handler(req, res)
+const routes = {
+    '/ok': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page('<title>OK</title>'));
+    },
+    '/file.pdf': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/pdf' });
+        res.end('%PDF-1.4');
+    },
+    '/moved': (req, res) => {
+        res.writeHead(301, { Location: '/ok' });
+        res.end();
+    },
+    '/no-head': (req, res) => {
+        if (req.method === 'HEAD') {
+            res.writeHead(405);
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page(''));
+    },
+    '/meta': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page('<meta http-equiv="refresh" content="0; url=/ok">'));
+    },
+    '/self-refresh': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page(`<meta http-equiv="refresh" content="0; url=${baseUrl}/self-refresh#top">`));
+    },
+    '/slow-refresh': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html', Refresh: '300; url=/ok' });
+        res.end(page(''));
+    },
+    '/refresh-header': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html', Refresh: '0; url=/ok' });
+        res.end(page(''));
+    },
+    '/loop-a': (req, res) => {
+        res.writeHead(302, { Location: '/loop-b' });
+        res.end();
+    },
+    '/loop-b': (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page('<meta http-equiv="refresh" content="0;url=/loop-a">'));
+    },
+    '/head-reset': (req, res) => {
+        if (req.method === 'HEAD') {
+            req.socket.destroy();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        res.end(page(''));
+    },
+};
+
+let server;
+let baseUrl;
+let requests;
+
+const trace = (path, options = {}) => traceRedirects(`${baseUrl}${path}`, {
+    retryAttempts: 1,
+    hostDefaults: { delay: 0, respectCrawlDelay: false },
+    ...options,
+});
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        requests.push(`${req.method} ${req.url}`);
+        const route = routes[req.url];
+        if (route) return route(req, res);
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+});
+
+afterEach(() => resetHosts());
+
+describe('parseRefresh', () => {
+    test('reads delay and target', () => {
+        expect(parseRefresh('0; url=/next')).toEqual({ delay: 0, url: '/next' });
+        expect(parseRefresh('5;URL=\'https://example.com/a\'')).toEqual({ delay: 5, url: 'https://example.com/a' });
+        expect(parseRefresh('3, /later')).toEqual({ delay: 3, url: '/later' });
+    });
+
+    test('ignores refreshes without a target', () => {
+        expect(parseRefresh('30')).toBeNull();
+        expect(parseRefresh('')).toBeNull();
+        expect(parseRefresh(undefined)).toBeNull();
+    });
+});
+
+describe('findMetaRefresh', () => {
+    test('matches http-equiv case-insensitively', () => {
+        expect(findMetaRefresh(page('<META HTTP-EQUIV="Refresh" CONTENT="0;url=/b">'))).toEqual({ delay: 0, url: '/b' });
+        expect(findMetaRefresh(page('<meta name="description" content="x">'))).toBeNull();
+    });
+});
+
+describe('traceRedirects', () => {
+    test('records HTTP hops', async () => {
+        const result = await trace('/moved');
+
+        expect(result.statusCode).toBe(200);
+        expect(result.finalUrl).toBe(`${baseUrl}/ok`);
+        expect(result.redirectCount).toBe(1);
+        expect(result.hops[0]).toMatchObject({ statusCode: 301, type: 'http', location: `${baseUrl}/ok` });
+    });
+
+    test('uses HEAD when only the status is needed', async () => {
+        const result = await trace('/ok', { followMetaRefresh: false });
+
+        expect(result.statusCode).toBe(200);
+        expect(result.hops[0].method).toBe('HEAD');
+        expect(requests).toEqual(['HEAD /ok']);
+    });
+
+    test('sends HEAD for every hop and GET only to read HTML pages', async () => {
+        const result = await trace('/moved');
+
+        expect(result.hops.map(hop => hop.method)).toEqual(['HEAD', 'GET']);
+        expect(requests).toEqual(['HEAD /moved', 'HEAD /ok', 'GET /ok']);
+
+        requests = [];
+        const statusOnly = await trace('/moved', { followMetaRefresh: false });
+
+        expect(statusOnly.hops.map(hop => hop.method)).toEqual(['HEAD', 'HEAD']);
+        expect(requests).toEqual(['HEAD /moved', 'HEAD /ok']);
+    });
+
+    test('reads no body of pages that are not HTML', async () => {
+        const result = await trace('/file.pdf');
+
+        expect(result.statusCode).toBe(200);
+        expect(requests).toEqual(['HEAD /file.pdf']);
+    });
+
+    test('falls back to GET when HEAD is refused', async () => {
+        const result = await trace('/no-head', { followMetaRefresh: false });
+
+        expect(result.statusCode).toBe(200);
+        expect(result.hops[0]).toMatchObject({ method: 'GET', headStatusCode: 405 });
+    });
+
+    test('falls back to GET when HEAD drops the connection', async () => {
+        const result = await trace('/head-reset', { followMetaRefresh: false });
+
+        expect(result.error).toBeNull();
+        expect(result.statusCode).toBe(200);
+        expect(result.hops[0].method).toBe('GET');
+    });
+
+    test('follows immediate meta refresh and Refresh headers', async () => {
+        const meta = await trace('/meta');
+        const header = await trace('/refresh-header');
+
+        expect(meta.hops[0]).toMatchObject({ type: 'meta-refresh', delay: 0, location: `${baseUrl}/ok` });
+        expect(meta.finalUrl).toBe(`${baseUrl}/ok`);
+        expect(header.hops[0]).toMatchObject({ type: 'refresh-header', location: `${baseUrl}/ok` });
+    });
+
+    test('does not take a refresh of the same page as a redirect loop', async () => {
+        const result = await trace('/self-refresh');
+
+        expect(result.loop).toBe(false);
+        expect(result.error).toBeNull();
+        expect(result.redirectCount).toBe(0);
+    });
+
+    test('ignores refreshes after a long delay', async () => {
+        const result = await trace('/slow-refresh');
+
+        expect(result.redirectCount).toBe(0);
+        expect(result.finalUrl).toBe(`${baseUrl}/slow-refresh`);
+    });
+
+    test('reports loops across hop types', async () => {
+        const result = await trace('/loop-a');
+
+        expect(result.loop).toBe(true);
+        expect(result.error.code).toBe('REDIRECT_LOOP');
+        expect(result.hops.map(hop => hop.type)).toEqual(['http', 'meta-refresh']);
+    });
+});
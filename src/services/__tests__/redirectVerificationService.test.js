@@ -0,0 +1,110 @@
+import http from 'http';
+import { buildRedirectMapping } from '../redirectMappingService.js';
+import {
+    collectExpectedRedirects,
+    classifyRedirect,
+    summarizeVerification,
+    verifyLiveRedirects,
+} from '../redirectVerificationService.js';
+import { resetHosts } from '../hostScheduler.js';
+
+const expected = { oldUrl: 'https://old.com/a', expectedUrl: 'https://new.com/b', rule: null };
+
+const result = (statusCode, finalUrl, chain = [], extra = {}) => ({
+    url: expected.oldUrl,
+    statusCode,
+    finalUrl,
+    redirectChain: chain,
+    redirectLoop: false,
+    error: null,
+    ...extra,
+});
+
+const hop = (statusCode, url, type = 'http') => ({ statusCode, url, type, location: null });
+
+describe('collectExpectedRedirects', () => {
+    test('takes exact rows as they are and applies rules to the known old URLs', () => {
+        const mapping = buildRedirectMapping([
+            { line: 1, oldUrl: '/about', newUrl: '/about-us', type: 'exact' },
+            { line: 2, oldUrl: '/blog/*', newUrl: '/news/$1', type: 'wildcard' },
+        ]);
+
+        const entries = collectExpectedRedirects(mapping, ['https://old.com/blog/post', 'https://old.com/shop'], {
+            oldBaseUrl: 'https://old.com',
+            newBaseUrl: 'https://new.com',
+        });
+
+        expect(entries.map(({ oldUrl, expectedUrl }) => [oldUrl, expectedUrl])).toEqual([
+            ['https://old.com/about', 'https://new.com/about-us'],
+            ['https://old.com/blog/post', 'https://new.com/news/post'],
+        ]);
+    });
+});
+
+describe('classifyRedirect', () => {
+    test.each([
+        ['correct', result(200, 'https://new.com/b', [hop(301, 'https://old.com/a')])],
+        ['chained', result(200, 'https://new.com/b', [hop(301, 'https://old.com/a'), hop(308, 'https://old.com/a/')])],
+        ['temporary', result(200, 'https://new.com/b', [hop(302, 'https://old.com/a')])],
+        ['temporary', result(200, 'https://new.com/b', [hop(200, 'https://old.com/a', 'meta-refresh')])],
+        ['wrongTarget', result(200, 'https://new.com/', [hop(301, 'https://old.com/a')])],
+        ['notRedirecting', result(200, 'https://old.com/a')],
+        ['error', result(0, 'https://old.com/a', [], { error: { message: 'ECONNREFUSED' } })],
+        ['loop', result(301, 'https://old.com/a', [hop(301, 'https://old.com/a')], { redirectLoop: true })],
+    ])('%s', (status, checkResult) => {
+        expect(classifyRedirect(expected, checkResult).status).toBe(status);
+    });
+
+    test('flags targets that are reached but broken', () => {
+        const entry = classifyRedirect(expected, result(404, 'https://new.com/b', [hop(301, 'https://old.com/a')]));
+
+        expect(entry).toMatchObject({ status: 'correct', targetBroken: true, message: 'Target responds 404' });
+    });
+});
+
+describe('summarizeVerification', () => {
+    test('counts statuses and the pass rate', () => {
+        const summary = summarizeVerification([
+            { status: 'correct', targetBroken: false },
+            { status: 'correct', targetBroken: true },
+            { status: 'wrongTarget', targetBroken: false },
+            { status: 'loop', targetBroken: false },
+        ]);
+
+        expect(summary).toMatchObject({ total: 4, correct: 2, wrongTarget: 1, loop: 1, brokenTargets: 1, passRate: 50 });
+    });
+});
+
+describe('verifyLiveRedirects', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/a') {
+                res.writeHead(301, { Location: '/b' });
+            } else {
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+            }
+            res.end();
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    afterEach(() => resetHosts());
+
+    test('reports how many mapped URLs a limited run left out', async () => {
+        const mapping = buildRedirectMapping([
+            { line: 1, oldUrl: '/a', newUrl: '/b', type: 'exact' },
+            { line: 2, oldUrl: '/c', newUrl: '/d', type: 'exact' },
+        ]);
+
+        const verification = await verifyLiveRedirects(mapping, { oldBaseUrl: baseUrl, newBaseUrl: baseUrl, limit: 1 });
+
+        expect(verification.results.map(entry => [entry.oldUrl, entry.status])).toEqual([[`${baseUrl}/a`, 'correct']]);
+        expect(verification).toMatchObject({ expectedCount: 2, truncated: true });
+    });
+});
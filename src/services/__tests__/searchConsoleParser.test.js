@@ -0,0 +1,172 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import * as XLSX from 'xlsx';
+import { parseSearchConsoleExport, summarizeSearchConsoleExport } from '../searchConsoleParser.js';
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+/**
+ * Build a zip archive of stored (uncompressed) entries
+ * @param {Array<Object>} files - { name, content }
+ * @returns {Buffer} Archive
+ */
+const createZip = (files) => {
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const data = Buffer.from(content);
+        const fileName = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(10, 4);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(data.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(10, 4);
+        entry.writeUInt16LE(10, 6);
+        header.copy(entry, 16, 14, 26);
+        entry.writeUInt16LE(fileName.length, 28);
+        entry.writeUInt32LE(offset, 42);
+
+        local.push(header, fileName, data);
+        central.push(entry, fileName);
+        offset += header.length + fileName.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...local, ...central, end]);
+};
+
+// The zip bundle written by the Search Console UI "Export → Download CSV"
+const uiExport = (filters) => [
+    {
+        name: 'Queries.csv',
+        content: 'Top queries,Clicks,Impressions,CTR,Position\nshoes,40,1000,4%,3.2\nred shoes,60,800,7.5%,2.1\n',
+    },
+    {
+        name: 'Pages.csv',
+        content: 'Top pages,Clicks,Impressions,CTR,Position\nhttps://example.com/a,30,600,5%,4\nhttps://example.com/b,"1,200","10,000",12%,1.5\n',
+    },
+    { name: 'Countries.csv', content: 'Country,Clicks,Impressions,CTR,Position\nFrance,70,1200,5.83%,2.5\n' },
+    { name: 'Devices.csv', content: 'Device,Clicks,Impressions,CTR,Position\nMobile,55,900,6.11%,2.8\n' },
+    { name: 'Dates.csv', content: 'Date,Clicks,Impressions,CTR,Position\n2024-03-31,10,100,10%,2\n2024-01-01,5,90,5.5%,3\n' },
+    { name: 'Filters.csv', content: `Filter,Value\n${filters.map(([name, value]) => `${name},${value}`).join('\n')}\n` },
+];
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'search-console-parser-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('parseSearchConsoleExport', () => {
+    test('reads every sheet of the UI zip bundle', async () => {
+        const filePath = await writeFile('site.zip', createZip(uiExport([
+            ['Search type', 'Web'],
+            ['Date', 'Last 3 months'],
+        ])));
+
+        const parsed = await parseSearchConsoleExport(filePath);
+
+        expect(parsed.format).toBe('zip');
+        expect(parsed.pages).toEqual([
+            { url: 'https://example.com/b', clicks: 1200, impressions: 10000, ctr: 12, position: 1.5 },
+            { url: 'https://example.com/a', clicks: 30, impressions: 600, ctr: 5, position: 4 },
+        ]);
+        expect(parsed.queries.map(row => row.query)).toEqual(['red shoes', 'shoes']);
+        expect(parsed.countries).toEqual([{ country: 'France', clicks: 70, impressions: 1200, ctr: 5.83, position: 2.5 }]);
+        expect(parsed.devices[0].device).toBe('Mobile');
+        expect(parsed.filters).toEqual({ 'search type': 'Web', date: 'Last 3 months' });
+        expect(parsed.dateRange).toEqual({ start: '2024-01-01', end: '2024-03-31', label: 'Last 3 months' });
+    });
+
+    test('keeps the queries of a site-wide export at site level', async () => {
+        const filePath = await writeFile('site-queries.zip', createZip(uiExport([['Search type', 'Web']])));
+
+        const { pages, queries } = await parseSearchConsoleExport(filePath);
+
+        expect(queries).toHaveLength(2);
+        expect(pages.every(page => page.queries === undefined)).toBe(true);
+    });
+
+    test('gives the queries of a page-filtered export to that page', async () => {
+        const filePath = await writeFile('page.zip', createZip(uiExport([
+            ['Search type', 'Web'],
+            ['Page', '+https://example.com/a'],
+        ])));
+
+        const { pages } = await parseSearchConsoleExport(filePath);
+
+        expect(pages.find(page => page.url === 'https://example.com/a').queries.map(row => row.query))
+            .toEqual(['red shoes', 'shoes']);
+        expect(pages.find(page => page.url === 'https://example.com/b').queries).toBeUndefined();
+    });
+
+    test('groups the queries of a page and query sheet by page', async () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+            ['Page', 'Query', 'Clicks', 'Impressions', 'CTR', 'Position'],
+            ['https://example.com/a', 'shoes', 10, 100, '10%', 2],
+            ['https://example.com/a', 'red shoes', 30, 300, '10%', 4],
+            ['https://example.com/b', 'boots', 5, 50, '10%', 1],
+        ]), 'Page queries');
+        const filePath = await writeFile('queries.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+        const { format, pages } = await parseSearchConsoleExport(filePath);
+
+        expect(format).toBe('xlsx');
+        expect(pages.map(page => page.url)).toEqual(['https://example.com/a', 'https://example.com/b']);
+        expect(pages[0]).toMatchObject({ clicks: 40, impressions: 400, ctr: 10, position: 3.5 });
+        expect(pages[0].queries.map(row => row.query)).toEqual(['red shoes', 'shoes']);
+    });
+
+    test('reads the date range from the Date filter without a Dates sheet', async () => {
+        const explicit = await writeFile('explicit.csv', 'Filter,Value\nDate,2024-01-01 - 2024-02-29\n');
+        const relative = await writeFile('relative.csv', 'Filter,Value\nDate,Last 28 days\n');
+        const none = await writeFile('none.csv', 'Page,Clicks\nhttps://example.com/a,1\n');
+
+        expect((await parseSearchConsoleExport(explicit)).dateRange)
+            .toEqual({ start: '2024-01-01', end: '2024-02-29', label: '2024-01-01 - 2024-02-29' });
+        expect((await parseSearchConsoleExport(relative)).dateRange)
+            .toEqual({ start: null, end: null, label: 'Last 28 days' });
+        expect((await parseSearchConsoleExport(none)).dateRange).toBeNull();
+    });
+});
+
+describe('summarizeSearchConsoleExport', () => {
+    test('totals the pages and counts those with queries', async () => {
+        const filePath = await writeFile('summary.zip', createZip(uiExport([['Page', 'https://example.com/a']])));
+
+        const summary = summarizeSearchConsoleExport(await parseSearchConsoleExport(filePath), 1);
+
+        expect(summary).toMatchObject({
+            format: 'zip',
+            totals: { clicks: 1230, impressions: 10600 },
+            pageCount: 2,
+            pagesWithQueries: 1,
+            dateRange: { start: '2024-01-01', end: '2024-03-31', label: null },
+        });
+        expect(summary.queries.map(row => row.query)).toEqual(['red shoes']);
+    });
+});
@@ -0,0 +1,52 @@
+import { compareSitemapExtensions } from '../sitemapExtensionService.js';
+
+const oldRecords = [{
+    url: 'https://old.com/story',
+    images: [{ loc: 'https://old.com/img/a.jpg' }, { loc: 'https://old.com/img/b.jpg' }],
+    videos: [{ title: 'Clip', contentLoc: 'https://old.com/clip.mp4' }],
+    news: { title: 'Story' },
+    alternates: [{ hreflang: 'de', href: 'https://old.com/de/story' }, { hreflang: 'fr', href: 'https://old.com/fr/story' }],
+}];
+
+const comparison = { matched: [{ oldUrl: 'https://old.com/story', newUrl: 'https://new.com/story' }] };
+
+describe('compareSitemapExtensions', () => {
+    test('reports what a page lost, matching media moved to another host by file name', () => {
+        const newRecords = [
+            {
+                url: 'https://new.com/story',
+                images: [{ loc: 'https://cdn.new.com/A.jpg' }],
+                videos: [{ title: 'Clip', contentLoc: 'https://cdn.new.com/clip.mp4' }],
+                alternates: [{ hreflang: 'DE', href: 'https://new.com/de/story' }],
+            },
+            { url: 'https://new.com/de/story' },
+        ];
+
+        const { pages, summary } = compareSitemapExtensions(oldRecords, newRecords, comparison);
+
+        expect(pages).toEqual([{
+            oldUrl: 'https://old.com/story',
+            newUrl: 'https://new.com/story',
+            inNewSitemap: true,
+            lostImages: ['https://old.com/img/b.jpg'],
+            lostVideos: [],
+            lostNews: { title: 'Story' },
+            lostAlternates: [{ hreflang: 'fr', href: 'https://old.com/fr/story' }],
+            brokenAlternates: [],
+        }]);
+        expect(summary).toMatchObject({ pagesCompared: 1, lostImages: 1, lostVideos: 0, lostNews: 1, lostAlternates: 1 });
+    });
+
+    test('flags alternates pointing at pages missing from the new sitemap', () => {
+        const newRecords = [{
+            ...oldRecords[0],
+            url: 'https://new.com/story',
+            alternates: [{ hreflang: 'de', href: 'https://new.com/de/story' }, { hreflang: 'fr', href: 'https://new.com/fr/story' }],
+        }, { url: 'https://new.com/de/story' }];
+
+        const { pages, summary } = compareSitemapExtensions(oldRecords, newRecords, comparison);
+
+        expect(pages[0].brokenAlternates).toEqual([{ hreflang: 'fr', href: 'https://new.com/fr/story' }]);
+        expect(summary.brokenAlternates).toBe(1);
+    });
+});
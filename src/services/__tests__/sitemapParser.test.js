@@ -0,0 +1,206 @@
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { parseSitemap, parseSitemapStream, normalizeUrl, resolveNormalizationPolicy } from '../sitemapParser.js';
+
+const urlset = (paths) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(p => `  <url><loc>https://example.com${p}</loc></url>`).join('\n')}
+</urlset>`;
+
+let server;
+let baseUrl;
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+const readUrls = async (filePath) => {
+    const urls = [];
+    const result = await parseSitemapStream(filePath, { onUrl: entry => urls.push(entry) });
+    return { ...result, urls };
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sitemap-parser-'));
+    server = http.createServer((req, res) => {
+        if (req.url === '/sitemap.xml') {
+            res.writeHead(200, { 'Content-Type': 'application/xml' });
+            res.end(urlset(['/a', '/b']));
+            return;
+        }
+        if (req.url === '/huge.xml') {
+            // Declares more than the download limit; the body is never read
+            res.writeHead(200, { 'Content-Type': 'application/xml', 'Content-Length': String(500 * 1024 * 1024) });
+            res.write('<urlset>');
+            return;
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+});
+
+describe('parseSitemapStream from a file', () => {
+    test('reads gzipped sitemaps like plain ones', async () => {
+        const filePath = await writeFile('sitemap.xml.gz', zlib.gzipSync(urlset(['/a', '/b', '/c'])));
+
+        const { type, count, urls } = await readUrls(filePath);
+
+        expect({ type, count }).toEqual({ type: 'urlset', count: 3 });
+        expect(urls[0]).toEqual({ url: 'https://example.com/a', lastmod: null, changefreq: null, priority: null });
+    });
+
+    test('reads entry fields and ignores namespace prefixes', async () => {
+        const filePath = await writeFile('prefixed.xml', `<sm:urlset xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sm:url><sm:loc> https://example.com/a </sm:loc><sm:lastmod>2024-01-01</sm:lastmod><sm:priority>0.8</sm:priority></sm:url>
+  <sm:url><sm:lastmod>2024-01-01</sm:lastmod></sm:url>
+</sm:urlset>`);
+
+        const { count, urls } = await readUrls(filePath);
+
+        expect(count).toBe(1);
+        expect(urls).toEqual([{ url: 'https://example.com/a', lastmod: '2024-01-01', changefreq: null, priority: 0.8 }]);
+    });
+
+    test('reads image, video, news and hreflang extensions', async () => {
+        const filePath = await writeFile('extensions.xml', `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+    xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+    xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"
+    xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+    xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <url>
+    <loc>https://example.com/en/story</loc>
+    <image:image><image:loc>https://cdn.example.com/a.jpg</image:loc><image:title>A</image:title></image:image>
+    <image:image><image:loc>https://cdn.example.com/b.jpg</image:loc></image:image>
+    <video:video>
+      <video:title><![CDATA[Story & more]]></video:title>
+      <video:content_loc>https://cdn.example.com/story.mp4</video:content_loc>
+      <video:duration>120</video:duration>
+      <video:tag>news</video:tag><video:tag>city</video:tag>
+    </video:video>
+    <news:news>
+      <news:publication><news:name>Example Times</news:name><news:language>en</news:language></news:publication>
+      <news:publication_date>2024-03-01</news:publication_date>
+      <news:title>Story</news:title>
+    </news:news>
+    <xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/story"/>
+  </url>
+</urlset>`);
+
+        const { urls: [record] } = await readUrls(filePath);
+
+        expect(record.images).toEqual([
+            { loc: 'https://cdn.example.com/a.jpg', title: 'A', caption: null },
+            { loc: 'https://cdn.example.com/b.jpg', title: null, caption: null },
+        ]);
+        expect(record.videos).toEqual([{
+            title: 'Story & more',
+            description: null,
+            thumbnailLoc: null,
+            contentLoc: 'https://cdn.example.com/story.mp4',
+            playerLoc: null,
+            duration: 120,
+            publicationDate: null,
+            tags: ['news', 'city'],
+        }]);
+        expect(record.news).toEqual({
+            publicationName: 'Example Times',
+            language: 'en',
+            publicationDate: '2024-03-01',
+            title: 'Story',
+            keywords: null,
+        });
+        expect(record.alternates).toEqual([{ hreflang: 'de', href: 'https://example.com/de/story' }]);
+    });
+
+    test('reports the sitemaps of an index without fetching them from a file', async () => {
+        const filePath = await writeFile('index.xml', `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://example.com/posts.xml</loc><lastmod>2024-02-01</lastmod></sitemap>
+</sitemapindex>`);
+        const sitemaps = [];
+
+        expect(await parseSitemapStream(filePath, { onSitemap: sitemap => sitemaps.push(sitemap) }))
+            .toEqual({ type: 'sitemapindex', count: 1 });
+        expect(sitemaps).toEqual([{ url: 'https://example.com/posts.xml', lastmod: '2024-02-01' }]);
+        expect(await parseSitemap(filePath)).toEqual([]);
+    });
+
+    test('rejects XML that is not a sitemap', async () => {
+        const filePath = await writeFile('feed.xml', '<rss><channel></channel></rss>');
+
+        await expect(parseSitemapStream(filePath)).rejects.toThrow('Invalid sitemap format: no urlset or sitemapindex found');
+    });
+
+    test('rejects malformed XML', async () => {
+        const filePath = await writeFile('broken.xml', '<urlset><url><loc>https://example.com/a</url></urlset>');
+
+        await expect(parseSitemapStream(filePath)).rejects.toThrow();
+    });
+});
+
+describe('parseSitemapStream from a URL', () => {
+    test('streams the URLs of a remote sitemap', async () => {
+        const urls = [];
+        const result = await parseSitemapStream(`${baseUrl}/sitemap.xml`, { onUrl: entry => urls.push(entry.url) }, { isFile: false });
+
+        expect(result).toEqual({ type: 'urlset', count: 2 });
+        expect(urls).toEqual(['https://example.com/a', 'https://example.com/b']);
+    });
+
+    test('refuses sitemaps larger than the download limit', async () => {
+        await expect(parseSitemapStream(`${baseUrl}/huge.xml`, {}, { isFile: false }))
+            .rejects.toThrow(/is larger than 100 MB/);
+    });
+});
+
+describe('normalizeUrl', () => {
+    test('strips www, the trailing slash, the query and the hash by default', () => {
+        expect(normalizeUrl('https://www.example.com/Shop/?page=2#top')).toBe('https://example.com/Shop');
+    });
+
+    test('applies a project policy', () => {
+        const policy = resolveNormalizationPolicy({
+            stripWww: false,
+            keepQueryParams: ['page', 'lang'],
+            lowercasePaths: true,
+            stripDefaultDocuments: true,
+            trailingSlash: 'add',
+            protocol: 'https',
+        });
+
+        expect(normalizeUrl('http://www.example.com/Shop/index.html?utm_source=x&page=2&lang=de', policy))
+            .toBe('https://www.example.com/shop/?lang=de&page=2');
+    });
+
+    test('keeps every query param with *', () => {
+        expect(normalizeUrl('https://example.com/a?b=2&a=1', { keepQueryParams: ['*'] })).toBe('https://example.com/a?a=1&b=2');
+    });
+});
+
+describe('resolveNormalizationPolicy', () => {
+    test('fills in the defaults', () => {
+        expect(resolveNormalizationPolicy({ lowercasePaths: true })).toMatchObject({ stripWww: true, lowercasePaths: true, trailingSlash: 'strip' });
+    });
+
+    test.each([
+        [{ stripWww: 'yes' }, 'Normalization policy "stripWww" must be a boolean'],
+        [{ keepQueryParams: 'page' }, 'Normalization policy "keepQueryParams" must be an array of strings'],
+        [{ trailingSlash: 'remove' }, 'Normalization policy "trailingSlash" must be one of: strip, keep, add'],
+        [{ protocol: 'ftp' }, 'Normalization policy "protocol" must be one of: keep, https, http'],
+    ])('rejects %p', (policy, message) => {
+        expect(() => resolveNormalizationPolicy(policy)).toThrow(message);
+    });
+});
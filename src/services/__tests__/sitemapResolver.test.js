@@ -0,0 +1,104 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import tar from 'tar-stream';
+import { detectArchiveType, resolveSitemapUpload, sitemapEntryName } from '../sitemapResolver.js';
+
+const urlset = (paths) => `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(p => `<url><loc>https://example.com${p}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = (locs) => `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+/**
+ * Build a tar archive of files
+ * @param {Array<Object>} files - { name, content }
+ * @returns {Promise<Buffer>} Archive
+ */
+const createTar = async (files) => {
+    const pack = tar.pack();
+    for (const { name, content } of files) {
+        pack.entry({ name }, content);
+    }
+    pack.finalize();
+
+    const chunks = [];
+    for await (const chunk of pack) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sitemap-resolver-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('sitemapEntryName', () => {
+    test('names entries after host, path and query', () => {
+        expect(sitemapEntryName('https://example.com/sitemaps/posts.xml.gz')).toBe('example.com/sitemaps/posts.xml.gz');
+        expect(sitemapEntryName('https://example.com/sitemap?page=2')).toBe('example.com/sitemap?page=2.xml');
+        expect(sitemapEntryName('not a url')).toBeNull();
+    });
+});
+
+describe('resolveSitemapUpload', () => {
+    test('resolves the children of an index from a gzipped tarball and reports missing ones', async () => {
+        const archive = await createTar([
+            { name: './sitemap_index.xml', content: sitemapIndex([
+                'https://example.com/sitemaps/posts.xml.gz',
+                'https://example.com/pages.xml',
+                'https://example.com/products.xml',
+            ]) },
+            { name: './sitemaps/posts.xml.gz', content: zlib.gzipSync(urlset(['/post-1', '/post-2'])) },
+            { name: './pages.xml', content: urlset(['/about']) },
+            { name: './extra.xml', content: urlset(['/extra']) },
+            { name: './readme.txt', content: 'ignored' },
+        ]);
+        const filePath = await writeFile('sitemaps.tar.gz', zlib.gzipSync(archive));
+
+        expect(await detectArchiveType(filePath)).toBe('tar.gz');
+        const { urls, report } = await resolveSitemapUpload(filePath);
+
+        expect(urls.map(entry => entry.url)).toEqual([
+            'https://example.com/post-1',
+            'https://example.com/post-2',
+            'https://example.com/about',
+            'https://example.com/extra',
+        ]);
+        expect(report).toMatchObject({ archive: 'tar.gz', fileCount: 4, urlCount: 4, errorCount: 1 });
+        expect(report.children.map(({ file, source, urlCount, unreferenced }) => [file, source, urlCount, unreferenced])).toEqual([
+            ['sitemap_index.xml', 'upload', 0, false],
+            ['sitemaps/posts.xml.gz', 'upload', 2, false],
+            ['pages.xml', 'upload', 1, false],
+            [null, 'missing', 0, undefined],
+            ['extra.xml', 'upload', 1, true],
+        ]);
+    });
+
+    test('reads a plain sitemap upload', async () => {
+        const filePath = await writeFile('sitemap.xml', urlset(['/a']));
+
+        expect(await detectArchiveType(filePath)).toBeNull();
+        const { urls, report } = await resolveSitemapUpload(filePath);
+
+        expect(urls.map(entry => entry.url)).toEqual(['https://example.com/a']);
+        expect(report).toMatchObject({ archive: null, fileCount: 1, errorCount: 0 });
+    });
+
+    test('fails when the only sitemap cannot be read', async () => {
+        const filePath = await writeFile('broken.xml', '<html></html>');
+
+        await expect(resolveSitemapUpload(filePath)).rejects.toThrow('Invalid sitemap format');
+    });
+});
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+
+// The live site, served through a mocked axios: URL → response body
+let site = {};
+
+jest.unstable_mockModule('axios', () => ({
+    default: {
+        get: async (url, config = {}) => {
+            const body = site[url];
+            if (body === undefined) {
+                if (config.validateStatus) return { status: 404, headers: {}, data: '' };
+                throw new Error('Request failed with status code 404');
+            }
+            return {
+                status: 200,
+                headers: { 'content-length': String(Buffer.byteLength(body)) },
+                data: config.responseType === 'stream' ? Readable.from([Buffer.from(body)]) : body,
+            };
+        },
+    },
+}));
+
+const { discoverSitemaps, snapshotSitemaps } = await import('../sitemapSnapshotService.js');
+const { resolveSitemapUpload } = await import('../sitemapResolver.js');
+
+const urlset = (paths) => `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${paths.map(p => `<url><loc>https://example.com${p}</loc></url>`).join('\n')}
+</urlset>`;
+
+const sitemapIndex = (locs) => `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${locs.map(loc => `<sitemap><loc>${loc}</loc></sitemap>`).join('\n')}
+</sitemapindex>`;
+
+let dir;
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sitemap-snapshot-test-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+beforeEach(() => {
+    site = {};
+});
+
+describe('discoverSitemaps', () => {
+    test('reads the Sitemap lines of robots.txt', async () => {
+        site['https://example.com/robots.txt'] = [
+            'User-agent: *',
+            'Disallow: /admin',
+            'Sitemap: https://example.com/sitemap_index.xml',
+            'Sitemap: https://example.com/news.xml',
+            'Sitemap: https://example.com/news.xml',
+        ].join('\n');
+
+        expect(await discoverSitemaps('https://example.com/en/')).toEqual({
+            robotsUrl: 'https://example.com/robots.txt',
+            robotsFound: true,
+            source: 'robots',
+            sitemaps: ['https://example.com/sitemap_index.xml', 'https://example.com/news.xml'],
+        });
+    });
+
+    test('falls back to /sitemap.xml without robots.txt or Sitemap lines', async () => {
+        expect(await discoverSitemaps('https://example.com')).toMatchObject({
+            robotsFound: false,
+            source: 'default',
+            sitemaps: ['https://example.com/sitemap.xml'],
+        });
+
+        site['https://example.com/robots.txt'] = 'User-agent: *\nDisallow:';
+
+        expect(await discoverSitemaps('https://example.com')).toMatchObject({
+            robotsFound: true,
+            source: 'default',
+            sitemaps: ['https://example.com/sitemap.xml'],
+        });
+    });
+});
+
+describe('snapshotSitemaps', () => {
+    test('stores an index and its children in an archive the resolver reads offline', async () => {
+        site['https://example.com/sitemap_index.xml'] = sitemapIndex([
+            'https://example.com/posts.xml',
+            'https://example.com/missing.xml',
+        ]);
+        site['https://example.com/posts.xml'] = urlset(['/post-1', '/post-2']);
+        const archivePath = path.join(dir, 'snapshot.tar.gz');
+
+        const snapshot = await snapshotSitemaps(['https://example.com/sitemap_index.xml'], archivePath);
+
+        expect(snapshot).toMatchObject({ fileCount: 2, errorCount: 1, truncated: false });
+        expect(snapshot.files.map(({ name, type, error }) => [name, type, error])).toEqual([
+            ['example.com/sitemap_index.xml', 'sitemapindex', null],
+            ['example.com/posts.xml', 'urlset', null],
+            ['example.com/missing.xml', null, 'Request failed with status code 404'],
+        ]);
+
+        site = {};
+        const { urls, report } = await resolveSitemapUpload(archivePath);
+
+        expect(urls.map(entry => entry.url)).toEqual(['https://example.com/post-1', 'https://example.com/post-2']);
+        expect(report.children.find(child => child.source === 'missing').loc).toBe('https://example.com/missing.xml');
+    });
+
+    test('takes a fresh copy of the live sitemaps on refresh', async () => {
+        const firstPath = path.join(dir, 'first.tar.gz');
+        const refreshedPath = path.join(dir, 'refreshed.tar.gz');
+
+        site['https://example.com/sitemap.xml'] = urlset(['/a']);
+        await snapshotSitemaps(['https://example.com/sitemap.xml'], firstPath);
+        site['https://example.com/sitemap.xml'] = urlset(['/a', '/b']);
+        await snapshotSitemaps(['https://example.com/sitemap.xml'], refreshedPath);
+
+        expect((await resolveSitemapUpload(firstPath)).urls).toHaveLength(1);
+        expect((await resolveSitemapUpload(refreshedPath)).urls).toHaveLength(2);
+    });
+
+    test('fails when no sitemap can be fetched', async () => {
+        await expect(snapshotSitemaps(['https://example.com/sitemap.xml'], path.join(dir, 'none.tar.gz')))
+            .rejects.toThrow('No sitemap could be fetched from https://example.com/sitemap.xml');
+    });
+});
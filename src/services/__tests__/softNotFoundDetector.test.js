@@ -0,0 +1,133 @@
+import http from 'http';
+import { detectSoftNotFound, detectSoftNotFoundPages, fetchPageProfile } from '../softNotFoundDetector.js';
+import { createFingerprint } from '../contentFingerprint.js';
+import { configureHost, resetHosts } from '../hostScheduler.js';
+
+const article = 'Our hiking boots are waterproof, light and made to last. '.repeat(10);
+const notFoundText = 'Sorry, we could not find what you asked for. Try the search or browse our categories instead.';
+
+const profile = (overrides = {}) => ({
+    url: 'https://new.com/boots',
+    finalUrl: 'https://new.com/boots',
+    title: 'Hiking boots',
+    h1: 'Hiking boots',
+    mainText: article,
+    wordCount: 100,
+    fingerprint: createFingerprint(article),
+    ...overrides,
+});
+
+const html = (title, body) => `<html><head><title>${title}</title></head><body><main>${body}</main></body></html>`;
+
+let server;
+let baseUrl;
+
+beforeAll(async () => {
+    // Known pages answer normally; every other URL gets the same "not found" page with a 200
+    server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/html' });
+        if (req.url === '/boots') return res.end(html('Hiking boots', `<h1>Hiking boots</h1><p>${article}</p>`));
+        if (req.url === '/catalogue') return res.end(html('Catalogue', `<h1>Catalogue</h1><p>${'item '.repeat(200000)}</p>`));
+        if (req.url === '/robots.txt') return res.end('');
+        res.end(html('Shop', `<p>${notFoundText}</p>`));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    configureHost(baseUrl, { delay: 0, respectCrawlDelay: false });
+});
+
+afterAll(() => {
+    resetHosts();
+    return new Promise(resolve => server.close(resolve));
+});
+
+describe('detectSoftNotFound', () => {
+    test('passes a regular page', () => {
+        expect(detectSoftNotFound(profile())).toEqual({ softNotFound: false, confidence: 0, signals: [], templateSimilarity: 0 });
+    });
+
+    test('flags not-found wording in both the title and a short body', () => {
+        const result = detectSoftNotFound(profile({
+            title: 'Page not found | Shop',
+            mainText: 'The page you are looking for could not be found.',
+            wordCount: 10,
+        }));
+
+        expect(result).toMatchObject({ softNotFound: true, confidence: 1, signals: ['notFoundTitle', 'notFoundText', 'thinContent'] });
+    });
+
+    test('flags not-found wording on a page that landed on the home page', () => {
+        const result = detectSoftNotFound(profile({ title: '404 error', finalUrl: 'https://new.com/' }));
+
+        expect(result).toMatchObject({ softNotFound: true, signals: ['notFoundTitle', 'redirectedToHome'] });
+    });
+
+    test.each([
+        ['a title that mentions 404', { title: 'Peugeot 404 | Classic cars', h1: 'Peugeot 404' }],
+        ['a title that says not found', { title: 'Lost & Not Found exhibition', h1: 'Lost & Not Found' }],
+        ['not-found wording in the title of a thin page', { title: 'Peugeot 404', wordCount: 20 }],
+        ['a short page about lost property', { mainText: 'Items not found after 30 days are donated.', wordCount: 8 }],
+        ['a page that lands on the home page', { finalUrl: 'https://new.com/' }],
+    ])('passes %s', (_, overrides) => {
+        expect(detectSoftNotFound(profile(overrides)).softNotFound).toBe(false);
+    });
+
+    test('does not flag wording in the body of a long page', () => {
+        expect(detectSoftNotFound(profile({ mainText: `${article} 404` })).softNotFound).toBe(false);
+    });
+
+    test('flags pages that land on the home page', () => {
+        expect(detectSoftNotFound(profile({ finalUrl: 'https://new.com/' })).signals).toEqual(['redirectedToHome']);
+    });
+
+    test('flags pages matching the host not-found page', () => {
+        const notFoundPage = { probes: [{ fingerprint: createFingerprint(article) }] };
+
+        expect(detectSoftNotFound(profile(), notFoundPage)).toMatchObject({
+            softNotFound: true,
+            signals: ['notFoundTemplate'],
+            templateSimilarity: 1,
+        });
+    });
+});
+
+describe('fetchPageProfile', () => {
+    test('reads only the start of a large page', async () => {
+        const page = await fetchPageProfile(`${baseUrl}/catalogue`);
+
+        expect(page).toMatchObject({ statusCode: 200, isHtml: true, title: 'Catalogue', h1: 'Catalogue' });
+        expect(page.wordCount).toBeGreaterThan(0);
+        expect(page.wordCount).toBeLessThan(200000);
+    });
+});
+
+describe('detectSoftNotFoundPages', () => {
+    test('probes the host once and marks the pages served by its not-found template', async () => {
+        const results = [
+            { url: `${baseUrl}/boots`, statusCode: 200, contentType: 'text/html' },
+            { url: `${baseUrl}/old-category`, statusCode: 200, contentType: 'text/html' },
+            { url: `${baseUrl}/logo.png`, statusCode: 200, contentType: 'image/png' },
+            { url: `${baseUrl}/gone`, statusCode: 404, contentType: 'text/html' },
+        ];
+
+        const summary = await detectSoftNotFoundPages(results);
+
+        expect(summary).toMatchObject({ checked: 2, detected: 1, errors: [] });
+        expect(summary.hosts).toHaveLength(1);
+        expect(summary.hosts[0]).toMatchObject({ origin: baseUrl, softNotFound: true });
+        expect(results[0].softNotFound).toBeUndefined();
+        expect(results[1].softNotFound.signals).toContain('notFoundTemplate');
+    });
+
+    test('fetches no more pages than the limit', async () => {
+        const results = [
+            { url: `${baseUrl}/boots`, statusCode: 200, contentType: 'text/html' },
+            { url: `${baseUrl}/old-category`, statusCode: 200, contentType: 'text/html' },
+        ];
+
+        const summary = await detectSoftNotFoundPages(results, { limit: 1 });
+
+        expect(summary).toMatchObject({ checked: 1, detected: 0 });
+        expect(results[1].softNotFound).toBeUndefined();
+    });
+});
@@ -0,0 +1,166 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import * as XLSX from 'xlsx';
+import {
+    decodeText,
+    detectDelimiter,
+    detectSpreadsheetFormat,
+    readSpreadsheet,
+    selectSheet,
+    toNumber,
+} from '../spreadsheetReader.js';
+
+let dir;
+
+const writeFile = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.promises.writeFile(filePath, content);
+    return filePath;
+};
+
+/**
+ * Build a zip archive of deflated entries
+ * @param {Array<Object>} files - { name, content }
+ * @returns {Buffer} Archive
+ */
+const createZip = (files) => {
+    const local = [];
+    const central = [];
+    let offset = 0;
+
+    for (const { name, content } of files) {
+        const data = Buffer.from(content);
+        const compressed = zlib.deflateRawSync(data);
+        const fileName = Buffer.from(name);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(zlib.crc32(data), 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(data.length, 22);
+        header.writeUInt16LE(fileName.length, 26);
+
+        const entry = Buffer.alloc(46);
+        entry.writeUInt32LE(0x02014b50, 0);
+        entry.writeUInt16LE(20, 4);
+        entry.writeUInt16LE(20, 6);
+        entry.writeUInt16LE(8, 10);
+        header.copy(entry, 16, 14, 26);
+        entry.writeUInt16LE(fileName.length, 28);
+        entry.writeUInt32LE(offset, 42);
+
+        local.push(header, fileName, compressed);
+        central.push(entry, fileName);
+        offset += header.length + fileName.length + compressed.length;
+    }
+
+    const centralSize = central.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...local, ...central, end]);
+};
+
+beforeAll(async () => {
+    dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'spreadsheet-reader-'));
+});
+
+afterAll(() => fs.promises.rm(dir, { recursive: true, force: true }));
+
+describe('decodeText', () => {
+    test('recognises byte order marks', () => {
+        expect(decodeText(Buffer.from('\uFEFFURL', 'utf8'))).toEqual({ text: 'URL', encoding: 'utf-8', bom: true });
+        expect(decodeText(Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('URL', 'utf16le')])))
+            .toEqual({ text: 'URL', encoding: 'utf-16le', bom: true });
+    });
+
+    test('detects UTF-16 without a byte order mark', () => {
+        expect(decodeText(Buffer.from('Page,Clicks\n/a,1\n', 'utf16le')).encoding).toBe('utf-16le');
+    });
+
+    test('reads invalid UTF-8 as Windows-1252', () => {
+        expect(decodeText(Buffer.from([0x43, 0x61, 0x66, 0xe9]))).toEqual({ text: 'Café', encoding: 'windows-1252', bom: false });
+    });
+});
+
+describe('detectDelimiter', () => {
+    test('picks the delimiter that splits lines consistently', () => {
+        expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+        expect(detectDelimiter('Page;Clicks;CTR\n/a;1.234;5,2 %\n/b;2;1,0 %')).toBe(';');
+        expect(detectDelimiter('a\tb\n"x,y"\tz')).toBe('\t');
+    });
+
+    test('honours the sep= line written by Excel', () => {
+        expect(detectDelimiter('sep=|\na,b|c')).toBe('|');
+    });
+});
+
+describe('toNumber', () => {
+    test.each([
+        ['1,234', 1234],
+        ['5.2%', 5.2],
+        ['$1,200.50', 1200.5],
+        ['1.234,56 €', 1234.56],
+        ['5,2 %', 5.2],
+        [3, 3],
+        ['', 0],
+        ['n/a', 0],
+    ])('%p → %p', (value, expected) => {
+        expect(toNumber(value)).toBe(expected);
+    });
+});
+
+describe('readSpreadsheet', () => {
+    test('reads semicolon CSV with decimal commas', async () => {
+        const filePath = await writeFile('export.csv', 'Page;Clicks;CTR\n/a;1.234;5,2 %\n');
+
+        const { format, sheets } = await readSpreadsheet(filePath);
+
+        expect(format).toBe('csv');
+        expect(sheets[0].dialect).toEqual({ encoding: 'utf-8', bom: false, delimiter: ';' });
+        expect(sheets[0].rows).toEqual([{ Page: '/a', Clicks: '1234', CTR: '5,2 %' }]);
+    });
+
+    test('reads every sheet of a workbook', async () => {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['URL'], ['/a']]), 'Pages');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Query'], ['shoes']]), 'Queries');
+        const filePath = await writeFile('export.xlsx', XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+
+        const { format, sheets } = await readSpreadsheet(filePath);
+
+        expect(format).toBe('xlsx');
+        expect(sheets.map(sheet => sheet.name)).toEqual(['Pages', 'Queries']);
+        expect(selectSheet(sheets, 'queries').rows).toEqual([{ Query: 'shoes' }]);
+        expect(selectSheet(sheets, 0).rows).toEqual([{ URL: '/a' }]);
+    });
+
+    test('reads only the spreadsheet files of a zip bundle', async () => {
+        const filePath = await writeFile('bundle.zip', createZip([
+            { name: 'Pages.csv', content: 'Page,Clicks\n/a,3\n' },
+            { name: 'readme.txt', content: 'not a sheet' },
+            { name: '__MACOSX/._Pages.csv', content: 'junk' },
+        ]));
+
+        expect(await detectSpreadsheetFormat(filePath)).toBe('zip');
+        const { sheets } = await readSpreadsheet(filePath);
+
+        expect(sheets).toHaveLength(1);
+        expect(sheets[0]).toMatchObject({ name: 'Pages', rows: [{ Page: '/a', Clicks: '3' }] });
+    });
+
+    test('refuses zip bundles that expand beyond the size limit', async () => {
+        const filePath = await writeFile('bomb.zip', createZip([
+            { name: 'Pages.csv', content: Buffer.alloc(201 * 1024 * 1024, 0x20) },
+        ]));
+
+        await expect(readSpreadsheet(filePath)).rejects.toThrow('Zip bundle expands to more than 200 MB');
+    });
+});
@@ -0,0 +1,51 @@
+import { buildTrafficIndex, rankAtRiskUrls } from '../trafficWeighting.js';
+
+const trafficIndex = buildTrafficIndex({
+    gscData: [
+        { url: 'https://www.old.com/shop/', clicks: 100, impressions: 1000 },
+        { url: 'https://old.com/blog', clicks: 50, impressions: 1000 },
+    ],
+    analyticsData: [
+        { url: 'https://old.com/shop', sessions: 200, conversions: 10, revenue: 500 },
+        { url: 'https://old.com/about', sessions: 50, conversions: 0, revenue: 0 },
+    ],
+});
+
+describe('buildTrafficIndex', () => {
+    test('merges sources by normalized URL and scores pages against the busiest one', () => {
+        expect(trafficIndex.size).toBe(3);
+        expect(trafficIndex.get('https://old.com/shop')).toEqual({
+            clicks: 100, impressions: 1000, sessions: 200, conversions: 10, revenue: 500, score: 100,
+        });
+        expect(trafficIndex.scoreOf('https://old.com/blog')).toBe(25);
+        expect(trafficIndex.scoreOf('https://old.com/unknown')).toBe(0);
+    });
+
+    test('leaves out metrics no page has', () => {
+        const index = buildTrafficIndex({ gscData: [{ url: 'https://old.com/a', clicks: 4 }] });
+
+        expect(index.metrics).toEqual(['clicks']);
+        expect(index.scoreOf('https://old.com/a')).toBe(100);
+    });
+});
+
+describe('rankAtRiskUrls', () => {
+    test('ranks missing URLs by traffic and sums the share at risk', () => {
+        const { urls, summary } = rankAtRiskUrls({
+            missing: [
+                { oldUrl: 'https://old.com/about', suggestion: null },
+                { oldUrl: 'https://old.com/shop', suggestion: 'https://new.com/store' },
+                { oldUrl: 'https://old.com/empty', suggestion: null },
+            ],
+        }, trafficIndex);
+
+        expect(urls.map(url => [url.oldUrl, url.suggestion])).toEqual([
+            ['https://old.com/shop', 'https://new.com/store'],
+            ['https://old.com/about', null],
+            ['https://old.com/empty', null],
+        ]);
+        expect(summary).toMatchObject({ atRiskCount: 3, withTrafficCount: 2 });
+        expect(summary.atRisk.sessions).toBe(250);
+        expect(summary.shareOfTotal.clicks).toBe(66.67);
+    });
+});
@@ -0,0 +1,88 @@
+import { compareUrls, detectPatternChanges } from '../urlComparisonService.js';
+
+describe('compareUrls', () => {
+    test('matches paths across domains when both base URLs are known', () => {
+        const comparison = compareUrls(
+            ['https://www.old.com/about', 'https://www.old.com/contact/', 'https://www.old.com/gone'],
+            ['https://new.com/about', 'https://new.com/contact', 'https://new.com/blog'],
+            null,
+            { oldBaseUrl: 'https://www.old.com', newBaseUrl: 'https://new.com' }
+        );
+
+        expect(comparison.matched.map(m => [m.oldUrl, m.newUrl, m.matchType])).toEqual([
+            ['https://www.old.com/about', 'https://new.com/about', 'host_rewrite'],
+            ['https://www.old.com/contact/', 'https://new.com/contact', 'host_rewrite'],
+        ]);
+        expect(comparison.missing.map(m => m.oldUrl)).toEqual(['https://www.old.com/gone']);
+        expect(comparison.new.map(n => n.newUrl)).toEqual(['https://new.com/blog']);
+        expect(comparison.summary.hostRewrite).toEqual({ from: 'old.com', to: 'new.com' });
+    });
+
+    test('matches paths below the base URLs when the base path changed', () => {
+        const comparison = compareUrls(
+            ['https://old.com/en/', 'https://old.com/en/about', 'https://old.com/english', 'https://old.com/fr/about'],
+            ['https://new.com/', 'https://new.com/about'],
+            null,
+            { oldBaseUrl: 'https://old.com/en/', newBaseUrl: 'https://new.com/' }
+        );
+
+        expect(comparison.matched.map(m => [m.oldUrl, m.newUrl, m.matchType])).toEqual([
+            ['https://old.com/en/', 'https://new.com/', 'base_rewrite'],
+            ['https://old.com/en/about', 'https://new.com/about', 'base_rewrite'],
+        ]);
+        expect(comparison.missing.map(m => m.oldUrl)).toEqual(['https://old.com/english', 'https://old.com/fr/about']);
+        expect(comparison.new).toHaveLength(0);
+    });
+
+    test('compares full URLs when a base URL is missing', () => {
+        const comparison = compareUrls(['https://old.com/about'], ['https://new.com/about']);
+
+        expect(comparison.matched).toHaveLength(0);
+        expect(comparison.missing[0]).toMatchObject({ oldUrl: 'https://old.com/about', suggestion: 'https://new.com/about' });
+        expect(comparison.summary.hostRewrite).toBeNull();
+    });
+
+    test('keeps URLs on other hosts apart', () => {
+        const comparison = compareUrls(
+            ['https://old.com/about', 'https://cdn.old.com/about'],
+            ['https://new.com/about'],
+            null,
+            { oldBaseUrl: 'https://old.com', newBaseUrl: 'https://new.com' }
+        );
+
+        expect(comparison.matched.map(m => m.oldUrl)).toEqual(['https://old.com/about']);
+        expect(comparison.missing.map(m => m.oldUrl)).toEqual(['https://cdn.old.com/about']);
+    });
+});
+
+describe('detectPatternChanges', () => {
+    test('finds the template change behind mapped pairs and the segments it keeps', () => {
+        const slugs = ['hello', 'world', 'again'];
+        const oldUrls = slugs.map((slug, i) => `https://old.com/blog/202${i}/0${i + 1}/${slug}`);
+        const newUrls = slugs.map(slug => `https://new.com/news/${slug}`);
+        const comparison = {
+            redirected: oldUrls.map((oldUrl, i) => ({ oldUrl, newUrl: newUrls[i] })),
+            matched: [],
+            missing: [],
+        };
+
+        const { changes } = detectPatternChanges(oldUrls, newUrls, comparison);
+
+        expect(changes).toHaveLength(1);
+        expect(changes[0]).toMatchObject({
+            oldTemplate: '/blog/{year}/{month}/{slug}',
+            newTemplate: '/news/{slug}',
+            pairCount: 3,
+            coverage: 1,
+            confidence: 1,
+            captures: [{ placeholder: '{slug}', newIndex: 1, oldIndex: 3 }],
+            sources: { mapped: 3 },
+        });
+    });
+
+    test('needs at least two pairs for a change', () => {
+        const comparison = { redirected: [{ oldUrl: 'https://old.com/a/1', newUrl: 'https://new.com/b/1' }] };
+
+        expect(detectPatternChanges(['https://old.com/a/1'], ['https://new.com/b/1'], comparison).changes).toEqual([]);
+    });
+});
@@ -0,0 +1,45 @@
+import { inferTemplates, countTemplates, templateToRegex, exampleFromTemplate } from '../urlTemplates.js';
+
+describe('inferTemplates', () => {
+    test('types dates and numbers and turns varied words into slugs', () => {
+        const templates = inferTemplates([
+            'https://example.com/blog/2020/05/hello',
+            'https://example.com/blog/2021/1/world',
+            'https://example.com/blog/2019/12/again',
+            'https://example.com/product/123',
+            'https://example.com/about',
+        ]);
+
+        expect(templates.get('https://example.com/blog/2020/05/hello')).toEqual({
+            template: '/blog/{year}/{month}/{slug}',
+            parts: ['blog', '{year}', '{month}', '{slug}'],
+            values: [null, '2020', '05', 'hello'],
+        });
+        expect(countTemplates(templates)).toEqual({
+            '/blog/{year}/{month}/{slug}': 3,
+            '/product/{id}': 1,
+            '/about': 1,
+        });
+    });
+
+    test('keeps words that repeat across a few URLs', () => {
+        const templates = inferTemplates(['https://example.com/en/shop', 'https://example.com/de/shop']);
+
+        expect(countTemplates(templates)).toEqual({ '/en/shop': 1, '/de/shop': 1 });
+    });
+});
+
+describe('templateToRegex', () => {
+    test('captures each placeholder and escapes literal parts', () => {
+        const regex = new RegExp(templateToRegex('/blog.old/{year}/{slug}'));
+
+        expect('/blog.old/2020/hello/'.match(regex).slice(1)).toEqual(['2020', 'hello']);
+        expect(regex.test('/blogxold/2020/hello')).toBe(false);
+    });
+});
+
+describe('exampleFromTemplate', () => {
+    test('fills placeholders with example values', () => {
+        expect(exampleFromTemplate('/blog/{date}/{id}')).toBe('/blog/2020-01-01/1');
+    });
+});
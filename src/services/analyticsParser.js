@@ -0,0 +1,106 @@
+/**
+ * Analytics Parser
+ * Reads landing-page exports from web analytics (GA4, Universal Analytics and similar tools)
+ * into sessions, conversions and revenue per landing page
+ */
+
+import { readSpreadsheet, getColumn, hasColumn, toNumber } from './spreadsheetReader.js';
+
+const LANDING_PAGE_COLUMNS = [
+    'Landing page',
+    'Landing page + query string',
+    'Landing Page',
+    'Page path and screen class',
+    'Page path + query string',
+    'Page path',
+    'Page',
+    'URL',
+];
+const SESSION_COLUMNS = ['Sessions', 'Entrances', 'Visits'];
+const USER_COLUMNS = ['Users', 'Total users', 'Active users'];
+const CONVERSION_COLUMNS = ['Conversions', 'Key events', 'Goal Completions', 'Transactions', 'Ecommerce purchases'];
+const REVENUE_COLUMNS = ['Revenue', 'Total revenue', 'Purchase revenue', 'Transaction Revenue', 'Goal Value'];
+
+// Columns by key, as used by explicit column mappings
+export const ANALYTICS_EXPORT_COLUMNS = {
+    landingPage: LANDING_PAGE_COLUMNS,
+    sessions: SESSION_COLUMNS,
+    users: USER_COLUMNS,
+    conversions: CONVERSION_COLUMNS,
+    revenue: REVENUE_COLUMNS,
+};
+
+// Landing page values that are totals or placeholders rather than pages
+const SKIPPED_LANDING_PAGES = ['(not set)', '(other)', 'grand total', 'total', 'totals'];
+
+/**
+ * Turn a landing page (usually a path) into an absolute URL on the given site
+ * @param {string} landingPage - Landing page value
+ * @param {string} baseUrl - Site base URL
+ * @returns {string|null} Absolute URL or null if it cannot be resolved
+ */
+const toAbsoluteUrl = (landingPage, baseUrl) => {
+    try {
+        return new URL(landingPage, baseUrl || undefined).toString();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parse an analytics landing-page export
+ * @param {string} filePath - CSV export or Excel workbook
+ * @param {Object} options - Parse options
+ * @param {string} options.baseUrl - Base URL that landing page paths are relative to
+ * @param {Object} options.columnMapping - Column key → header in the file (see ANALYTICS_EXPORT_COLUMNS)
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index; default the first with a landing page column)
+ * @returns {Promise<Array>} Landing pages as { url, landingPage, sessions, users, conversions, revenue }
+ */
+export const parseAnalyticsExport = async (filePath, options = {}) => {
+    const { baseUrl = null, columnMapping = null, sheet: sheetName = null } = options;
+    const { sheets } = await readSpreadsheet(filePath, {
+        sheet: sheetName,
+        columns: ANALYTICS_EXPORT_COLUMNS,
+        columnMapping,
+    });
+
+    const sheet = sheets.find(s => hasColumn(s, LANDING_PAGE_COLUMNS));
+    if (!sheet) {
+        throw new Error(`Analytics export has no landing page column (expected one of: ${LANDING_PAGE_COLUMNS.join(', ')})`);
+    }
+
+    // Rows for the same page (e.g. split by query string or channel) are added up
+    const pages = new Map();
+    let skipped = 0;
+
+    for (const row of sheet.rows) {
+        const landingPage = String(getColumn(row, LANDING_PAGE_COLUMNS) || '').trim();
+        if (!landingPage || SKIPPED_LANDING_PAGES.includes(landingPage.toLowerCase())) {
+            skipped++;
+            continue;
+        }
+
+        const url = toAbsoluteUrl(landingPage, baseUrl);
+        if (!url) {
+            skipped++;
+            continue;
+        }
+
+        const page = pages.get(url) || { url, landingPage, sessions: 0, users: 0, conversions: 0, revenue: 0 };
+        page.sessions += toNumber(getColumn(row, SESSION_COLUMNS));
+        page.users += toNumber(getColumn(row, USER_COLUMNS));
+        page.conversions += toNumber(getColumn(row, CONVERSION_COLUMNS));
+        page.revenue = Math.round((page.revenue + toNumber(getColumn(row, REVENUE_COLUMNS))) * 100) / 100;
+        pages.set(url, page);
+    }
+
+    const results = Array.from(pages.values()).sort((a, b) => b.sessions - a.sessions);
+    console.log(`Parsed ${results.length} landing pages from analytics export (${skipped} rows skipped)`);
+
+    return results;
+};
+
+export default {
+    ANALYTICS_EXPORT_COLUMNS,
+    parseAnalyticsExport,
+};
@@ -0,0 +1,156 @@
+/**
+ * Backlink Parser
+ * Reads backlink exports from SEO tools (Ahrefs, Semrush, Majestic, Moz, Search Console links)
+ * into backlink counts per target URL. Link-level exports (one row per referring page) are
+ * aggregated; page-level exports (one row per target with a referring-domain count) are read as is.
+ */
+
+import { readSpreadsheet, getColumn, hasColumn, toNumber } from './spreadsheetReader.js';
+
+const TARGET_COLUMNS = ['Target URL', 'Target url', 'Target page', 'Top target pages', 'Target', 'Page URL', 'URL', 'Page'];
+const SOURCE_COLUMNS = ['Referring page URL', 'Source url', 'Source URL', 'Referring page', 'Referring URL', 'Source'];
+const ANCHOR_COLUMNS = ['Anchor', 'Anchor text', 'Anchor Text'];
+const REFERRING_DOMAIN_COLUMNS = ['Referring domains', 'Ref. domains', 'Domains', 'Linking sites', 'Referring Domains'];
+const BACKLINK_COLUMNS = ['Backlinks', 'External links', 'Incoming links', 'Links'];
+const NOFOLLOW_COLUMNS = ['Nofollow', 'Flag No Follow', 'FlagNoFollow', 'Link type', 'Type'];
+
+// Columns by key, as used by explicit column mappings
+export const BACKLINK_EXPORT_COLUMNS = {
+    targetUrl: TARGET_COLUMNS,
+    sourceUrl: SOURCE_COLUMNS,
+    anchor: ANCHOR_COLUMNS,
+    referringDomains: REFERRING_DOMAIN_COLUMNS,
+    backlinks: BACKLINK_COLUMNS,
+    nofollow: NOFOLLOW_COLUMNS,
+};
+
+// Anchors kept per target URL, by number of links
+const ANCHORS_PER_TARGET = 5;
+
+/**
+ * Check whether a nofollow cell marks the link as nofollow
+ */
+const isNofollow = (value) => ['true', 'yes', '1', '+', 'nofollow'].includes(String(value ?? '').trim().toLowerCase());
+
+/**
+ * Resolve a target URL against the old site's base URL
+ */
+const toAbsoluteUrl = (url, baseUrl) => {
+    try {
+        return new URL(url, baseUrl || undefined).toString();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Get the hostname of a referring page, without www
+ */
+const referringDomain = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Aggregate a link-level export (one row per link) per target URL
+ * @param {Array<Object>} rows - Header-keyed rows
+ * @param {string} baseUrl - Base URL for relative targets
+ * @returns {Array<Object>} Targets with their counts
+ */
+const aggregateLinks = (rows, baseUrl) => {
+    const targets = new Map();
+
+    for (const row of rows) {
+        const url = toAbsoluteUrl(String(getColumn(row, TARGET_COLUMNS) || '').trim(), baseUrl);
+        const source = String(getColumn(row, SOURCE_COLUMNS) || '').trim();
+        if (!url || !source) continue;
+
+        if (!targets.has(url)) {
+            targets.set(url, { url, domains: new Set(), backlinks: 0, followedBacklinks: 0, anchors: new Map() });
+        }
+        const target = targets.get(url);
+
+        const domain = referringDomain(source);
+        if (domain) target.domains.add(domain);
+        target.backlinks++;
+        if (!isNofollow(getColumn(row, NOFOLLOW_COLUMNS))) target.followedBacklinks++;
+
+        const anchor = String(getColumn(row, ANCHOR_COLUMNS) || '').trim();
+        if (anchor) target.anchors.set(anchor, (target.anchors.get(anchor) || 0) + 1);
+    }
+
+    return Array.from(targets.values()).map(target => ({
+        url: target.url,
+        referringDomains: target.domains.size,
+        backlinks: target.backlinks,
+        followedBacklinks: target.followedBacklinks,
+        topAnchors: Array.from(target.anchors, ([anchor, count]) => ({ anchor, count }))
+            .sort((a, b) => b.count - a.count)
+            .slice(0, ANCHORS_PER_TARGET),
+    }));
+};
+
+/**
+ * Read a page-level export (one row per target with counts)
+ * @param {Array<Object>} rows - Header-keyed rows
+ * @param {string} baseUrl - Base URL for relative targets
+ * @returns {Array<Object>} Targets with their counts
+ */
+const readTargets = (rows, baseUrl) => {
+    const targets = new Map();
+
+    for (const row of rows) {
+        const url = toAbsoluteUrl(String(getColumn(row, TARGET_COLUMNS) || '').trim(), baseUrl);
+        if (!url) continue;
+
+        const target = targets.get(url) || { url, referringDomains: 0, backlinks: 0, followedBacklinks: null, topAnchors: [] };
+        target.referringDomains += toNumber(getColumn(row, REFERRING_DOMAIN_COLUMNS));
+        target.backlinks += toNumber(getColumn(row, BACKLINK_COLUMNS));
+        targets.set(url, target);
+    }
+
+    return Array.from(targets.values());
+};
+
+/**
+ * Parse a backlink export
+ * @param {string} filePath - Backlink export (CSV or Excel workbook)
+ * @param {Object} options - Parse options
+ * @param {string} options.baseUrl - Base URL that relative target URLs resolve against
+ * @param {Object} options.columnMapping - Column key → header in the file (see BACKLINK_EXPORT_COLUMNS)
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index; default the first with a target column)
+ * @returns {Promise<Array>} Targets as { url, referringDomains, backlinks, followedBacklinks, topAnchors }
+ */
+export const parseBacklinkExport = async (filePath, options = {}) => {
+    const { baseUrl = null, columnMapping = null, sheet: sheetName = null } = options;
+    const { sheets } = await readSpreadsheet(filePath, {
+        sheet: sheetName,
+        columns: BACKLINK_EXPORT_COLUMNS,
+        columnMapping,
+    });
+
+    const sheet = sheets.find(s => hasColumn(s, TARGET_COLUMNS));
+    if (!sheet) {
+        throw new Error(`Backlink export has no target URL column (expected one of: ${TARGET_COLUMNS.join(', ')})`);
+    }
+
+    const linkLevel = hasColumn(sheet, SOURCE_COLUMNS);
+    if (!linkLevel && !hasColumn(sheet, REFERRING_DOMAIN_COLUMNS) && !hasColumn(sheet, BACKLINK_COLUMNS)) {
+        throw new Error('Backlink export needs a referring page column or a referring domains / backlinks count column');
+    }
+
+    const targets = (linkLevel ? aggregateLinks(sheet.rows, baseUrl) : readTargets(sheet.rows, baseUrl))
+        .sort((a, b) => b.referringDomains - a.referringDomains || b.backlinks - a.backlinks);
+
+    console.log(`Parsed backlinks for ${targets.length} target URLs (${linkLevel ? 'link' : 'page'}-level export)`);
+
+    return targets;
+};
+
+export default {
+    BACKLINK_EXPORT_COLUMNS,
+    parseBacklinkExport,
+};
@@ -0,0 +1,465 @@
+/**
+ * Column Mapping Service
+ * Proposes which header of an uploaded file each parser column is read from, validates
+ * explicit column mappings and previews how an upload will be parsed, with row-level errors,
+ * before any project is created
+ */
+
+import fs from 'fs';
+import { readSpreadsheet, selectSheet, getHeaders, decodeText, isSpreadsheetFile, toNumber } from './spreadsheetReader.js';
+import { URL_LIST_COLUMNS, parseCsvUrls } from './csvUrlParser.js';
+import { SEARCH_CONSOLE_COLUMNS } from './searchConsoleParser.js';
+import { REDIRECT_MAPPING_COLUMNS } from './csvParser.js';
+import { detectRedirectConfigFormat, parseRedirectMappingFile } from './redirectConfigParser.js';
+import { ANALYTICS_EXPORT_COLUMNS } from './analyticsParser.js';
+import { BACKLINK_EXPORT_COLUMNS } from './backlinkParser.js';
+import { isCrawlerExportSheet, parseCrawlerExport } from './crawlerExportParser.js';
+
+/**
+ * Columns of each upload field: candidate headers by key, the keys a row cannot do
+ * without and the keys holding numbers
+ */
+export const UPLOAD_COLUMNS = {
+    oldSitemap: { columns: URL_LIST_COLUMNS, required: ['url'], numeric: [] },
+    newSitemap: { columns: URL_LIST_COLUMNS, required: ['url'], numeric: [] },
+    gscExport: {
+        columns: SEARCH_CONSOLE_COLUMNS,
+        required: ['page'],
+        numeric: ['clicks', 'impressions', 'ctr', 'position'],
+    },
+    redirectMapping: { columns: REDIRECT_MAPPING_COLUMNS, required: ['oldUrl', 'newUrl'], numeric: ['priority'] },
+    analyticsExport: {
+        columns: ANALYTICS_EXPORT_COLUMNS,
+        required: ['landingPage'],
+        numeric: ['sessions', 'users', 'conversions', 'revenue'],
+    },
+    backlinkExport: {
+        columns: BACKLINK_EXPORT_COLUMNS,
+        required: ['targetUrl'],
+        numeric: ['referringDomains', 'backlinks'],
+    },
+};
+
+// Rows returned by a preview, and row errors listed before the rest are only counted
+const PREVIEW_ROWS = 20;
+const MAX_ROW_ERRORS = 100;
+
+/**
+ * Check whether a string is an absolute http(s) URL
+ */
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Check whether a cell holds a number (empty cells count as zero)
+ */
+const isNumeric = (value) => {
+    const text = String(value ?? '').trim();
+    return text === '' || (/\d/.test(text) && Number.isFinite(parseFloat(text.replace(/[^\d.-]/g, ''))));
+};
+
+/**
+ * Parse explicit column mappings from a request body field.
+ * Multipart requests send them as a JSON string, JSON requests as an object.
+ * @param {string|Object} value - Raw field value, as { field: { columnKey: header } }
+ * @returns {Object|undefined} Validated mappings, or undefined if not provided
+ * @throws {Error} If the mappings are not valid JSON or name unknown fields or columns
+ */
+export const parseColumnMappings = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    let mappings = value;
+    if (typeof value === 'string') {
+        try {
+            mappings = JSON.parse(value);
+        } catch {
+            throw new Error('columnMappings must be valid JSON');
+        }
+    }
+
+    if (typeof mappings !== 'object' || Array.isArray(mappings)) {
+        throw new Error('columnMappings must be an object');
+    }
+
+    const result = {};
+    for (const [field, mapping] of Object.entries(mappings)) {
+        const upload = Object.hasOwn(UPLOAD_COLUMNS, field) ? UPLOAD_COLUMNS[field] : null;
+        if (!upload) {
+            throw new Error(`Unknown upload field in columnMappings: ${field} (expected one of: ${Object.keys(UPLOAD_COLUMNS).join(', ')})`);
+        }
+        if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+            throw new Error(`columnMappings.${field} must be an object of column → header`);
+        }
+
+        result[field] = {};
+        for (const [key, header] of Object.entries(mapping)) {
+            if (!Object.hasOwn(upload.columns, key)) {
+                throw new Error(`Unknown column for ${field}: ${key} (expected one of: ${Object.keys(upload.columns).join(', ')})`);
+            }
+            if (typeof header !== 'string' || !header.trim()) {
+                throw new Error(`columnMappings.${field}.${key} must be a header name`);
+            }
+            result[field][key] = header.trim();
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Parse the workbook sheet to read per upload field from a request body field
+ * @param {string|Object} value - Raw field value, as { field: sheetNameOrIndex }
+ * @returns {Object|undefined} Validated selections, or undefined if not provided
+ * @throws {Error} If the selections are not valid JSON or name unknown fields
+ */
+export const parseSheetSelections = (value) => {
+    if (value === undefined || value === null || value === '') return undefined;
+
+    let selections = value;
+    if (typeof value === 'string') {
+        try {
+            selections = JSON.parse(value);
+        } catch {
+            throw new Error('sheetSelections must be valid JSON');
+        }
+    }
+
+    if (typeof selections !== 'object' || Array.isArray(selections)) {
+        throw new Error('sheetSelections must be an object');
+    }
+
+    const result = {};
+    for (const [field, sheet] of Object.entries(selections)) {
+        if (!Object.hasOwn(UPLOAD_COLUMNS, field)) {
+            throw new Error(`Unknown upload field in sheetSelections: ${field} (expected one of: ${Object.keys(UPLOAD_COLUMNS).join(', ')})`);
+        }
+        if (Number.isInteger(sheet) && sheet >= 0) {
+            result[field] = sheet;
+        } else if (typeof sheet === 'string' && sheet.trim()) {
+            result[field] = sheet.trim();
+        } else {
+            throw new Error(`sheetSelections.${field} must be a sheet name or index`);
+        }
+    }
+
+    return result;
+};
+
+/**
+ * Propose a header for every column of an upload field, the way the parsers look them up:
+ * candidate names in order, exact match first, then ignoring case
+ * @param {string} field - Upload field
+ * @param {Array<string>} headers - Headers of the file
+ * @returns {Object} Column key → header, or null when no header matches
+ */
+export const proposeColumnMapping = (field, headers) => {
+    const mapping = {};
+
+    for (const [key, names] of Object.entries(UPLOAD_COLUMNS[field].columns)) {
+        const exact = names.find(name => headers.includes(name));
+        const wanted = names.map(name => name.toLowerCase());
+        mapping[key] = exact || headers.find(header => wanted.includes(header.trim().toLowerCase())) || null;
+    }
+
+    return mapping;
+};
+
+/**
+ * List the headers of an explicit mapping that the file does not have
+ * @param {Object} mapping - Column key → header
+ * @param {Array<string>} headers - Headers of the file
+ * @returns {Array<Object>} Unknown headers as { column, header }
+ */
+const findUnknownHeaders = (mapping = {}, headers) => Object.entries(mapping)
+    .filter(([, header]) => !headers.includes(header))
+    .map(([column, header]) => ({ column, header }));
+
+/**
+ * Work out how an upload is read: sitemap fields as a table only when they are CSV or Excel,
+ * redirect mappings unless they are a server config
+ * @param {string} field - Upload field
+ * @param {Object} file - Uploaded file ({ path, filename })
+ * @returns {Promise<string>} 'table', 'redirectConfig' or 'sitemap'
+ */
+const detectUploadKind = async (field, file) => {
+    const name = (file.filename || file.originalname || '').toLowerCase();
+
+    if (field === 'oldSitemap' || field === 'newSitemap') {
+        return isSpreadsheetFile(name) ? 'table' : 'sitemap';
+    }
+    if (field === 'redirectMapping') {
+        const { text } = decodeText(await fs.promises.readFile(file.path));
+        const format = detectRedirectConfigFormat(file.filename || file.path, text);
+        return format === 'csv' || format === 'xlsx' ? 'table' : 'redirectConfig';
+    }
+    return 'table';
+};
+
+/**
+ * Check explicit column mappings against the uploaded files
+ * @param {Object} mappings - Parsed column mappings by field
+ * @param {Object} files - Uploaded files by field (multer's req.files)
+ * @param {Object} sheetSelections - Parsed sheet selections by field
+ * @returns {Promise<Array<string>>} Problems, empty when every mapped header exists
+ */
+export const validateColumnMappings = async (mappings = {}, files = {}, sheetSelections = {}) => {
+    const problems = [];
+
+    for (const [field, sheet] of Object.entries(sheetSelections)) {
+        const file = files?.[field]?.[0];
+        if (!file) {
+            problems.push(`sheetSelections.${field} is set but no ${field} file was uploaded`);
+            continue;
+        }
+        if (await detectUploadKind(field, file) !== 'table') continue;
+
+        try {
+            await readSpreadsheet(file.path, { sheet });
+        } catch (error) {
+            problems.push(`${field}: ${error.message}`);
+        }
+    }
+
+    for (const [field, mapping] of Object.entries(mappings)) {
+        const file = files?.[field]?.[0];
+        if (!file) {
+            problems.push(`columnMappings.${field} is set but no ${field} file was uploaded`);
+            continue;
+        }
+        if (await detectUploadKind(field, file) !== 'table') continue;
+
+        let sheets;
+        try {
+            ({ sheets } = await readSpreadsheet(file.path, { sheet: sheetSelections[field] }));
+        } catch {
+            continue; // Reported with the sheet selections
+        }
+        const headers = [...new Set(sheets.flatMap(getHeaders))];
+        for (const { column, header } of findUnknownHeaders(mapping, headers)) {
+            problems.push(`${field} has no "${header}" column (mapped to ${column})`);
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Read one row with a mapping into typed values by column key
+ * @param {Object} row - Header-keyed row
+ * @param {Object} upload - Columns of the upload field
+ * @param {Object} mapping - Column key → header
+ * @returns {Object} Column key → value
+ */
+const readMappedRow = (row, upload, mapping) => {
+    const values = {};
+    for (const [key, header] of Object.entries(mapping)) {
+        if (!header) continue;
+        const value = String(row[header] ?? '').trim();
+        values[key] = upload.numeric.includes(key) && value !== '' ? toNumber(value) : value;
+    }
+    return values;
+};
+
+/**
+ * Validate one row with a mapping
+ * @param {Object} row - Header-keyed row
+ * @param {Object} upload - Columns of the upload field
+ * @param {Object} mapping - Column key → header
+ * @param {string} field - Upload field
+ * @returns {Array<Object>} Errors as { column, header, message }
+ */
+const validateRow = (row, upload, mapping, field) => {
+    const errors = [];
+
+    for (const key of upload.required) {
+        const header = mapping[key];
+        if (header && !String(row[header] ?? '').trim()) {
+            errors.push({ column: key, header, message: `Empty ${header}; the row is skipped` });
+        }
+    }
+
+    for (const key of upload.numeric) {
+        const header = mapping[key];
+        if (header && !isNumeric(row[header])) {
+            errors.push({ column: key, header, message: `${header} is not a number: "${row[header]}"; read as 0` });
+        }
+    }
+
+    const urlHeader = (field === 'oldSitemap' || field === 'newSitemap') && mapping.url;
+    if (urlHeader && String(row[urlHeader] ?? '').trim() && !isHttpUrl(String(row[urlHeader]).trim())) {
+        errors.push({ column: 'url', header: urlHeader, message: `Not an absolute http(s) URL: "${row[urlHeader]}"; the row is skipped` });
+    }
+
+    return errors;
+};
+
+/**
+ * Preview a URL list without a header row, which is read by its first URL cell per row
+ */
+const previewHeaderlessList = async (field, filePath, format, sheet) => {
+    const urls = await parseCsvUrls(filePath, { sheet: sheet.name });
+
+    return {
+        field,
+        format,
+        dialect: sheet.dialect || null,
+        kind: 'urlList',
+        headerless: true,
+        columns: [],
+        proposedMapping: { url: null },
+        mapping: { url: null },
+        missingColumns: [],
+        unknownHeaders: [],
+        rowCount: urls.length,
+        rows: urls.slice(0, PREVIEW_ROWS).map((entry, index) => ({ row: index + 1, values: { url: entry.url } })),
+        errors: [],
+        errorCount: 0,
+    };
+};
+
+/**
+ * Preview a crawler export uploaded as a sitemap
+ */
+const previewCrawlerExport = async (field, filePath, format, sheet) => {
+    const { pages, summary } = await parseCrawlerExport(filePath, { sheet: sheet.name });
+
+    return {
+        field,
+        format,
+        dialect: sheet.dialect || null,
+        kind: 'crawler',
+        columns: getHeaders(sheet),
+        proposedMapping: {},
+        mapping: {},
+        missingColumns: [],
+        unknownHeaders: [],
+        rowCount: sheet.rows.length,
+        summary,
+        rows: pages.slice(0, PREVIEW_ROWS).map((page, index) => ({ row: index + 2, values: page })),
+        errors: [],
+        errorCount: 0,
+    };
+};
+
+/**
+ * Preview a redirect config (nginx, Apache, Netlify): rows as parsed and the lines not imported
+ */
+const previewRedirectConfig = async (filePath) => {
+    const { format, rows, unparsed } = await parseRedirectMappingFile(filePath);
+
+    return {
+        field: 'redirectMapping',
+        format,
+        kind: 'redirectConfig',
+        columns: [],
+        proposedMapping: {},
+        mapping: {},
+        missingColumns: [],
+        unknownHeaders: [],
+        rowCount: rows.length,
+        rows: rows.slice(0, PREVIEW_ROWS).map(row => ({ row: row.line, values: row })),
+        errors: unparsed.slice(0, MAX_ROW_ERRORS).map(line => ({ row: line.line, message: `${line.reason}: ${line.text}` })),
+        errorCount: unparsed.length,
+    };
+};
+
+/**
+ * Preview how an uploaded file will be parsed, without creating a project
+ * @param {string} field - Upload field (oldSitemap, newSitemap, gscExport, redirectMapping, analyticsExport, backlinkExport)
+ * @param {Object} file - Uploaded file ({ path, filename })
+ * @param {Object} options - Preview options
+ * @param {Object} options.columnMapping - Explicit column key → header, overriding the proposal
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index) instead of the detected one
+ * @returns {Promise<Object>} { field, format, dialect, kind, sheet, sheets, columns, proposedMapping, mapping,
+ *   missingColumns, unknownHeaders, rowCount, rows, errors, errorCount }
+ */
+export const previewUpload = async (field, file, options = {}) => {
+    const upload = Object.hasOwn(UPLOAD_COLUMNS, field) ? UPLOAD_COLUMNS[field] : null;
+    if (!upload) {
+        throw new Error(`Unknown upload field: ${field}`);
+    }
+
+    const kind = await detectUploadKind(field, file);
+    if (kind === 'redirectConfig') {
+        return previewRedirectConfig(file.path);
+    }
+    if (kind === 'sitemap') {
+        throw new Error(`Only CSV and Excel ${field} uploads can be previewed; sitemaps and archives are read as XML`);
+    }
+
+    const { format, sheets } = await readSpreadsheet(file.path);
+    const isSitemapField = field === 'oldSitemap' || field === 'newSitemap';
+    const hasSelection = options.sheet !== undefined && options.sheet !== null && options.sheet !== '';
+
+    // URL lists are read from the first sheet, other uploads from the first one with every required column
+    const candidates = hasSelection
+        ? [selectSheet(sheets, options.sheet)]
+        : (isSitemapField ? sheets.slice(0, 1) : sheets);
+
+    if (isSitemapField && candidates[0] && isCrawlerExportSheet(candidates[0])) {
+        return previewCrawlerExport(field, file.path, format, candidates[0]);
+    }
+
+    const withMappings = candidates.map(sheet => {
+        const headers = getHeaders(sheet);
+        const proposedMapping = proposeColumnMapping(field, headers);
+        return { sheet, headers, proposedMapping, mapping: { ...proposedMapping, ...options.columnMapping } };
+    });
+    const selected = withMappings.find(s => upload.required.every(key => s.mapping[key] && s.headers.includes(s.mapping[key])))
+        || withMappings[0];
+
+    if (!selected) {
+        throw new Error(`${field} has no rows`);
+    }
+
+    const { sheet, headers, proposedMapping, mapping } = selected;
+
+    // A URL list whose first row is already a URL has no header row
+    if (isSitemapField && !mapping.url && headers.some(isHttpUrl)) {
+        return previewHeaderlessList(field, file.path, format, sheet);
+    }
+
+    const errors = [];
+    let errorCount = 0;
+    sheet.rows.forEach((row, index) => {
+        for (const error of validateRow(row, upload, mapping, field)) {
+            errorCount++;
+            if (errors.length < MAX_ROW_ERRORS) errors.push({ row: index + 2, ...error });
+        }
+    });
+
+    return {
+        field,
+        format,
+        dialect: sheet.dialect || null,
+        kind: 'table',
+        sheet: sheet.name,
+        sheets: sheets.map(s => ({ name: s.name, columns: getHeaders(s), rowCount: s.rows.length })),
+        columns: headers,
+        proposedMapping,
+        mapping,
+        missingColumns: upload.required.filter(key => !mapping[key]),
+        unknownHeaders: findUnknownHeaders(options.columnMapping, headers),
+        rowCount: sheet.rows.length,
+        rows: sheet.rows.slice(0, PREVIEW_ROWS).map((row, index) => ({
+            row: index + 2, // After the header row
+            values: readMappedRow(row, upload, mapping),
+        })),
+        errors,
+        errorCount,
+    };
+};
+
+export default {
+    UPLOAD_COLUMNS,
+    parseColumnMappings,
+    parseSheetSelections,
+    proposeColumnMapping,
+    validateColumnMappings,
+    previewUpload,
+};
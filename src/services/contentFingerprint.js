@@ -0,0 +1,136 @@
+/**
+ * Content Fingerprint Service
+ * Builds compact MinHash fingerprints of a page's main text so pages can be
+ * compared by content regardless of their URL
+ */
+
+const SIGNATURE_SIZE = 64;
+const SHINGLE_SIZE = 3;
+
+// Elements that never hold the page's main content
+const BOILERPLATE_SELECTORS = 'script, style, noscript, template, svg, nav, header, footer, aside, form, iframe';
+
+// Block elements whose text must not run into the next element's text
+const BLOCK_SELECTORS = 'p, div, section, h1, h2, h3, h4, h5, h6, li, td, th, br, blockquote, pre';
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} str - Input string
+ * @returns {number} Unsigned 32-bit hash
+ */
+const fnv1a = (str) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * MurmurHash3 finalizer, used to derive independent hash functions from one hash
+ * @param {number} h - 32-bit input
+ * @returns {number} Mixed unsigned 32-bit value
+ */
+const fmix32 = (h) => {
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+};
+
+// One seed per MinHash permutation, fixed so fingerprints are comparable across runs
+const SEEDS = Array.from({ length: SIGNATURE_SIZE }, (_, i) => fmix32(i + 1));
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Input text
+ * @returns {Array<string>} Tokens
+ */
+export const tokenize = (text) => {
+    if (!text) return [];
+    return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+};
+
+/**
+ * Extract the main text of a page from a Cheerio instance.
+ * Prefers <main>/<article> and strips navigation, headers, footers and scripts.
+ * @param {object} $ - Cheerio instance
+ * @returns {string} Main text content
+ */
+export const extractMainText = ($) => {
+    const main = $('main, article, [role="main"]').first();
+    const root = (main.length > 0 ? main : $('body')).clone();
+
+    root.find(BOILERPLATE_SELECTORS).remove();
+    root.find(BLOCK_SELECTORS).append(' ');
+
+    return root.text().replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Create a MinHash fingerprint of a text
+ * @param {string} text - Main text of a page
+ * @returns {Object} Fingerprint with word count and signature
+ */
+export const createFingerprint = (text) => {
+    const tokens = tokenize(text);
+
+    if (tokens.length === 0) {
+        return { wordCount: 0, signature: [] };
+    }
+
+    // Word shingles; short texts fall back to a single shingle of all words
+    const shingleHashes = new Set();
+    if (tokens.length < SHINGLE_SIZE) {
+        shingleHashes.add(fnv1a(tokens.join(' ')));
+    } else {
+        for (let i = 0; i <= tokens.length - SHINGLE_SIZE; i++) {
+            shingleHashes.add(fnv1a(tokens.slice(i, i + SHINGLE_SIZE).join(' ')));
+        }
+    }
+
+    const signature = new Array(SIGNATURE_SIZE).fill(0xffffffff);
+    for (const shingleHash of shingleHashes) {
+        for (let i = 0; i < SIGNATURE_SIZE; i++) {
+            const value = fmix32(shingleHash ^ SEEDS[i]);
+            if (value < signature[i]) {
+                signature[i] = value;
+            }
+        }
+    }
+
+    return {
+        wordCount: tokens.length,
+        signature,
+    };
+};
+
+/**
+ * Estimate the similarity of two fingerprints (Jaccard similarity of their shingles)
+ * @param {Object} fingerprintA - First fingerprint
+ * @param {Object} fingerprintB - Second fingerprint
+ * @returns {number} Similarity score (0-1)
+ */
+export const compareFingerprints = (fingerprintA, fingerprintB) => {
+    const a = fingerprintA?.signature || [];
+    const b = fingerprintB?.signature || [];
+
+    if (a.length === 0 || b.length === 0 || a.length !== b.length) return 0;
+
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) equal++;
+    }
+
+    return equal / a.length;
+};
+
+export default {
+    tokenize,
+    extractMainText,
+    createFingerprint,
+    compareFingerprints,
+};
@@ -0,0 +1,226 @@
+/**
+ * Content Matching Service
+ * Second matching pass for missing URLs: finds the new page with the same
+ * title, H1 and main text, regardless of how its URL changed
+ */
+
+import { crawlUrl } from './crawlerService.js';
+import { tokenize, compareFingerprints } from './contentFingerprint.js';
+
+/**
+ * Weight of each signal in the overall confidence score
+ */
+const SIGNAL_WEIGHTS = {
+    title: 0.3,
+    h1: 0.2,
+    content: 0.5,
+};
+
+/**
+ * Minimum similarity for a signal to count as matched
+ */
+const SIGNAL_THRESHOLDS = {
+    title: 0.8,
+    h1: 0.8,
+    content: 0.6,
+};
+
+/**
+ * Token-set Jaccard similarity of two short texts
+ * @param {string} textA - First text
+ * @param {string} textB - Second text
+ * @returns {number} Similarity score (0-1)
+ */
+const textSimilarity = (textA, textB) => {
+    const tokensA = new Set(tokenize(textA));
+    const tokensB = new Set(tokenize(textB));
+
+    if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+    let intersection = 0;
+    for (const token of tokensA) {
+        if (tokensB.has(token)) intersection++;
+    }
+
+    return intersection / (tokensA.size + tokensB.size - intersection);
+};
+
+/**
+ * Crawl a page and reduce it to the signals used for matching
+ * @param {string} url - URL to crawl
+ * @returns {Promise<Object>} Content profile
+ */
+const buildContentProfile = async (url) => {
+    const crawl = await crawlUrl(url);
+
+    return {
+        url,
+        httpStatus: crawl.httpStatus,
+        title: crawl.seoData?.title?.trim() || '',
+        h1: crawl.seoData?.headingsStructure?.h1Text?.[0] || '',
+        fingerprint: crawl.content || null,
+    };
+};
+
+/**
+ * Score how well a new page's content matches an old page's content
+ * @param {Object} oldProfile - Old page content profile
+ * @param {Object} newProfile - New page content profile
+ * @returns {Object} Confidence score and matched signals
+ */
+export const scoreContentMatch = (oldProfile, newProfile) => {
+    const similarities = {
+        title: textSimilarity(oldProfile.title, newProfile.title),
+        h1: textSimilarity(oldProfile.h1, newProfile.h1),
+        content: compareFingerprints(oldProfile.fingerprint, newProfile.fingerprint),
+    };
+
+    let confidence = 0;
+    const signals = [];
+
+    for (const [signal, similarity] of Object.entries(similarities)) {
+        confidence += similarity * SIGNAL_WEIGHTS[signal];
+
+        if (similarity >= SIGNAL_THRESHOLDS[signal]) {
+            signals.push({
+                signal,
+                similarity: Math.round(similarity * 100) / 100,
+            });
+        }
+    }
+
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        signals,
+    };
+};
+
+/**
+ * Find new pages whose content matches missing old URLs
+ * @param {Array<string>} missingUrls - Old URLs with no URL-based match
+ * @param {Array<string>} candidateUrls - New URLs not matched to any old URL
+ * @param {Object} options - Matching options
+ * @returns {Promise<Object>} Content matches and errors
+ */
+export const matchMissingByContent = async (missingUrls, candidateUrls, options = {}) => {
+    const {
+        maxMissing = 50,
+        maxCandidates = 200,
+        minConfidence = 0.6,
+        delay = 200,
+        onProgress = null,
+    } = options;
+
+    const oldToCheck = missingUrls.slice(0, maxMissing);
+    const candidatesToCheck = candidateUrls.slice(0, maxCandidates);
+    const total = oldToCheck.length + candidatesToCheck.length;
+
+    const matches = [];
+    const errors = [];
+    const candidateProfiles = [];
+    let completed = 0;
+
+    const reportProgress = (url) => {
+        completed++;
+        if (onProgress) {
+            onProgress({
+                completed,
+                total,
+                percentage: (completed / total * 100).toFixed(2),
+                currentUrl: url,
+            });
+        }
+    };
+
+    if (oldToCheck.length === 0 || candidatesToCheck.length === 0) {
+        return { matches, errors, checked: { oldUrls: 0, candidates: 0 } };
+    }
+
+    console.log(`Content matching ${oldToCheck.length} missing URLs against ${candidatesToCheck.length} candidates...`);
+
+    // Profile candidate new pages
+    for (const url of candidatesToCheck) {
+        try {
+            const profile = await buildContentProfile(url);
+            if (profile.httpStatus < 400) {
+                candidateProfiles.push(profile);
+            }
+        } catch (error) {
+            errors.push({ url, site: 'new', error: error.message });
+        }
+
+        reportProgress(url);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    // Profile each missing old page and find its best candidate
+    for (const url of oldToCheck) {
+        try {
+            const oldProfile = await buildContentProfile(url);
+
+            let best = null;
+            for (const candidate of candidateProfiles) {
+                const score = scoreContentMatch(oldProfile, candidate);
+                if (!best || score.confidence > best.confidence) {
+                    best = { newUrl: candidate.url, ...score };
+                }
+            }
+
+            if (best && best.confidence >= minConfidence && best.signals.length > 0) {
+                matches.push({
+                    oldUrl: url,
+                    newUrl: best.newUrl,
+                    confidence: best.confidence,
+                    signals: best.signals,
+                });
+            }
+        } catch (error) {
+            errors.push({ url, site: 'old', error: error.message });
+        }
+
+        reportProgress(url);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    console.log(`Content matching complete: ${matches.length} matches found`);
+
+    return {
+        matches,
+        errors,
+        checked: {
+            oldUrls: oldToCheck.length,
+            candidates: candidateProfiles.length,
+        },
+    };
+};
+
+/**
+ * Attach content matches to the missing entries of a URL comparison
+ * @param {Object} comparison - Results from compareUrls
+ * @param {Object} contentResults - Results from matchMissingByContent
+ * @returns {Object} The updated comparison
+ */
+export const applyContentMatches = (comparison, contentResults) => {
+    const matchesByOldUrl = new Map(contentResults.matches.map(m => [m.oldUrl, m]));
+
+    for (const entry of comparison.missing) {
+        const match = matchesByOldUrl.get(entry.oldUrl);
+        if (match) {
+            entry.contentMatch = {
+                newUrl: match.newUrl,
+                confidence: match.confidence,
+                signals: match.signals,
+            };
+        }
+    }
+
+    comparison.summary.contentMatchedCount = matchesByOldUrl.size;
+
+    return comparison;
+};
+
+export default {
+    scoreContentMatch,
+    matchMissingByContent,
+    applyContentMatches,
+};
@@ -0,0 +1,205 @@
+/**
+ * Crawler Export Parser
+ * Reads desktop crawler exports (Screaming Frog "Internal - All", Sitebulb and similar)
+ * as a URL inventory with the status, indexability, title, H1, canonical and inlinks of
+ * every page, so a site that may already be gone does not need to be crawled again
+ */
+
+import { readSpreadsheet, getColumn, hasColumn, toNumber } from './spreadsheetReader.js';
+
+const URL_COLUMNS = ['Address', 'URL', 'Url'];
+const STATUS_CODE_COLUMNS = ['Status Code', 'HTTP Status Code', 'Status code'];
+const STATUS_COLUMNS = ['Status', 'Status Text'];
+const CONTENT_TYPE_COLUMNS = ['Content Type', 'Content type'];
+const INDEXABILITY_COLUMNS = ['Indexability', 'Indexable'];
+const INDEXABILITY_STATUS_COLUMNS = ['Indexability Status', 'Indexable Status'];
+const TITLE_COLUMNS = ['Title 1', 'Title', 'Page Title'];
+const DESCRIPTION_COLUMNS = ['Meta Description 1', 'Meta Description', 'Description'];
+const H1_COLUMNS = [['H1-1', 'H1', 'H1 1'], ['H1-2', 'H1 2']];
+const CANONICAL_COLUMNS = ['Canonical Link Element 1', 'Canonical URL', 'Canonical'];
+const INLINK_COLUMNS = ['Inlinks', 'Internal Inlinks', 'No. Referring URLs'];
+const UNIQUE_INLINK_COLUMNS = ['Unique Inlinks'];
+const REDIRECT_COLUMNS = ['Redirect URL', 'Redirects To', 'Redirect To'];
+const RESPONSE_TIME_COLUMNS = ['Response Time'];
+const CRAWL_DATE_COLUMNS = ['Crawl Timestamp', 'Crawl Date'];
+
+/**
+ * Check whether a sheet looks like a crawler export rather than a bare list of URLs
+ * @param {Object} sheet - { name, rows }
+ * @returns {boolean}
+ */
+export const isCrawlerExportSheet = (sheet) =>
+    hasColumn(sheet, URL_COLUMNS) &&
+    hasColumn(sheet, STATUS_CODE_COLUMNS) &&
+    (hasColumn(sheet, TITLE_COLUMNS) || hasColumn(sheet, INDEXABILITY_COLUMNS));
+
+/**
+ * Read an optional text cell
+ */
+const text = (row, names) => {
+    const value = String(getColumn(row, names) ?? '').trim();
+    return value || null;
+};
+
+/**
+ * Read the indexability of a row ("Indexable" / "Non-Indexable" or yes / no)
+ * @returns {boolean|null} Indexability, or null if the export does not say
+ */
+const readIndexable = (row) => {
+    const value = text(row, INDEXABILITY_COLUMNS)?.toLowerCase();
+    if (!value) return null;
+    return ['indexable', 'yes', 'true', '1'].includes(value);
+};
+
+/**
+ * Convert one export row into a crawled page
+ * @param {Object} row - Header-keyed row
+ * @returns {Object|null} Page, or null without a URL
+ */
+const toPage = (row) => {
+    const url = text(row, URL_COLUMNS);
+    if (!url) return null;
+
+    const statusCode = Math.round(toNumber(getColumn(row, STATUS_CODE_COLUMNS)));
+    const responseTime = text(row, RESPONSE_TIME_COLUMNS);
+
+    return {
+        url,
+        statusCode,
+        status: text(row, STATUS_COLUMNS),
+        contentType: text(row, CONTENT_TYPE_COLUMNS),
+        indexable: readIndexable(row),
+        indexabilityStatus: text(row, INDEXABILITY_STATUS_COLUMNS),
+        title: text(row, TITLE_COLUMNS),
+        description: text(row, DESCRIPTION_COLUMNS),
+        h1: H1_COLUMNS.map(names => text(row, names)).filter(Boolean),
+        canonical: text(row, CANONICAL_COLUMNS),
+        inlinks: toNumber(getColumn(row, INLINK_COLUMNS)),
+        uniqueInlinks: toNumber(getColumn(row, UNIQUE_INLINK_COLUMNS)),
+        redirectUrl: text(row, REDIRECT_COLUMNS),
+        // Crawlers report response times in seconds
+        responseTime: responseTime ? Math.round(toNumber(responseTime) * 1000) : 0,
+        crawledAt: text(row, CRAWL_DATE_COLUMNS),
+    };
+};
+
+/**
+ * Check whether a crawled page is an HTML page (resources such as images, CSS and JS are not)
+ */
+const isHtmlPage = (page) => !page.contentType || page.contentType.toLowerCase().includes('html');
+
+/**
+ * Check whether a sheet read from a file is a crawler export
+ * @param {string} filePath - CSV file or Excel workbook
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Workbook sheet to check (name or index; default every sheet)
+ * @returns {Promise<boolean>}
+ */
+export const isCrawlerExport = async (filePath, options = {}) => {
+    const { sheets } = await readSpreadsheet(filePath, { sheet: options.sheet });
+    return sheets.some(isCrawlerExportSheet);
+};
+
+/**
+ * Parse a crawler export into a URL inventory.
+ * Every HTML page is kept with its crawl data; only pages that returned 2xx (or no status)
+ * make up the URL inventory, since redirects and errors are not pages to migrate.
+ * @param {string} filePath - Crawler export (CSV or Excel workbook)
+ * @param {Object} options - Parse options
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index; default the first crawler export sheet)
+ * @returns {Promise<Object>} { urls, pages, summary }
+ */
+export const parseCrawlerExport = async (filePath, options = {}) => {
+    const { sheets } = await readSpreadsheet(filePath, { sheet: options.sheet });
+
+    const sheet = sheets.find(isCrawlerExportSheet);
+    if (!sheet) {
+        throw new Error('File is not a crawler export (expected Address/URL, Status Code and Title or Indexability columns)');
+    }
+
+    const pages = [];
+    const seen = new Set();
+    let resources = 0;
+
+    for (const row of sheet.rows) {
+        const page = toPage(row);
+        if (!page || seen.has(page.url)) continue;
+        seen.add(page.url);
+
+        if (!isHtmlPage(page)) {
+            resources++;
+            continue;
+        }
+        pages.push(page);
+    }
+
+    const urls = pages
+        .filter(page => !page.statusCode || (page.statusCode >= 200 && page.statusCode < 300))
+        .map(page => page.url);
+
+    const summary = {
+        format: 'crawler',
+        rows: sheet.rows.length,
+        htmlPages: pages.length,
+        resourcesSkipped: resources,
+        urlCount: urls.length,
+        redirects: pages.filter(page => page.statusCode >= 300 && page.statusCode < 400).length,
+        errors: pages.filter(page => page.statusCode >= 400).length,
+        indexable: pages.filter(page => page.indexable === true).length,
+        nonIndexable: pages.filter(page => page.indexable === false).length,
+    };
+
+    console.log(`Parsed crawler export: ${urls.length} URLs from ${pages.length} HTML pages (${resources} resources skipped)`);
+
+    return { urls, pages, summary };
+};
+
+/**
+ * Convert a crawled page into the shape of a status check result
+ * @param {Object} page - Page from parseCrawlerExport
+ * @returns {Object} Status check result
+ */
+export const toStatusResult = (page) => ({
+    url: page.url,
+    statusCode: page.statusCode,
+    statusText: page.status || '',
+    responseTime: page.responseTime,
+    finalUrl: page.redirectUrl || page.url,
+    isRedirect: page.statusCode >= 300 && page.statusCode < 400,
+    // The export only records the first hop; its Redirect URL may redirect again
+    redirectChain: page.redirectUrl
+        ? [{ url: page.url, statusCode: page.statusCode, location: page.redirectUrl, type: 'http', index: 1 }]
+        : [],
+    contentType: page.contentType,
+    contentLength: null,
+    server: null,
+    timestamp: page.crawledAt,
+    error: null,
+    source: 'crawler',
+});
+
+/**
+ * Convert a crawled page into the shape of a crawlUrl result, for SEO comparisons
+ * @param {Object} page - Page from parseCrawlerExport
+ * @returns {Object} Crawl result with httpStatus and seoData
+ */
+export const toCrawlResult = (page) => ({
+    url: page.url,
+    httpStatus: page.statusCode,
+    seoData: {
+        title: page.title || '',
+        description: page.description || '',
+        canonicalUrl: page.canonical || '',
+        headingsStructure: { h1Text: page.h1 },
+        ogTags: {},
+    },
+    source: 'crawler',
+});
+
+export default {
+    isCrawlerExport,
+    isCrawlerExportSheet,
+    parseCrawlerExport,
+    toStatusResult,
+    toCrawlResult,
+};
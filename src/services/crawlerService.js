@@ -1,6 +1,8 @@
 import axios from 'axios';
 import * as cheerio from 'cheerio';
 import puppeteer from 'puppeteer';
+import { extractMainText, createFingerprint } from './contentFingerprint.js';
+import { scheduleRequest } from './hostScheduler.js';
 
 /**
  * Crawl a URL and extract metadata and structure
@@ -38,16 +40,17 @@ const crawlWithCheerio = async (url) => {
     const startTime = Date.now();
 
     try {
-        const response = await axios.get(url, {
+        // 429s and 5xx are retried by the host scheduler; other 4xx pages are crawled as they are
+        const response = await scheduleRequest(url, () => axios.get(url, {
             timeout: 30000,
             maxRedirects: 5,
-            validateStatus: (status) => status < 500, // Accept 4xx errors
+            validateStatus: (status) => status < 500 && status !== 429,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
                 'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
                 'Accept-Language': 'en-US,en;q=0.9',
             },
-        });
+        }));
 
         const responseTime = Date.now() - startTime;
         const $ = cheerio.load(response.data);
@@ -64,6 +67,9 @@ const crawlWithCheerio = async (url) => {
         // Check for structured data
         const hasStructuredData = $('script[type="application/ld+json"]').length > 0;
 
+        // Fingerprint the main text for content matching
+        const content = createFingerprint(extractMainText($));
+
         return {
             httpStatus: response.status,
             responseTime,
@@ -74,6 +80,7 @@ const crawlWithCheerio = async (url) => {
                 structuredData: hasStructuredData,
             },
             links,
+            content,
             contentLength: response.data.length,
         };
     } catch (error) {
@@ -109,11 +116,14 @@ const crawlWithPuppeteer = async (url) => {
             }
         });
 
-        // Navigate to URL
-        await page.goto(url, {
-            waitUntil: 'networkidle2',
-            timeout: 30000,
-        });
+        // Navigate to URL; page loads are heavy, so a failed one is retried only once
+        await scheduleRequest(url, async () => {
+            const response = await page.goto(url, {
+                waitUntil: 'networkidle2',
+                timeout: 30000,
+            });
+            return { statusCode: response?.status() ?? 0, headers: response?.headers() || {} };
+        }, { retryAttempts: 2 });
 
         const responseTime = Date.now() - startTime;
 
@@ -142,6 +152,15 @@ const crawlWithPuppeteer = async (url) => {
             // Structured data
             const structuredData = document.querySelector('script[type="application/ld+json"]') !== null;
 
+            // Main text, without navigation and other boilerplate
+            const mainElement = document.querySelector('main, article, [role="main"]') || document.body;
+            const mainClone = mainElement ? mainElement.cloneNode(true) : null;
+            if (mainClone) {
+                mainClone.querySelectorAll('script, style, noscript, template, svg, nav, header, footer, aside, form, iframe')
+                    .forEach((el) => el.remove());
+            }
+            const mainText = mainClone ? mainClone.textContent.replace(/\s+/g, ' ').trim() : '';
+
             return {
                 title,
                 description,
@@ -150,6 +169,7 @@ const crawlWithPuppeteer = async (url) => {
                 headingsStructure: { h1Count, h2Count, h3Count, h1Text: Array.from(document.querySelectorAll('h1')).map(h => h.textContent.trim()) },
                 allLinks,
                 structuredData,
+                mainText,
             };
         });
 
@@ -176,6 +196,7 @@ const crawlWithPuppeteer = async (url) => {
                 internalLinkUrls,
                 brokenLinks: [], // Would need additional checks
             },
+            content: createFingerprint(pageData.mainText),
         };
     } catch (error) {
         throw new Error(`Puppeteer crawl failed: ${error.message}`);
@@ -1,73 +1,96 @@
-import fs from 'fs';
-import csv from 'csv-parser';
+import { RULE_TYPES, buildRedirectMapping } from './redirectMappingService.js';
+import { parseSearchConsoleExport } from './searchConsoleParser.js';
+import { readSpreadsheet, getColumn, hasColumn } from './spreadsheetReader.js';
 
 /**
- * Parse Google Search Console export CSV
- * @param {string} filePath - Path to GSC CSV file
- * @returns {Promise<Array>} - Array of URL data with metrics
+ * Parse Google Search Console export (flat CSV, zip bundle or Excel workbook)
+ * @param {string} filePath - Path to GSC export
+ * @returns {Promise<Array>} - Array of URL data with metrics (and top queries when the export has them)
  */
-export const parseGSCExport = (filePath) => {
-    return new Promise((resolve, reject) => {
-        const results = [];
-        const urlSet = new Set();
+export const parseGSCExport = async (filePath) => {
+    const { pages } = await parseSearchConsoleExport(filePath);
+    return pages;
+};
+
+// Redirect mapping columns by key, as used by explicit column mappings
+export const REDIRECT_MAPPING_COLUMNS = {
+    oldUrl: ['OldURL', 'Old URL', 'oldUrl', 'old_url', 'from'],
+    newUrl: ['NewURL', 'New URL', 'newUrl', 'new_url', 'to'],
+    type: ['Type', 'RuleType', 'Rule Type', 'match_type'],
+    priority: ['Priority'],
+};
+
+/**
+ * Parse redirect mapping CSV into rows, keeping duplicates and line numbers.
+ * Optional columns: Type (exact, wildcard or regex; default exact) and
+ * Priority (wildcard and regex rows with a lower number are tried first).
+ * Rows with any other Type are not imported but reported as unparsed.
+ * @param {string} filePath - Path to redirect mapping CSV or Excel workbook
+ * @param {Object} options - Parse options
+ * @param {Object} options.columnMapping - Column key → header in the file (see REDIRECT_MAPPING_COLUMNS)
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index; default the first with both URL columns)
+ * @returns {Promise<Object>} - { rows, unparsed } with rows as { line, oldUrl, newUrl, type, priority }
+ *   and unparsed rows as { line, text, reason }
+ */
+export const parseRedirectMappingRows = async (filePath, options = {}) => {
+    try {
+        const { sheets } = await readSpreadsheet(filePath, {
+            sheet: options.sheet,
+            columns: REDIRECT_MAPPING_COLUMNS,
+            columnMapping: options.columnMapping,
+        });
+        const sheet = sheets.find(s => hasColumn(s, REDIRECT_MAPPING_COLUMNS.oldUrl) && hasColumn(s, REDIRECT_MAPPING_COLUMNS.newUrl))
+            || sheets[0];
+        const rows = [];
+        const unparsed = [];
 
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // GSC export typically has columns like: URL, Clicks, Impressions, CTR, Position
-                const url = row.URL || row.url || row.Page || row.page;
+        sheet.rows.forEach((row, index) => {
+            const line = index + 2; // After the header row
+            const oldUrl = String(getColumn(row, REDIRECT_MAPPING_COLUMNS.oldUrl) || '').trim();
+            const newUrl = String(getColumn(row, REDIRECT_MAPPING_COLUMNS.newUrl) || '').trim();
+            const type = String(getColumn(row, REDIRECT_MAPPING_COLUMNS.type) || 'exact').trim().toLowerCase();
+            const priority = parseInt(getColumn(row, REDIRECT_MAPPING_COLUMNS.priority), 10);
 
-                if (url && !urlSet.has(url)) {
-                    urlSet.add(url);
-                    results.push({
-                        url,
-                        clicks: parseInt(row.Clicks || row.clicks || 0),
-                        impressions: parseInt(row.Impressions || row.impressions || 0),
-                        ctr: parseFloat(row.CTR || row.ctr || 0),
-                        position: parseFloat(row.Position || row.position || row['Avg. Position'] || 0),
-                    });
-                }
-            })
-            .on('end', () => {
-                console.log(`Parsed ${results.length} URLs from GSC export`);
-                resolve(results);
-            })
-            .on('error', (error) => {
-                console.error('Error parsing GSC CSV:', error.message);
-                reject(error);
+            if (!oldUrl || !newUrl) return;
+
+            // A mistyped type would change what the row matches, so it is not guessed
+            if (!RULE_TYPES.includes(type)) {
+                unparsed.push({
+                    line,
+                    text: [oldUrl, newUrl, type].join(','),
+                    reason: `Unknown rule type "${type}" (expected ${RULE_TYPES.join(', ')})`,
+                });
+                return;
+            }
+
+            rows.push({
+                line,
+                oldUrl,
+                newUrl,
+                type,
+                priority: Number.isNaN(priority) ? null : priority,
             });
-    });
+        });
+
+        return { rows, unparsed };
+    } catch (error) {
+        console.error('Error parsing redirect mapping CSV:', error.message);
+        throw error;
+    }
 };
 
 /**
  * Parse redirect mapping CSV
  * @param {string} filePath - Path to redirect mapping CSV
- * @returns {Promise<Map>} - Map of old URL to new URL
+ * @param {Object} options - Options passed to buildRedirectMapping
+ * @returns {Promise<Object>} - Redirect mapping with exact rows and wildcard/regex rules
  */
-export const parseRedirectMapping = (filePath) => {
-    return new Promise((resolve, reject) => {
-        const redirectMap = new Map();
+export const parseRedirectMapping = async (filePath, options = {}) => {
+    const { rows } = await parseRedirectMappingRows(filePath);
+    const mapping = buildRedirectMapping(rows, options);
 
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => {
-                // Expected columns: OldURL, NewURL (or similar variations)
-                const oldUrl = row.OldURL || row['Old URL'] || row.oldUrl || row.old_url || row.from;
-                const newUrl = row.NewURL || row['New URL'] || row.newUrl || row.new_url || row.to;
-
-                if (oldUrl && newUrl) {
-                    redirectMap.set(oldUrl.trim(), newUrl.trim());
-                }
-            })
-            .on('end', () => {
-                console.log(`Parsed ${redirectMap.size} redirect mappings`);
-                resolve(redirectMap);
-            })
-            .on('error', (error) => {
-                console.error('Error parsing redirect mapping CSV:', error.message);
-                reject(error);
-            });
-    });
+    console.log(`Parsed ${mapping.exact.size} redirect mappings and ${mapping.rules.length} rules`);
+    return mapping;
 };
 
 /**
@@ -80,36 +103,26 @@ export const extractGSCUrls = (gscData) => {
 };
 
 /**
- * Parse generic CSV and extract URLs from specified column
+ * Parse generic CSV (or Excel workbook) and extract URLs from specified column
  * @param {string} filePath - Path to CSV file
  * @param {string} urlColumn - Name of the column containing URLs
  * @returns {Promise<Array<string>>} - Array of URLs
  */
-export const parseGenericCSV = (filePath, urlColumn = 'URL') => {
-    return new Promise((resolve, reject) => {
-        const urls = [];
+export const parseGenericCSV = async (filePath, urlColumn = 'URL') => {
+    const { sheets } = await readSpreadsheet(filePath, { sheet: 0 });
+    const urls = sheets[0].rows
+        .map(row => String(row[urlColumn] ?? '').trim())
+        .filter(Boolean);
 
-        fs.createReadStream(filePath)
-            .pipe(csv())
-            .on('data', (row) => {
-                const url = row[urlColumn];
-                if (url) {
-                    urls.push(url.trim());
-                }
-            })
-            .on('end', () => {
-                console.log(`Extracted ${urls.length} URLs from CSV`);
-                resolve(urls);
-            })
-            .on('error', (error) => {
-                reject(error);
-            });
-    });
+    console.log(`Extracted ${urls.length} URLs from CSV`);
+    return urls;
 };
 
 export default {
+    REDIRECT_MAPPING_COLUMNS,
     parseGSCExport,
     parseRedirectMapping,
+    parseRedirectMappingRows,
     extractGSCUrls,
     parseGenericCSV,
 };
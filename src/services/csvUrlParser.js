@@ -1,21 +1,48 @@
-import fs from 'fs';
-import { parse } from 'csv-parse/sync';
+import { readSpreadsheet } from './spreadsheetReader.js';
+
+// URL list columns by key, as used by explicit column mappings
+export const URL_LIST_COLUMNS = {
+    url: ['URL', 'Url', 'Address', 'Loc', 'Page', 'Page URL'],
+};
+
+/**
+ * Create the URL object of a list entry
+ */
+const toUrlEntry = (url) => ({
+    url,
+    lastmod: new Date().toISOString(), // Default
+    changefreq: 'daily',
+    priority: 0.5
+});
 
 /**
- * Parse CSV file and extract URLs
- * @param {string} filePath - Path to CSV file
+ * Parse a CSV file or Excel workbook and extract URLs.
+ * Without a column mapping the first cell of each row that holds a URL is used,
+ * so lists with or without a header row work.
+ * @param {string} filePath - Path to CSV, TSV or Excel file
+ * @param {Object} options - Parse options
+ * @param {Object} options.columnMapping - { url: header } to read URLs from one column only
+ * @param {string|number} options.sheet - Workbook sheet to read (name or index; default the first)
  * @returns {Promise<Array>} - Array of URL objects
  */
-export const parseCsvUrls = async (filePath) => {
+export const parseCsvUrls = async (filePath, options = {}) => {
     try {
-        const fileContent = fs.readFileSync(filePath, 'utf8');
-
-        // Parse CSV
-        const records = parse(fileContent, {
-            columns: false, // Don't assume headers initially to handle simple lists
-            skip_empty_lines: true,
-            trim: true
+        const urlColumn = options.columnMapping?.url;
+        const { sheets } = await readSpreadsheet(filePath, {
+            sheet: options.sheet ?? 0,
+            headerRow: !!urlColumn, // Don't assume headers without a mapping, to handle simple lists
         });
+        const records = sheets[0].rows;
+
+        if (urlColumn) {
+            const urls = records
+                .map(row => String(row[urlColumn] ?? '').trim())
+                .filter(isValidUrl)
+                .map(toUrlEntry);
+
+            console.log(`Extracted ${urls.length} URLs from CSV column "${urlColumn}"`);
+            return urls;
+        }
 
         const urls = [];
 
@@ -23,13 +50,9 @@ export const parseCsvUrls = async (filePath) => {
         for (const record of records) {
             // Check each column for a valid URL
             for (const cell of record) {
-                if (isValidUrl(cell)) {
-                    urls.push({
-                        url: cell,
-                        lastmod: new Date().toISOString(), // Default
-                        changefreq: 'daily',
-                        priority: 0.5
-                    });
+                const value = String(cell ?? '').trim();
+                if (isValidUrl(value)) {
+                    urls.push(toUrlEntry(value));
                     break; // Found one URL in this row, move to next
                 }
             }
@@ -49,6 +72,7 @@ export const parseCsvUrls = async (filePath) => {
  * @returns {boolean}
  */
 const isValidUrl = (string) => {
+    if (!string) return false;
     try {
         new URL(string);
         return string.startsWith('http');
@@ -58,5 +82,6 @@ const isValidUrl = (string) => {
 };
 
 export default {
+    URL_LIST_COLUMNS,
     parseCsvUrls
 };
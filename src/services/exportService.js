@@ -21,22 +21,33 @@ const escapeCSV = (field) => {
 const generateURLComparisonCSV = (urlComparison) => {
     if (!urlComparison) return '';
 
-    const headers = ['Old URL', 'New URL', 'Match Type', 'Status', 'Notes'];
+    const headers = ['Old URL', 'New URL', 'Match Type', 'Status', 'Notes', 'Link Equity'];
     const rows = [];
 
     // Matched URLs
     urlComparison.matched?.forEach(m => {
-        rows.push([m.oldUrl, m.newUrl, 'Direct Match', 'OK', '']);
+        const notes = {
+            host_rewrite: 'Same path on new domain',
+            base_rewrite: 'Same path under new base URL',
+        }[m.matchType] || '';
+        rows.push([m.oldUrl, m.newUrl, 'Direct Match', 'OK', notes, m.linkEquity?.score]);
     });
 
     // Redirected URLs
     urlComparison.redirected?.forEach(r => {
-        rows.push([r.oldUrl, r.newUrl, 'Redirected', 'Mapped', 'Via redirect mapping']);
+        const rule = r.matchedRule;
+        let notes = 'Via redirect mapping';
+        if (r.matchType === 'manual') {
+            notes = `Manual override (${r.override?.action})${r.override?.note ? `: ${r.override.note}` : ''}`;
+        } else if (rule && rule.type !== 'exact') {
+            notes = `Via ${rule.type} rule ${rule.source}${rule.line ? ` (line ${rule.line})` : ''}`;
+        }
+        rows.push([r.oldUrl, r.newUrl, 'Redirected', 'Mapped', notes, r.linkEquity?.score]);
     });
 
     // Missing URLs
     urlComparison.missing?.forEach(m => {
-        rows.push([m.oldUrl, m.suggestion || '', 'Missing', 'Not Found', 'Potential 404']);
+        rows.push([m.oldUrl, m.suggestion || '', 'Missing', 'Not Found', 'Potential 404', m.linkEquity?.score]);
     });
 
     // New URLs
@@ -53,6 +64,174 @@ const generateURLComparisonCSV = (urlComparison) => {
     return csv;
 };
 
+/**
+ * Generate Redirect Mapping Validation CSV
+ */
+const generateRedirectValidationCSV = (redirectValidation) => {
+    if (!redirectValidation) return '';
+
+    const headers = ['Line', 'Old URL', 'New URL', 'Issue', 'Severity', 'Details'];
+    const rows = [];
+    const { issues = {} } = redirectValidation;
+
+    issues.unparsedLines?.forEach(i => {
+        rows.push([i.line, i.text, '', 'Line not imported', 'Warning', i.reason]);
+    });
+    issues.invalidRules?.forEach(i => {
+        rows.push([i.line, i.oldUrl, '', `Invalid ${i.type} rule`, 'Error', i.error]);
+    });
+    issues.selfRedirects?.forEach(i => {
+        rows.push([i.line, i.oldUrl, i.newUrl, 'Self-redirect', 'Error', '']);
+    });
+    issues.loops?.forEach(i => {
+        rows.push([i.line, i.oldUrl, '', 'Redirect loop', 'Error', i.hops.join(' -> ')]);
+    });
+    issues.conflictingDuplicates?.forEach(i => {
+        rows.push([i.lines.join('; '), i.oldUrl, i.targets.map(t => t.newUrl).join('; '), 'Conflicting duplicate', 'Error', '']);
+    });
+    issues.missingTargets?.forEach(i => {
+        rows.push([i.line, i.oldUrl, i.newUrl, 'Target not in new sitemap', 'Error', '']);
+    });
+    issues.chains?.forEach(i => {
+        rows.push([i.line, i.oldUrl, i.finalUrl, 'Redirect chain', 'Warning', `${i.hopCount} hops: ${i.hops.join(' -> ')}`]);
+    });
+    issues.redirectedTargets?.forEach(i => {
+        rows.push([i.line, i.oldUrl, i.newUrl, 'Target is redirected', 'Warning', `Redirects to ${i.redirectsTo} (line ${i.redirectLine})`]);
+    });
+    issues.duplicates?.forEach(i => {
+        rows.push([i.lines.join('; '), i.oldUrl, i.targets[0]?.newUrl, 'Duplicate row', 'Warning', '']);
+    });
+
+    const csv = [
+        '\n# Redirect Mapping Validation Report',
+        headers.map(escapeCSV).join(','),
+        ...rows.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+
+    return csv;
+};
+
+/**
+ * Generate Live Redirect Verification CSV
+ */
+const generateRedirectVerificationCSV = (redirectVerification) => {
+    if (!redirectVerification) return '';
+
+    const labels = {
+        correct: 'Correct',
+        wrongTarget: 'Wrong target',
+        temporary: 'Temporary instead of permanent',
+        chained: 'Chained',
+        loop: 'Redirect loop',
+        notRedirecting: 'Not redirecting',
+        error: 'Request failed',
+    };
+
+    const headers = ['Old URL', 'Expected URL', 'Final URL', 'Result', 'Status Code', 'Final Status Code', 'Hops', 'Details'];
+    const rows = (redirectVerification.results || []).map(r => [
+        r.oldUrl,
+        r.expectedUrl,
+        r.finalUrl,
+        labels[r.status] || r.status,
+        r.statusCode,
+        r.finalStatusCode,
+        r.hops.map(h => `${h.statusCode} ${h.url}`).join(' -> '),
+        r.message,
+    ]);
+
+    const csv = [
+        '\n# Live Redirect Verification Report',
+        headers.map(escapeCSV).join(','),
+        ...rows.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+
+    return csv;
+};
+
+/**
+ * Generate Sitemap Extensions CSV (images, videos, news and hreflang lost between sitemaps)
+ */
+const generateSitemapExtensionsCSV = (sitemapExtensions) => {
+    if (!sitemapExtensions) return '';
+
+    const headers = ['Old URL', 'New URL', 'Extension', 'Issue', 'Detail'];
+    const rows = [];
+
+    sitemapExtensions.pages?.forEach(page => {
+        const add = (extension, issue, detail) => rows.push([page.oldUrl, page.newUrl, extension, issue, detail]);
+
+        page.lostImages.forEach(loc => add('Image', 'Image missing from new sitemap', loc));
+        page.lostVideos.forEach(video => add('Video', 'Video missing from new sitemap', video.contentLoc || video.title));
+        if (page.lostNews) {
+            add('News', 'News entry missing from new sitemap', page.lostNews.title || page.lostNews.publicationName);
+        }
+        page.lostAlternates.forEach(alt => add('Hreflang', `Alternate "${alt.hreflang}" lost`, alt.href));
+        page.brokenAlternates.forEach(alt => add('Hreflang', `Alternate "${alt.hreflang}" not in new sitemap`, alt.href));
+    });
+
+    const csv = [
+        '\n# Sitemap Extensions Report',
+        headers.map(escapeCSV).join(','),
+        ...rows.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+
+    return csv;
+};
+
+/**
+ * Generate Backlinks at Risk CSV (backlinked old URLs that are missing or whose new URL is broken)
+ */
+const generateBacklinksAtRiskCSV = (backlinksAtRisk) => {
+    if (!backlinksAtRisk) return '';
+
+    const headers = ['Old URL', 'Issue', 'New URL', 'Status Code', 'Link Equity', 'Referring Domains', 'Backlinks', 'Top Anchors'];
+    const rows = (backlinksAtRisk.urls || []).map(url => [
+        url.oldUrl,
+        url.reason === 'missing' ? 'Missing (potential 404)' : 'New URL broken',
+        url.newUrl || url.suggestion || '',
+        url.statusCode,
+        url.score,
+        url.referringDomains,
+        url.backlinks,
+        (url.topAnchors || []).map(a => a.anchor).join('; '),
+    ]);
+
+    const csv = [
+        '# Backlinked URLs at Risk',
+        headers.map(escapeCSV).join(','),
+        ...rows.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+
+    return csv;
+};
+
+/**
+ * Generate Traffic at Risk CSV (old URLs without a match or redirect, highest traffic first)
+ */
+const generateTrafficAtRiskCSV = (trafficAtRisk) => {
+    if (!trafficAtRisk) return '';
+
+    const headers = ['Old URL', 'Traffic Score', 'Clicks', 'Impressions', 'Sessions', 'Conversions', 'Revenue', 'Suggested URL'];
+    const rows = (trafficAtRisk.urls || []).map(url => [
+        url.oldUrl,
+        url.score,
+        url.clicks,
+        url.impressions,
+        url.sessions,
+        url.conversions,
+        url.revenue,
+        url.suggestion || '',
+    ]);
+
+    const csv = [
+        '\n# Traffic at Risk Report',
+        headers.map(escapeCSV).join(','),
+        ...rows.map(row => row.map(escapeCSV).join(','))
+    ].join('\n');
+
+    return csv;
+};
+
 /**
  * Generate SEO Validation CSV
  */
@@ -170,9 +349,15 @@ export const generateCSVReport = (project, section = 'all') => {
     ].join('\n');
 
     if (section === 'all') {
+        // Backlinked URLs at risk lead the report
         return [
             header,
+            generateBacklinksAtRiskCSV(results.backlinksAtRisk),
             generateURLComparisonCSV(results.urlComparison),
+            generateTrafficAtRiskCSV(results.trafficAtRisk),
+            generateRedirectValidationCSV(results.redirectValidation),
+            generateRedirectVerificationCSV(results.redirectVerification),
+            generateSitemapExtensionsCSV(results.sitemapExtensions),
             generateSEOValidationCSV(results.seoValidation),
             generatePerformanceCSV(results.performanceValidation),
             generateMobileCSV(results.mobileResponsiveness)
@@ -182,6 +367,11 @@ export const generateCSVReport = (project, section = 'all') => {
     // Section-specific export
     const sections = {
         'urls': () => header + generateURLComparisonCSV(results.urlComparison),
+        'at-risk': () => header + generateTrafficAtRiskCSV(results.trafficAtRisk),
+        'backlinks': () => header + generateBacklinksAtRiskCSV(results.backlinksAtRisk),
+        'redirects': () => header + generateRedirectValidationCSV(results.redirectValidation),
+        'verification': () => header + generateRedirectVerificationCSV(results.redirectVerification),
+        'extensions': () => header + generateSitemapExtensionsCSV(results.sitemapExtensions),
         'seo': () => header + generateSEOValidationCSV(results.seoValidation),
         'performance': () => header + generatePerformanceCSV(results.performanceValidation),
         'mobile': () => header + generateMobileCSV(results.mobileResponsiveness)
@@ -214,6 +404,18 @@ export const generateJSONReport = (project, section = 'all') => {
                 missing: results.urlComparison?.summary?.missingCount || 0,
                 matchRate: results.urlComparison?.summary?.matchRate || 0
             },
+            backlinks: {
+                atRisk: results.backlinksAtRisk?.summary?.total || 0,
+                missing: results.backlinksAtRisk?.summary?.missingCount || 0,
+                broken: results.backlinksAtRisk?.summary?.brokenCount || 0,
+                referringDomainsAtRisk: results.backlinksAtRisk?.summary?.referringDomainsAtRisk || 0
+            },
+            redirects: {
+                verified: results.redirectVerification?.summary?.total || 0,
+                correct: results.redirectVerification?.summary?.correct || 0,
+                failing: (results.redirectVerification?.summary?.total || 0) - (results.redirectVerification?.summary?.correct || 0),
+                passRate: results.redirectVerification?.summary?.passRate || 0
+            },
             seo: {
                 totalCompared: results.seoValidation?.summary?.totalCompared || 0,
                 avgMatchScore: results.seoValidation?.summary?.avgMatchScore || 0,
@@ -242,6 +444,12 @@ export const generateJSONReport = (project, section = 'all') => {
             ...summary,
             detailed: {
                 urlComparison: results.urlComparison,
+                backlinksAtRisk: results.backlinksAtRisk,
+                trafficAtRisk: results.trafficAtRisk,
+                redirectValidation: results.redirectValidation,
+                redirectVerification: results.redirectVerification,
+                sitemapExtensions: results.sitemapExtensions,
+                searchConsole: results.searchConsole,
                 seoValidation: results.seoValidation,
                 performanceValidation: results.performanceValidation,
                 mobileResponsiveness: results.mobileResponsiveness,
@@ -254,6 +462,11 @@ export const generateJSONReport = (project, section = 'all') => {
     // Section-specific export
     const sections = {
         'urls': results.urlComparison,
+        'at-risk': results.trafficAtRisk,
+        'backlinks': results.backlinksAtRisk,
+        'redirects': results.redirectValidation,
+        'verification': results.redirectVerification,
+        'extensions': results.sitemapExtensions,
         'seo': results.seoValidation,
         'performance': results.performanceValidation,
         'mobile': results.mobileResponsiveness
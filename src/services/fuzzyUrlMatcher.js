@@ -0,0 +1,229 @@
+/**
+ * Fuzzy URL Matcher
+ * Finds similar URLs through a trigram index over URL paths, so each lookup only
+ * runs edit distance against a handful of likely candidates instead of every URL
+ */
+
+const GRAM_SIZE = 3;
+
+/**
+ * Calculate Levenshtein distance, giving up once it exceeds maxDistance
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} Edit distance, or maxDistance + 1 if it is larger than maxDistance
+ */
+export const boundedLevenshtein = (str1, str2, maxDistance = Infinity) => {
+    if (str1 === str2) return 0;
+    if (Math.abs(str1.length - str2.length) > maxDistance) return maxDistance + 1;
+    if (str1.length === 0) return str2.length;
+    if (str2.length === 0) return str1.length;
+
+    // Only cells within maxDistance of the diagonal can lead to a result within the bound
+    const band = Math.min(maxDistance, Math.max(str1.length, str2.length));
+    const outside = band + 1;
+
+    let previous = new Array(str2.length + 1);
+    let current = new Array(str2.length + 1);
+
+    for (let j = 0; j <= str2.length; j++) {
+        previous[j] = j <= band ? j : outside;
+    }
+
+    for (let i = 1; i <= str1.length; i++) {
+        const from = Math.max(1, i - band);
+        const to = Math.min(str2.length, i + band);
+
+        current.fill(outside);
+        current[0] = i <= band ? i : outside;
+        let rowMin = from === 1 ? current[0] : outside;
+
+        for (let j = from; j <= to; j++) {
+            const cost = str1.charCodeAt(i - 1) === str2.charCodeAt(j - 1) ? 0 : 1;
+            current[j] = Math.min(
+                previous[j - 1] + cost,
+                previous[j] + 1,
+                current[j - 1] + 1
+            );
+            if (current[j] < rowMin) rowMin = current[j];
+        }
+
+        // Every path through this row already costs more than we care about
+        if (rowMin > maxDistance) return maxDistance + 1;
+
+        [previous, current] = [current, previous];
+    }
+
+    return Math.min(previous[str2.length], maxDistance + 1);
+};
+
+/**
+ * Levenshtein-based similarity of two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @param {number} minScore - Similarity below which the exact value is not needed
+ * @returns {number} Similarity score (0-1)
+ */
+export const stringSimilarity = (str1, str2, minScore = 0) => {
+    const longer = Math.max(str1.length, str2.length);
+    if (longer === 0) return 1.0;
+
+    const maxDistance = Math.floor(longer * (1 - minScore));
+    const distance = boundedLevenshtein(str1, str2, maxDistance);
+    if (distance > maxDistance) return 0;
+
+    return (longer - distance) / longer;
+};
+
+/**
+ * Get the comparable path of a URL
+ * @param {string} url - URL or path
+ * @param {boolean} lowercase - Compare paths ignoring case
+ * @returns {string|null} Path or null if invalid
+ */
+const getPath = (url, lowercase) => {
+    try {
+        const { pathname } = new URL(url, 'http://placeholder.invalid');
+        return lowercase ? pathname.toLowerCase() : pathname;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Split a path into its distinct character trigrams
+ * @param {string} path - URL path
+ * @returns {Array<string>} Unique trigrams
+ */
+const toGrams = (path) => {
+    const padded = ` ${path} `;
+    const grams = new Set();
+    for (let i = 0; i <= padded.length - GRAM_SIZE; i++) {
+        grams.add(padded.slice(i, i + GRAM_SIZE));
+    }
+    return Array.from(grams);
+};
+
+/**
+ * Build a fuzzy matcher over a list of candidate URLs
+ * @param {Array<string>} candidateUrls - URLs to search
+ * @param {Object} options - Matcher options
+ * @param {number} options.maxCandidates - Candidates re-ranked by edit distance per lookup
+ * @param {number} options.maxPostings - Grams shared by more URLs than this are ignored when possible
+ * @param {boolean} options.lowercasePaths - Compare paths ignoring case, as the normalization policy of that name
+ * @returns {Object} Matcher with findSimilar(url, options)
+ */
+export const createUrlMatcher = (candidateUrls, options = {}) => {
+    const {
+        maxCandidates = 30,
+        maxPostings = Math.max(1000, Math.ceil(candidateUrls.length * 0.05)),
+        lowercasePaths = false,
+    } = options;
+
+    const entries = [];
+    const index = new Map();
+
+    for (const url of candidateUrls) {
+        const path = getPath(url, lowercasePaths);
+        if (path === null) continue;
+
+        const id = entries.length;
+        const grams = toGrams(path);
+        entries.push({ url, path, gramCount: grams.length });
+
+        for (const gram of grams) {
+            let postings = index.get(gram);
+            if (!postings) {
+                postings = [];
+                index.set(gram, postings);
+            }
+            postings.push(id);
+        }
+    }
+
+    // Shared counters, reset after each lookup through the touched list
+    const sharedCounts = new Int32Array(entries.length);
+
+    /**
+     * Find the URLs most similar to a URL
+     * @param {string} url - URL to match
+     * @param {Object} lookupOptions - Lookup options
+     * @param {number} lookupOptions.limit - Number of suggestions to return
+     * @param {number} lookupOptions.minScore - Minimum similarity (0-1)
+     * @returns {Array<Object>} Suggestions as { url, score }, best first
+     */
+    const findSimilar = (url, lookupOptions = {}) => {
+        const { limit = 3, minScore = 0.5 } = lookupOptions;
+
+        const path = getPath(url, lowercasePaths);
+        if (path === null || entries.length === 0) return [];
+
+        // Rare grams first; common grams are only used if there is nothing rarer
+        const queryGrams = toGrams(path)
+            .map(gram => index.get(gram))
+            .filter(Boolean)
+            .sort((a, b) => a.length - b.length);
+
+        const touched = [];
+        let gramsUsed = 0;
+        let maxShared = 0;
+
+        for (const postings of queryGrams) {
+            if (postings.length > maxPostings && gramsUsed >= GRAM_SIZE) break;
+            gramsUsed++;
+
+            for (const id of postings) {
+                if (sharedCounts[id] === 0) touched.push(id);
+                sharedCounts[id]++;
+                if (sharedCounts[id] > maxShared) maxShared = sharedCounts[id];
+            }
+        }
+
+        // Rank candidates sharing at least half as many grams as the best one by overlap (Dice coefficient)
+        const queryGramCount = toGrams(path).length;
+        const ranked = [];
+        for (const id of touched) {
+            if (sharedCounts[id] * 2 >= maxShared) {
+                ranked.push({ id, overlap: (2 * sharedCounts[id]) / (queryGramCount + entries[id].gramCount) });
+            }
+        }
+        ranked.sort((a, b) => b.overlap - a.overlap);
+        ranked.length = Math.min(ranked.length, maxCandidates);
+
+        for (const id of touched) {
+            sharedCounts[id] = 0;
+        }
+
+        // Re-rank the best candidates by bounded edit distance. Once `limit` suggestions
+        // are found, the worst of them becomes the bar the remaining candidates must clear.
+        const suggestions = [];
+        let threshold = minScore;
+
+        for (const { id } of ranked) {
+            const score = stringSimilarity(path, entries[id].path, threshold);
+            if (score <= threshold) continue;
+
+            suggestions.push({ url: entries[id].url, score });
+            suggestions.sort((a, b) => b.score - a.score);
+
+            if (suggestions.length > limit) suggestions.pop();
+            if (suggestions.length === limit) threshold = Math.max(minScore, suggestions[limit - 1].score);
+        }
+
+        return suggestions.map(s => ({
+            url: s.url,
+            score: Math.round(s.score * 100) / 100,
+        }));
+    };
+
+    return {
+        size: entries.length,
+        findSimilar,
+    };
+};
+
+export default {
+    boundedLevenshtein,
+    stringSimilarity,
+    createUrlMatcher,
+};
@@ -0,0 +1,397 @@
+/**
+ * Host Scheduler
+ * One request schedule per host, shared by the status checker, crawler and Lighthouse runner.
+ * Each host has its own concurrency and spacing between requests, honours robots.txt
+ * Crawl-delay, slows down when the server answers 429 or Retry-After, and is paused by a
+ * circuit breaker after repeated 5xx or connection failures.
+ */
+
+import axios from 'axios';
+import robotsParser from 'robots-parser';
+
+export const DEFAULT_HOST_LIMITS = {
+    concurrency: 2,          // Requests in flight per host
+    delay: 200,              // Minimum ms between the start of two requests
+    maxDelay: 30000,         // Ceiling for the adaptive delay and retry backoff
+    respectCrawlDelay: true, // Use robots.txt Crawl-delay as the minimum delay
+    maxCrawlDelay: 30000,    // Crawl-delay values above this are capped
+    maxRetryAfter: 120000,   // Retry-After values above this are capped
+    failureThreshold: 5,     // Consecutive 5xx or connection failures that open the circuit
+    circuitCooldown: 30000,  // Pause when the circuit opens; doubles on each consecutive trip
+    maxCircuitTrips: 3,      // Consecutive trips after which the host is given up on
+};
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Per-host state, keyed by host (hostname:port)
+const hosts = new Map();
+
+/**
+ * Error for requests to a host the circuit breaker has given up on
+ * @param {string} host - Host
+ * @returns {Error} Error with code HOST_UNAVAILABLE
+ */
+const hostUnavailableError = (host) => Object.assign(
+    new Error(`Host ${host} stopped responding; remaining requests skipped`),
+    { code: 'HOST_UNAVAILABLE', host }
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Key a URL by its host
+ */
+const hostKey = (url) => {
+    try {
+        return new URL(url).host;
+    } catch {
+        return String(url);
+    }
+};
+
+/**
+ * Validate host limits
+ * @param {Object} limits - Partial limits
+ * @returns {Object} Limits with only known, valid keys
+ * @throws {Error} If a value is not a non-negative number (or boolean for respectCrawlDelay)
+ */
+export const resolveHostLimits = (limits = {}) => {
+    const resolved = {};
+
+    for (const [key, value] of Object.entries(limits || {})) {
+        if (!(key in DEFAULT_HOST_LIMITS) || value === undefined || value === null || value === '') continue;
+
+        if (key === 'respectCrawlDelay') {
+            resolved[key] = value === true || value === 'true';
+            continue;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`Rate limit "${key}" must be a non-negative number`);
+        }
+        if (key === 'concurrency' && number < 1) {
+            throw new Error('Rate limit "concurrency" must be at least 1');
+        }
+        resolved[key] = number;
+    }
+
+    return resolved;
+};
+
+/**
+ * Get (or create) the state of a host
+ * @param {string} url - Any URL on the host
+ * @param {Object} defaults - Limits for a host seen for the first time
+ * @returns {Object} Host state
+ */
+const getHost = (url, defaults = {}) => {
+    const key = hostKey(url);
+
+    if (!hosts.has(key)) {
+        const limits = { ...DEFAULT_HOST_LIMITS, ...resolveHostLimits(defaults) };
+        hosts.set(key, {
+            host: key,
+            origin: (() => {
+                try {
+                    return new URL(url).origin;
+                } catch {
+                    return null;
+                }
+            })(),
+            limits,
+            currentDelay: limits.delay,
+            crawlDelay: null,
+            robots: null,
+            active: 0,
+            waiting: [],
+            nextStartAt: 0,
+            pausedUntil: 0,
+            timer: null,
+            consecutiveFailures: 0,
+            circuitTrips: 0,
+            down: false,
+            stats: { requests: 0, retries: 0, throttled: 0, serverErrors: 0, networkErrors: 0, circuitOpened: 0 },
+        });
+    }
+
+    return hosts.get(key);
+};
+
+/**
+ * Set the rate limits of a host, e.g. a lower concurrency for a fragile old site
+ * @param {string} url - Any URL on the host
+ * @param {Object} limits - Limits to override (see DEFAULT_HOST_LIMITS)
+ * @returns {Object} Effective limits of the host
+ */
+export const configureHost = (url, limits = {}) => {
+    const state = getHost(url);
+    const resolved = resolveHostLimits(limits);
+
+    state.limits = { ...state.limits, ...resolved };
+    if (resolved.delay !== undefined) {
+        state.currentDelay = Math.max(state.limits.delay, state.crawlDelay || 0);
+    }
+
+    return state.limits;
+};
+
+/**
+ * Load the Crawl-delay of a host from its robots.txt, once
+ * @param {Object} state - Host state
+ * @returns {Promise<void>}
+ */
+const loadCrawlDelay = (state) => {
+    if (!state.robots) {
+        state.robots = (async () => {
+            if (!state.limits.respectCrawlDelay || !state.origin) return;
+
+            const robotsUrl = `${state.origin}/robots.txt`;
+            try {
+                const response = await axios.get(robotsUrl, {
+                    timeout: 5000,
+                    responseType: 'text',
+                    headers: { 'User-Agent': USER_AGENT },
+                    validateStatus: () => true,
+                });
+                if (response.status !== 200 || typeof response.data !== 'string') return;
+
+                const crawlDelay = robotsParser(robotsUrl, response.data).getCrawlDelay(USER_AGENT);
+                if (crawlDelay > 0) {
+                    state.crawlDelay = Math.min(crawlDelay * 1000, state.limits.maxCrawlDelay);
+                    state.currentDelay = Math.max(state.currentDelay, state.crawlDelay);
+                    console.log(`${state.host}: robots.txt Crawl-delay ${crawlDelay}s`);
+                }
+            } catch (error) {
+                console.warn(`Could not read ${robotsUrl}: ${error.message}`);
+            }
+        })();
+    }
+
+    return state.robots;
+};
+
+/**
+ * Start as many waiting requests as the host allows right now, and wake up when the next may start
+ * @param {Object} state - Host state
+ */
+const pump = (state) => {
+    if (state.timer) return;
+
+    if (state.down) {
+        state.waiting.splice(0).forEach(waiter => waiter.reject(hostUnavailableError(state.host)));
+        return;
+    }
+
+    while (state.waiting.length > 0 && state.active < state.limits.concurrency) {
+        const wait = Math.max(state.nextStartAt, state.pausedUntil) - Date.now();
+        if (wait > 0) {
+            state.timer = setTimeout(() => {
+                state.timer = null;
+                pump(state);
+            }, wait);
+            return;
+        }
+
+        state.active++;
+        state.nextStartAt = Date.now() + state.currentDelay;
+        state.waiting.shift().resolve();
+    }
+};
+
+/**
+ * Wait for a request slot on the host
+ */
+const acquire = (state) => new Promise((resolve, reject) => {
+    state.waiting.push({ resolve, reject });
+    pump(state);
+});
+
+/**
+ * Give back a request slot
+ */
+const release = (state) => {
+    state.active--;
+    pump(state);
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ * @param {string} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null if absent or invalid
+ */
+export const parseRetryAfter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Read the status code and Retry-After of a task result or error
+ */
+const readOutcome = (result, error) => {
+    const response = error?.response;
+    const statusCode = error
+        ? response?.status || 0
+        : result?.statusCode ?? result?.status ?? result?.httpStatus ?? 200;
+    const headers = (error ? response?.headers : result?.headers) || {};
+    const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+
+    return { statusCode, retryAfter: parseRetryAfter(retryAfter) };
+};
+
+/**
+ * Backoff before retry number `attempt`, with jitter
+ */
+const backoff = (state, attempt) => {
+    const base = Math.max(state.currentDelay, 500) * 2 ** (attempt - 1);
+    return Math.min(state.limits.maxDelay, base) * (0.75 + Math.random() * 0.5);
+};
+
+/**
+ * Record a 5xx or connection failure and open the circuit if there have been too many
+ * @param {Object} state - Host state
+ */
+const recordFailure = (state) => {
+    state.consecutiveFailures++;
+    if (state.consecutiveFailures < state.limits.failureThreshold) return;
+
+    state.consecutiveFailures = 0;
+    state.circuitTrips++;
+    state.stats.circuitOpened++;
+
+    if (state.circuitTrips > state.limits.maxCircuitTrips) {
+        state.down = true;
+        console.warn(`${state.host}: giving up after ${state.limits.maxCircuitTrips} circuit breaker pauses`);
+        pump(state);
+        return;
+    }
+
+    const pause = Math.min(state.limits.circuitCooldown * 2 ** (state.circuitTrips - 1), 10 * state.limits.circuitCooldown);
+    state.pausedUntil = Math.max(state.pausedUntil, Date.now() + pause);
+    console.warn(`${state.host}: circuit open after repeated failures, pausing ${Math.round(pause / 1000)}s`);
+};
+
+/**
+ * Run a request through the scheduler of its host.
+ * The task is retried on 429, 5xx and connection failures; a 429 or Retry-After slows down
+ * the whole host, and successful responses let it speed back up to its configured delay.
+ * @param {string} url - Requested URL (its host picks the schedule)
+ * @param {Function} task - Async function making the request; its result may carry
+ *   statusCode (or status / httpStatus) and headers, and thrown axios errors their response
+ * @param {Object} options - Scheduling options
+ * @param {number} options.retryAttempts - Attempts before giving up (default 3)
+ * @param {Object} options.hostDefaults - Limits for a host seen for the first time
+ * @returns {Promise<*>} Result of the last attempt
+ * @throws {Error} With code HOST_UNAVAILABLE if the host has been given up on
+ */
+export const scheduleRequest = async (url, task, options = {}) => {
+    const { retryAttempts = 3, hostDefaults = {} } = options;
+    const state = getHost(url, hostDefaults);
+
+    await loadCrawlDelay(state);
+
+    for (let attempt = 1; ; attempt++) {
+        await acquire(state);
+
+        let result;
+        let error = null;
+        try {
+            state.stats.requests++;
+            result = await task();
+        } catch (taskError) {
+            error = taskError;
+        }
+
+        const { statusCode, retryAfter } = readOutcome(result, error);
+        const throttled = statusCode === 429 || (statusCode === 503 && retryAfter !== null);
+        const failed = statusCode === 0 || statusCode >= 500;
+
+        if (throttled) {
+            // The server asks us to slow down: pause the host and double its delay
+            state.stats.throttled++;
+            const wait = Math.min(retryAfter ?? backoff(state, attempt), state.limits.maxRetryAfter);
+            state.pausedUntil = Math.max(state.pausedUntil, Date.now() + wait);
+            state.currentDelay = Math.min(Math.max(state.currentDelay * 2, 1000), state.limits.maxDelay);
+        } else if (failed) {
+            if (statusCode === 0) state.stats.networkErrors++;
+            else state.stats.serverErrors++;
+            recordFailure(state);
+        } else {
+            // Healthy response: reset the breaker and ease the delay back toward the configured minimum
+            const floor = Math.max(state.limits.delay, state.crawlDelay || 0);
+            state.consecutiveFailures = 0;
+            state.circuitTrips = 0;
+            state.currentDelay = Math.max(floor, Math.round(state.currentDelay * 0.9));
+        }
+
+        // Released only now, so a pause set above applies to the next request as well
+        release(state);
+
+        if ((!throttled && !failed) || attempt >= retryAttempts || state.down) {
+            if (error) throw error;
+            return result;
+        }
+
+        state.stats.retries++;
+        if (!throttled) await sleep(backoff(state, attempt));
+    }
+};
+
+/**
+ * Snapshot of every host's limits and counters
+ * @returns {Array<Object>} Host stats
+ */
+export const getHostStats = () => Array.from(hosts.values()).map(state => ({
+    host: state.host,
+    concurrency: state.limits.concurrency,
+    delay: state.currentDelay,
+    crawlDelay: state.crawlDelay,
+    down: state.down,
+    ...state.stats,
+}));
+
+/**
+ * Forget a host's state (or every host's), e.g. to retry a host that was given up on
+ * @param {string} url - Any URL on the host; omit to reset all hosts
+ */
+export const resetHosts = (url) => {
+    const states = url ? [hosts.get(hostKey(url))].filter(Boolean) : Array.from(hosts.values());
+
+    for (const state of states) {
+        if (state.timer) clearTimeout(state.timer);
+        state.waiting.splice(0).forEach(waiter => waiter.reject(new Error('Host scheduler reset')));
+        hosts.delete(state.host);
+    }
+};
+
+/**
+ * Give a host a fresh start: clear its failure state and counters, e.g. to retry a host that was
+ * given up on. Unlike resetHosts, requests already queued for the host keep their place.
+ * @param {string} url - Any URL on the host
+ */
+export const reviveHost = (url) => {
+    const state = hosts.get(hostKey(url));
+    if (!state) return;
+
+    state.down = false;
+    state.consecutiveFailures = 0;
+    state.circuitTrips = 0;
+    state.stats = { requests: 0, retries: 0, throttled: 0, serverErrors: 0, networkErrors: 0, circuitOpened: 0 };
+    pump(state);
+};
+
+export default {
+    DEFAULT_HOST_LIMITS,
+    resolveHostLimits,
+    configureHost,
+    parseRetryAfter,
+    scheduleRequest,
+    getHostStats,
+    resetHosts,
+    reviveHost,
+};
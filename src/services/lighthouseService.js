@@ -1,5 +1,6 @@
 import lighthouse from 'lighthouse';
 import * as chromeLauncher from 'chrome-launcher';
+import { scheduleRequest } from './hostScheduler.js';
 
 /**
  * Run Lighthouse audit on a given URL
@@ -30,8 +31,8 @@ export const runLighthouseAudit = async (url, options = {}) => {
             },
         };
 
-        // Run Lighthouse
-        const runnerResult = await lighthouse(url, lighthouseOptions, config);
+        // Run Lighthouse in a slot of the host's schedule, so audits do not pile onto a busy site
+        const runnerResult = await scheduleRequest(url, () => lighthouse(url, lighthouseOptions, config), { retryAttempts: 1 });
 
         // Parse results
         const results = parseResults(runnerResult);
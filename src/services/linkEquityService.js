@@ -0,0 +1,163 @@
+/**
+ * Link Equity Service
+ * Scores old URLs by the backlinks they carry and flags the backlinked URLs that a
+ * migration leaves without a working target
+ */
+
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+
+// Share of the score from referring domains; the rest comes from the number of backlinks
+const REFERRING_DOMAIN_WEIGHT = 0.8;
+
+/**
+ * Index backlink data by normalized URL with a 0-100 link-equity score.
+ * Counts are log-scaled so a handful of heavily linked pages do not flatten everything else.
+ * @param {Array<Object>} backlinkData - Targets from parseBacklinkExport
+ * @param {Object} normalizationPolicy - Project URL normalization policy
+ * @returns {Object} { size, get(url) } where get returns { score, referringDomains, backlinks, followedBacklinks, topAnchors }
+ */
+export const buildLinkEquityIndex = (backlinkData = [], normalizationPolicy = null) => {
+    const policy = resolveNormalizationPolicy(normalizationPolicy);
+    const byUrl = new Map();
+
+    // Targets that normalize to the same URL (e.g. with and without a trailing slash) are added up
+    for (const target of backlinkData || []) {
+        const key = normalizeUrl(target.url, policy);
+        const entry = byUrl.get(key) || { referringDomains: 0, backlinks: 0, followedBacklinks: null, topAnchors: [] };
+
+        entry.referringDomains += target.referringDomains || 0;
+        entry.backlinks += target.backlinks || 0;
+        if (target.followedBacklinks !== null && target.followedBacklinks !== undefined) {
+            entry.followedBacklinks = (entry.followedBacklinks || 0) + target.followedBacklinks;
+        }
+        entry.topAnchors = entry.topAnchors.concat(target.topAnchors || []).slice(0, 5);
+        byUrl.set(key, entry);
+    }
+
+    let maxDomains = 0;
+    let maxBacklinks = 0;
+    for (const entry of byUrl.values()) {
+        maxDomains = Math.max(maxDomains, entry.referringDomains);
+        maxBacklinks = Math.max(maxBacklinks, entry.backlinks);
+    }
+
+    for (const entry of byUrl.values()) {
+        const domainShare = maxDomains > 0 ? Math.log1p(entry.referringDomains) / Math.log1p(maxDomains) : 0;
+        const backlinkShare = maxBacklinks > 0 ? Math.log1p(entry.backlinks) / Math.log1p(maxBacklinks) : 0;
+        const weighted = maxDomains > 0
+            ? REFERRING_DOMAIN_WEIGHT * domainShare + (1 - REFERRING_DOMAIN_WEIGHT) * backlinkShare
+            : backlinkShare;
+        entry.score = Math.round(weighted * 1000) / 10;
+    }
+
+    return {
+        size: byUrl.size,
+        get: (url) => byUrl.get(normalizeUrl(url, policy)) || null,
+    };
+};
+
+/**
+ * Add a link-equity score to every old URL of a comparison that has backlinks
+ * @param {Object} comparison - Results from compareUrls (modified in place)
+ * @param {Object} linkEquityIndex - Result of buildLinkEquityIndex
+ * @returns {Object} The comparison
+ */
+export const applyLinkEquity = (comparison, linkEquityIndex) => {
+    let backlinkedCount = 0;
+    let backlinkedMissingCount = 0;
+
+    for (const group of ['matched', 'redirected', 'missing']) {
+        for (const entry of comparison[group] || []) {
+            const equity = linkEquityIndex.get(entry.oldUrl);
+            if (!equity) {
+                delete entry.linkEquity;
+                continue;
+            }
+
+            entry.linkEquity = {
+                score: equity.score,
+                referringDomains: equity.referringDomains,
+                backlinks: equity.backlinks,
+            };
+            backlinkedCount++;
+            if (group === 'missing') backlinkedMissingCount++;
+        }
+    }
+
+    comparison.summary.backlinkedCount = backlinkedCount;
+    comparison.summary.backlinkedMissingCount = backlinkedMissingCount;
+
+    return comparison;
+};
+
+/**
+ * List the backlinked old URLs without a working target: missing URLs, and matched or
+ * redirected URLs whose new URL returned an error or a soft 404 in the status check
+ * @param {Object} comparison - Results from compareUrls
+ * @param {Object} linkEquityIndex - Result of buildLinkEquityIndex
+ * @param {Object} newSiteStatus - Categorized status results of new URLs (optional)
+ * @param {Object} normalizationPolicy - Project URL normalization policy
+ * @returns {Object} { urls, summary } with URLs sorted by link-equity score, highest first
+ */
+export const flagBacklinkedUrlsAtRisk = (comparison, linkEquityIndex, newSiteStatus = null, normalizationPolicy = null) => {
+    const policy = resolveNormalizationPolicy(normalizationPolicy);
+
+    const brokenTargets = new Map();
+    for (const result of [
+        ...(newSiteStatus?.clientErrors || []),
+        ...(newSiteStatus?.serverErrors || []),
+        ...(newSiteStatus?.networkErrors || []),
+        ...(newSiteStatus?.softNotFound || []),
+    ]) {
+        brokenTargets.set(normalizeUrl(result.url, policy), result.statusCode || null);
+    }
+
+    const urls = [];
+    const flag = (entry, reason, details) => {
+        const equity = linkEquityIndex.get(entry.oldUrl);
+        if (!equity) return;
+
+        urls.push({
+            oldUrl: entry.oldUrl,
+            newUrl: null,
+            suggestion: null,
+            statusCode: null,
+            reason,
+            ...details,
+            score: equity.score,
+            referringDomains: equity.referringDomains,
+            backlinks: equity.backlinks,
+            topAnchors: equity.topAnchors,
+        });
+    };
+
+    for (const entry of comparison?.missing || []) {
+        flag(entry, 'missing', { suggestion: entry.contentMatch?.newUrl || entry.suggestion || null });
+    }
+
+    for (const entry of [...(comparison?.matched || []), ...(comparison?.redirected || [])]) {
+        const key = normalizeUrl(entry.newUrl, policy);
+        if (brokenTargets.has(key)) {
+            flag(entry, 'broken', { newUrl: entry.newUrl, statusCode: brokenTargets.get(key) });
+        }
+    }
+
+    urls.sort((a, b) => b.score - a.score || b.referringDomains - a.referringDomains);
+
+    return {
+        urls,
+        summary: {
+            total: urls.length,
+            missingCount: urls.filter(url => url.reason === 'missing').length,
+            brokenCount: urls.filter(url => url.reason === 'broken').length,
+            referringDomainsAtRisk: urls.reduce((sum, url) => sum + url.referringDomains, 0),
+            statusChecked: !!newSiteStatus,
+        },
+    };
+};
+
+export default {
+    buildLinkEquityIndex,
+    applyLinkEquity,
+    flagBacklinkedUrlsAtRisk,
+};
@@ -0,0 +1,100 @@
+/**
+ * Match Override Service
+ * Stores reviewer decisions on URL matches (accepted suggestions, rejected matches
+ * and manual mappings) and indexes them so compareUrls can apply them on every run
+ */
+
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+
+export const OVERRIDE_ACTIONS = ['accept', 'reject', 'manual'];
+
+/**
+ * Key an old → new pair by their normalized URLs
+ */
+const pairKey = (oldUrl, newUrl, policy) => `${normalizeUrl(oldUrl, policy)} ${normalizeUrl(newUrl, policy)}`;
+
+/**
+ * Index match overrides for lookup during a comparison
+ * @param {Array<Object>} overrides - Overrides stored on the project
+ * @param {Object} normalizationPolicy - Project URL normalization policy
+ * @returns {Object} { mappedTo(oldUrl), isRejected(oldUrl, newUrl), size }
+ */
+export const indexOverrides = (overrides = [], normalizationPolicy = null) => {
+    const policy = resolveNormalizationPolicy(normalizationPolicy);
+    const mappedByOld = new Map();
+    const rejectedPairs = new Set();
+
+    for (const override of overrides) {
+        if (override.action === 'reject') {
+            rejectedPairs.add(pairKey(override.oldUrl, override.newUrl, policy));
+        } else {
+            mappedByOld.set(normalizeUrl(override.oldUrl, policy), override);
+        }
+    }
+
+    return {
+        size: overrides.length,
+        mappedTo: (oldUrl) => mappedByOld.get(normalizeUrl(oldUrl, policy)) || null,
+        isRejected: (oldUrl, newUrl) => rejectedPairs.size > 0 && rejectedPairs.has(pairKey(oldUrl, newUrl, policy)),
+    };
+};
+
+/**
+ * Add a decision to a list of overrides, replacing the decisions it supersedes.
+ * An old URL maps to at most one accepted or manual target; rejecting a pair
+ * withdraws an acceptance of that same pair.
+ * @param {Array<Object>} overrides - Current overrides
+ * @param {Object} decision - { oldUrl, newUrl, action, note }
+ * @param {Object} normalizationPolicy - Project URL normalization policy
+ * @returns {Array<Object>} Updated overrides
+ */
+export const upsertOverride = (overrides, decision, normalizationPolicy = null) => {
+    const policy = resolveNormalizationPolicy(normalizationPolicy);
+    const oldKey = normalizeUrl(decision.oldUrl, policy);
+    const decisionPair = pairKey(decision.oldUrl, decision.newUrl, policy);
+
+    const kept = overrides.filter(override => {
+        const sameOld = normalizeUrl(override.oldUrl, policy) === oldKey;
+        const samePair = pairKey(override.oldUrl, override.newUrl, policy) === decisionPair;
+
+        if (decision.action === 'reject') {
+            return !samePair;
+        }
+        return !(sameOld && override.action !== 'reject') && !samePair;
+    });
+
+    return [...kept, decision];
+};
+
+/**
+ * Rebuild content matching results from the missing entries of a comparison,
+ * so content matches survive a recomputation without crawling again
+ * @param {Object} comparison - Previous results from compareUrls
+ * @returns {Object} Content results in the shape returned by matchMissingByContent
+ */
+export const collectContentMatches = (comparison) => {
+    const matches = (comparison?.missing || [])
+        .filter(entry => entry.contentMatch)
+        .map(entry => ({ oldUrl: entry.oldUrl, ...entry.contentMatch }));
+
+    return { matches, errors: [] };
+};
+
+/**
+ * Drop content matches the reviewer rejected
+ * @param {Object} contentResults - Results from matchMissingByContent
+ * @param {Object} overrideIndex - Result of indexOverrides
+ * @returns {Object} Filtered content results
+ */
+export const filterRejectedContentMatches = (contentResults, overrideIndex) => ({
+    ...contentResults,
+    matches: contentResults.matches.filter(match => !overrideIndex.isRejected(match.oldUrl, match.newUrl)),
+});
+
+export default {
+    OVERRIDE_ACTIONS,
+    indexOverrides,
+    upsertOverride,
+    collectContentMatches,
+    filterRejectedContentMatches,
+};
@@ -0,0 +1,508 @@
+/**
+ * Redirect Config Parser
+ * Reads nginx, Apache (.htaccess) and Netlify (_redirects) redirect configs into the
+ * same mapping rows as the redirect mapping CSV, reporting every redirect line it
+ * could not translate
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseRedirectMappingRows } from './csvParser.js';
+import { decodeText } from './spreadsheetReader.js';
+
+export const REDIRECT_CONFIG_FORMATS = ['csv', 'xlsx', 'nginx', 'apache', 'netlify'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// nginx blocks whose redirects apply to every request they cover; any other block (if,
+// limit_except, ...) makes them conditional
+const NGINX_UNCONDITIONAL_BLOCKS = ['http', 'server', 'location'];
+
+// Apache Redirect status keywords
+const APACHE_STATUS_KEYWORDS = {
+    permanent: 301,
+    temp: 302,
+    seeother: 303,
+    gone: 410,
+};
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a config line into whitespace-separated arguments, honouring quotes
+ * @param {string} text - Line text
+ * @returns {Array<string>} Arguments without their quotes
+ */
+const splitArgs = (text) => {
+    const args = [];
+    const pattern = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        args.push(match[1] ?? match[2] ?? match[3]);
+    }
+    return args;
+};
+
+/**
+ * Create the result collector shared by the format parsers
+ * @returns {Object} Collector with rows, unparsed lines and an ignored-line count
+ */
+const createCollector = () => {
+    const result = { rows: [], unparsed: [], ignoredLines: 0 };
+
+    return {
+        result,
+        add: (line, oldUrl, newUrl, type, extra = {}) => {
+            result.rows.push({ line, oldUrl, newUrl, type, priority: null, ...extra });
+        },
+        reject: (line, text, reason) => {
+            result.unparsed.push({ line, text: text.trim(), reason });
+        },
+        ignore: () => {
+            result.ignoredLines++;
+        },
+    };
+};
+
+/**
+ * Split an nginx config into statements, each with the line it starts on.
+ * Statements end with ";" or open/close a block with "{" / "}".
+ * @param {string} content - Config content
+ * @returns {Array<Object>} Statements as { line, text, terminator }
+ */
+const tokenizeNginx = (content) => {
+    const statements = [];
+    let text = '';
+    let startLine = null;
+    let line = 1;
+    let quote = null;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+
+        if (char === '\n') line++;
+
+        if (quote) {
+            text += char;
+            if (char === quote && content[i - 1] !== '\\') quote = null;
+            continue;
+        }
+
+        if (char === '#') {
+            // Comment runs to the end of the line
+            while (i + 1 < content.length && content[i + 1] !== '\n') i++;
+            continue;
+        }
+
+        if (char === ';' || char === '{' || char === '}') {
+            statements.push({ line: startLine ?? line, text: text.trim(), terminator: char });
+            text = '';
+            startLine = null;
+            continue;
+        }
+
+        if (char === '"' || char === '\'') quote = char;
+        if (startLine === null && !/\s/.test(char)) startLine = line;
+        text += char;
+    }
+
+    if (text.trim()) {
+        statements.push({ line: startLine ?? line, text: text.trim(), terminator: null });
+    }
+
+    return statements;
+};
+
+/**
+ * Describe the source an nginx return applies to, from its enclosing location
+ * @param {Array<string>|null} location - Arguments of the enclosing location block
+ * @returns {Object|null} { type, source, caseInsensitive } or null if unsupported
+ */
+const nginxLocationSource = (location) => {
+    // Server-level return: every path
+    if (!location) return { type: 'prefix', source: '/' };
+
+    const [modifier, ...rest] = location;
+    if (rest.length === 0) return { type: 'prefix', source: modifier };
+    if (modifier === '=') return { type: 'exact', source: rest[0] };
+    if (modifier === '^~') return { type: 'prefix', source: rest[0] };
+    if (modifier === '~') return { type: 'regex', source: rest[0] };
+    if (modifier === '~*') return { type: 'regex', source: rest[0], caseInsensitive: true };
+
+    return null;
+};
+
+/**
+ * Parse an nginx config (rewrite ... permanent|redirect and return 3xx)
+ * @param {string} content - Config content
+ * @returns {Object} { rows, unparsed, ignoredLines }
+ */
+export const parseNginxConfig = (content) => {
+    const { result, add, reject, ignore } = createCollector();
+    const blocks = [];
+
+    for (const statement of tokenizeNginx(content)) {
+        const args = splitArgs(statement.text);
+
+        if (statement.terminator === '}') {
+            blocks.pop();
+            if (args.length > 0) reject(statement.line, statement.text, 'Missing ";" before "}"');
+            continue;
+        }
+
+        if (statement.terminator === '{') {
+            blocks.push(args);
+            continue;
+        }
+
+        const [directive, ...params] = args;
+        if (!directive) continue;
+
+        if (directive === 'rewrite' || directive === 'return') {
+            const condition = blocks.find(block => !NGINX_UNCONDITIONAL_BLOCKS.includes(block[0]));
+            if (condition) {
+                reject(statement.line, statement.text, `Conditional redirect not supported (inside "${condition[0]}" block)`);
+                continue;
+            }
+        }
+
+        if (directive === 'rewrite') {
+            const [pattern, replacement, flag] = params;
+
+            if (!pattern || !replacement) {
+                reject(statement.line, statement.text, 'rewrite needs a pattern and a replacement');
+                continue;
+            }
+
+            const isRedirect = flag === 'permanent' || flag === 'redirect' ||
+                /^(https?:\/\/|\$scheme)/.test(replacement);
+            if (!isRedirect) {
+                reject(statement.line, statement.text, 'Internal rewrite, not a redirect');
+                continue;
+            }
+
+            // A trailing "?" only tells nginx to drop the original query string
+            const target = replacement.replace(/\?$/, '');
+            if (/\$(?!\d)/.test(target)) {
+                reject(statement.line, statement.text, 'Target uses nginx variables');
+                continue;
+            }
+
+            add(statement.line, pattern, target, 'regex');
+            continue;
+        }
+
+        if (directive === 'return') {
+            const hasCode = /^\d{3}$/.test(params[0] || '');
+            const code = hasCode ? Number(params[0]) : 302;
+            const target = hasCode ? params[1] : params[0];
+
+            if (!REDIRECT_STATUSES.includes(code) || !target) {
+                reject(statement.line, statement.text, `Status ${hasCode ? code : 'missing'} is not a redirect`);
+                continue;
+            }
+
+            const locationBlock = [...blocks].reverse().find(block => block[0] === 'location');
+            const location = nginxLocationSource(locationBlock ? locationBlock.slice(1) : null);
+
+            if (!location) {
+                reject(statement.line, statement.text, 'Unsupported location modifier');
+                continue;
+            }
+
+            const usesRequestUri = /\$(request_uri|uri)\b/.test(target);
+            const remaining = target.replace(/\$(request_uri|uri)\b/g, '');
+            if (/\$(?!\d)/.test(remaining)) {
+                reject(statement.line, statement.text, 'Target uses nginx variables');
+                continue;
+            }
+
+            if (location.type === 'exact') {
+                add(statement.line, location.source, target.replace(/\$(request_uri|uri)\b/g, () => location.source), 'exact');
+            } else if (location.type === 'prefix') {
+                if (usesRequestUri) {
+                    add(statement.line, `^(${escapeRegex(location.source)}.*)$`, target.replace(/\$(request_uri|uri)\b/g, () => '$1'), 'regex');
+                } else {
+                    add(statement.line, `${location.source}*`, target, 'wildcard');
+                }
+            } else if (usesRequestUri) {
+                reject(statement.line, statement.text, '$request_uri inside a regex location is not supported');
+            } else {
+                add(statement.line, location.source, target, 'regex', location.caseInsensitive ? { caseInsensitive: true } : {});
+            }
+            continue;
+        }
+
+        ignore();
+    }
+
+    return result;
+};
+
+/**
+ * Build the prefix rule of an Apache Redirect directive.
+ * Redirect /old /new also sends /old/page to /new/page.
+ * @param {string} source - URL path
+ * @param {string} target - Target URL
+ * @returns {Object} { oldUrl, newUrl } regex row
+ */
+const apachePrefixRule = (source, target) => {
+    if (source.endsWith('/')) {
+        return { oldUrl: `^${escapeRegex(source)}(.*)$`, newUrl: `${target}$1` };
+    }
+    return { oldUrl: `^${escapeRegex(source)}(/.*)?$`, newUrl: `${target}$1` };
+};
+
+/**
+ * Parse an Apache config or .htaccess (Redirect, RedirectMatch, RewriteRule with R flag)
+ * @param {string} content - Config content
+ * @returns {Object} { rows, unparsed, ignoredLines }
+ */
+export const parseApacheConfig = (content) => {
+    const { result, add, reject, ignore } = createCollector();
+    let rewriteBase = '/';
+    let pendingConditions = [];
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = rawLine.trim();
+
+        if (!text || text.startsWith('#')) return;
+
+        const [rawDirective, ...params] = splitArgs(text);
+        const directive = rawDirective.toLowerCase();
+
+        if (directive === 'redirect' || directive === 'redirectpermanent' || directive === 'redirecttemp') {
+            let status = directive === 'redirectpermanent' ? 301 : 302;
+            let args = params;
+
+            if (directive === 'redirect' && args.length > 0 && !args[0].startsWith('/')) {
+                const keyword = args[0].toLowerCase();
+                status = APACHE_STATUS_KEYWORDS[keyword] || Number(keyword);
+                args = args.slice(1);
+            }
+
+            const [source, target] = args;
+            if (!REDIRECT_STATUSES.includes(status)) {
+                reject(line, text, `Status ${params[0]} is not a redirect`);
+            } else if (!source || !target) {
+                reject(line, text, 'Redirect needs a URL path and a target');
+            } else {
+                const rule = apachePrefixRule(source, target);
+                add(line, rule.oldUrl, rule.newUrl, 'regex');
+            }
+            return;
+        }
+
+        if (directive === 'redirectmatch') {
+            let status = 302;
+            let args = params;
+
+            if (args.length > 2) {
+                const keyword = args[0].toLowerCase();
+                status = APACHE_STATUS_KEYWORDS[keyword] || Number(keyword);
+                args = args.slice(1);
+            }
+
+            const [pattern, target] = args;
+            if (!REDIRECT_STATUSES.includes(status)) {
+                reject(line, text, `Status ${params[0]} is not a redirect`);
+            } else if (!pattern || !target) {
+                reject(line, text, 'RedirectMatch needs a pattern and a target');
+            } else {
+                add(line, pattern, target, 'regex');
+            }
+            return;
+        }
+
+        if (directive === 'rewritebase') {
+            rewriteBase = params[0] ? params[0].replace(/\/?$/, '/') : '/';
+            return;
+        }
+
+        if (directive === 'rewritecond') {
+            pendingConditions.push(line);
+            return;
+        }
+
+        if (directive === 'rewriterule') {
+            const conditions = pendingConditions;
+            pendingConditions = [];
+
+            const [pattern, substitution, rawFlags = ''] = params;
+            const flags = rawFlags.replace(/^\[|\]$/g, '').split(',').map(flag => flag.trim().toLowerCase());
+            const redirectFlag = flags.find(flag => /^(r|redirect)(=|$)/.test(flag));
+            const status = redirectFlag?.includes('=') ? Number(redirectFlag.split('=')[1]) : 302;
+
+            if (!pattern || !substitution) {
+                reject(line, text, 'RewriteRule needs a pattern and a substitution');
+            } else if (conditions.length > 0) {
+                reject(line, text, `Depends on RewriteCond (line ${conditions.join(', ')})`);
+            } else if (substitution === '-') {
+                reject(line, text, 'No substitution');
+            } else if (!redirectFlag && !/^https?:\/\//.test(substitution)) {
+                reject(line, text, 'Internal rewrite, not a redirect');
+            } else if (!REDIRECT_STATUSES.includes(status)) {
+                reject(line, text, `Status ${status} is not a redirect`);
+            } else if (/%\{|%\d/.test(substitution)) {
+                reject(line, text, 'Substitution uses server variables or RewriteCond backreferences');
+            } else {
+                // In .htaccess the pattern is matched without the leading slash
+                const source = pattern.startsWith('^') && !pattern.startsWith('^/')
+                    ? `^/?${pattern.slice(1)}`
+                    : pattern;
+                const target = /^(https?:\/\/|\/)/.test(substitution) ? substitution : `${rewriteBase}${substitution}`;
+                const extra = flags.includes('nc') || flags.includes('nocase') ? { caseInsensitive: true } : {};
+
+                add(line, source, target.replace(/\?$/, ''), 'regex', extra);
+            }
+            return;
+        }
+
+        ignore();
+    });
+
+    return result;
+};
+
+/**
+ * Convert a Netlify source path with :placeholders and * into a regex row
+ * @param {string} source - Source path or URL
+ * @param {string} target - Target with :placeholders and :splat
+ * @returns {Object} { oldUrl, newUrl } regex row
+ */
+const netlifyPatternRule = (source, target) => {
+    const groups = [];
+    const pattern = source.split(/(:[A-Za-z_][A-Za-z0-9_]*|\*)/).map(part => {
+        if (part === '*') {
+            groups.push('splat');
+            return '(.*)';
+        }
+        if (/^:[A-Za-z_]/.test(part)) {
+            groups.push(part.slice(1));
+            return '([^/]+)';
+        }
+        return escapeRegex(part);
+    }).join('');
+
+    const newUrl = target.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) => {
+        const index = groups.indexOf(name);
+        return index === -1 ? placeholder : `$${index + 1}`;
+    });
+
+    return { oldUrl: `^${pattern}/?$`, newUrl };
+};
+
+/**
+ * Parse a Netlify _redirects file
+ * @param {string} content - File content
+ * @returns {Object} { rows, unparsed, ignoredLines }
+ */
+export const parseNetlifyRedirects = (content) => {
+    const { result, add, reject } = createCollector();
+
+    content.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = index + 1;
+        const text = rawLine.trim();
+
+        if (!text || text.startsWith('#')) return;
+
+        const [source, ...rest] = splitArgs(text);
+
+        // Query parameter matching sits between the source and the target
+        if (rest.length > 0 && rest[0].includes('=')) {
+            reject(line, text, 'Query parameter matching is not supported');
+            return;
+        }
+
+        const [target, rawStatus = '301', ...conditions] = rest;
+        const status = parseInt(rawStatus, 10);
+
+        if (!target) {
+            reject(line, text, 'Missing target');
+        } else if (Number.isNaN(status)) {
+            reject(line, text, `Invalid status ${rawStatus}`);
+        } else if (!REDIRECT_STATUSES.includes(status)) {
+            reject(line, text, `Status ${status} is not a redirect`);
+        } else if (conditions.length > 0) {
+            reject(line, text, 'Conditions (country, language, role, cookie) are not supported');
+        } else if (/[*:]/.test(source.replace(/^https?:\/\//, ''))) {
+            const rule = netlifyPatternRule(source, target);
+            add(line, rule.oldUrl, rule.newUrl, 'regex');
+        } else {
+            add(line, source, target, 'exact');
+        }
+    });
+
+    return result;
+};
+
+/**
+ * Detect the format of a redirect mapping file from its name and content
+ * @param {string} filename - Stored or original file name
+ * @param {string} content - File content
+ * @returns {string} One of REDIRECT_CONFIG_FORMATS
+ */
+export const detectRedirectConfigFormat = (filename = '', content = '') => {
+    const name = path.basename(filename).toLowerCase();
+
+    if (name.endsWith('.csv') || name.endsWith('.tsv')) return 'csv';
+    if (name.endsWith('.xlsx') || name.endsWith('.xls')) return 'xlsx';
+    if (name.endsWith('.conf')) return 'nginx';
+    if (name.startsWith('.htaccess')) return 'apache';
+    if (name.startsWith('_redirects')) return 'netlify';
+
+    const lines = content.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+
+    if (lines.some(l => /^(rewrite\s|return\s+30\d|location\s)/.test(l))) return 'nginx';
+    if (lines.some(l => /^(Redirect|RedirectMatch|RedirectPermanent|RedirectTemp|RewriteRule|RewriteEngine)\s/i.test(l))) return 'apache';
+    if (/[,;]/.test(lines[0] || '')) return 'csv';
+
+    return 'netlify';
+};
+
+/**
+ * Parse a redirect mapping file in any supported format
+ * @param {string} filePath - Path to the uploaded file
+ * @param {Object} options - Parse options
+ * @param {string} options.format - Force a format instead of detecting it
+ * @param {Object} options.columnMapping - Column key → header of a CSV mapping (see REDIRECT_MAPPING_COLUMNS)
+ * @param {string|number} options.sheet - Sheet of an Excel mapping to read (name or index)
+ * @returns {Promise<Object>} { format, rows, unparsed, ignoredLines }
+ */
+export const parseRedirectMappingFile = async (filePath, options = {}) => {
+    const { text: content } = decodeText(await fs.promises.readFile(filePath));
+    const format = options.format || detectRedirectConfigFormat(filePath, content);
+
+    if (!REDIRECT_CONFIG_FORMATS.includes(format)) {
+        throw new Error(`Unsupported redirect mapping format: ${format}`);
+    }
+
+    let result;
+    if (format === 'csv' || format === 'xlsx') {
+        const { columnMapping, sheet } = options;
+        result = { ...await parseRedirectMappingRows(filePath, { columnMapping, sheet }), ignoredLines: 0 };
+    } else if (format === 'nginx') {
+        result = parseNginxConfig(content);
+    } else if (format === 'apache') {
+        result = parseApacheConfig(content);
+    } else {
+        result = parseNetlifyRedirects(content);
+    }
+
+    console.log(`Parsed ${result.rows.length} redirect rows from ${format} file (${result.unparsed.length} lines not imported)`);
+
+    return { format, ...result };
+};
+
+export default {
+    REDIRECT_CONFIG_FORMATS,
+    parseNginxConfig,
+    parseApacheConfig,
+    parseNetlifyRedirects,
+    detectRedirectConfigFormat,
+    parseRedirectMappingFile,
+};
@@ -0,0 +1,420 @@
+/**
+ * Redirect Mapping Service
+ * Builds the redirect mapping used by compareUrls (exact, wildcard and regex rows),
+ * resolves old URLs through it, and validates it before launch: self-redirects, loops,
+ * chains, conflicting duplicates and targets that do not exist on the new site
+ */
+
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+
+const MAX_CHAIN_HOPS = 20;
+
+export const RULE_TYPES = ['exact', 'wildcard', 'regex'];
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Check whether a source or target is a full URL rather than a path
+ */
+const isAbsolute = (value) => /^[a-z][a-z0-9+.-]*:\/\//i.test(value);
+
+/**
+ * Check whether a wildcard or regex row matches the query string: a literal "?" in a wildcard,
+ * an escaped "\?" or "[?]" in a regex (where a bare "?" is a quantifier)
+ */
+const matchesQueryString = (row) => (row.type === 'wildcard'
+    ? row.oldUrl.includes('?')
+    : /\\\?|\[\?\]/.test(row.oldUrl));
+
+/**
+ * Compile the matcher of a wildcard or regex row.
+ * Wildcards use * for "anything" and expose each * as $1, $2, ... in the target.
+ * @param {Object} row - Mapping row
+ * @returns {RegExp} Compiled matcher
+ * @throws {Error} If the regex is invalid
+ */
+const compileRule = (row) => {
+    if (row.type === 'wildcard') {
+        const pattern = row.oldUrl.split('*').map(escapeRegex).join('(.*)');
+        return new RegExp(`^${pattern}$`);
+    }
+    return new RegExp(row.oldUrl, row.caseInsensitive ? 'i' : '');
+};
+
+/**
+ * Build the redirect mapping from mapping rows.
+ * Exact rows are looked up by normalized URL (or path for relative sources); wildcard and
+ * regex rows are tried in priority order (lowest number first, then file order).
+ * @param {Array<Object>} rows - Rows with { line, oldUrl, newUrl, type, priority }
+ * @param {Object} options - Build options
+ * @param {Object} options.normalizationPolicy - Project URL normalization policy
+ * @returns {Object} Mapping with exact rows, ordered rules and rule errors
+ */
+export const buildRedirectMapping = (rows, options = {}) => {
+    const policy = resolveNormalizationPolicy(options.normalizationPolicy);
+    const exact = new Map();
+    const rules = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const type = row.type || 'exact';
+
+        if (type === 'exact') {
+            // Later rows override earlier ones
+            exact.set(exactKey(row.oldUrl, policy), { ...row, type });
+            return;
+        }
+
+        try {
+            rules.push({
+                ...row,
+                type,
+                priority: Number.isFinite(row.priority) ? row.priority : Infinity,
+                order: index,
+                matcher: compileRule({ ...row, type }),
+                matchesFullUrl: isAbsolute(row.oldUrl.replace(/^\^/, '')),
+                matchesQuery: matchesQueryString({ ...row, type }),
+            });
+        } catch (error) {
+            errors.push({ line: row.line, oldUrl: row.oldUrl, type, error: error.message });
+        }
+    });
+
+    rules.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    return {
+        exact,
+        rules,
+        errors,
+        policy,
+        size: exact.size + rules.length,
+    };
+};
+
+/**
+ * Key an exact source: normalized URL for absolute sources, normalized path for relative ones
+ * @param {string} source - Source URL or path
+ * @param {Object} policy - Normalization policy
+ * @returns {string} Lookup key
+ */
+const exactKey = (source, policy) => {
+    if (isAbsolute(source)) return normalizeUrl(source, policy);
+
+    const normalized = new URL(normalizeUrl(new URL(source, 'http://placeholder.invalid').toString(), policy));
+    return `${normalized.pathname}${normalized.search}`;
+};
+
+/**
+ * Wrap a plain Map of old URL to new URL (exact rows only) as a redirect mapping
+ * @param {Map|Object|null} redirectMap - Map or mapping from buildRedirectMapping
+ * @param {Object} options - Build options passed to buildRedirectMapping
+ * @returns {Object|null} Redirect mapping
+ */
+export const toRedirectMapping = (redirectMap, options = {}) => {
+    if (!redirectMap) return null;
+    if (!(redirectMap instanceof Map)) return redirectMap;
+
+    const rows = Array.from(redirectMap.entries()).map(([oldUrl, newUrl]) => ({ line: null, oldUrl, newUrl, type: 'exact' }));
+    return buildRedirectMapping(rows, options);
+};
+
+/**
+ * Resolve an old URL through the redirect mapping
+ * @param {Object} mapping - Mapping from buildRedirectMapping
+ * @param {string} url - Old URL
+ * @param {Object} options - Resolve options
+ * @param {string} options.newBaseUrl - Base for relative targets
+ * @returns {Object|null} { target, rule } or null if no row matches
+ */
+export const resolveRedirect = (mapping, url, options = {}) => {
+    if (!mapping) return null;
+
+    const { newBaseUrl = null } = options;
+    const toAbsolute = (target) => {
+        if (isAbsolute(target) || !newBaseUrl) return target;
+        try {
+            return new URL(target, newBaseUrl).toString();
+        } catch {
+            return target;
+        }
+    };
+
+    let urlObj;
+    try {
+        urlObj = new URL(url);
+    } catch {
+        return null;
+    }
+
+    // Exact rows: full URL first, then path
+    const normalized = normalizeUrl(url, mapping.policy);
+    const normalizedObj = new URL(normalized);
+    const exactRow = mapping.exact.get(normalized) ||
+        mapping.exact.get(`${normalizedObj.pathname}${normalizedObj.search}`);
+
+    if (exactRow) {
+        return {
+            target: toAbsolute(exactRow.newUrl),
+            rule: { type: 'exact', source: exactRow.oldUrl, line: exactRow.line },
+        };
+    }
+
+    // Wildcard and regex rows, in priority order
+    for (const rule of mapping.rules) {
+        const subject = rule.matchesFullUrl
+            ? url
+            : `${urlObj.pathname}${rule.matchesQuery ? urlObj.search : ''}`;
+
+        const match = subject.match(rule.matcher);
+        if (!match) continue;
+
+        const target = rule.newUrl.replace(/\$(\d+)/g, (_, group) => match[Number(group)] ?? '');
+
+        return {
+            target: toAbsolute(target),
+            rule: {
+                type: rule.type,
+                source: rule.oldUrl,
+                line: rule.line,
+                priority: Number.isFinite(rule.priority) ? rule.priority : null,
+            },
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Follow a source through the mapping until it leaves the mapping, loops or hits the hop limit
+ * @param {string} start - Normalized source URL
+ * @param {Map<string, Object>} targetsBySource - Normalized source to effective row
+ * @param {Function} findSource - Returns the source key redirecting a normalized URL, if any
+ * @returns {Object} { hops, loop } where hops are normalized URLs including the start
+ */
+const followMapping = (start, targetsBySource, findSource) => {
+    const hops = [start];
+    const visited = new Set([start]);
+    let current = start;
+
+    while (targetsBySource.has(current) && hops.length <= MAX_CHAIN_HOPS) {
+        // Targets that are redirected again continue from the source that matches them
+        const target = targetsBySource.get(current).normalizedNew;
+        const next = findSource(target) || target;
+        hops.push(next);
+
+        if (visited.has(next)) {
+            return { hops, loop: true };
+        }
+
+        visited.add(next);
+        current = next;
+    }
+
+    return { hops, loop: false };
+};
+
+/**
+ * Validate redirect mapping rows
+ * @param {Array<Object>} allRows - Rows from parseRedirectMappingRows ({ line, oldUrl, newUrl, type, priority })
+ * @param {Array<string>} newUrls - URLs from the new sitemap (skips the missing-target check if empty)
+ * @param {Object} options - Validation options
+ * @param {Object} options.normalizationPolicy - Project URL normalization policy
+ * @param {string} options.sourceFormat - Format the rows were read from (csv, nginx, apache, netlify)
+ * @param {Array<Object>} options.unparsedLines - Redirect lines that could not be imported
+ * @param {string} options.oldBaseUrl - Base for relative sources
+ * @param {string} options.newBaseUrl - Base for relative targets
+ * @returns {Object} Validation report
+ */
+export const validateRedirectMapping = (allRows, newUrls = [], options = {}) => {
+    const policy = resolveNormalizationPolicy(options.normalizationPolicy);
+    const { oldBaseUrl = null, newBaseUrl = null } = options;
+
+    // Relative rows are resolved as resolveRedirect does: sources against the old site, targets
+    // against the new one. Without a base they are compared by normalized path.
+    const normalizeRowUrl = (url, baseUrl) => {
+        if (!isAbsolute(url) && baseUrl) {
+            try {
+                return normalizeUrl(new URL(url, baseUrl).toString(), policy);
+            } catch {
+                // Fall back to the path
+            }
+        }
+        return exactKey(url, policy);
+    };
+    const pathKey = (normalized) => {
+        if (!isAbsolute(normalized)) return normalized;
+        const urlObj = new URL(normalized);
+        return `${urlObj.pathname}${urlObj.search}`;
+    };
+
+    // Wildcard and regex rows are checked for syntax; the graph checks apply to exact rows
+    const rows = allRows.filter(row => !row.type || row.type === 'exact');
+    const { errors: invalidRules } = buildRedirectMapping(
+        allRows.filter(row => row.type && row.type !== 'exact'),
+        { normalizationPolicy: policy }
+    );
+
+    const issues = {
+        unparsedLines: options.unparsedLines || [],
+        invalidRules,
+        selfRedirects: [],
+        loops: [],
+        chains: [],
+        conflictingDuplicates: [],
+        duplicates: [],
+        missingTargets: [],
+        redirectedTargets: [],
+    };
+
+    const normalizedRows = rows.map(row => ({
+        ...row,
+        normalizedOld: normalizeRowUrl(row.oldUrl, oldBaseUrl),
+        normalizedNew: normalizeRowUrl(row.newUrl, newBaseUrl),
+        relativeSource: !isAbsolute(row.oldUrl),
+    }));
+
+    // Group rows by source to find duplicates; the last row wins, as in parseRedirectMapping
+    const rowsBySource = new Map();
+    for (const row of normalizedRows) {
+        if (!rowsBySource.has(row.normalizedOld)) rowsBySource.set(row.normalizedOld, []);
+        rowsBySource.get(row.normalizedOld).push(row);
+    }
+
+    // A relative source matches its path on any host, like the path lookup in resolveRedirect
+    const relativeSources = new Map();
+    for (const [source, sourceRows] of rowsBySource) {
+        if (sourceRows[sourceRows.length - 1].relativeSource) relativeSources.set(pathKey(source), source);
+    }
+    const targetsBySource = new Map();
+    const findSource = (url) => {
+        if (targetsBySource.has(url)) return url;
+        const source = relativeSources.get(pathKey(url));
+        return targetsBySource.has(source) ? source : null;
+    };
+
+    for (const [source, sourceRows] of rowsBySource) {
+        const effective = sourceRows[sourceRows.length - 1];
+
+        if (sourceRows.length > 1) {
+            const targets = new Set(sourceRows.map(r => r.normalizedNew));
+            const entry = {
+                oldUrl: effective.oldUrl,
+                lines: sourceRows.map(r => r.line),
+                targets: sourceRows.map(r => ({ line: r.line, newUrl: r.newUrl })),
+            };
+
+            if (targets.size > 1) {
+                issues.conflictingDuplicates.push(entry);
+            } else {
+                issues.duplicates.push(entry);
+            }
+        }
+
+        if (effective.normalizedOld === effective.normalizedNew ||
+            (effective.relativeSource && pathKey(effective.normalizedOld) === pathKey(effective.normalizedNew))) {
+            issues.selfRedirects.push({ line: effective.line, oldUrl: effective.oldUrl, newUrl: effective.newUrl });
+            continue;
+        }
+
+        targetsBySource.set(source, effective);
+    }
+
+    // Targets that are themselves redirected, and the chains or loops they form
+    const reportedLoops = new Set();
+    for (const [source, row] of targetsBySource) {
+        const nextSource = findSource(row.normalizedNew);
+        if (!nextSource) continue;
+        const nextRow = targetsBySource.get(nextSource);
+
+        issues.redirectedTargets.push({
+            line: row.line,
+            oldUrl: row.oldUrl,
+            newUrl: row.newUrl,
+            redirectsTo: nextRow.newUrl,
+            redirectLine: nextRow.line,
+        });
+
+        const { hops, loop } = followMapping(source, targetsBySource, findSource);
+
+        if (loop) {
+            // Report each cycle once, however many of its members start a walk
+            const cycleStart = hops.indexOf(hops[hops.length - 1]);
+            const cycleKey = [...hops.slice(cycleStart, -1)].sort().join(' ');
+            if (!reportedLoops.has(cycleKey)) {
+                reportedLoops.add(cycleKey);
+                issues.loops.push({
+                    line: row.line,
+                    oldUrl: row.oldUrl,
+                    hops,
+                });
+            }
+        } else {
+            issues.chains.push({
+                line: row.line,
+                oldUrl: row.oldUrl,
+                finalUrl: hops[hops.length - 1],
+                hopCount: hops.length - 1,
+                hops,
+            });
+        }
+    }
+
+    // Targets missing from the new sitemap
+    if (newUrls.length > 0) {
+        const newUrlSet = new Set(newUrls.map(url => normalizeUrl(url, policy)));
+        const newPathSet = new Set(Array.from(newUrlSet, pathKey));
+
+        for (const row of targetsBySource.values()) {
+            const exists = isAbsolute(row.normalizedNew)
+                ? newUrlSet.has(row.normalizedNew)
+                : newPathSet.has(row.normalizedNew);
+            if (!exists && !findSource(row.normalizedNew)) {
+                issues.missingTargets.push({ line: row.line, oldUrl: row.oldUrl, newUrl: row.newUrl });
+            }
+        }
+    }
+
+    const errorCount = issues.invalidRules.length +
+        issues.selfRedirects.length +
+        issues.loops.length +
+        issues.conflictingDuplicates.length +
+        issues.missingTargets.length;
+    const warningCount = issues.unparsedLines.length +
+        issues.chains.length +
+        issues.redirectedTargets.length +
+        issues.duplicates.length;
+
+    return {
+        valid: errorCount === 0,
+        summary: {
+            sourceFormat: options.sourceFormat || 'csv',
+            totalRows: allRows.length,
+            ruleRows: allRows.length - rows.length,
+            uniqueSources: rowsBySource.size,
+            errorCount,
+            warningCount,
+            unparsedLines: issues.unparsedLines.length,
+            invalidRules: issues.invalidRules.length,
+            selfRedirects: issues.selfRedirects.length,
+            loops: issues.loops.length,
+            chains: issues.chains.length,
+            conflictingDuplicates: issues.conflictingDuplicates.length,
+            duplicates: issues.duplicates.length,
+            missingTargets: issues.missingTargets.length,
+            redirectedTargets: issues.redirectedTargets.length,
+            newSitemapChecked: newUrls.length > 0,
+        },
+        issues,
+    };
+};
+
+export default {
+    RULE_TYPES,
+    buildRedirectMapping,
+    toRedirectMapping,
+    resolveRedirect,
+    validateRedirectMapping,
+};
@@ -0,0 +1,530 @@
+/**
+ * Redirect Rule Service
+ * Generates server redirect configuration from URL comparison results
+ */
+
+import {
+    PLACEHOLDER_PATTERNS,
+    templateParts,
+    templateToRegex,
+    exampleFromTemplate,
+    placeholderIndexes,
+} from './urlTemplates.js';
+
+/**
+ * Supported output formats. Cloudflare Pages reads the same _redirects file as Netlify.
+ * matchesQuery tells whether a format can redirect one query string of a path and not the others.
+ */
+export const REDIRECT_FORMATS = {
+    nginx: { filename: 'redirects.conf', contentType: 'text/plain', matchesQuery: true },
+    apache: { filename: '.htaccess', contentType: 'text/plain', matchesQuery: true },
+    netlify: { filename: '_redirects', contentType: 'text/plain', matchesQuery: false },
+    cloudflare: { filename: '_redirects', contentType: 'text/plain', matchesQuery: false },
+    vercel: { filename: 'vercel.json', contentType: 'application/json', matchesQuery: true },
+};
+
+const MAX_CHAIN_HOPS = 10;
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Parse a URL, returning null if invalid
+ */
+const parseUrl = (url) => {
+    try {
+        return new URL(url);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Build a redirect target for a new URL.
+ * Targets stay relative when the site keeps its host and become absolute on a domain move.
+ * @param {URL} newUrlObj - Parsed new URL
+ * @param {boolean} absolute - Whether to emit an absolute URL
+ * @returns {string} Redirect target
+ */
+const buildTarget = (newUrlObj, absolute) => {
+    return absolute ? `${newUrlObj.origin}${newUrlObj.pathname}` : newUrlObj.pathname;
+};
+
+/**
+ * Show the source of a rule as requested, with its query string
+ */
+const describeSource = (rule) => (rule.query ? `${rule.source}?${rule.query}` : rule.source);
+
+/**
+ * Build a regex matching a query string that holds every param of a rule,
+ * in any order and next to other params
+ * @param {string} query - Query string without "?"
+ * @returns {string} Regex of lookaheads, one per param
+ */
+const queryRegex = (query) => Array.from(new URLSearchParams(query))
+    .map(([name, value]) => `(?=(?:.*&)?${escapeRegex(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`)}(?:&|$))`)
+    .join('');
+
+/**
+ * Collect row-level redirect rules from comparison results.
+ * Old URLs that kept a query string under the normalization policy get rules that match it,
+ * so /page?id=1 and /page?id=2 can go to different places.
+ * @param {Object} urlComparison - Results from compareUrls
+ * @param {boolean} includeSuggestions - Whether to include suggested matches for missing URLs
+ * @returns {Array<Object>} Exact redirect rules, with query set on rules that match one
+ */
+const collectRowRules = (urlComparison, includeSuggestions) => {
+    const rows = [
+        ...(urlComparison.redirected || []).map(r => ({ oldUrl: r.oldUrl, newUrl: r.newUrl, origin: 'mapped' })),
+        // Same path below a moved base URL (https://old.com/en/about → https://new.com/about)
+        ...(urlComparison.matched || [])
+            .filter(m => m.matchType === 'base_rewrite')
+            .map(m => ({ oldUrl: m.oldUrl, newUrl: m.newUrl, origin: 'mapped' })),
+    ];
+
+    if (includeSuggestions) {
+        (urlComparison.missing || [])
+            .filter(m => m.suggestion)
+            .forEach(m => rows.push({ oldUrl: m.oldUrl, newUrl: m.suggestion, origin: 'suggested' }));
+    }
+
+    const rules = [];
+    const seenSources = new Set();
+
+    for (const row of rows) {
+        const oldUrlObj = parseUrl(row.oldUrl);
+        const newUrlObj = parseUrl(row.newUrl);
+        if (!oldUrlObj || !newUrlObj) continue;
+
+        const source = oldUrlObj.pathname;
+        const query = oldUrlObj.search.slice(1);
+        if (seenSources.has(source + oldUrlObj.search)) continue;
+        seenSources.add(source + oldUrlObj.search);
+
+        const absolute = oldUrlObj.hostname.replace(/^www\./, '') !== newUrlObj.hostname.replace(/^www\./, '');
+        const target = buildTarget(newUrlObj, absolute);
+
+        // Same path on the same host is not a redirect, unless the query string is dropped
+        if (target === source && !query) continue;
+
+        rules.push({
+            type: 'exact',
+            source,
+            ...(query ? { query } : {}),
+            target,
+            origin: row.origin,
+            oldUrl: row.oldUrl,
+            newUrl: row.newUrl,
+        });
+    }
+
+    return rules;
+};
+
+/**
+ * Name each placeholder of a template for formats with named parameters
+ * (e.g. /blog/{year}/{slug} -> year, slug; repeated types get a numeric suffix)
+ * @param {Array<string>} parts - Template parts
+ * @returns {Array<string|null>} Parameter name per part, null for literal parts
+ */
+const nameParams = (parts) => {
+    const seen = {};
+    return parts.map(part => {
+        if (!PLACEHOLDER_PATTERNS[part]) return null;
+        const base = part.slice(1, -1);
+        seen[base] = (seen[base] || 0) + 1;
+        return seen[base] > 1 ? `${base}${seen[base]}` : base;
+    });
+};
+
+/**
+ * Build a template redirect rule from a detected template change
+ * @param {Object} change - Template change from detectPatternChanges
+ * @param {string} targetOrigin - Origin to prefix targets with, or '' for relative targets
+ * @returns {Object|null} Template rule, or null if a new placeholder has no old source
+ */
+const buildTemplateRule = (change, targetOrigin) => {
+    const { oldTemplate, newTemplate, captures = [] } = change;
+    if (captures.some(c => c.oldIndex === null)) return null;
+
+    const oldParts = templateParts(oldTemplate);
+    const newParts = templateParts(newTemplate);
+    const oldPlaceholders = placeholderIndexes(oldParts);
+    const oldNames = nameParams(oldParts);
+    const captureByNewIndex = new Map(captures.map(c => [c.newIndex, c.oldIndex]));
+
+    const replacementParts = newParts.map((part, i) =>
+        (captureByNewIndex.has(i) ? `$${oldPlaceholders.indexOf(captureByNewIndex.get(i)) + 1}` : part)
+    );
+    const namedTargetParts = newParts.map((part, i) =>
+        (captureByNewIndex.has(i) ? `:${oldNames[captureByNewIndex.get(i)]}` : part)
+    );
+
+    return {
+        type: 'template',
+        source: oldTemplate,
+        target: `${targetOrigin}${newTemplate}`,
+        regex: templateToRegex(oldTemplate),
+        replacement: `${targetOrigin}/${replacementParts.join('/')}`,
+        named: {
+            source: `/${oldParts.map((part, i) => (oldNames[i] ? `:${oldNames[i]}` : part)).join('/')}`,
+            constrainedSource: `/${oldParts.map((part, i) => (oldNames[i] ? `:${oldNames[i]}(${PLACEHOLDER_PATTERNS[part]})` : part)).join('/')}`,
+            target: `${targetOrigin}/${namedTargetParts.join('/')}`,
+        },
+        origin: 'pattern',
+    };
+};
+
+/**
+ * Collapse row-level rules into template rules where a detected template change covers them.
+ * A template is only collapsed when every new placeholder comes from an old one, every row
+ * matching the old template is redirected exactly where the template rule would send it, and
+ * no old URL that still exists as-is would be caught by the rule.
+ * @param {Array<Object>} rowRules - Exact rules
+ * @param {Object} patternAnalysis - Results from detectPatternChanges
+ * @param {Object} urlComparison - Results from compareUrls
+ * @returns {Object} Remaining exact rules and generated pattern rules
+ */
+const collapsePatternRules = (rowRules, patternAnalysis, urlComparison) => {
+    const patternRules = [];
+    let remaining = rowRules;
+
+    const livePaths = (urlComparison.matched || [])
+        .filter(m => m.matchType !== 'base_rewrite')
+        .map(m => parseUrl(m.oldUrl)?.pathname)
+        .filter(Boolean);
+
+    for (const change of patternAnalysis?.changes || []) {
+        if (!change.oldTemplate || !change.newTemplate) continue;
+
+        const regex = new RegExp(templateToRegex(change.oldTemplate));
+        const covered = remaining.filter(rule => !rule.query && regex.test(rule.source));
+        if (covered.length === 0) continue;
+
+        // All covered rows must share one target origin (or all be relative)
+        const origins = new Set(covered.map(rule => (rule.target.startsWith('/') ? '' : parseUrl(rule.target)?.origin || null)));
+        if (origins.size !== 1 || origins.has(null)) continue;
+
+        const rule = buildTemplateRule(change, [...origins][0]);
+        if (!rule) continue;
+
+        const consistent = covered.every(row => row.source.replace(regex, rule.replacement) === row.target);
+        if (!consistent) continue;
+
+        // Named-parameter formats cannot constrain types, so check live pages against the loosest form
+        const looseRegex = new RegExp(`^/${templateParts(change.oldTemplate).map(part => (PLACEHOLDER_PATTERNS[part] ? '[^/]+' : escapeRegex(part))).join('/')}/?$`);
+        if (livePaths.some(path => looseRegex.test(path))) continue;
+
+        patternRules.push({
+            ...rule,
+            coveredRows: covered.length,
+            coverage: change.coverage,
+            confidence: change.confidence,
+        });
+
+        const coveredSet = new Set(covered);
+        remaining = remaining.filter(row => !coveredSet.has(row));
+    }
+
+    return { exactRules: remaining, patternRules };
+};
+
+/**
+ * Find the rule that would handle a request path
+ * @param {string} path - Request path
+ * @param {Array<Object>} rules - Ordered rules
+ * @returns {Object|null} Matching rule
+ */
+const findRuleForPath = (path, rules) => {
+    for (const rule of rules) {
+        if (rule.type === 'exact' && !rule.query && rule.source === path) return rule;
+        if (rule.type === 'template' && new RegExp(rule.regex).test(path)) return rule;
+        if (rule.type === 'host') return rule;
+    }
+    return null;
+};
+
+/**
+ * Apply a rule to a path
+ */
+const applyRule = (rule, path) => {
+    if (rule.type === 'template') return path.replace(new RegExp(rule.regex), rule.replacement);
+    if (rule.type === 'host') return rule.target + path;
+    return rule.target;
+};
+
+/**
+ * Detect rules whose targets are themselves redirected by another rule
+ * @param {Array<Object>} rules - Ordered rules
+ * @param {string|null} oldHost - Host the rules are served from
+ * @returns {Array<Object>} Warnings for chains and loops
+ */
+export const detectRuleChains = (rules, oldHost = null) => {
+    const warnings = [];
+
+    // Resolve a target to a path on the server the rules run on, or null if it leaves that server
+    const toLocalPath = (target) => {
+        if (target.startsWith('/')) return target;
+        const urlObj = parseUrl(target);
+        if (!urlObj || !oldHost) return null;
+        return urlObj.hostname.replace(/^www\./, '') === oldHost ? urlObj.pathname : null;
+    };
+
+    for (const rule of rules) {
+        if (rule.type === 'host') continue;
+
+        const samplePath = rule.type === 'template' ? exampleFromTemplate(rule.source) : rule.source;
+        const hops = [samplePath];
+        const visited = new Set([samplePath]);
+        let currentRule = rule;
+        let currentPath = samplePath;
+        let looped = false;
+
+        while (hops.length <= MAX_CHAIN_HOPS) {
+            const nextPath = toLocalPath(applyRule(currentRule, currentPath));
+            if (nextPath === null) break;
+
+            const nextRule = findRuleForPath(nextPath, rules);
+            hops.push(nextPath);
+            if (!nextRule) break;
+
+            if (visited.has(nextPath)) {
+                warnings.push({
+                    type: 'loop',
+                    source: rule.source,
+                    target: rule.target,
+                    hops,
+                    message: `Redirect from ${describeSource(rule)} loops back to ${nextPath}`,
+                });
+                looped = true;
+                break;
+            }
+
+            visited.add(nextPath);
+            currentRule = nextRule;
+            currentPath = nextPath;
+        }
+
+        if (hops.length > 2 && !looped) {
+            warnings.push({
+                type: 'chain',
+                source: rule.source,
+                target: rule.target,
+                hops,
+                message: `Redirect from ${describeSource(rule)} takes ${hops.length - 1} hops`,
+            });
+        }
+    }
+
+    return warnings;
+};
+
+/**
+ * Quote an nginx argument if it contains special characters
+ */
+const nginxArg = (value) => (/[\s;{}"'#]/.test(value) ? `"${value.replace(/"/g, '\\"')}"` : value);
+
+/**
+ * Escape a path for use as a Vercel source (path-to-regexp syntax)
+ */
+const vercelPath = (path) => path.replace(/[:*+?()]/g, '\\$&');
+
+/**
+ * Render rules for nginx
+ */
+const renderNginx = (rules) => {
+    const lines = [];
+    for (const rule of rules) {
+        if (rule.type === 'exact') {
+            const comment = rule.origin === 'suggested' ? ' # suggested, review before deploying' : '';
+            if (rule.query) {
+                // Checked at server level, before locations, so it wins over a rule for the bare path
+                const pattern = `^${escapeRegex(rule.source)}\\?${queryRegex(rule.query)}`;
+                lines.push(`if ($request_uri ~ "${pattern.replace(/"/g, '\\"')}") { return 301 ${nginxArg(rule.target)}; }${comment}`);
+            } else {
+                lines.push(`location = ${nginxArg(rule.source)} { return 301 ${nginxArg(rule.target)}; }${comment}`);
+            }
+        } else if (rule.type === 'template') {
+            // A regex location rather than a server-level rewrite, so exact locations still win
+            lines.push(`location ~ ${nginxArg(rule.regex)} { return 301 ${nginxArg(rule.replacement)}; }`);
+        } else if (rule.type === 'host') {
+            lines.push(`location / { return 301 ${rule.target}$request_uri; }`);
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Render rules for Apache (.htaccess, mod_alias; mod_rewrite for rules matching a query string)
+ */
+const renderApache = (rules) => {
+    const lines = [];
+    if (rules.some(rule => rule.query)) lines.push('RewriteEngine On');
+
+    for (const rule of rules) {
+        if (rule.type === 'exact' && rule.query) {
+            if (rule.origin === 'suggested') lines.push('# suggested, review before deploying');
+            lines.push(`RewriteCond %{QUERY_STRING} ^${queryRegex(rule.query)}`);
+            lines.push(`RewriteRule ^/?${escapeRegex(rule.source.slice(1))}$ ${rule.target} [R=301,L,QSD]`);
+        } else if (rule.type === 'exact') {
+            if (rule.origin === 'suggested') lines.push('# suggested, review before deploying');
+            lines.push(`RedirectMatch 301 ^${escapeRegex(rule.source)}$ ${rule.target}`);
+        } else if (rule.type === 'template') {
+            lines.push(`RedirectMatch 301 ${rule.regex} ${rule.replacement}`);
+        } else if (rule.type === 'host') {
+            lines.push(`RedirectMatch 301 ^/(.*)$ ${rule.target}/$1`);
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Render rules for Netlify / Cloudflare Pages _redirects
+ */
+const renderRedirectsFile = (rules) => {
+    const lines = [];
+    for (const rule of rules) {
+        if (rule.type === 'exact') {
+            if (rule.origin === 'suggested') lines.push('# suggested, review before deploying');
+            lines.push(`${rule.source} ${rule.target} 301`);
+        } else if (rule.type === 'template') {
+            lines.push(`${rule.named.source} ${rule.named.target} 301`);
+        } else if (rule.type === 'host') {
+            lines.push(`/* ${rule.target}/:splat 301`);
+        }
+    }
+    return lines.join('\n');
+};
+
+/**
+ * Render rules for vercel.json
+ */
+const renderVercel = (rules) => {
+    const redirects = rules.map(rule => {
+        if (rule.type === 'template') {
+            return {
+                source: rule.named.constrainedSource,
+                destination: rule.named.target,
+                permanent: true,
+            };
+        }
+        if (rule.type === 'host') {
+            return {
+                source: '/:path*',
+                destination: `${rule.target}/:path*`,
+                permanent: true,
+            };
+        }
+        return {
+            source: vercelPath(rule.source),
+            ...(rule.query ? { has: Array.from(new URLSearchParams(rule.query), ([key, value]) => ({ type: 'query', key, value })) } : {}),
+            destination: rule.target,
+            permanent: true,
+        };
+    });
+
+    return JSON.stringify({ redirects }, null, 2);
+};
+
+/**
+ * Generate redirect rules for a server format
+ * @param {Object} urlComparison - Results from compareUrls
+ * @param {Object} patternAnalysis - Results from detectPatternChanges
+ * @param {string} format - Output format (nginx, apache, netlify, cloudflare, vercel)
+ * @param {Object} options - Generation options
+ * @param {boolean} options.includeSuggestions - Add suggested matches for missing URLs, marked for
+ *   review where the format allows comments; vercel.json cannot mark them (default false)
+ * @param {boolean} options.collapsePatterns - Replace rows covered by a template change with one rule (default true)
+ * @returns {Object} Rendered config, rules and warnings
+ */
+export const generateRedirectRules = (urlComparison, patternAnalysis, format = 'nginx', options = {}) => {
+    const { includeSuggestions = false, collapsePatterns = true } = options;
+
+    if (!Object.hasOwn(REDIRECT_FORMATS, format)) {
+        throw new Error(`Unsupported redirect format: ${format}`);
+    }
+
+    // _redirects files cannot tell query strings apart: those rows are reported, not redirected by path
+    const collectedRules = collectRowRules(urlComparison || {}, includeSuggestions);
+    const rowRules = REDIRECT_FORMATS[format].matchesQuery ? collectedRules : collectedRules.filter(r => !r.query);
+    const queryRules = collectedRules.filter(r => !rowRules.includes(r));
+    const { exactRules, patternRules } = collapsePatterns
+        ? collapsePatternRules(rowRules, patternAnalysis, urlComparison || {})
+        : { exactRules: rowRules, patternRules: [] };
+
+    // A domain move with unchanged paths is handled by a single catch-all rule
+    const hostRewrite = urlComparison?.summary?.hostRewrite;
+    const hostRules = [];
+    if (hostRewrite && (urlComparison.matched || []).some(m => m.matchType === 'host_rewrite')) {
+        const sample = urlComparison.matched.find(m => m.matchType === 'host_rewrite');
+        const newOrigin = parseUrl(sample.newUrl)?.origin;
+        if (newOrigin) {
+            hostRules.push({ type: 'host', source: '/', target: newOrigin, origin: 'host' });
+        }
+    }
+
+    // Order matters: first match wins on every supported server
+    const rules = [
+        ...exactRules.filter(r => r.origin === 'mapped'),
+        ...exactRules.filter(r => r.origin === 'suggested'),
+        ...patternRules,
+        ...hostRules,
+    ];
+
+    const warnings = [
+        ...detectRuleChains(rules, hostRewrite?.from || null),
+        ...queryRules.map(rule => ({
+            type: 'query',
+            source: rule.source,
+            query: rule.query,
+            target: rule.target,
+            message: `Redirect from ${describeSource(rule)} depends on its query string, which ${format} redirects cannot match; add it by hand`,
+        })),
+    ];
+
+    const renderers = {
+        nginx: renderNginx,
+        apache: renderApache,
+        netlify: renderRedirectsFile,
+        cloudflare: renderRedirectsFile,
+        vercel: renderVercel,
+    };
+
+    let content = renderers[format](rules);
+    if (format !== 'vercel') {
+        content = [
+            `# Redirect rules generated by Migration Audit (${format})`,
+            `# ${rules.length} rules, ${warnings.length} warnings`,
+            content,
+        ].join('\n') + '\n';
+    }
+
+    return {
+        format,
+        filename: REDIRECT_FORMATS[format].filename,
+        contentType: REDIRECT_FORMATS[format].contentType,
+        content,
+        rules,
+        warnings,
+        summary: {
+            totalRules: rules.length,
+            exactRules: exactRules.length,
+            mappedRules: exactRules.filter(r => r.origin === 'mapped').length,
+            suggestedRules: exactRules.filter(r => r.origin === 'suggested').length,
+            patternRules: patternRules.length,
+            hostRules: hostRules.length,
+            collapsedRows: patternRules.reduce((sum, r) => sum + r.coveredRows, 0),
+            chains: warnings.filter(w => w.type === 'chain').length,
+            loops: warnings.filter(w => w.type === 'loop').length,
+            unmatchedQueryRows: queryRules.length,
+        },
+    };
+};
+
+export default {
+    REDIRECT_FORMATS,
+    generateRedirectRules,
+    detectRuleChains,
+};
@@ -0,0 +1,375 @@
+/**
+ * Redirect Tracer
+ * Follows redirects one hop at a time, recording the status code, Location, response headers
+ * and timing of every hop. Besides HTTP redirects it detects Refresh headers, HTML meta refresh
+ * and, optionally, JavaScript redirects by loading the final page in Puppeteer.
+ */
+
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import puppeteer from 'puppeteer';
+import { scheduleRequest } from './hostScheduler.js';
+
+export const REQUEST_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Cache-Control': 'no-cache',
+    'Pragma': 'no-cache',
+};
+
+// Hop types: how a hop sent the client on to the next URL
+export const HOP_TYPES = ['http', 'refresh-header', 'meta-refresh', 'javascript'];
+
+// HTML read from a final page to look for a meta refresh; it belongs in the <head>
+const MAX_HTML_BYTES = 256 * 1024;
+
+// Where the head of an HTML document ends
+const END_OF_HEAD = /<\/head\s*>|<body[\s>]/i;
+
+// HEAD responses trusted as they are; other error statuses are confirmed with GET, since
+// many servers answer HEAD with 405, 404 or 500 where GET works
+const TRUSTED_HEAD_ERRORS = [429, 503];
+
+// Failures a GET would run into just the same; on any other HEAD failure GET is tried
+const FATAL_HEAD_ERRORS = ['ENOTFOUND', 'EAI_AGAIN', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT'];
+
+// Time a JavaScript redirect gets to fire after the page has loaded
+const JS_REDIRECT_WAIT_MS = 3000;
+
+/**
+ * Read a response stream up to the end of the HTML <head> and stop the download
+ * @param {Stream} stream - Response body stream
+ * @param {number} limit - Bytes to read at most
+ * @returns {Promise<string>} Body text (possibly cut off)
+ */
+const readBodyHead = (stream, limit) => new Promise((resolve) => {
+    const chunks = [];
+    let length = 0;
+    let done = false;
+
+    const finish = () => {
+        if (done) return;
+        done = true;
+        stream.removeAllListeners('data');
+        stream.destroy();
+        resolve(Buffer.concat(chunks).toString('utf8'));
+    };
+
+    stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+
+        // A meta refresh can only appear in the head; the rest of the page is not needed
+        const tail = Buffer.concat(chunks.slice(-2)).toString('utf8');
+        if (length >= limit || END_OF_HEAD.test(tail)) finish();
+    });
+    stream.on('end', finish);
+    stream.on('error', finish);
+});
+
+/**
+ * Parse a refresh instruction ("5; url=/next") from a Refresh header or meta tag
+ * @param {string} value - Header or content attribute value
+ * @returns {Object|null} { delay, url } or null without a target URL
+ */
+export const parseRefresh = (value) => {
+    const match = String(value || '').match(/^\s*(\d+(?:\.\d+)?)?\s*[;,]?\s*(?:url\s*=\s*)?(['"]?)(.+?)\2\s*$/i);
+    if (!match || !match[3] || /^\d+(\.\d+)?$/.test(match[3])) return null;
+
+    return { delay: match[1] ? parseFloat(match[1]) : 0, url: match[3].trim() };
+};
+
+/**
+ * Find a meta refresh in an HTML document
+ * @param {string} html - Page HTML
+ * @returns {Object|null} { delay, url } or null
+ */
+export const findMetaRefresh = (html) => {
+    const $ = cheerio.load(html);
+    const meta = $('meta')
+        .filter((_, el) => ($(el).attr('http-equiv') || '').trim().toLowerCase() === 'refresh')
+        .first();
+
+    return meta.length ? parseRefresh(meta.attr('content')) : null;
+};
+
+/**
+ * Resolve a URL and drop its fragment, for comparing refresh targets with the current page
+ * @returns {string|null} URL without fragment, or null if it does not resolve
+ */
+const stripHash = (url, base) => {
+    try {
+        const resolved = new URL(url, base);
+        resolved.hash = '';
+        return resolved.toString();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Copy response headers into a plain object
+ */
+const toHeaderObject = (headers) => Object.fromEntries(
+    Object.entries(headers || {}).map(([name, value]) => [name.toLowerCase(), Array.isArray(value) ? value.join(', ') : String(value)])
+);
+
+/**
+ * Request one URL without following redirects, through the scheduler of its host
+ * @param {string} url - URL to request
+ * @param {Object} options - { timeout, readHtml, headFirst, retryAttempts, hostDefaults }
+ * @returns {Promise<Object>} Hop as { url, method, statusCode, statusText, location, headers, responseTime, html }
+ */
+const requestHop = (url, { timeout, readHtml, headFirst, retryAttempts, hostDefaults }) => scheduleRequest(
+    url,
+    () => fetchHop(url, { timeout, readHtml, headFirst }),
+    { retryAttempts, hostDefaults }
+);
+
+/**
+ * Make the request of a single hop.
+ * HEAD is sent first, for redirects and final pages alike. GET follows only when HEAD fails in a
+ * way GET might not, or when a successful HTML page has to be read for a meta refresh or
+ * JavaScript redirect. GET bodies are never downloaded beyond what is needed.
+ */
+const fetchHop = async (url, { timeout, readHtml, headFirst }) => {
+    const startTime = Date.now();
+    const requestOptions = {
+        timeout,
+        maxRedirects: 0,
+        validateStatus: () => true, // Don't throw on any status
+        headers: REQUEST_HEADERS,
+    };
+
+    let headStatusCode = null;
+    if (headFirst) {
+        let response = null;
+        try {
+            response = await axios.head(url, requestOptions);
+        } catch (error) {
+            if (FATAL_HEAD_ERRORS.includes(error.code)) throw error;
+        }
+
+        const headers = toHeaderObject(response?.headers);
+        const trusted = response && (response.status < 400 || TRUSTED_HEAD_ERRORS.includes(response.status));
+        // Only a successful page that may be HTML can hold a meta refresh
+        const contentType = headers['content-type'] || '';
+        const needsBody = readHtml && response?.status >= 200 && response?.status < 300 &&
+            (!contentType || contentType.includes('html'));
+
+        if (trusted && !needsBody) {
+            return {
+                url,
+                method: 'HEAD',
+                statusCode: response.status,
+                statusText: response.statusText,
+                location: headers.location || null,
+                headers,
+                responseTime: Date.now() - startTime,
+                html: null,
+            };
+        }
+        headStatusCode = response?.status ?? null;
+    }
+
+    const getStart = Date.now();
+    const response = await axios.get(url, { ...requestOptions, responseType: 'stream' });
+
+    const responseTime = Date.now() - getStart;
+    const headers = toHeaderObject(response.headers);
+    const isHtml = (headers['content-type'] || '').includes('html');
+    const isSuccess = response.status >= 200 && response.status < 300;
+
+    // Only the status and headers are needed unless the page may hold a meta refresh
+    const html = readHtml && isHtml && isSuccess
+        ? await readBodyHead(response.data, MAX_HTML_BYTES)
+        : (response.data.destroy(), null);
+
+    return {
+        url,
+        method: 'GET',
+        statusCode: response.status,
+        statusText: response.statusText,
+        location: headers.location || null,
+        headers,
+        responseTime,
+        html,
+        // HEAD answered differently, so the GET status is the one reported
+        ...(headStatusCode !== null && headStatusCode !== response.status ? { headStatusCode } : {}),
+    };
+};
+
+/**
+ * Load a page in a browser and report where its scripts send it
+ * @param {Object} browser - Puppeteer browser
+ * @param {string} url - Page URL (already past its HTTP and meta refresh redirects)
+ * @param {number} timeout - Navigation timeout
+ * @returns {Promise<string|null>} URL the page navigated to, or null if it stayed
+ */
+const detectJsRedirect = async (browser, url, timeout) => {
+    const page = await browser.newPage();
+
+    try {
+        await page.setUserAgent(REQUEST_HEADERS['User-Agent']);
+        await page.goto(url, { waitUntil: 'load', timeout });
+
+        // Scripts often redirect on load or shortly after
+        await page.waitForNavigation({ timeout: JS_REDIRECT_WAIT_MS }).catch(() => {});
+
+        const landedOn = page.url();
+        return landedOn && landedOn !== url && landedOn !== 'about:blank' ? landedOn : null;
+    } catch (error) {
+        console.warn(`JS redirect check failed for ${url}: ${error.message}`);
+        return null;
+    } finally {
+        await page.close().catch(() => {});
+    }
+};
+
+/**
+ * Launch the browser used for JavaScript redirect detection
+ * @returns {Promise<Object>} Puppeteer browser; close it when done
+ */
+export const launchRedirectBrowser = () => puppeteer.launch({
+    headless: 'new',
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage'],
+});
+
+/**
+ * Trace the redirects of a URL hop by hop
+ * @param {string} url - URL to trace
+ * @param {Object} options - Trace options
+ * @param {number} options.timeout - Timeout per hop in ms (default 10000)
+ * @param {boolean} options.followRedirects - Follow redirects; when false only the first hop is requested (default true)
+ * @param {boolean} options.headFirst - Send HEAD for every hop, with GET only for HTML pages read for
+ *   a meta refresh or JavaScript redirect and for HEAD failures; when false every hop uses GET (default true)
+ * @param {number} options.maxRedirects - Redirects followed before giving up (default 10)
+ * @param {boolean} options.followMetaRefresh - Follow Refresh headers and meta refresh (default true)
+ * @param {number} options.maxRefreshDelay - Longest refresh delay in seconds still taken as a
+ *   redirect; later refreshes are page reloads or timed notices (default 1)
+ * @param {boolean} options.detectJsRedirects - Load final HTML pages in Puppeteer to detect JavaScript redirects
+ * @param {Object} options.browser - Puppeteer browser to reuse for JavaScript detection
+ * @param {number} options.retryAttempts - Attempts per hop on 429, 5xx and connection failures (default 3)
+ * @param {Object} options.hostDefaults - Rate limits for hosts the scheduler has not seen yet
+ * @returns {Promise<Object>} { url, finalUrl, statusCode, statusText, hops, redirectCount, loop, responseTime, error }
+ *   where every hop but the last has a type (http, refresh-header, meta-refresh or javascript)
+ */
+export const traceRedirects = async (url, options = {}) => {
+    const {
+        timeout = 10000,
+        followRedirects = true,
+        headFirst = true,
+        maxRedirects = 10,
+        followMetaRefresh = true,
+        maxRefreshDelay = 1,
+        detectJsRedirects = false,
+        retryAttempts = 3,
+        hostDefaults = {},
+    } = options;
+
+    const startTime = Date.now();
+    const hops = [];
+    const visited = new Set();
+    let browser = options.browser || null;
+    const ownsBrowser = detectJsRedirects && !browser;
+    let currentUrl = url;
+    let loop = false;
+    let error = null;
+
+    try {
+        while (true) {
+            visited.add(currentUrl);
+            const hop = await requestHop(currentUrl, {
+                timeout,
+                readHtml: followMetaRefresh || detectJsRedirects,
+                headFirst,
+                retryAttempts,
+                hostDefaults,
+            });
+            const { html, ...record } = hop;
+            hops.push({ ...record, type: null });
+
+            // Work out where this hop sends the client next, if anywhere
+            let next = null;
+            if (hop.statusCode >= 300 && hop.statusCode < 400 && hop.location) {
+                next = { type: 'http', url: hop.location };
+            } else if (followMetaRefresh && hop.statusCode >= 200 && hop.statusCode < 300) {
+                // A refresh of the same page, or one after a real pause, does not redirect
+                const isRedirect = (refresh) => refresh && refresh.delay <= maxRefreshDelay &&
+                    stripHash(refresh.url, currentUrl) !== stripHash(currentUrl);
+                const refresh = parseRefresh(hop.headers.refresh);
+                const meta = html && findMetaRefresh(html);
+                if (isRedirect(refresh)) next = { type: 'refresh-header', url: refresh.url, delay: refresh.delay };
+                else if (isRedirect(meta)) next = { type: 'meta-refresh', url: meta.url, delay: meta.delay };
+            }
+
+            if (!next && detectJsRedirects && html && browser !== false) {
+                // Without a usable browser the trace goes on with the HTTP and refresh hops only
+                if (!browser) {
+                    browser = await launchRedirectBrowser().catch((launchError) => {
+                        console.warn(`JS redirect detection disabled: ${launchError.message}`);
+                        return false;
+                    });
+                }
+                const target = browser && await detectJsRedirect(browser, currentUrl, timeout);
+                if (target) next = { type: 'javascript', url: target };
+            }
+
+            if (!next) break;
+
+            const nextUrl = new URL(next.url, currentUrl).toString();
+            Object.assign(hops[hops.length - 1], {
+                type: next.type,
+                location: nextUrl,
+                ...(next.delay !== undefined ? { delay: next.delay } : {}),
+            });
+
+            if (!followRedirects) break;
+
+            if (visited.has(nextUrl)) {
+                loop = true;
+                error = { message: `Redirect loop back to ${nextUrl}`, code: 'REDIRECT_LOOP', type: 'redirect_error' };
+                break;
+            }
+            if (hops.length > maxRedirects) {
+                error = { message: `More than ${maxRedirects} redirects`, code: 'TOO_MANY_REDIRECTS', type: 'redirect_error' };
+                break;
+            }
+
+            currentUrl = nextUrl;
+        }
+    } catch (requestError) {
+        error = {
+            message: requestError.message,
+            code: requestError.code,
+            type: 'network_error',
+        };
+    } finally {
+        if (ownsBrowser && browser) await browser.close().catch(() => {});
+    }
+
+    const last = hops[hops.length - 1];
+    const redirects = hops.filter(hop => hop.type);
+
+    return {
+        url,
+        finalUrl: error?.type === 'network_error' || !last ? currentUrl : last.url,
+        statusCode: error?.type === 'network_error' ? 0 : last.statusCode,
+        statusText: error?.type === 'network_error' ? error.message : last.statusText,
+        hops,
+        redirectCount: redirects.length,
+        loop,
+        responseTime: Date.now() - startTime,
+        error,
+    };
+};
+
+export default {
+    REQUEST_HEADERS,
+    HOP_TYPES,
+    parseRefresh,
+    findMetaRefresh,
+    launchRedirectBrowser,
+    traceRedirects,
+};
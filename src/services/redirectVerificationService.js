@@ -0,0 +1,214 @@
+/**
+ * Redirect Verification Service
+ * Requests every old URL of the redirect mapping on the live site and checks that it
+ * permanently redirects, in a single hop, to the target the mapping expects
+ */
+
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+import { resolveRedirect } from './redirectMappingService.js';
+import { checkMultipleUrls } from './statusChecker.js';
+
+// Outcomes from worst to best; a result takes the first one that applies
+export const VERIFICATION_STATUSES = ['error', 'loop', 'notRedirecting', 'wrongTarget', 'temporary', 'chained', 'correct'];
+
+export const PERMANENT_STATUS_CODES = [301, 308];
+
+/**
+ * Make a mapping source absolute against the old site
+ */
+const toAbsolute = (url, baseUrl) => {
+    try {
+        return new URL(url, baseUrl || undefined).toString();
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * List the old URLs the mapping redirects, with the target each should reach.
+ * Exact rows are taken as they are; wildcard and regex rows are applied to the known old URLs.
+ * @param {Object} mapping - Mapping from buildRedirectMapping
+ * @param {Array<string>} oldUrls - Old site URLs to try the wildcard and regex rows on
+ * @param {Object} options - { oldBaseUrl, newBaseUrl }
+ * @returns {Array<Object>} { oldUrl, expectedUrl, rule }
+ */
+export const collectExpectedRedirects = (mapping, oldUrls = [], options = {}) => {
+    const { oldBaseUrl = null, newBaseUrl = null } = options;
+    if (!mapping) return [];
+
+    const expected = new Map();
+    const add = (url) => {
+        const oldUrl = toAbsolute(url, oldBaseUrl);
+        if (!oldUrl) return;
+
+        const key = normalizeUrl(oldUrl, mapping.policy);
+        if (expected.has(key)) return;
+
+        const resolved = resolveRedirect(mapping, oldUrl, { newBaseUrl });
+        if (resolved) {
+            expected.set(key, { oldUrl, expectedUrl: resolved.target, rule: resolved.rule });
+        }
+    };
+
+    for (const row of mapping.exact.values()) add(row.oldUrl);
+    if (mapping.rules.length > 0) oldUrls.forEach(add);
+
+    return Array.from(expected.values());
+};
+
+/**
+ * Classify a live status check against the expected redirect
+ * @param {Object} expected - Entry from collectExpectedRedirects
+ * @param {Object} result - Result from checkUrlStatus
+ * @param {Object} policy - Normalization policy used to compare final and expected URLs
+ * @returns {Object} Verification entry with its status and the hops taken
+ */
+export const classifyRedirect = (expected, result, policy) => {
+    const chain = result.redirectChain || [];
+    const sameUrl = (a, b) => {
+        try {
+            return normalizeUrl(a, policy) === normalizeUrl(b, policy);
+        } catch {
+            return a === b;
+        }
+    };
+
+    let status;
+    let message;
+    if (result.redirectLoop || result.error?.code === 'TOO_MANY_REDIRECTS') {
+        status = 'loop';
+        message = result.error?.message;
+    } else if (result.statusCode === 0) {
+        status = 'error';
+        message = result.error?.message || result.statusText;
+    } else if (chain.length === 0) {
+        status = 'notRedirecting';
+        message = `Responded ${result.statusCode} without redirecting`;
+    } else if (!sameUrl(result.finalUrl, expected.expectedUrl)) {
+        status = 'wrongTarget';
+        message = `Ends at ${result.finalUrl}`;
+    } else if (chain.some(hop => hop.type !== 'http' || !PERMANENT_STATUS_CODES.includes(hop.statusCode))) {
+        const hop = chain.find(h => h.type !== 'http' || !PERMANENT_STATUS_CODES.includes(h.statusCode));
+        status = 'temporary';
+        message = hop.type === 'http'
+            ? `${hop.statusCode} redirect at ${hop.url}`
+            : `${hop.type} redirect at ${hop.url}`;
+    } else if (chain.length > 1) {
+        status = 'chained';
+        message = `${chain.length} hops`;
+    } else {
+        status = 'correct';
+    }
+
+    // The mapping can be followed faithfully to a target that is itself broken
+    if (!message && result.statusCode >= 400) {
+        message = `Target responds ${result.statusCode}`;
+    }
+
+    return {
+        oldUrl: expected.oldUrl,
+        expectedUrl: expected.expectedUrl,
+        finalUrl: result.finalUrl,
+        status,
+        message: message || null,
+        statusCode: chain[0]?.statusCode ?? result.statusCode,
+        finalStatusCode: result.statusCode,
+        targetBroken: result.statusCode >= 400,
+        chainLength: chain.length,
+        hops: chain.map(hop => ({
+            url: hop.url,
+            statusCode: hop.statusCode,
+            type: hop.type,
+            location: hop.location,
+        })),
+        rule: expected.rule || null,
+    };
+};
+
+/**
+ * Summarize verification entries
+ * @param {Array<Object>} entries - Entries from classifyRedirect
+ * @returns {Object} Counts per status, broken targets and pass rate
+ */
+export const summarizeVerification = (entries) => {
+    const summary = {
+        total: entries.length,
+        ...Object.fromEntries(VERIFICATION_STATUSES.map(status => [status, 0])),
+        brokenTargets: 0,
+    };
+
+    for (const entry of entries) {
+        summary[entry.status]++;
+        if (entry.targetBroken) summary.brokenTargets++;
+    }
+
+    summary.passRate = entries.length > 0
+        ? parseFloat((summary.correct / entries.length * 100).toFixed(2))
+        : 0;
+
+    return summary;
+};
+
+/**
+ * Verify the live redirects of a redirect mapping
+ * @param {Object} mapping - Mapping from buildRedirectMapping
+ * @param {Object} options - Verification options
+ * @param {Array<string>} options.oldUrls - Old site URLs to try the wildcard and regex rows on
+ * @param {string} options.oldBaseUrl - Base for relative sources
+ * @param {string} options.newBaseUrl - Base for relative targets
+ * @param {Object} options.normalizationPolicy - Project URL normalization policy
+ * @param {number} options.limit - Maximum URLs to request (default: all)
+ * @returns {Promise<Object>} { summary, results, expectedCount, truncated } with results ordered
+ *   worst first; expectedCount counts the mapped URLs before the limit
+ */
+export const verifyLiveRedirects = async (mapping, options = {}) => {
+    const {
+        oldUrls = [],
+        oldBaseUrl,
+        newBaseUrl,
+        limit = Infinity,
+        concurrency = 5,
+        delay = 200,
+        onProgress = null,
+        detectJsRedirects = false,
+    } = options;
+    const policy = resolveNormalizationPolicy(options.normalizationPolicy ?? mapping?.policy);
+
+    const allExpected = collectExpectedRedirects(mapping, oldUrls, { oldBaseUrl, newBaseUrl });
+    const expected = allExpected.slice(0, limit);
+    const expectedByUrl = new Map(expected.map(entry => [entry.oldUrl, entry]));
+
+    console.log(`Verifying ${expected.length} live redirects...`);
+
+    const statusResults = await checkMultipleUrls(expected.map(entry => entry.oldUrl), {
+        concurrency,
+        delay,
+        onProgress,
+        detectJsRedirects,
+    });
+
+    const rank = (status) => VERIFICATION_STATUSES.indexOf(status);
+    const results = statusResults
+        .map(result => classifyRedirect(expectedByUrl.get(result.url), result, policy))
+        .sort((a, b) => rank(a.status) - rank(b.status));
+
+    const summary = summarizeVerification(results);
+    console.log(`Redirect verification: ${summary.correct}/${summary.total} correct (${summary.passRate}%)`);
+
+    return {
+        summary,
+        results,
+        expectedCount: allExpected.length,
+        truncated: expected.length < allExpected.length,
+        verifiedAt: new Date().toISOString(),
+    };
+};
+
+export default {
+    VERIFICATION_STATUSES,
+    PERMANENT_STATUS_CODES,
+    collectExpectedRedirects,
+    classifyRedirect,
+    summarizeVerification,
+    verifyLiveRedirects,
+};
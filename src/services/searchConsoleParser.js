@@ -0,0 +1,227 @@
+/**
+ * Search Console Parser
+ * Reads Search Console performance exports: a flat CSV, the zip bundle of the UI export
+ * (Pages.csv, Queries.csv, Countries.csv, Devices.csv, Dates.csv, Filters.csv) or the same
+ * export as an Excel workbook. Page, query, country and device data are kept with the date range.
+ *
+ * In the standard UI export, Queries.csv holds the top queries of the whole site (or of whatever
+ * the export was filtered to), not of each page, so it gives no queries per page. Pages get their
+ * queries only from a sheet with both a page and a query column (API and connector exports, or a
+ * pageQueries sheet added to a workbook) or from a UI export filtered to a single page.
+ */
+
+import { readSpreadsheet, getColumn, hasColumn, toNumber } from './spreadsheetReader.js';
+
+const PAGE_COLUMNS = ['Top pages', 'Page', 'Pages', 'URL', 'Landing page', 'Address'];
+const QUERY_COLUMNS = ['Top queries', 'Query', 'Queries', 'Search query'];
+const COUNTRY_COLUMNS = ['Country', 'Countries'];
+const DEVICE_COLUMNS = ['Device', 'Devices'];
+const DATE_COLUMNS = ['Date', 'Dates'];
+const FILTER_COLUMNS = ['Filter'];
+const POSITION_COLUMNS = ['Position', 'Avg. Position', 'Average position'];
+
+// Columns by key, as used by explicit column mappings
+export const SEARCH_CONSOLE_COLUMNS = {
+    page: PAGE_COLUMNS,
+    query: QUERY_COLUMNS,
+    clicks: ['Clicks'],
+    impressions: ['Impressions'],
+    ctr: ['CTR'],
+    position: POSITION_COLUMNS,
+};
+
+// Queries kept per page, by clicks
+const QUERIES_PER_PAGE = 50;
+
+/**
+ * Read the click, impression, CTR and position columns of a row
+ * @param {Object} row - Header-keyed row
+ * @returns {Object} { clicks, impressions, ctr, position }
+ */
+const readMetrics = (row) => ({
+    clicks: toNumber(getColumn(row, SEARCH_CONSOLE_COLUMNS.clicks)),
+    impressions: toNumber(getColumn(row, SEARCH_CONSOLE_COLUMNS.impressions)),
+    ctr: toNumber(getColumn(row, SEARCH_CONSOLE_COLUMNS.ctr)),
+    position: toNumber(getColumn(row, POSITION_COLUMNS)),
+});
+
+/**
+ * Combine metrics of several rows: sums for clicks and impressions,
+ * CTR from the sums and an impression-weighted position
+ * @param {Array<Object>} rows - Metric rows
+ * @returns {Object} Combined metrics
+ */
+const combineMetrics = (rows) => {
+    const clicks = rows.reduce((sum, row) => sum + row.clicks, 0);
+    const impressions = rows.reduce((sum, row) => sum + row.impressions, 0);
+    const weightedPosition = rows.reduce((sum, row) => sum + row.position * row.impressions, 0);
+
+    return {
+        clicks,
+        impressions,
+        ctr: impressions > 0 ? Math.round(clicks / impressions * 10000) / 100 : 0,
+        position: impressions > 0 ? Math.round(weightedPosition / impressions * 10) / 10 : 0,
+    };
+};
+
+/**
+ * Sort rows by clicks, then impressions
+ */
+const byTraffic = (a, b) => b.clicks - a.clicks || b.impressions - a.impressions;
+
+/**
+ * Classify a sheet by its columns
+ * @param {Object} sheet - { name, rows }
+ * @returns {string|null} 'pageQueries', 'pages', 'queries', 'countries', 'devices', 'dates', 'filters' or null
+ */
+const classifySheet = (sheet) => {
+    const hasPage = hasColumn(sheet, PAGE_COLUMNS);
+    const hasQuery = hasColumn(sheet, QUERY_COLUMNS);
+
+    if (hasColumn(sheet, FILTER_COLUMNS)) return 'filters';
+    if (hasPage && hasQuery) return 'pageQueries';
+    if (hasPage) return 'pages';
+    if (hasQuery) return 'queries';
+    if (hasColumn(sheet, COUNTRY_COLUMNS)) return 'countries';
+    if (hasColumn(sheet, DEVICE_COLUMNS)) return 'devices';
+    if (hasColumn(sheet, DATE_COLUMNS)) return 'dates';
+    return null;
+};
+
+/**
+ * Work out the date range of an export from its Dates sheet, falling back to the Date filter
+ * @param {Array<Object>} dateRows - Rows of the Dates sheet
+ * @param {Object} filters - Filter name → value
+ * @returns {Object|null} { start, end, label }
+ */
+const findDateRange = (dateRows, filters) => {
+    const label = filters.date || null;
+    const dates = dateRows
+        .map(row => String(getColumn(row, DATE_COLUMNS) || '').trim())
+        .filter(date => /^\d{4}-\d{2}-\d{2}/.test(date))
+        .sort();
+
+    if (dates.length > 0) {
+        return { start: dates[0], end: dates[dates.length - 1], label };
+    }
+
+    const explicit = label?.match(/\d{4}-\d{2}-\d{2}/g);
+    if (explicit?.length >= 2) {
+        return { start: explicit[0], end: explicit[1], label };
+    }
+
+    return label ? { start: null, end: null, label } : null;
+};
+
+/**
+ * Parse a Search Console performance export
+ * @param {string} filePath - CSV, zip bundle or Excel workbook
+ * @param {Object} options - Parse options
+ * @param {Object} options.columnMapping - Column key → header in the file (see SEARCH_CONSOLE_COLUMNS)
+ * @param {string|number} options.sheet - Read only this sheet (name or index) instead of every sheet of a bundle
+ * @returns {Promise<Object>} { format, pages, queries, countries, devices, dateRange, filters }
+ *   where queries are the export's top queries overall and each page has its own top queries
+ *   only when the export pairs pages with queries or is filtered to that page
+ */
+export const parseSearchConsoleExport = async (filePath, options = {}) => {
+    const { format, sheets } = await readSpreadsheet(filePath, {
+        sheet: options.sheet,
+        columns: SEARCH_CONSOLE_COLUMNS,
+        columnMapping: options.columnMapping,
+    });
+
+    const byKind = {};
+    for (const sheet of sheets) {
+        const kind = classifySheet(sheet);
+        if (kind && !byKind[kind]) byKind[kind] = sheet.rows;
+    }
+
+    // Filters sheet: Filter, Value (e.g. "Search type: Web", "Date: Last 3 months", "Page: https://...")
+    const filters = {};
+    for (const row of byKind.filters || []) {
+        const name = String(getColumn(row, FILTER_COLUMNS) || '').trim().toLowerCase();
+        if (name) filters[name] = String(getColumn(row, ['Value']) ?? '').trim();
+    }
+
+    const queries = (byKind.queries || [])
+        .map(row => ({ query: String(getColumn(row, QUERY_COLUMNS) || '').trim(), ...readMetrics(row) }))
+        .filter(row => row.query)
+        .sort(byTraffic);
+
+    // Queries per page, from a sheet with both columns (API and connector exports)
+    const queriesByPage = new Map();
+    for (const row of byKind.pageQueries || []) {
+        const url = String(getColumn(row, PAGE_COLUMNS) || '').trim();
+        const query = String(getColumn(row, QUERY_COLUMNS) || '').trim();
+        if (!url || !query) continue;
+
+        if (!queriesByPage.has(url)) queriesByPage.set(url, []);
+        queriesByPage.get(url).push({ query, ...readMetrics(row) });
+    }
+
+    // A UI export filtered to one page: its Queries sheet belongs to that page
+    const pageFilter = filters.page?.match(/https?:\/\/\S+/)?.[0] || null;
+    if (pageFilter && queriesByPage.size === 0 && queries.length > 0) {
+        queriesByPage.set(pageFilter, queries);
+    }
+
+    const pages = new Map();
+    for (const row of byKind.pages || []) {
+        const url = String(getColumn(row, PAGE_COLUMNS) || '').trim();
+        if (url && !pages.has(url)) {
+            pages.set(url, { url, ...readMetrics(row) });
+        }
+    }
+
+    // Pages only known from page/query rows get their combined metrics
+    for (const [url, pageQueries] of queriesByPage) {
+        if (!pages.has(url)) {
+            pages.set(url, { url, ...combineMetrics(pageQueries) });
+        }
+        pages.get(url).queries = pageQueries.sort(byTraffic).slice(0, QUERIES_PER_PAGE);
+    }
+
+    const result = {
+        format,
+        pages: Array.from(pages.values()).sort(byTraffic),
+        queries,
+        countries: (byKind.countries || []).map(row => ({
+            country: String(getColumn(row, COUNTRY_COLUMNS) || '').trim(),
+            ...readMetrics(row),
+        })),
+        devices: (byKind.devices || []).map(row => ({
+            device: String(getColumn(row, DEVICE_COLUMNS) || '').trim(),
+            ...readMetrics(row),
+        })),
+        dateRange: findDateRange(byKind.dates || [], filters),
+        filters,
+    };
+
+    console.log(`Parsed Search Console export (${format}): ${result.pages.length} pages, ${result.queries.length} queries, ${queriesByPage.size} pages with queries`);
+
+    return result;
+};
+
+/**
+ * Summarize a parsed export for storage next to the page data
+ * @param {Object} parsed - Result of parseSearchConsoleExport
+ * @param {number} queryLimit - Site-level queries to keep
+ * @returns {Object} { format, dateRange, filters, totals, queries, countries, devices, pagesWithQueries }
+ */
+export const summarizeSearchConsoleExport = (parsed, queryLimit = 1000) => ({
+    format: parsed.format,
+    dateRange: parsed.dateRange,
+    filters: parsed.filters,
+    totals: combineMetrics(parsed.pages),
+    pageCount: parsed.pages.length,
+    pagesWithQueries: parsed.pages.filter(page => page.queries).length,
+    queries: parsed.queries.slice(0, queryLimit),
+    countries: parsed.countries,
+    devices: parsed.devices,
+});
+
+export default {
+    SEARCH_CONSOLE_COLUMNS,
+    parseSearchConsoleExport,
+    summarizeSearchConsoleExport,
+};
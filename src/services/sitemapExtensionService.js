@@ -0,0 +1,197 @@
+/**
+ * Sitemap Extension Comparison
+ * Compares the image, video, news and hreflang extensions of old and new sitemap
+ * entries across each old → new URL pair, so media and international SEO signals
+ * dropped by a migration are reported
+ */
+
+import path from 'path';
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+
+/**
+ * Key a media URL by its file name, so images and videos moved to another host or CDN path still match
+ * @param {string} url - Media URL
+ * @returns {string|null} Lower-cased file name or null
+ */
+const mediaKey = (url) => {
+    if (!url) return null;
+
+    try {
+        const name = path.posix.basename(new URL(url).pathname);
+        return (name || url).toLowerCase();
+    } catch {
+        return url.toLowerCase();
+    }
+};
+
+/**
+ * Key a video by its content or player file, falling back to its title
+ */
+const videoKey = (video) => mediaKey(video.contentLoc) || mediaKey(video.playerLoc) || video.title?.toLowerCase() || null;
+
+/**
+ * Key an hreflang value case-insensitively
+ */
+const hreflangKey = (alternate) => (alternate.hreflang || '').toLowerCase();
+
+/**
+ * Check whether a sitemap record declares any extension
+ */
+const hasExtensions = (record) => !!(record.images || record.videos || record.news || record.alternates);
+
+/**
+ * Index sitemap records with extensions by normalized URL.
+ * Repeated entries for the same URL (e.g. across child sitemaps) are merged.
+ * @param {Array<Object>} records - Records from the sitemap parser
+ * @param {Object} policy - Normalization policy
+ * @returns {Map} Normalized URL → { images, videos, news, alternates }
+ */
+const indexExtensions = (records, policy) => {
+    const index = new Map();
+
+    for (const record of records || []) {
+        if (!record?.url || !hasExtensions(record)) continue;
+
+        const key = normalizeUrl(record.url, policy);
+        const merged = index.get(key) || { images: [], videos: [], news: null, alternates: [] };
+
+        merged.images.push(...(record.images || []));
+        merged.videos.push(...(record.videos || []));
+        merged.news = merged.news || record.news || null;
+        merged.alternates.push(...(record.alternates || []));
+
+        index.set(key, merged);
+    }
+
+    return index;
+};
+
+/**
+ * Count extension usage across a set of sitemap records
+ * @param {Map} index - Result of indexExtensions
+ * @returns {Object} Page and item counts per extension
+ */
+const countExtensions = (index) => {
+    const counts = {
+        pagesWithImages: 0,
+        images: 0,
+        pagesWithVideos: 0,
+        videos: 0,
+        newsPages: 0,
+        pagesWithAlternates: 0,
+        alternates: 0,
+    };
+
+    for (const entry of index.values()) {
+        if (entry.images.length > 0) counts.pagesWithImages++;
+        if (entry.videos.length > 0) counts.pagesWithVideos++;
+        if (entry.news) counts.newsPages++;
+        if (entry.alternates.length > 0) counts.pagesWithAlternates++;
+        counts.images += entry.images.length;
+        counts.videos += entry.videos.length;
+        counts.alternates += entry.alternates.length;
+    }
+
+    return counts;
+};
+
+/**
+ * Collect the old → new URL pairs of a comparison (direct, host rewrite, redirected,
+ * manual and content matches)
+ * @param {Object} comparison - Results from compareUrls
+ * @returns {Array<Object>} Pairs as { oldUrl, newUrl }
+ */
+const collectPairs = (comparison) => [
+    ...(comparison?.matched || []),
+    ...(comparison?.redirected || []),
+    ...(comparison?.missing || [])
+        .filter(entry => entry.contentMatch)
+        .map(entry => ({ oldUrl: entry.oldUrl, newUrl: entry.contentMatch.newUrl })),
+];
+
+/**
+ * Compare sitemap extensions of old and new pages
+ * @param {Array<Object>} oldRecords - Old sitemap records (with images, videos, news, alternates)
+ * @param {Array<Object>} newRecords - New sitemap records
+ * @param {Object} comparison - Results from compareUrls, used to pair old and new pages
+ * @param {Object} options - Comparison options
+ * @param {Object} options.normalizationPolicy - Project URL normalization policy
+ * @returns {Object} { pages, summary } where pages lists each pair that lost something
+ */
+export const compareSitemapExtensions = (oldRecords, newRecords, comparison, options = {}) => {
+    const policy = resolveNormalizationPolicy(options.normalizationPolicy);
+
+    const oldIndex = indexExtensions(oldRecords, policy);
+    const newIndex = indexExtensions(newRecords, policy);
+    const newSitemapUrls = new Set((newRecords || []).map(record => normalizeUrl(record.url, policy)));
+
+    const pages = [];
+    const summary = {
+        old: countExtensions(oldIndex),
+        new: countExtensions(newIndex),
+        pagesCompared: 0,
+        pagesWithLostImages: 0,
+        lostImages: 0,
+        pagesWithLostVideos: 0,
+        lostVideos: 0,
+        lostNews: 0,
+        pagesWithLostAlternates: 0,
+        lostAlternates: 0,
+        brokenAlternates: 0,
+    };
+
+    for (const { oldUrl, newUrl } of collectPairs(comparison)) {
+        const oldEntry = oldIndex.get(normalizeUrl(oldUrl, policy));
+        if (!oldEntry) continue;
+
+        const newEntry = newIndex.get(normalizeUrl(newUrl, policy)) || { images: [], videos: [], news: null, alternates: [] };
+        summary.pagesCompared++;
+
+        const newImageKeys = new Set(newEntry.images.map(image => mediaKey(image.loc)));
+        const lostImages = oldEntry.images.filter(image => !newImageKeys.has(mediaKey(image.loc)));
+
+        const newVideoKeys = new Set(newEntry.videos.map(videoKey));
+        const lostVideos = oldEntry.videos.filter(video => !newVideoKeys.has(videoKey(video)));
+
+        const newsLost = !!oldEntry.news && !newEntry.news;
+
+        const newHreflangs = new Set(newEntry.alternates.map(hreflangKey));
+        const lostAlternates = oldEntry.alternates.filter(alternate => !newHreflangs.has(hreflangKey(alternate)));
+
+        // New alternates must point at pages the new sitemap actually lists
+        const brokenAlternates = newEntry.alternates.filter(alternate =>
+            !newSitemapUrls.has(normalizeUrl(alternate.href, policy))
+        );
+
+        if (lostImages.length === 0 && lostVideos.length === 0 && !newsLost &&
+            lostAlternates.length === 0 && brokenAlternates.length === 0) {
+            continue;
+        }
+
+        if (lostImages.length > 0) summary.pagesWithLostImages++;
+        if (lostVideos.length > 0) summary.pagesWithLostVideos++;
+        if (newsLost) summary.lostNews++;
+        if (lostAlternates.length > 0) summary.pagesWithLostAlternates++;
+        summary.lostImages += lostImages.length;
+        summary.lostVideos += lostVideos.length;
+        summary.lostAlternates += lostAlternates.length;
+        summary.brokenAlternates += brokenAlternates.length;
+
+        pages.push({
+            oldUrl,
+            newUrl,
+            inNewSitemap: newSitemapUrls.has(normalizeUrl(newUrl, policy)),
+            lostImages: lostImages.map(image => image.loc),
+            lostVideos: lostVideos.map(video => ({ title: video.title, contentLoc: video.contentLoc || video.playerLoc })),
+            lostNews: newsLost ? oldEntry.news : null,
+            lostAlternates,
+            brokenAlternates,
+        });
+    }
+
+    return { pages, summary };
+};
+
+export default {
+    compareSitemapExtensions,
+};
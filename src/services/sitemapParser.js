@@ -1,45 +1,315 @@
 import fs from 'fs';
-import xml2js from 'xml2js';
+import zlib from 'zlib';
+import { Transform, pipeline } from 'stream';
+import sax from 'sax';
 import axios from 'axios';
 
+const FETCH_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+};
+
+// Time a sitemap download may stall before it is given up
+const FETCH_TIMEOUT_MS = 30000;
+
+// Largest sitemap downloaded, as sent (the sitemap upload limit); the protocol caps sitemaps at 50 MB uncompressed
+const MAX_SITEMAP_BYTES = 100 * 1024 * 1024;
+
+// Child elements of <url> and <sitemap> copied onto each entry
+const ENTRY_FIELDS = ['loc', 'lastmod', 'changefreq', 'priority'];
+
+// Extension elements of <url> (image:image, video:video, news:news), by local name
+const EXTENSION_ELEMENTS = ['image', 'video', 'news'];
+
 /**
- * Parse XML sitemap and extract URLs
- * @param {string} filePath - Path to sitemap XML file or URL
- * @param {boolean} isFile - Whether the path is a file (true) or URL (false)
- * @returns {Promise<Array>} - Array of URL objects
+ * Convert the leaf fields of an extension element into a URL record property
+ * @param {string} kind - 'image', 'video' or 'news'
+ * @param {Object} fields - Leaf text values by local name (repeated names hold arrays)
+ * @returns {Object} Image, video or news record
  */
-export const parseSitemap = async (filePath, isFile = true) => {
-    try {
-        let xmlContent;
+const toExtensionRecord = (kind, fields) => {
+    const first = (value) => (Array.isArray(value) ? value[0] : value) || null;
 
-        if (isFile) {
-            // Read from file
-            xmlContent = fs.readFileSync(filePath, 'utf8');
-        } else {
-            // Fetch from URL
-            const response = await axios.get(filePath, {
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-                    'Accept-Language': 'en-US,en;q=0.9',
+    if (kind === 'image') {
+        return {
+            loc: first(fields.loc),
+            title: first(fields.title),
+            caption: first(fields.caption),
+        };
+    }
+
+    if (kind === 'video') {
+        const duration = parseInt(first(fields.duration), 10);
+        return {
+            title: first(fields.title),
+            description: first(fields.description),
+            thumbnailLoc: first(fields.thumbnail_loc),
+            contentLoc: first(fields.content_loc),
+            playerLoc: first(fields.player_loc),
+            duration: Number.isNaN(duration) ? null : duration,
+            publicationDate: first(fields.publication_date),
+            tags: [].concat(fields.tag || []),
+        };
+    }
+
+    return {
+        publicationName: first(fields.name),
+        language: first(fields.language),
+        publicationDate: first(fields.publication_date),
+        title: first(fields.title),
+        keywords: first(fields.keywords),
+    };
+};
+
+/**
+ * Build the record reported for a <url> entry. Extension properties (images, videos,
+ * news, alternates) are only present when the sitemap declares them.
+ * @param {Object} entry - Collected entry fields
+ * @returns {Object} URL record
+ */
+const toUrlRecord = (entry) => {
+    const record = {
+        url: entry.loc,
+        lastmod: entry.lastmod || null,
+        changefreq: entry.changefreq || null,
+        priority: entry.priority ? parseFloat(entry.priority) : null,
+    };
+
+    if (entry.images) record.images = entry.images;
+    if (entry.videos) record.videos = entry.videos;
+    if (entry.news) record.news = entry.news[0];
+    if (entry.alternates) record.alternates = entry.alternates;
+
+    return record;
+};
+
+/**
+ * Create a transform that gunzips its input if it starts with the gzip magic bytes
+ * and passes it through unchanged otherwise, so .xml and .xml.gz are read the same way
+ * @returns {Transform} Transform stream
+ */
+const gunzipIfCompressed = () => {
+    let gunzip = null;
+    let checked = false;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            if (!checked) {
+                checked = true;
+                if (chunk[0] === 0x1f && chunk[1] === 0x8b) {
+                    gunzip = zlib.createGunzip();
+                    gunzip.on('data', data => this.push(data));
+                    gunzip.on('error', error => this.destroy(error));
+                }
+            }
+
+            if (!gunzip) return callback(null, chunk);
+            gunzip.write(chunk, () => callback());
+        },
+        flush(callback) {
+            if (!gunzip) return callback();
+            gunzip.once('end', () => callback());
+            gunzip.end();
+        },
+    });
+};
+
+/**
+ * Create a transform that fails once more than a number of bytes have passed through
+ * @param {number} maxBytes - Bytes allowed
+ * @param {string} source - Source named in the error
+ * @returns {Transform} Transform stream
+ */
+const limitBytes = (maxBytes, source) => {
+    let total = 0;
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            total += chunk.length;
+            if (total > maxBytes) {
+                return callback(new Error(`Sitemap ${source} is larger than ${Math.round(maxBytes / 1024 / 1024)} MB`));
+            }
+            callback(null, chunk);
+        },
+    });
+};
+
+/**
+ * Open a sitemap file or URL as a stream of bytes.
+ * Downloads time out when the server stalls and fail when the sitemap exceeds MAX_SITEMAP_BYTES.
+ * @param {string} source - File path or URL
+ * @param {boolean} isFile - Whether the source is a file (true) or URL (false)
+ * @returns {Promise<Readable>} Byte stream
+ */
+export const openSitemapSource = async (source, isFile) => {
+    if (isFile) {
+        return fs.createReadStream(source);
+    }
+
+    const response = await axios.get(source, {
+        headers: FETCH_HEADERS,
+        responseType: 'stream',
+        timeout: FETCH_TIMEOUT_MS,
+        maxContentLength: MAX_SITEMAP_BYTES,
+    });
+
+    // axios does not enforce maxContentLength on streams, so the size is checked as bytes arrive
+    const declaredLength = parseInt(response.headers['content-length'], 10);
+    if (declaredLength > MAX_SITEMAP_BYTES) {
+        response.data.destroy();
+        throw new Error(`Sitemap ${source} is larger than ${Math.round(MAX_SITEMAP_BYTES / 1024 / 1024)} MB`);
+    }
+
+    const limited = limitBytes(MAX_SITEMAP_BYTES, source);
+    response.data.on('error', error => limited.destroy(error));
+    return response.data.pipe(limited);
+};
+
+/**
+ * Stream-parse a sitemap or sitemap index without holding the document in memory.
+ * Gzipped input is detected from its content and decompressed on the fly.
+ * @param {string} source - File path or URL
+ * @param {Object} handlers - Entry callbacks
+ * @param {Function} handlers.onUrl - Called with { url, lastmod, changefreq, priority } for each <url>,
+ *   plus images, videos, news and hreflang alternates when the entry has them
+ * @param {Function} handlers.onSitemap - Called with { url, lastmod } for each <sitemap> of an index
+ * @param {Object} options - Parse options
+ * @param {boolean} options.isFile - Whether the source is a file (true) or URL (false)
+ * @returns {Promise<Object>} { type: 'urlset' | 'sitemapindex', count }
+ */
+export const parseSitemapStream = async (source, handlers = {}, options = {}) => {
+    const { onUrl = () => {}, onSitemap = () => {} } = handlers;
+    const { isFile = true } = options;
+
+    const parser = sax.parser(true, { trim: false, position: false });
+    const stack = [];
+    let rootType = null;
+    let entry = null;
+    let extension = null;
+    let text = '';
+    let count = 0;
+    let parseError = null;
+
+    // Namespace prefixes (e.g. <sm:url>) do not matter for the core sitemap elements
+    const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+    parser.onerror = (error) => {
+        parseError = parseError || error;
+    };
+
+    parser.onopentag = (node) => {
+        const name = localName(node.name);
+
+        if (stack.length === 0) {
+            if (name !== 'urlset' && name !== 'sitemapindex') {
+                parseError = new Error('Invalid sitemap format: no urlset or sitemapindex found');
+            }
+            rootType = name;
+        } else if (stack.length === 1 && (name === 'url' || name === 'sitemap')) {
+            entry = {};
+        } else if (entry && stack.length === 2 && rootType === 'urlset') {
+            if (EXTENSION_ELEMENTS.includes(name)) {
+                extension = { kind: name, fields: {} };
+            } else if (name === 'link' && node.attributes.rel === 'alternate' && node.attributes.href) {
+                // xhtml:link hreflang alternate
+                entry.alternates = entry.alternates || [];
+                entry.alternates.push({
+                    hreflang: node.attributes.hreflang || null,
+                    href: node.attributes.href,
+                });
+            }
+        }
+
+        stack.push(name);
+        text = '';
+    };
+
+    parser.ontext = (value) => {
+        if (entry && stack.length >= 3) text += value;
+    };
+    parser.oncdata = parser.ontext;
+
+    parser.onclosetag = () => {
+        const name = stack.pop();
+
+        if (extension && stack.length >= 3) {
+            // Leaf of an extension element; nested wrappers like news:publication are flattened
+            const value = text.trim();
+            if (value) {
+                const current = extension.fields[name];
+                extension.fields[name] = current === undefined ? value : [].concat(current, value);
+            }
+        } else if (extension && stack.length === 2) {
+            const key = extension.kind === 'news' ? 'news' : `${extension.kind}s`;
+            entry[key] = entry[key] || [];
+            entry[key].push(toExtensionRecord(extension.kind, extension.fields));
+            extension = null;
+        } else if (entry && stack.length === 2 && ENTRY_FIELDS.includes(name)) {
+            entry[name] = text.trim();
+        } else if (entry && stack.length === 1) {
+            if (entry.loc) {
+                count++;
+                if (rootType === 'urlset') {
+                    onUrl(toUrlRecord(entry));
+                } else {
+                    onSitemap({ url: entry.loc, lastmod: entry.lastmod || null });
                 }
-            });
-            xmlContent = response.data;
+            }
+            entry = null;
         }
+        text = '';
+    };
+
+    const input = await openSitemapSource(source, isFile);
+    const stream = pipeline(input, gunzipIfCompressed(), () => {});
+    stream.setEncoding('utf8');
 
-        // Parse XML
-        const parser = new xml2js.Parser();
-        const result = await parser.parseStringPromise(xmlContent);
+    for await (const chunk of stream) {
+        parser.write(chunk);
+        if (parseError) {
+            input.destroy();
+            throw parseError;
+        }
+    }
+    parser.close();
+
+    if (parseError) throw parseError;
+    if (!rootType) throw new Error('Invalid sitemap format: no urlset or sitemapindex found');
+
+    return { type: rootType, count };
+};
+
+/**
+ * Parse XML sitemap and extract URLs
+ * @param {string} filePath - Path to sitemap XML file (optionally gzipped) or URL
+ * @param {boolean} isFile - Whether the path is a file (true) or URL (false)
+ * @param {Object} options - Parse options
+ * @param {boolean} options.fetchRemote - Fetch the child sitemaps of an index (default: only for URLs)
+ * @returns {Promise<Array>} - Array of URL objects
+ */
+export const parseSitemap = async (filePath, isFile = true, options = {}) => {
+    const { fetchRemote = !isFile } = options;
 
+    try {
         let urls = [];
+        const nestedSitemaps = [];
+
+        const { type } = await parseSitemapStream(filePath, {
+            onUrl: (entry) => urls.push(entry),
+            onSitemap: (sitemap) => nestedSitemaps.push(sitemap.url),
+        }, { isFile });
 
         // Check if it's a sitemap index (contains other sitemaps)
-        if (result.sitemapindex) {
+        if (type === 'sitemapindex') {
+            if (!fetchRemote) {
+                console.log(`Detected sitemap index with ${nestedSitemaps.length} sitemaps; fetching them is disabled`);
+                return urls;
+            }
+
             console.log('Detected sitemap index, parsing nested sitemaps...');
-            const sitemaps = result.sitemapindex.sitemap || [];
 
-            for (const sitemap of sitemaps) {
-                const sitemapUrl = sitemap.loc[0];
+            for (const sitemapUrl of nestedSitemaps) {
                 console.log(`Fetching nested sitemap: ${sitemapUrl}`);
 
                 try {
@@ -49,23 +319,8 @@ export const parseSitemap = async (filePath, isFile = true) => {
                     console.error(`Error parsing nested sitemap ${sitemapUrl}:`, error.message);
                 }
             }
-        }
-        // Regular sitemap with URLs
-        else if (result.urlset) {
-            const urlElements = result.urlset.url || [];
-
-            urls = urlElements.map(urlElement => {
-                return {
-                    url: urlElement.loc[0],
-                    lastmod: urlElement.lastmod ? urlElement.lastmod[0] : null,
-                    changefreq: urlElement.changefreq ? urlElement.changefreq[0] : null,
-                    priority: urlElement.priority ? parseFloat(urlElement.priority[0]) : null,
-                };
-            });
-
-            console.log(`Extracted ${urls.length} URLs from sitemap`);
         } else {
-            throw new Error('Invalid sitemap format: no urlset or sitemapindex found');
+            console.log(`Extracted ${urls.length} URLs from sitemap`);
         }
 
         return urls;
@@ -92,26 +347,123 @@ export const extractUrls = (sitemapData) => {
     return Array.from(urlSet);
 };
 
+/**
+ * Default URL normalization policy, matching the rules used before policies were configurable
+ */
+export const DEFAULT_NORMALIZATION_POLICY = {
+    stripWww: true,
+    keepQueryParams: [],          // Query params to keep; ['*'] keeps all of them
+    lowercasePaths: false,
+    stripDefaultDocuments: false,
+    defaultDocuments: ['index.html', 'index.htm', 'index.php', 'default.aspx', 'default.asp'],
+    trailingSlash: 'strip',       // 'strip' | 'keep' | 'add'
+    protocol: 'keep',             // 'keep' | 'https' | 'http'
+};
+
+const TRAILING_SLASH_MODES = ['strip', 'keep', 'add'];
+const PROTOCOL_MODES = ['keep', 'https', 'http'];
+
+/**
+ * Merge a partial normalization policy with the defaults and validate it
+ * @param {Object} policy - Partial policy (plain object or Mongoose subdocument)
+ * @returns {Object} Complete policy
+ * @throws {Error} If a policy value is invalid
+ */
+export const resolveNormalizationPolicy = (policy = {}) => {
+    const input = policy?.toObject ? policy.toObject() : (policy || {});
+    const resolved = { ...DEFAULT_NORMALIZATION_POLICY };
+
+    for (const key of Object.keys(DEFAULT_NORMALIZATION_POLICY)) {
+        if (input[key] !== undefined && input[key] !== null) {
+            resolved[key] = input[key];
+        }
+    }
+
+    for (const key of ['stripWww', 'lowercasePaths', 'stripDefaultDocuments']) {
+        if (typeof resolved[key] !== 'boolean') {
+            throw new Error(`Normalization policy "${key}" must be a boolean`);
+        }
+    }
+
+    for (const key of ['keepQueryParams', 'defaultDocuments']) {
+        if (!Array.isArray(resolved[key]) || resolved[key].some(value => typeof value !== 'string')) {
+            throw new Error(`Normalization policy "${key}" must be an array of strings`);
+        }
+    }
+
+    if (!TRAILING_SLASH_MODES.includes(resolved.trailingSlash)) {
+        throw new Error(`Normalization policy "trailingSlash" must be one of: ${TRAILING_SLASH_MODES.join(', ')}`);
+    }
+
+    if (!PROTOCOL_MODES.includes(resolved.protocol)) {
+        throw new Error(`Normalization policy "protocol" must be one of: ${PROTOCOL_MODES.join(', ')}`);
+    }
+
+    return resolved;
+};
+
 /**
  * Normalize URL for comparison
  * @param {string} url - URL to normalize
+ * @param {Object} policy - Normalization policy (see DEFAULT_NORMALIZATION_POLICY)
  * @returns {string} - Normalized URL
  */
-export const normalizeUrl = (url) => {
+export const normalizeUrl = (url, policy = DEFAULT_NORMALIZATION_POLICY) => {
+    const {
+        stripWww = true,
+        keepQueryParams = [],
+        lowercasePaths = false,
+        stripDefaultDocuments = false,
+        defaultDocuments = DEFAULT_NORMALIZATION_POLICY.defaultDocuments,
+        trailingSlash = 'strip',
+        protocol = 'keep',
+    } = policy || {};
+
     try {
         const urlObj = new URL(url);
 
-        // Remove trailing slash
         let pathname = urlObj.pathname;
-        if (pathname.endsWith('/') && pathname.length > 1) {
+
+        // Fold default documents (index.html etc.) into their directory
+        if (stripDefaultDocuments) {
+            const lastSegment = pathname.slice(pathname.lastIndexOf('/') + 1);
+            if (defaultDocuments.some(doc => doc.toLowerCase() === lastSegment.toLowerCase())) {
+                pathname = pathname.slice(0, pathname.length - lastSegment.length);
+            }
+        }
+
+        if (lowercasePaths) {
+            pathname = pathname.toLowerCase();
+        }
+
+        // Trailing slash handling
+        if (trailingSlash === 'strip' && pathname.endsWith('/') && pathname.length > 1) {
             pathname = pathname.slice(0, -1);
+        } else if (trailingSlash === 'add' && !pathname.endsWith('/')) {
+            pathname = `${pathname}/`;
         }
 
         // Remove www. from hostname
-        let hostname = urlObj.hostname.replace(/^www\./, '');
+        const hostname = stripWww ? urlObj.hostname.replace(/^www\./, '') : urlObj.hostname;
+        const port = urlObj.port ? `:${urlObj.port}` : '';
+
+        const scheme = protocol === 'keep' ? urlObj.protocol : `${protocol}:`;
+
+        // Keep only the configured query params, sorted so their order does not matter
+        let search = '';
+        if (keepQueryParams.length > 0) {
+            const keepAll = keepQueryParams.includes('*');
+            const params = Array.from(urlObj.searchParams.entries())
+                .filter(([name]) => keepAll || keepQueryParams.includes(name))
+                .sort(([a], [b]) => a.localeCompare(b));
+
+            if (params.length > 0) {
+                search = `?${new URLSearchParams(params).toString()}`;
+            }
+        }
 
-        // Reconstruct URL without query params and hash
-        return `${urlObj.protocol}//${hostname}${pathname}`;
+        // Reconstruct URL without the hash
+        return `${scheme}//${hostname}${port}${pathname}${search}`;
     } catch (error) {
         console.error('Error normalizing URL:', error.message);
         return url;
@@ -120,6 +472,9 @@ export const normalizeUrl = (url) => {
 
 export default {
     parseSitemap,
+    parseSitemapStream,
+    openSitemapSource,
     extractUrls,
     normalizeUrl,
+    resolveNormalizationPolicy,
 };
@@ -0,0 +1,367 @@
+/**
+ * Sitemap Resolver
+ * Loads an uploaded sitemap, sitemap index or zip/tar archive of a sitemap index and its
+ * child sitemaps. Child sitemaps are resolved from the archive first; fetching them over
+ * the network is an opt-in fallback. Every child reports its own URL count and errors.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import tar from 'tar-stream';
+import { parseSitemapStream } from './sitemapParser.js';
+
+// Nested sitemap indexes followed before giving up
+const MAX_INDEX_DEPTH = 3;
+
+// Archive entries that can hold a sitemap
+const SITEMAP_ENTRY_PATTERN = /\.(xml|xml\.gz|gz)$/i;
+
+/**
+ * Read the first bytes of a file
+ * @param {string} filePath - File path
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} Leading bytes
+ */
+const readHead = async (filePath, length) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Check whether a buffer holds a tar header
+ */
+const isTarHeader = (buffer) => buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar';
+
+/**
+ * Detect whether an upload is a zip, tar or gzipped tar archive
+ * @param {string} filePath - Uploaded file path
+ * @returns {Promise<string|null>} 'zip', 'tar', 'tar.gz' or null for a plain (or gzipped) sitemap
+ */
+export const detectArchiveType = async (filePath) => {
+    const head = await readHead(filePath, 512);
+
+    if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) return 'zip';
+    if (isTarHeader(head)) return 'tar';
+
+    if (head[0] === 0x1f && head[1] === 0x8b) {
+        // Gzipped: a tarball or a single sitemap.xml.gz
+        const inflated = await new Promise((resolve) => {
+            const chunks = [];
+            let size = 0;
+            const input = fs.createReadStream(filePath);
+            const gunzip = zlib.createGunzip();
+            const done = () => {
+                input.destroy();
+                gunzip.destroy();
+                resolve(Buffer.concat(chunks));
+            };
+
+            gunzip.on('data', (chunk) => {
+                chunks.push(chunk);
+                size += chunk.length;
+                if (size >= 512) done();
+            });
+            gunzip.on('end', done);
+            gunzip.on('error', done);
+            input.pipe(gunzip);
+        });
+
+        if (isTarHeader(inflated)) return 'tar.gz';
+    }
+
+    return null;
+};
+
+/**
+ * Extract the sitemap files of a zip archive
+ * @param {string} filePath - Archive path
+ * @param {Function} writeEntry - Called with (name, readStream) for each sitemap entry
+ * @returns {Promise<void>}
+ */
+const extractZip = (filePath, writeEntry) => new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipFile) => {
+        if (openError) return reject(openError);
+
+        zipFile.on('error', reject);
+        zipFile.on('end', resolve);
+        zipFile.on('entry', (entry) => {
+            if (entry.fileName.endsWith('/') || !SITEMAP_ENTRY_PATTERN.test(entry.fileName)) {
+                return zipFile.readEntry();
+            }
+
+            zipFile.openReadStream(entry, (streamError, readStream) => {
+                if (streamError) return reject(streamError);
+                writeEntry(entry.fileName, readStream)
+                    .then(() => zipFile.readEntry())
+                    .catch(reject);
+            });
+        });
+
+        zipFile.readEntry();
+    });
+});
+
+/**
+ * Extract the sitemap files of a tar archive
+ * @param {string} filePath - Archive path
+ * @param {boolean} gzipped - Whether the tarball is gzipped
+ * @param {Function} writeEntry - Called with (name, readStream) for each sitemap entry
+ * @returns {Promise<void>}
+ */
+const extractTar = async (filePath, gzipped, writeEntry) => {
+    const extract = tar.extract();
+
+    extract.on('entry', (header, stream, next) => {
+        if (header.type !== 'file' || !SITEMAP_ENTRY_PATTERN.test(header.name)) {
+            stream.on('end', next);
+            stream.resume();
+            return;
+        }
+
+        writeEntry(header.name, stream)
+            .then(() => next())
+            .catch(error => extract.destroy(error));
+    });
+
+    const streams = [fs.createReadStream(filePath)];
+    if (gzipped) streams.push(zlib.createGunzip());
+    streams.push(extract);
+
+    await pipeline(...streams);
+};
+
+/**
+ * Extract the sitemap files of an archive into a directory
+ * @param {string} filePath - Archive path
+ * @param {string} archiveType - 'zip', 'tar' or 'tar.gz'
+ * @param {string} targetDir - Directory to extract into
+ * @returns {Promise<Array<Object>>} Extracted files as { name, path }
+ */
+export const extractSitemapArchive = async (filePath, archiveType, targetDir) => {
+    const files = [];
+
+    // Entries are written under generated names so archive paths can never escape targetDir
+    const writeEntry = async (name, readStream) => {
+        const localPath = path.join(targetDir, `${files.length}-${path.basename(name)}`);
+        await pipeline(readStream, fs.createWriteStream(localPath));
+        files.push({ name: name.replace(/^\.?\//, ''), path: localPath });
+    };
+
+    if (archiveType === 'zip') {
+        await extractZip(filePath, writeEntry);
+    } else {
+        await extractTar(filePath, archiveType === 'tar.gz', writeEntry);
+    }
+
+    return files;
+};
+
+/**
+ * Name a fetched sitemap inside a snapshot archive: host, path and query of its URL,
+ * with .xml appended when the name would not be recognized as a sitemap entry
+ * @param {string} loc - Sitemap URL
+ * @returns {string|null} Archive entry name, or null for an invalid URL
+ */
+export const sitemapEntryName = (loc) => {
+    try {
+        const url = new URL(loc);
+        const name = `${url.hostname}${decodeURIComponent(url.pathname)}${url.search}`;
+        return SITEMAP_ENTRY_PATTERN.test(name) ? name : `${name}.xml`;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parse one sitemap, keeping whatever was read before a parse error
+ * @param {string} source - File path or URL
+ * @param {boolean} isFile - Whether the source is a file
+ * @returns {Promise<Object>} { type, urls, sitemaps, error }
+ */
+const parseOne = async (source, isFile) => {
+    const parsed = { type: null, urls: [], sitemaps: [], error: null };
+
+    try {
+        const { type } = await parseSitemapStream(source, {
+            onUrl: (entry) => parsed.urls.push(entry),
+            onSitemap: (sitemap) => parsed.sitemaps.push(sitemap.url),
+        }, { isFile });
+        parsed.type = type;
+    } catch (error) {
+        parsed.error = error.message;
+    }
+
+    return parsed;
+};
+
+/**
+ * Find the archive file a child sitemap URL refers to.
+ * Prefers the entry named after the full URL (as in a snapshot), then the entry whose archive
+ * path matches the end of the URL path, then the file name.
+ * @param {string} loc - Child sitemap URL from the index
+ * @param {Array<Object>} files - Extracted files
+ * @returns {Object|null} Matching file
+ */
+const findLocalFile = (loc, files) => {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(loc).pathname).replace(/^\//, '');
+    } catch {
+        urlPath = loc;
+    }
+
+    const baseName = path.posix.basename(urlPath);
+    const stripGz = (name) => name.replace(/\.gz$/i, '');
+
+    const entryName = sitemapEntryName(loc);
+
+    return files.find(file => file.name === entryName) ||
+        files.find(file => file.name === urlPath) ||
+        files.find(file => urlPath.endsWith(`/${file.name}`) || file.name.endsWith(`/${urlPath}`)) ||
+        files.find(file => path.posix.basename(file.name) === baseName) ||
+        files.find(file => stripGz(path.posix.basename(file.name)) === stripGz(baseName)) ||
+        null;
+};
+
+/**
+ * Load all URLs of an uploaded sitemap, sitemap index or archive
+ * @param {string} filePath - Uploaded file path
+ * @param {Object} options - Resolve options
+ * @param {boolean} options.fetchRemote - Fetch child sitemaps missing from the upload over the network
+ * @returns {Promise<Object>} { urls, report } where report lists each child sitemap
+ */
+export const resolveSitemapUpload = async (filePath, options = {}) => {
+    const { fetchRemote = false } = options;
+
+    const archiveType = await detectArchiveType(filePath);
+    let workDir = null;
+
+    try {
+        let files;
+        if (archiveType) {
+            workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sitemap-archive-'));
+            files = await extractSitemapArchive(filePath, archiveType, workDir);
+            console.log(`Extracted ${files.length} sitemap files from ${archiveType} archive`);
+        } else {
+            files = [{ name: path.basename(filePath), path: filePath }];
+        }
+
+        // Parse every local file once
+        const parsedFiles = new Map();
+        for (const file of files) {
+            parsedFiles.set(file, await parseOne(file.path, true));
+        }
+
+        const urls = [];
+        const children = [];
+        const used = new Set();
+
+        const addChild = (child, parsed) => {
+            urls.push(...parsed.urls);
+            children.push({
+                unreferenced: false,
+                ...child,
+                type: parsed.type,
+                urlCount: parsed.urls.length,
+                error: parsed.error,
+            });
+        };
+
+        // Walk an index, resolving each child locally, then remotely if allowed
+        const walkIndex = async (parsed, depth) => {
+            for (const loc of parsed.sitemaps) {
+                const localFile = findLocalFile(loc, files);
+
+                if (localFile && !used.has(localFile)) {
+                    used.add(localFile);
+                    const childParsed = parsedFiles.get(localFile);
+
+                    addChild({ loc, file: localFile.name, source: 'upload' }, childParsed);
+                    if (childParsed.type === 'sitemapindex' && depth < MAX_INDEX_DEPTH) {
+                        await walkIndex(childParsed, depth + 1);
+                    }
+                } else if (localFile) {
+                    // Already loaded through another reference
+                    continue;
+                } else if (fetchRemote) {
+                    console.log(`Fetching child sitemap not found in upload: ${loc}`);
+                    const childParsed = await parseOne(loc, false);
+
+                    addChild({ loc, file: null, source: 'network' }, childParsed);
+                    if (childParsed.type === 'sitemapindex' && depth < MAX_INDEX_DEPTH) {
+                        await walkIndex(childParsed, depth + 1);
+                    }
+                } else {
+                    children.push({
+                        loc,
+                        file: null,
+                        source: 'missing',
+                        type: null,
+                        urlCount: 0,
+                        error: 'Not included in the upload (network fetching is disabled)',
+                    });
+                }
+            }
+        };
+
+        // Indexes referenced by no other index are the roots
+        const indexes = files.filter(file => parsedFiles.get(file).type === 'sitemapindex');
+        const referenced = new Set();
+        for (const index of indexes) {
+            for (const loc of parsedFiles.get(index).sitemaps) {
+                const localFile = findLocalFile(loc, files);
+                if (localFile && localFile !== index) referenced.add(localFile);
+            }
+        }
+
+        for (const index of indexes.filter(file => !referenced.has(file))) {
+            used.add(index);
+            addChild({ loc: null, file: index.name, source: 'upload' }, parsedFiles.get(index));
+            await walkIndex(parsedFiles.get(index), 1);
+        }
+
+        // Sitemaps in the upload that no index refers to (or the only sitemap of a plain upload)
+        for (const file of files.filter(f => !used.has(f))) {
+            addChild({ loc: null, file: file.name, source: 'upload', unreferenced: indexes.length > 0 }, parsedFiles.get(file));
+        }
+
+        const errors = children.filter(child => child.error);
+        if (urls.length === 0 && errors.length > 0 && children.length === 1) {
+            throw new Error(errors[0].error);
+        }
+
+        console.log(`Resolved ${urls.length} URLs from ${children.length} sitemap file(s), ${errors.length} with errors`);
+
+        return {
+            urls,
+            report: {
+                archive: archiveType,
+                fileCount: files.length,
+                urlCount: urls.length,
+                errorCount: errors.length,
+                children,
+            },
+        };
+    } finally {
+        if (workDir) {
+            await fs.promises.rm(workDir, { recursive: true, force: true });
+        }
+    }
+};
+
+export default {
+    detectArchiveType,
+    extractSitemapArchive,
+    sitemapEntryName,
+    resolveSitemapUpload,
+};
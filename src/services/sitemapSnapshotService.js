@@ -0,0 +1,159 @@
+/**
+ * Sitemap Snapshot Service
+ * Fetches live sitemaps (given as URLs or discovered from robots.txt) together with the
+ * child sitemaps of any index, and stores them as one gzipped tar archive. Processing reads
+ * the archive like an upload, so re-running an audit does not depend on the live site.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import axios from 'axios';
+import robotsParser from 'robots-parser';
+import tar from 'tar-stream';
+import { openSitemapSource, parseSitemapStream } from './sitemapParser.js';
+import { sitemapEntryName } from './sitemapResolver.js';
+
+// Nested sitemap indexes followed before giving up
+const MAX_INDEX_DEPTH = 3;
+
+// Sitemap files fetched per snapshot at most
+const MAX_SNAPSHOT_FILES = 500;
+
+/**
+ * Discover the sitemaps of a site from the Sitemap: lines of its robots.txt.
+ * Falls back to /sitemap.xml when robots.txt is missing or lists no sitemaps.
+ * @param {string} baseUrl - Site base URL
+ * @returns {Promise<Object>} { robotsUrl, robotsFound, source: 'robots' | 'default', sitemaps }
+ */
+export const discoverSitemaps = async (baseUrl) => {
+    const robotsUrl = new URL('/robots.txt', baseUrl).toString();
+    let robotsFound = false;
+    let sitemaps = [];
+
+    try {
+        const response = await axios.get(robotsUrl, {
+            timeout: 10000,
+            responseType: 'text',
+            headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36' },
+            validateStatus: () => true,
+        });
+
+        if (response.status === 200 && typeof response.data === 'string') {
+            robotsFound = true;
+            sitemaps = [...new Set(robotsParser(robotsUrl, response.data).getSitemaps())];
+        }
+    } catch (error) {
+        console.error(`Error fetching ${robotsUrl}:`, error.message);
+    }
+
+    if (sitemaps.length > 0) {
+        return { robotsUrl, robotsFound, source: 'robots', sitemaps };
+    }
+
+    return {
+        robotsUrl,
+        robotsFound,
+        source: 'default',
+        sitemaps: [new URL('/sitemap.xml', baseUrl).toString()],
+    };
+};
+
+/**
+ * Add a file to a tar pack under the given name
+ * @param {Object} pack - tar-stream pack
+ * @param {string} name - Entry name
+ * @param {string} filePath - File to add
+ * @returns {Promise<void>}
+ */
+const addToPack = async (pack, name, filePath) => {
+    const { size } = await fs.promises.stat(filePath);
+    const entry = pack.entry({ name, size });
+    await pipeline(fs.createReadStream(filePath), entry);
+};
+
+/**
+ * Fetch sitemaps and the child sitemaps of any index into a gzipped tar archive
+ * @param {Array<string>} sitemapUrls - Sitemap or sitemap index URLs
+ * @param {string} archivePath - Path of the archive to write
+ * @returns {Promise<Object>} { fetchedAt, fileCount, errorCount, files: [{ url, name, type, bytes, error }] }
+ */
+export const snapshotSitemaps = async (sitemapUrls, archivePath) => {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'sitemap-snapshot-'));
+    const files = [];
+    const seen = new Set();
+
+    try {
+        // Breadth-first over the given sitemaps and the children of every index
+        let queue = sitemapUrls.map(url => ({ url, depth: 0 }));
+
+        while (queue.length > 0 && files.length < MAX_SNAPSHOT_FILES) {
+            const next = [];
+
+            for (const { url, depth } of queue) {
+                const name = sitemapEntryName(url);
+                if (!name || seen.has(name)) continue;
+                if (files.length >= MAX_SNAPSHOT_FILES) break;
+                seen.add(name);
+
+                const file = { url, name, type: null, bytes: 0, error: null };
+                const localPath = path.join(workDir, String(files.length));
+                files.push(file);
+
+                try {
+                    console.log(`Fetching sitemap for snapshot: ${url}`);
+                    await pipeline(await openSitemapSource(url, false), fs.createWriteStream(localPath));
+                    file.bytes = (await fs.promises.stat(localPath)).size;
+                    file.localPath = localPath;
+
+                    const children = [];
+                    const { type } = await parseSitemapStream(localPath, {
+                        onSitemap: (sitemap) => children.push(sitemap.url),
+                    });
+                    file.type = type;
+
+                    if (type === 'sitemapindex' && depth < MAX_INDEX_DEPTH) {
+                        next.push(...children.map(child => ({ url: child, depth: depth + 1 })));
+                    }
+                } catch (error) {
+                    // Keep what was downloaded; the resolver reports the parse error again
+                    file.error = error.message;
+                }
+            }
+
+            queue = next;
+        }
+
+        const stored = files.filter(file => file.localPath);
+        if (stored.length === 0) {
+            throw new Error(`No sitemap could be fetched from ${sitemapUrls.join(', ')}`);
+        }
+
+        const pack = tar.pack();
+        const written = pipeline(pack, zlib.createGzip(), fs.createWriteStream(archivePath));
+        for (const file of stored) {
+            await addToPack(pack, file.name, file.localPath);
+        }
+        pack.finalize();
+        await written;
+
+        console.log(`Stored snapshot of ${stored.length} sitemap file(s) in ${path.basename(archivePath)}`);
+
+        return {
+            fetchedAt: new Date(),
+            fileCount: stored.length,
+            errorCount: files.filter(file => file.error).length,
+            truncated: queue.length > 0 && files.length >= MAX_SNAPSHOT_FILES,
+            files: files.map(({ localPath, ...file }) => file),
+        };
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+export default {
+    discoverSitemaps,
+    snapshotSitemaps,
+};
@@ -0,0 +1,288 @@
+/**
+ * Soft-404 Detector
+ * Finds pages that answer 200 but show a "not found" page. Each host's real not-found page is
+ * fingerprinted by requesting URLs that cannot exist, and every 200 page is compared with it,
+ * checked for not-found wording and for very thin content.
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import * as cheerio from 'cheerio';
+import { extractMainText, createFingerprint, compareFingerprints } from './contentFingerprint.js';
+import { scheduleRequest } from './hostScheduler.js';
+
+// Similarity to a host's not-found page above which a page is taken to be that page
+const TEMPLATE_SIMILARITY = 0.8;
+
+// Main text shorter than this (in words) counts as thin
+const THIN_CONTENT_WORDS = 50;
+
+// Bytes of each page read for the comparison; the rest of the body is not downloaded
+const MAX_PAGE_BYTES = 256 * 1024;
+
+// Weight of each signal. Only the host template match is conclusive on its own: wording or a
+// landing on the home page also fit real pages ("Peugeot 404", a "Lost & Not Found" exhibition),
+// so they flag a page only together
+const SIGNAL_WEIGHTS = {
+    notFoundTemplate: 1,
+    notFoundTitle: 0.5,
+    notFoundText: 0.5,
+    redirectedToHome: 0.5,
+    thinContent: 0.2,
+};
+
+// Common "not found" wording, in the languages migrations most often involve
+export const NOT_FOUND_PATTERNS = [
+    /\b404\b/,
+    /page (?:was |could )?not (?:be )?found/i,
+    /\bnot found\b/i,
+    /(?:could|can)(?:no|')?t be found/i,
+    /cannot be found/i,
+    /(?:does not|doesn't|no longer) exists?/i,
+    /no longer available/i,
+    /nothing (?:was )?found/i,
+    /page you (?:are|were|'re) looking for/i,
+    /seite (?:wurde )?nicht gefunden/i,
+    /page (?:introuvable|non trouvée)/i,
+    /página no encontrada/i,
+    /pagina non trovata/i,
+    /pagina niet gevonden/i,
+];
+
+const REQUEST_HEADERS = {
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+    'Accept-Language': 'en-US,en;q=0.9',
+};
+
+/**
+ * Read the start of a response stream and close it
+ * @param {Stream} stream - Response body
+ * @param {number} maxBytes - Bytes to keep
+ * @returns {Promise<string>} Body text, cut at maxBytes
+ */
+const readBodyPrefix = (stream, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let length = 0;
+
+    const finish = () => {
+        stream.removeAllListeners('data');
+        resolve(Buffer.concat(chunks).subarray(0, maxBytes).toString('utf8'));
+    };
+
+    stream.on('data', (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= maxBytes) {
+            stream.destroy();
+            finish();
+        }
+    });
+    stream.on('end', finish);
+    stream.on('error', reject);
+});
+
+/**
+ * Fetch a page and summarize its content for soft-404 checks.
+ * Only the first MAX_PAGE_BYTES of the body are read.
+ * @param {string} url - Page URL
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object>} { url, statusCode, finalUrl, title, h1, wordCount, fingerprint, mainText }
+ */
+export const fetchPageProfile = async (url, options = {}) => {
+    const { timeout = 15000 } = options;
+
+    const response = await scheduleRequest(url, () => axios.get(url, {
+        timeout,
+        maxRedirects: 5,
+        responseType: 'stream',
+        validateStatus: () => true,
+        headers: REQUEST_HEADERS,
+    }));
+
+    const isHtml = (response.headers['content-type'] || '').includes('html');
+    let body = '';
+    if (isHtml) {
+        body = await readBodyPrefix(response.data, MAX_PAGE_BYTES);
+    } else {
+        response.data.destroy();
+    }
+    const $ = cheerio.load(body);
+    const mainText = extractMainText($);
+    const fingerprint = createFingerprint(mainText);
+
+    return {
+        url,
+        statusCode: response.status,
+        finalUrl: response.request?.res?.responseUrl || url,
+        isHtml,
+        title: $('title').first().text().trim(),
+        h1: $('h1').first().text().trim(),
+        wordCount: fingerprint.wordCount,
+        fingerprint,
+        mainText,
+    };
+};
+
+/**
+ * Request URLs that cannot exist on a host to learn what its not-found page looks like
+ * @param {string} baseUrl - Any URL on the host
+ * @param {Object} options - { timeout }
+ * @returns {Promise<Object>} { origin, probes, softNotFound } where softNotFound means the host
+ *   answers missing URLs with a 2xx status
+ */
+export const probeNotFoundPage = async (baseUrl, options = {}) => {
+    const origin = new URL(baseUrl).origin;
+    const token = () => crypto.randomBytes(8).toString('hex');
+
+    // A top-level path and a nested one, since sites often route the two differently
+    const probeUrls = [
+        `${origin}/${token()}-not-found-check`,
+        `${origin}/${token()}/${token()}.html`,
+    ];
+
+    const probes = [];
+    for (const url of probeUrls) {
+        try {
+            const profile = await fetchPageProfile(url, options);
+            probes.push({
+                url,
+                statusCode: profile.statusCode,
+                title: profile.title,
+                wordCount: profile.wordCount,
+                fingerprint: profile.fingerprint,
+            });
+        } catch (error) {
+            probes.push({ url, statusCode: 0, error: error.message, fingerprint: null });
+        }
+    }
+
+    return {
+        origin,
+        probes,
+        softNotFound: probes.some(probe => probe.statusCode >= 200 && probe.statusCode < 300),
+    };
+};
+
+/**
+ * Check a page for the signs of a soft 404.
+ * A page is flagged when it matches the host's not-found page, or when at least two of
+ * not-found wording in the title, not-found wording in a short body and a landing on the home
+ * page agree; thin content only adds to the confidence.
+ * @param {Object} profile - Page from fetchPageProfile
+ * @param {Object} notFoundPage - Host probe from probeNotFoundPage (optional)
+ * @returns {Object} { softNotFound, confidence, signals, templateSimilarity }
+ */
+export const detectSoftNotFound = (profile, notFoundPage = null) => {
+    const signals = [];
+
+    // Same content as the host's answer for URLs that cannot exist
+    const templateSimilarity = Math.max(0, ...(notFoundPage?.probes || [])
+        .filter(probe => probe.fingerprint?.signature?.length > 0)
+        .map(probe => compareFingerprints(profile.fingerprint, probe.fingerprint)));
+    if (templateSimilarity >= TEMPLATE_SIMILARITY) signals.push('notFoundTemplate');
+
+    // Not-found wording in the title or main heading, or in a short body
+    const headline = `${profile.title} ${profile.h1}`;
+    const isThin = profile.wordCount < THIN_CONTENT_WORDS;
+    if (NOT_FOUND_PATTERNS.some(pattern => pattern.test(headline))) {
+        signals.push('notFoundTitle');
+    }
+    if (isThin && NOT_FOUND_PATTERNS.some(pattern => pattern.test(profile.mainText))) {
+        signals.push('notFoundText');
+    }
+
+    if (isThin) signals.push('thinContent');
+
+    // Landing on the home page is how many platforms "handle" missing content
+    try {
+        const finalPath = new URL(profile.finalUrl).pathname;
+        if (finalPath === '/' && new URL(profile.url).pathname !== '/') signals.push('redirectedToHome');
+    } catch {
+        // Keep the other signals
+    }
+
+    const confidence = Math.min(1, signals.reduce((sum, signal) => sum + SIGNAL_WEIGHTS[signal], 0));
+
+    return {
+        softNotFound: confidence >= 1,
+        confidence: parseFloat(confidence.toFixed(2)),
+        signals,
+        templateSimilarity: parseFloat(templateSimilarity.toFixed(2)),
+    };
+};
+
+/**
+ * Check the 200 responses of status check results for soft 404s.
+ * Each host is probed once; detected results get a softNotFound entry, which categorizeResults
+ * uses to put them in the softNotFound category instead of ok.
+ * @param {Array<Object>} statusResults - Results from checkMultipleUrls (annotated in place)
+ * @param {Object} options - Detection options
+ * @param {number} options.limit - Maximum pages to fetch (default: all 200 HTML results)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<Object>} { checked, detected, hosts, errors }
+ */
+export const detectSoftNotFoundPages = async (statusResults, options = {}) => {
+    const { limit = Infinity, onProgress = null } = options;
+
+    const candidates = statusResults
+        .filter(result => result.statusCode === 200 && (!result.contentType || result.contentType.includes('html')))
+        .slice(0, limit);
+
+    const hosts = new Map();
+    const errors = [];
+    let detected = 0;
+    let completed = 0;
+
+    console.log(`Checking ${candidates.length} pages for soft 404s...`);
+
+    for (const result of candidates) {
+        try {
+            const origin = new URL(result.finalUrl || result.url).origin;
+            if (!hosts.has(origin)) {
+                hosts.set(origin, await probeNotFoundPage(origin, options));
+            }
+
+            const profile = await fetchPageProfile(result.url, options);
+            const detection = detectSoftNotFound(profile, hosts.get(origin));
+
+            if (detection.softNotFound) {
+                result.softNotFound = detection;
+                detected++;
+            }
+        } catch (error) {
+            errors.push({ url: result.url, error: error.message });
+        }
+
+        completed++;
+        if (onProgress) {
+            onProgress({
+                completed,
+                total: candidates.length,
+                percentage: (completed / candidates.length * 100).toFixed(2),
+                currentUrl: result.url,
+            });
+        }
+    }
+
+    console.log(`Soft-404 check complete: ${detected}/${candidates.length} pages look like not-found pages`);
+
+    return {
+        checked: candidates.length,
+        detected,
+        hosts: Array.from(hosts.values()).map(host => ({
+            origin: host.origin,
+            softNotFound: host.softNotFound,
+            probes: host.probes.map(({ fingerprint, ...probe }) => probe),
+        })),
+        errors,
+    };
+};
+
+export default {
+    NOT_FOUND_PATTERNS,
+    fetchPageProfile,
+    probeNotFoundPage,
+    detectSoftNotFound,
+    detectSoftNotFoundPages,
+};
@@ -0,0 +1,465 @@
+/**
+ * Spreadsheet Reader
+ * Reads tabular uploads (CSV files, Excel workbooks and zip bundles of CSV files) into
+ * named sheets of header-keyed rows, so every parser looks up its columns the same way
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yauzl from 'yauzl';
+import * as XLSX from 'xlsx';
+import { parse } from 'csv-parse/sync';
+
+/**
+ * Read the first bytes of a file
+ */
+const readHead = async (filePath, length) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+// Files of a zip bundle that are read; everything else is skipped without being extracted
+const ZIP_SHEET_EXTENSIONS = ['.csv', '.tsv', '.xlsx', '.xls'];
+
+// Uncompressed bytes read from a zip bundle at most, so a small upload cannot expand without limit
+const MAX_ZIP_UNCOMPRESSED_BYTES = 200 * 1024 * 1024;
+
+/**
+ * Read the spreadsheet files of a zip archive into memory
+ * @param {string} filePath - Zip file path
+ * @param {number} maxBytes - Uncompressed bytes to read at most, over all entries
+ * @returns {Promise<Array<Object>>} Entries as { name, buffer }
+ * @throws {Error} If the entries expand to more than maxBytes
+ */
+const readZipEntries = (filePath, maxBytes = MAX_ZIP_UNCOMPRESSED_BYTES) => new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipFile) => {
+        if (openError) return reject(openError);
+
+        const entries = [];
+        let totalBytes = 0;
+        const fail = (error) => {
+            zipFile.close();
+            reject(error);
+        };
+        const tooLarge = () => new Error(`Zip bundle expands to more than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+
+        zipFile.on('error', reject);
+        zipFile.on('end', () => resolve(entries));
+        zipFile.on('entry', (entry) => {
+            const ext = path.extname(entry.fileName).toLowerCase();
+            if (entry.fileName.endsWith('/') || entry.fileName.startsWith('__MACOSX/') || !ZIP_SHEET_EXTENSIONS.includes(ext)) {
+                return zipFile.readEntry();
+            }
+
+            // The declared size is checked up front; yauzl makes sure the entry does not exceed it
+            if (totalBytes + entry.uncompressedSize > maxBytes) return fail(tooLarge());
+
+            zipFile.openReadStream(entry, (streamError, readStream) => {
+                if (streamError) return fail(streamError);
+
+                const chunks = [];
+                readStream.on('data', (chunk) => {
+                    totalBytes += chunk.length;
+                    if (totalBytes > maxBytes) {
+                        readStream.destroy();
+                        return fail(tooLarge());
+                    }
+                    chunks.push(chunk);
+                });
+                readStream.on('error', fail);
+                readStream.on('end', () => {
+                    entries.push({ name: entry.fileName, buffer: Buffer.concat(chunks) });
+                    zipFile.readEntry();
+                });
+            });
+        });
+
+        zipFile.readEntry();
+    });
+});
+
+/**
+ * List the file names of a zip archive without reading their content
+ * @param {string} filePath - Zip file path
+ * @returns {Promise<Array<string>>} Entry names
+ */
+const listZipEntryNames = (filePath) => new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true }, (openError, zipFile) => {
+        if (openError) return reject(openError);
+
+        const names = [];
+        zipFile.on('error', reject);
+        zipFile.on('end', () => resolve(names));
+        zipFile.on('entry', (entry) => {
+            names.push(entry.fileName);
+            zipFile.readEntry();
+        });
+        zipFile.readEntry();
+    });
+});
+
+// Delimiters tried when sniffing a CSV file, in order of preference on a tie
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+// Lines sampled to detect the delimiter
+const DELIMITER_SAMPLE_LINES = 20;
+
+/**
+ * Decode the text of a CSV file. UTF-8 and UTF-16 are recognised by their byte order mark,
+ * UTF-16 without one by its zero bytes; bytes that are not valid UTF-8 are read as Windows-1252,
+ * the default of Excel on Western European systems.
+ * @param {Buffer} buffer - File content
+ * @returns {Object} { text, encoding, bom } with the byte order mark removed from text
+ */
+export const decodeText = (buffer) => {
+    if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+        return { text: buffer.subarray(3).toString('utf8'), encoding: 'utf-8', bom: true };
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le', bom: true };
+    }
+    if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be', bom: true };
+    }
+
+    // UTF-16 without a byte order mark: ASCII characters leave every other byte zero
+    const sample = buffer.subarray(0, 1024);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenZeros++;
+            else oddZeros++;
+        }
+    }
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0 && oddZeros > pairs * 0.4 && evenZeros < pairs * 0.1) {
+        return { text: new TextDecoder('utf-16le').decode(buffer), encoding: 'utf-16le', bom: false };
+    }
+    if (pairs > 0 && evenZeros > pairs * 0.4 && oddZeros < pairs * 0.1) {
+        return { text: new TextDecoder('utf-16be').decode(buffer), encoding: 'utf-16be', bom: false };
+    }
+
+    try {
+        return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer), encoding: 'utf-8', bom: false };
+    } catch {
+        return { text: new TextDecoder('windows-1252').decode(buffer), encoding: 'windows-1252', bom: false };
+    }
+};
+
+/**
+ * Count the occurrences of a delimiter in a line, outside double quotes
+ */
+const countDelimiter = (line, delimiter) => {
+    let count = 0;
+    let quoted = false;
+    for (const char of line) {
+        if (char === '"') quoted = !quoted;
+        else if (char === delimiter && !quoted) count++;
+    }
+    return count;
+};
+
+/**
+ * Detect the delimiter of CSV text: the candidate found on the first line that splits
+ * the most sample lines into the same number of fields. A "sep=;" line written by Excel wins.
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export const detectDelimiter = (text) => {
+    const lines = text.split(/\r?\n/)
+        .filter(line => line.trim() && !line.startsWith('#'))
+        .slice(0, DELIMITER_SAMPLE_LINES);
+    if (lines.length === 0) return ',';
+
+    const hint = lines[0].match(/^"?sep=(.)"?$/i);
+    if (hint) return hint[1];
+
+    let best = ',';
+    let bestScore = 0;
+    for (const delimiter of CSV_DELIMITERS) {
+        const counts = lines.map(line => countDelimiter(line, delimiter));
+        if (counts[0] === 0) continue;
+
+        const consistent = counts.filter(count => count === counts[0]).length;
+        const score = consistent * 1000 + counts[0];
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+    return best;
+};
+
+// Numbers with dots grouping thousands, as written by locales that use a decimal comma ("1.234", "1.234,5 %")
+const DOT_GROUPED_NUMBER = /^-?\d{1,3}(\.\d{3})+(,\d+)?\s*%?$/;
+
+/**
+ * Remove the thousands dots of numbers in semicolon-separated files, whose locales use a
+ * decimal comma, so "1.234" reads as 1234 rather than 1.234
+ * @param {Array<Object|Array>} rows - Parsed rows (modified in place)
+ */
+const normalizeGroupedNumbers = (rows) => {
+    for (const row of rows) {
+        for (const key of Object.keys(row)) {
+            if (typeof row[key] === 'string' && DOT_GROUPED_NUMBER.test(row[key])) {
+                row[key] = row[key].replace(/\./g, '');
+            }
+        }
+    }
+};
+
+/**
+ * Parse CSV content into rows, detecting its encoding and delimiter.
+ * Lines starting with # (the report header of analytics exports) are skipped.
+ * @param {Buffer} content - CSV content
+ * @param {Object} options - Parse options
+ * @param {boolean} options.headerRow - Key rows by the header row (default), or return arrays of cells
+ * @returns {Object} { rows, dialect: { encoding, bom, delimiter } }
+ */
+const parseCsvRows = (content, { headerRow = true } = {}) => {
+    const { text, encoding, bom } = decodeText(content);
+    const delimiter = detectDelimiter(text);
+
+    // Drop the "sep=;" line Excel adds for other locales
+    const body = text.replace(/^"?sep=.?"?\r?\n/i, '');
+
+    const rows = parse(body, {
+        columns: headerRow,
+        delimiter,
+        comment: '#',
+        comment_no_infix: true,
+        skip_empty_lines: true,
+        trim: true,
+        relax_column_count: true,
+        relax_quotes: true,
+    });
+
+    if (delimiter === ';') {
+        normalizeGroupedNumbers(rows);
+    }
+
+    return { rows, dialect: { encoding, bom, delimiter } };
+};
+
+/**
+ * Read the sheets of an Excel workbook into rows.
+ * Cells are read as displayed, so numbers and percentages match a CSV export.
+ * @param {Buffer} buffer - Workbook content
+ * @param {Object} options - Read options
+ * @param {boolean} options.headerRow - Key rows by the header row (default), or return arrays of cells
+ * @returns {Array<Object>} Sheets as { name, rows }
+ */
+const readWorkbookSheets = (buffer, { headerRow = true } = {}) => {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+
+    return workbook.SheetNames.map(name => ({
+        name,
+        rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], {
+            defval: '',
+            raw: false,
+            ...(headerRow ? {} : { header: 1, blankrows: false }),
+        }),
+    }));
+};
+
+/**
+ * Name a sheet after a file: its base name without extension
+ */
+const sheetNameOf = (fileName) => path.basename(fileName, path.extname(fileName));
+
+/**
+ * Check whether an uploaded file name is a CSV, TSV or Excel file
+ * @param {string} filename - File name
+ * @returns {boolean}
+ */
+export const isSpreadsheetFile = (filename = '') => /\.(csv|tsv|xlsx|xls)$/i.test(filename);
+
+/**
+ * Detect the format of a tabular upload from its content
+ * @param {string} filePath - Uploaded file path
+ * @returns {Promise<string>} 'xlsx', 'xls', 'zip' (a bundle of CSV files) or 'csv'
+ */
+export const detectSpreadsheetFormat = async (filePath) => {
+    const head = await readHead(filePath, 8);
+
+    // Legacy Excel (OLE compound document)
+    if (head.length >= 4 && head.readUInt32BE(0) === 0xd0cf11e0) return 'xls';
+
+    if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) {
+        const names = await listZipEntryNames(filePath);
+        return names.includes('xl/workbook.xml') ? 'xlsx' : 'zip';
+    }
+
+    return 'csv';
+};
+
+/**
+ * Read the sheets of a CSV file, Excel workbook or zip bundle of CSV files
+ */
+const readSheets = async (filePath, format, options) => {
+    if (format === 'xlsx' || format === 'xls') {
+        return readWorkbookSheets(await fs.promises.readFile(filePath), options);
+    }
+
+    if (format === 'zip') {
+        const entries = await readZipEntries(filePath);
+        const sheets = [];
+
+        for (const entry of entries) {
+            const ext = path.extname(entry.name).toLowerCase();
+            if (ext === '.csv' || ext === '.tsv') {
+                sheets.push({ name: sheetNameOf(entry.name), ...parseCsvRows(entry.buffer, options) });
+            } else if (ext === '.xlsx' || ext === '.xls') {
+                sheets.push(...readWorkbookSheets(entry.buffer, options));
+            }
+        }
+
+        return sheets;
+    }
+
+    return [{ name: sheetNameOf(filePath), ...parseCsvRows(await fs.promises.readFile(filePath), options) }];
+};
+
+/**
+ * Pick one sheet by name (ignoring case) or by position, counted from 0.
+ * A numeric string is tried as a name first, so a sheet called "2024" can be selected.
+ * @param {Array<Object>} sheets - Sheets as { name, rows }
+ * @param {string|number} sheet - Sheet name or index
+ * @returns {Object} The sheet
+ * @throws {Error} If the file has no such sheet
+ */
+export const selectSheet = (sheets, sheet) => {
+    const wanted = String(sheet).trim();
+    const byName = typeof sheet === 'number'
+        ? null
+        : sheets.find(s => s.name.toLowerCase() === wanted.toLowerCase());
+    const found = byName || (/^\d+$/.test(wanted) ? sheets[Number(wanted)] : null);
+
+    if (!found) {
+        throw new Error(`Sheet "${wanted}" not found (sheets: ${sheets.map(s => s.name).join(', ')})`);
+    }
+    return found;
+};
+
+/**
+ * Apply an explicit column mapping: the mapped header's value is copied under the first
+ * candidate name of its column, which getColumn looks up before any other header
+ * @param {Array<Object>} sheets - Sheets as { name, rows } (modified in place)
+ * @param {Object} columns - Column key → candidate header names
+ * @param {Object} columnMapping - Column key → header in the file
+ */
+const applyColumnMapping = (sheets, columns, columnMapping) => {
+    const mapped = Object.entries(columnMapping)
+        .filter(([key, header]) => Object.hasOwn(columns, key) && header)
+        .map(([key, header]) => [columns[key][0], header]);
+    if (mapped.length === 0) return;
+
+    for (const sheet of sheets) {
+        for (const row of sheet.rows) {
+            for (const [name, header] of mapped) {
+                if (row[header] !== undefined) row[name] = row[header];
+            }
+        }
+    }
+};
+
+/**
+ * Read a CSV file, Excel workbook or zip bundle of CSV files.
+ * The encoding and delimiter of CSV files are detected and kept as each sheet's dialect.
+ * @param {string} filePath - Uploaded file path
+ * @param {Object} options - Read options
+ * @param {string|number} options.sheet - Read only this sheet (name or index)
+ * @param {boolean} options.headerRow - Key rows by the header row (default), or return arrays of cells
+ * @param {Object} options.columns - Column key → candidate header names of the parser
+ * @param {Object} options.columnMapping - Column key → header in the file, overriding the candidates
+ * @returns {Promise<Object>} { format, sheets: [{ name, rows, dialect }] }
+ */
+export const readSpreadsheet = async (filePath, options = {}) => {
+    const { sheet = null, headerRow = true, columns = null, columnMapping = null } = options;
+    const format = await detectSpreadsheetFormat(filePath);
+    let sheets = await readSheets(filePath, format, { headerRow });
+
+    if (sheet !== null && sheet !== undefined && sheet !== '') {
+        sheets = [selectSheet(sheets, sheet)];
+    }
+
+    if (headerRow && columns && columnMapping) {
+        applyColumnMapping(sheets, columns, columnMapping);
+    }
+
+    return { format, sheets };
+};
+
+/**
+ * List the headers of a sheet
+ * @param {Object} sheet - { name, rows }
+ * @returns {Array<string>} Headers, in file order
+ */
+export const getHeaders = (sheet) => (sheet.rows.length > 0 ? Object.keys(sheet.rows[0]) : []);
+
+/**
+ * Get a column value from a row by any of its possible header names (case-insensitive)
+ * @param {Object} row - Header-keyed row
+ * @param {Array<string>} names - Candidate header names
+ * @returns {string|undefined} Cell value
+ */
+export const getColumn = (row, names) => {
+    for (const name of names) {
+        if (row[name] !== undefined) return row[name];
+    }
+
+    const wanted = names.map(name => name.toLowerCase());
+    const key = Object.keys(row).find(header => wanted.includes(header.trim().toLowerCase()));
+    return key === undefined ? undefined : row[key];
+};
+
+/**
+ * Check whether a sheet has any of the given columns
+ * @param {Object} sheet - { name, rows }
+ * @param {Array<string>} names - Candidate header names
+ * @returns {boolean}
+ */
+export const hasColumn = (sheet, names) => sheet.rows.length > 0 && getColumn(sheet.rows[0], names) !== undefined;
+
+/**
+ * Parse a numeric cell such as "1,234", "5.2%", "$1,200.50", "1.234,56 €", "5,2 %" or 3.
+ * A comma is read as the decimal separator when it comes after the last dot, unless it
+ * groups exactly three digits without any dot ("1,234").
+ * @param {string|number} value - Cell value
+ * @returns {number} Number, or 0 if empty or invalid
+ */
+export const toNumber = (value) => {
+    if (typeof value === 'number') return value;
+
+    let text = String(value ?? '').replace(/[^\d.,-]/g, '');
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    const decimalComma = lastComma > lastDot && (lastDot !== -1 || !/^\d{3}$/.test(text.slice(lastComma + 1)));
+
+    text = decimalComma
+        ? text.replace(/\./g, '').replace(/,(?=[^,]*$)/, '.').replace(/,/g, '')
+        : text.replace(/,/g, '');
+
+    const number = parseFloat(text);
+    return Number.isFinite(number) ? number : 0;
+};
+
+export default {
+    decodeText,
+    detectDelimiter,
+    isSpreadsheetFile,
+    detectSpreadsheetFormat,
+    readSpreadsheet,
+    selectSheet,
+    getHeaders,
+    getColumn,
+    hasColumn,
+    toNumber,
+};
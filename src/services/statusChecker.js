@@ -1,87 +1,47 @@
-import axios from 'axios';
 import PQueue from 'p-queue';
+import { HOP_TYPES, traceRedirects, launchRedirectBrowser } from './redirectTracer.js';
 
 /**
- * Check HTTP status for a single URL
+ * Check HTTP status for a single URL, tracing its redirects hop by hop
  * @param {string} url - URL to check
- * @param {Object} options - Check options
+ * @param {Object} options - Check options (see traceRedirects for the redirect options)
  * @returns {Promise<Object>} Status check result
  */
 export const checkUrlStatus = async (url, options = {}) => {
-    const { followRedirects = true, timeout = 10000 } = options;
-    const startTime = Date.now();
-
-    try {
-        const response = await axios.get(url, {
-            timeout,
-            maxRedirects: followRedirects ? 10 : 0,
-            validateStatus: () => true, // Don't throw on any status
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/avif,image/webp,image/apng,*/*;q=0.8',
-                'Accept-Language': 'en-US,en;q=0.9',
-                'Cache-Control': 'no-cache',
-                'Pragma': 'no-cache',
-            },
-        });
+    const trace = await traceRedirects(url, options);
+    const lastHop = trace.hops[trace.hops.length - 1];
+    const headers = trace.error?.type === 'network_error' ? {} : lastHop?.headers || {};
 
-        const responseTime = Date.now() - startTime;
-
-        // Track redirect chain
-        const redirectChain = [];
-        if (response.request._redirectable) {
-            const redirects = response.request._redirectable._redirects || [];
-            redirects.forEach((redirect, index) => {
-                redirectChain.push({
-                    url: redirect.url,
-                    statusCode: redirect.statusCode,
-                    index: index + 1,
-                });
-            });
-        }
+    // Every hop that sent the client on, whether by HTTP status, refresh or script
+    const redirectChain = trace.hops
+        .filter(hop => hop.type)
+        .map((hop, index) => ({ ...hop, index: index + 1 }));
 
-        return {
-            url,
-            statusCode: response.status,
-            statusText: response.statusText,
-            responseTime,
-            finalUrl: response.request.res.responseUrl || url,
-            isRedirect: response.status >= 300 && response.status < 400,
-            redirectChain,
-            contentType: response.headers['content-type'],
-            contentLength: response.headers['content-length'],
-            server: response.headers['server'],
-            timestamp: new Date().toISOString(),
-            error: null,
-        };
-    } catch (error) {
-        const responseTime = Date.now() - startTime;
-
-        return {
-            url,
-            statusCode: error.response?.status || 0,
-            statusText: error.message,
-            responseTime,
-            finalUrl: url,
-            isRedirect: false,
-            redirectChain: [],
-            contentType: null,
-            contentLength: null,
-            server: null,
-            timestamp: new Date().toISOString(),
-            error: {
-                message: error.message,
-                code: error.code,
-                type: error.response ? 'http_error' : 'network_error',
-            },
-        };
-    }
+    return {
+        url,
+        statusCode: trace.statusCode,
+        statusText: trace.statusText,
+        responseTime: trace.responseTime,
+        finalUrl: trace.finalUrl,
+        isRedirect: redirectChain.length > 0 || (trace.statusCode >= 300 && trace.statusCode < 400),
+        redirectChain,
+        redirectLoop: trace.loop,
+        contentType: headers['content-type'] || null,
+        contentLength: headers['content-length'] || null,
+        server: headers['server'] || null,
+        timestamp: new Date().toISOString(),
+        error: trace.error,
+    };
 };
 
 /**
- * Check HTTP status for multiple URLs with concurrency control
+ * Check HTTP status for multiple URLs.
+ * Requests go through the per-host scheduler, which spaces them out, retries 429, 5xx and
+ * connection failures and backs off when a host pushes back.
  * @param {Array<string>} urls - Array of URLs to check
  * @param {Object} options - Check options
+ * @param {number} options.concurrency - URLs checked at once overall; each host also has its own limit
+ * @param {number} options.delay - Delay between requests to a host without configured limits
  * @returns {Promise<Array>} Array of status check results
  */
 export const checkMultipleUrls = async (urls, options = {}) => {
@@ -90,33 +50,34 @@ export const checkMultipleUrls = async (urls, options = {}) => {
         delay = 100,
         onProgress = null,
         retryAttempts = 3,
+        detectJsRedirects = false,
     } = options;
 
     const queue = new PQueue({ concurrency });
     const results = [];
     let completed = 0;
 
+    // One browser shared by every check that looks for JavaScript redirects
+    let browser = options.browser;
+    if (detectJsRedirects && !browser) {
+        browser = await launchRedirectBrowser().catch((error) => {
+            console.warn(`JS redirect detection disabled: ${error.message}`);
+            return null;
+        });
+    }
+    const checkOptions = {
+        ...options,
+        browser,
+        detectJsRedirects: detectJsRedirects && !!browser,
+        retryAttempts,
+        hostDefaults: { delay },
+    };
+
     console.log(`Starting status checks for ${urls.length} URLs...`);
 
     for (const url of urls) {
         queue.add(async () => {
-            let result = null;
-            let attempts = 0;
-
-            // Retry logic
-            while (attempts < retryAttempts) {
-                result = await checkUrlStatus(url, options);
-
-                // Break if successful or 4xx error (no point retrying)
-                if (result.statusCode === 0 || result.statusCode >= 500) {
-                    attempts++;
-                    if (attempts < retryAttempts) {
-                        await new Promise(resolve => setTimeout(resolve, delay * attempts));
-                        continue;
-                    }
-                }
-                break;
-            }
+            const result = await checkUrlStatus(url, checkOptions);
 
             results.push(result);
             completed++;
@@ -130,13 +91,14 @@ export const checkMultipleUrls = async (urls, options = {}) => {
                     currentUrl: url,
                 });
             }
-
-            // Delay between requests
-            await new Promise(resolve => setTimeout(resolve, delay));
         });
     }
 
-    await queue.onIdle();
+    try {
+        await queue.onIdle();
+    } finally {
+        if (browser && browser !== options.browser) await browser.close().catch(() => {});
+    }
 
     console.log(`Status checks complete: ${results.length} URLs processed`);
 
@@ -151,6 +113,7 @@ export const checkMultipleUrls = async (urls, options = {}) => {
 export const categorizeResults = (results) => {
     const categorized = {
         ok: [],           // 200 OK
+        softNotFound: [],  // 200 with a not-found page (see detectSoftNotFoundPages)
         redirects: [],     // 3xx
         clientErrors: [],  // 4xx
         serverErrors: [],  // 5xx
@@ -158,6 +121,7 @@ export const categorizeResults = (results) => {
         summary: {
             total: results.length,
             okCount: 0,
+            softNotFoundCount: 0,
             redirectCount: 0,
             clientErrorCount: 0,
             serverErrorCount: 0,
@@ -171,7 +135,10 @@ export const categorizeResults = (results) => {
     for (const result of results) {
         totalResponseTime += result.responseTime;
 
-        if (result.statusCode === 200) {
+        if (result.statusCode === 200 && result.softNotFound) {
+            categorized.softNotFound.push(result);
+            categorized.summary.softNotFoundCount++;
+        } else if (result.statusCode === 200) {
             categorized.ok.push(result);
             categorized.summary.okCount++;
         } else if (result.statusCode >= 300 && result.statusCode < 400) {
@@ -215,26 +182,38 @@ export const findBrokenLinks = (results) => {
 /**
  * Analyze redirect chains
  * @param {Array} results - Status check results
- * @returns {Object} Redirect analysis
+ * @returns {Object} Redirect analysis; redirectTypes counts the status of every HTTP hop,
+ *   hopTypes counts hops by how they redirect (http, refresh-header, meta-refresh, javascript)
  */
 export const analyzeRedirects = (results) => {
     const redirectResults = results.filter(r => r.isRedirect);
+    const hops = redirectResults.flatMap(r => r.redirectChain || []);
+
+    const redirectTypes = { 301: 0, 302: 0, 307: 0, 308: 0 };
+    const hopTypes = Object.fromEntries(HOP_TYPES.map(type => [type, 0]));
+    for (const hop of hops) {
+        if (hop.type === 'http' && redirectTypes[hop.statusCode] !== undefined) redirectTypes[hop.statusCode]++;
+        if (hopTypes[hop.type] !== undefined) hopTypes[hop.type]++;
+    }
+
+    const redirectChains = redirectResults.map(r => ({
+        originalUrl: r.url,
+        finalUrl: r.finalUrl,
+        finalStatusCode: r.statusCode,
+        chainLength: r.redirectChain.length,
+        hopTypes: r.redirectChain.map(hop => hop.type),
+        loop: !!r.redirectLoop,
+        chain: r.redirectChain,
+    }));
 
     return {
         totalRedirects: redirectResults.length,
-        redirectTypes: {
-            301: redirectResults.filter(r => r.statusCode === 301).length,
-            302: redirectResults.filter(r => r.statusCode === 302).length,
-            307: redirectResults.filter(r => r.statusCode === 307).length,
-            308: redirectResults.filter(r => r.statusCode === 308).length,
-        },
-        redirectChains: redirectResults.map(r => ({
-            originalUrl: r.url,
-            finalUrl: r.finalUrl,
-            chainLength: r.redirectChain.length,
-            chain: r.redirectChain,
-        })),
-        longChains: redirectResults.filter(r => r.redirectChain.length > 2),
+        totalHops: hops.length,
+        redirectTypes,
+        hopTypes,
+        redirectChains,
+        longChains: redirectChains.filter(chain => chain.chainLength > 2),
+        loops: redirectChains.filter(chain => chain.loop),
     };
 };
 
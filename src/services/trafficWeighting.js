@@ -0,0 +1,130 @@
+/**
+ * Traffic Weighting
+ * Combines Search Console and analytics data into one traffic score per old URL, used to
+ * pick the pages worth testing and to rank the URLs whose traffic is at risk
+ */
+
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+
+/**
+ * Weight of each metric in the traffic score. Metrics missing from the uploaded
+ * data are left out and the remaining weights are scaled up.
+ */
+const METRIC_WEIGHTS = {
+    clicks: 0.3,
+    impressions: 0.1,
+    sessions: 0.3,
+    conversions: 0.15,
+    revenue: 0.15,
+};
+
+/**
+ * Index Search Console and analytics data by normalized URL
+ * @param {Object} sources - Traffic sources
+ * @param {Array<Object>} sources.gscData - Pages from the Search Console export
+ * @param {Array<Object>} sources.analyticsData - Landing pages from the analytics export
+ * @param {Object} normalizationPolicy - Project URL normalization policy
+ * @returns {Object} { size, metrics, totals, get(url), scoreOf(url) }
+ */
+export const buildTrafficIndex = ({ gscData = [], analyticsData = [] } = {}, normalizationPolicy = null) => {
+    const policy = resolveNormalizationPolicy(normalizationPolicy);
+    const byUrl = new Map();
+
+    const entryFor = (url) => {
+        const key = normalizeUrl(url, policy);
+        if (!byUrl.has(key)) {
+            byUrl.set(key, { clicks: 0, impressions: 0, sessions: 0, conversions: 0, revenue: 0 });
+        }
+        return byUrl.get(key);
+    };
+
+    for (const page of gscData || []) {
+        const entry = entryFor(page.url);
+        entry.clicks += page.clicks || 0;
+        entry.impressions += page.impressions || 0;
+    }
+
+    for (const page of analyticsData || []) {
+        const entry = entryFor(page.url);
+        entry.sessions += page.sessions || 0;
+        entry.conversions += page.conversions || 0;
+        entry.revenue += page.revenue || 0;
+    }
+
+    // Totals and maximums per metric; a metric counts only if some page has it
+    const totals = {};
+    const maximums = {};
+    for (const metric of Object.keys(METRIC_WEIGHTS)) {
+        totals[metric] = 0;
+        maximums[metric] = 0;
+        for (const entry of byUrl.values()) {
+            totals[metric] += entry[metric];
+            maximums[metric] = Math.max(maximums[metric], entry[metric]);
+        }
+    }
+    const metrics = Object.keys(METRIC_WEIGHTS).filter(metric => maximums[metric] > 0);
+    const weightSum = metrics.reduce((sum, metric) => sum + METRIC_WEIGHTS[metric], 0);
+
+    // Score 0-100: each metric relative to the busiest page, weighted
+    for (const entry of byUrl.values()) {
+        const weighted = metrics.reduce((sum, metric) => sum + METRIC_WEIGHTS[metric] * entry[metric] / maximums[metric], 0);
+        entry.score = weightSum > 0 ? Math.round(weighted / weightSum * 1000) / 10 : 0;
+    }
+
+    return {
+        size: byUrl.size,
+        metrics,
+        totals,
+        get: (url) => byUrl.get(normalizeUrl(url, policy)) || null,
+        scoreOf: (url) => byUrl.get(normalizeUrl(url, policy))?.score || 0,
+    };
+};
+
+/**
+ * Rank the old URLs without a match or redirect by the traffic they would lose
+ * @param {Object} comparison - Results from compareUrls
+ * @param {Object} trafficIndex - Result of buildTrafficIndex
+ * @returns {Object} { urls, summary } with URLs sorted by traffic score, highest first
+ */
+export const rankAtRiskUrls = (comparison, trafficIndex) => {
+    const urls = (comparison?.missing || [])
+        .map(entry => {
+            const traffic = trafficIndex.get(entry.oldUrl);
+            return {
+                oldUrl: entry.oldUrl,
+                suggestion: entry.contentMatch?.newUrl || entry.suggestion || null,
+                clicks: traffic?.clicks || 0,
+                impressions: traffic?.impressions || 0,
+                sessions: traffic?.sessions || 0,
+                conversions: traffic?.conversions || 0,
+                revenue: Math.round((traffic?.revenue || 0) * 100) / 100,
+                score: traffic?.score || 0,
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.revenue - a.revenue || b.sessions - a.sessions);
+
+    const atRisk = {};
+    const share = {};
+    for (const metric of Object.keys(METRIC_WEIGHTS)) {
+        atRisk[metric] = Math.round(urls.reduce((sum, url) => sum + url[metric], 0) * 100) / 100;
+        share[metric] = trafficIndex.totals[metric] > 0
+            ? Math.round(atRisk[metric] / trafficIndex.totals[metric] * 10000) / 100
+            : 0;
+    }
+
+    return {
+        urls,
+        summary: {
+            metrics: trafficIndex.metrics,
+            atRiskCount: urls.length,
+            withTrafficCount: urls.filter(url => url.score > 0).length,
+            atRisk,
+            shareOfTotal: share,
+        },
+    };
+};
+
+export default {
+    buildTrafficIndex,
+    rankAtRiskUrls,
+};
@@ -1,16 +1,114 @@
-import { normalizeUrl } from './sitemapParser.js';
+import { normalizeUrl, resolveNormalizationPolicy } from './sitemapParser.js';
+import { createUrlMatcher } from './fuzzyUrlMatcher.js';
+import { inferTemplates, countTemplates, placeholderIndexes } from './urlTemplates.js';
+import { toRedirectMapping, resolveRedirect } from './redirectMappingService.js';
+import { indexOverrides } from './matchOverrideService.js';
+
+/**
+ * Get the normalized hostname and path prefix of a base URL
+ * @param {string} baseUrl - Site base URL
+ * @param {Object} policy - Normalization policy
+ * @returns {Object|null} { host, path } where path has no trailing slash ('' at the root), or null if invalid
+ */
+const getSiteBase = (baseUrl, policy) => {
+    if (!baseUrl) return null;
+
+    try {
+        const urlObj = new URL(normalizeUrl(baseUrl, policy));
+        return { host: urlObj.hostname, path: urlObj.pathname.replace(/\/+$/, '') };
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Build the key used to compare a URL across sites.
+ * URLs under the site's base URL are reduced to their normalized path below the base, so that
+ * old and new pages can match even when the domain or the base path changed
+ * (https://old.com/en/about and https://new.com/about are both /about).
+ * @param {string} url - URL to key
+ * @param {Object|null} base - Base of the site the URL belongs to, from getSiteBase
+ * @param {Object} policy - Normalization policy
+ * @returns {string} Comparison key
+ */
+const getComparisonKey = (url, base, policy) => {
+    const normalized = normalizeUrl(url, policy);
+    if (!base) return normalized;
+
+    try {
+        const urlObj = new URL(normalized);
+        const { pathname } = urlObj;
+        if (urlObj.hostname === base.host && (pathname === base.path || pathname.startsWith(`${base.path}/`))) {
+            return `${pathname.slice(base.path.length) || '/'}${urlObj.search}`;
+        }
+    } catch {
+        // Fall through to the full normalized URL
+    }
+
+    return normalized;
+};
+
+/**
+ * Check whether a comparison key is a full URL rather than a base-relative path
+ * @param {string} key - Comparison key
+ * @returns {boolean}
+ */
+const isAbsoluteKey = (key) => !key.startsWith('/');
 
 /**
  * Compare old and new site URLs
  * @param {Array<string>} oldUrls - URLs from old site
  * @param {Array<string>} newUrls - URLs from new site
- * @param {Map} redirectMap - Optional redirect mapping
+ * @param {Object|Map} redirectMap - Optional mapping from buildRedirectMapping (or a Map of exact old → new URLs)
+ * @param {Object} options - Comparison options
+ * @param {string} options.oldBaseUrl - Old site base URL
+ * @param {string} options.newBaseUrl - New site base URL
+ * @param {number} options.suggestionLimit - Number of suggestions per missing URL
+ * @param {Object} options.normalizationPolicy - Project URL normalization policy
+ * @param {Array<Object>} options.overrides - Reviewer decisions (accept, reject, manual) to apply
  * @returns {Object} Comparison results
  */
-export const compareUrls = (oldUrls, newUrls, redirectMap = null) => {
-    // Normalize all URLs
-    const normalizedOldUrls = new Map(oldUrls.map(url => [normalizeUrl(url), url]));
-    const normalizedNewUrls = new Set(newUrls.map(url => normalizeUrl(url)));
+export const compareUrls = (oldUrls, newUrls, redirectMap = null, options = {}) => {
+    const { oldBaseUrl = null, newBaseUrl = null, suggestionLimit = 3 } = options;
+    const policy = resolveNormalizationPolicy(options.normalizationPolicy);
+
+    // Paths are only compared relative to each base when both bases are known
+    let oldBase = getSiteBase(oldBaseUrl, policy);
+    let newBase = getSiteBase(newBaseUrl, policy);
+    if (!oldBase || !newBase) {
+        oldBase = null;
+        newBase = null;
+    }
+
+    const hostRewrite = oldBase && newBase && oldBase.host !== newBase.host
+        ? { from: oldBase.host, to: newBase.host }
+        : null;
+
+    // Pages matched below bases with different paths still need a redirect each, while a plain
+    // domain move is covered by one host rule
+    const baseMoved = Boolean(oldBase && newBase && oldBase.path !== newBase.path);
+    const directMatchType = (key) => {
+        if (isAbsoluteKey(key)) return 'direct';
+        if (baseMoved) return 'base_rewrite';
+        return hostRewrite ? 'host_rewrite' : 'direct';
+    };
+
+    // Key all URLs for comparison
+    const oldUrlsByKey = new Map(oldUrls.map(url => [getComparisonKey(url, oldBase, policy), url]));
+    const newUrlsByKey = new Map(newUrls.map(url => [getComparisonKey(url, newBase, policy), url]));
+
+    const mapping = toRedirectMapping(redirectMap, { normalizationPolicy: policy });
+    const overrides = indexOverrides(options.overrides, policy);
+
+    // Keys of every redirect target, used to avoid reporting targets as new content
+    const redirectTargetKeys = new Set();
+    for (const row of mapping?.exact.values() || []) {
+        try {
+            redirectTargetKeys.add(getComparisonKey(new URL(row.newUrl, newBaseUrl || undefined).toString(), newBase, policy));
+        } catch {
+            // Relative target without a new base URL; it can never match a sitemap URL
+        }
+    }
 
     const results = {
         matched: [],
@@ -24,68 +122,86 @@ export const compareUrls = (oldUrls, newUrls, redirectMap = null) => {
             missingCount: 0,
             newCount: 0,
             redirectedCount: 0,
+            overriddenCount: 0,
             matchRate: 0,
+            hostRewrite,
         },
     };
 
+    // Index new URLs once for suggestions on missing URLs
+    const matcher = createUrlMatcher(Array.from(newUrlsByKey.values()), { lowercasePaths: policy.lowercasePaths });
+
     // Check each old URL
-    for (const [normalizedOld, originalOld] of normalizedOldUrls) {
+    for (const [oldKey, originalOld] of oldUrlsByKey) {
         let matched = false;
+        const override = overrides.mappedTo(originalOld);
 
-        // Direct match
-        if (normalizedNewUrls.has(normalizedOld)) {
+        // Reviewer decision (accepted suggestion or manual mapping) wins over everything else
+        if (override) {
+            redirectTargetKeys.add(getComparisonKey(override.newUrl, newBase, policy));
+            results.redirected.push({
+                oldUrl: originalOld,
+                newUrl: override.newUrl,
+                matchType: 'manual',
+                override: {
+                    action: override.action,
+                    note: override.note || null,
+                    decidedAt: override.decidedAt || null,
+                },
+            });
+            matched = true;
+        }
+        // Direct match (same path, possibly on a different host)
+        else if (newUrlsByKey.has(oldKey) && !overrides.isRejected(originalOld, newUrlsByKey.get(oldKey))) {
             results.matched.push({
                 oldUrl: originalOld,
-                newUrl: originalOld,
-                matchType: 'direct',
+                newUrl: newUrlsByKey.get(oldKey),
+                matchType: directMatchType(oldKey),
             });
             matched = true;
         }
-        // Check redirect mapping
-        else if (redirectMap && redirectMap.has(originalOld)) {
-            const mappedUrl = redirectMap.get(originalOld);
-            const normalizedMapped = normalizeUrl(mappedUrl);
-
-            if (normalizedNewUrls.has(normalizedMapped)) {
-                results.redirected.push({
-                    oldUrl: originalOld,
-                    newUrl: mappedUrl,
-                    matchType: 'mapped',
-                });
-                matched = true;
+        // Check redirect mapping (exact rows, then wildcard and regex rules)
+        else if (mapping) {
+            const resolved = resolveRedirect(mapping, originalOld, { newBaseUrl });
+
+            if (resolved && !overrides.isRejected(originalOld, resolved.target)) {
+                const targetKey = getComparisonKey(resolved.target, newBase, policy);
+                redirectTargetKeys.add(targetKey);
+
+                if (newUrlsByKey.has(targetKey)) {
+                    results.redirected.push({
+                        oldUrl: originalOld,
+                        newUrl: resolved.target,
+                        matchType: 'mapped',
+                        matchedRule: resolved.rule,
+                    });
+                    matched = true;
+                }
             }
         }
 
         // No match found
         if (!matched) {
+            // Ask for extra suggestions so rejected ones can be dropped without losing the limit
+            const suggestions = matcher
+                .findSimilar(normalizeUrl(originalOld, policy), { limit: suggestionLimit + (overrides.size > 0 ? 3 : 0) })
+                .filter(s => !overrides.isRejected(originalOld, s.url))
+                .slice(0, suggestionLimit);
             results.missing.push({
                 oldUrl: originalOld,
-                suggestion: findSimilarUrl(normalizedOld, Array.from(normalizedNewUrls)),
+                suggestion: suggestions[0]?.url || null,
+                suggestions,
             });
         }
     }
 
     // Find new URLs (in new site but not in old)
-    for (const newUrl of newUrls) {
-        const normalized = normalizeUrl(newUrl);
-        if (!normalizedOldUrls.has(normalized)) {
-            // Check if it's a redirect target
-            let isRedirectTarget = false;
-            if (redirectMap) {
-                for (const mappedUrl of redirectMap.values()) {
-                    if (normalizeUrl(mappedUrl) === normalized) {
-                        isRedirectTarget = true;
-                        break;
-                    }
-                }
-            }
-
-            if (!isRedirectTarget) {
-                results.new.push({
-                    newUrl,
-                    type: 'new_content',
-                });
-            }
+    for (const [newKey, newUrl] of newUrlsByKey) {
+        if (!oldUrlsByKey.has(newKey) && !redirectTargetKeys.has(newKey)) {
+            results.new.push({
+                newUrl,
+                type: 'new_content',
+            });
         }
     }
 
@@ -94,6 +210,7 @@ export const compareUrls = (oldUrls, newUrls, redirectMap = null) => {
     results.summary.missingCount = results.missing.length;
     results.summary.newCount = results.new.length;
     results.summary.redirectedCount = results.redirected.length;
+    results.summary.overriddenCount = results.redirected.filter(r => r.matchType === 'manual').length;
     results.summary.matchRate = oldUrls.length > 0
         ? ((results.matched.length + results.redirected.length) / oldUrls.length * 100).toFixed(2)
         : 0;
@@ -102,116 +219,111 @@ export const compareUrls = (oldUrls, newUrls, redirectMap = null) => {
 };
 
 /**
- * Find similar URL using simple string similarity
- * @param {string} targetUrl - URL to match
- * @param {Array<string>} candidateUrls - List of URLs to search
- * @returns {string|null} Most similar URL or null
+ * Collect old → new URL pairs that are known or likely to map to each other
+ * @param {Object} comparison - Results from compareUrls
+ * @param {number} minSuggestionScore - Minimum score for a suggestion to count as a pair
+ * @returns {Array<Object>} Pairs with their source
  */
-const findSimilarUrl = (targetUrl, candidateUrls) => {
-    if (candidateUrls.length === 0) return null;
-
-    let maxSimilarity = 0;
-    let mostSimilar = null;
-
-    try {
-        const targetPath = new URL(targetUrl).pathname;
-
-        for (const candidateUrl of candidateUrls) {
-            try {
-                const candidatePath = new URL(candidateUrl).pathname;
-                const similarity = calculateSimilarity(targetPath, candidatePath);
-
-                if (similarity > maxSimilarity && similarity > 0.5) {
-                    maxSimilarity = similarity;
-                    mostSimilar = candidateUrl;
-                }
-            } catch {
-                continue;
-            }
+const collectMappedPairs = (comparison, minSuggestionScore) => {
+    if (!comparison) return [];
+
+    const pairs = [
+        ...(comparison.redirected || []).map(r => ({ oldUrl: r.oldUrl, newUrl: r.newUrl, source: 'mapped' })),
+        ...(comparison.matched || []).map(m => ({ oldUrl: m.oldUrl, newUrl: m.newUrl, source: 'matched' })),
+    ];
+
+    for (const entry of comparison.missing || []) {
+        if (entry.contentMatch) {
+            pairs.push({ oldUrl: entry.oldUrl, newUrl: entry.contentMatch.newUrl, source: 'content' });
+        } else if (entry.suggestions?.[0]?.score >= minSuggestionScore) {
+            pairs.push({ oldUrl: entry.oldUrl, newUrl: entry.suggestions[0].url, source: 'suggested' });
         }
-    } catch {
-        return null;
     }
 
-    return mostSimilar;
+    return pairs;
 };
 
 /**
- * Calculate string similarity (simple Levenshtein-based)
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Similarity score (0-1)
+ * Find which old placeholder supplies each new placeholder across all pairs of a template change
+ * @param {Array<Object>} pairTemplates - Old and new template info for each pair
+ * @returns {Array<Object>} Captures as { placeholder, newIndex, oldIndex } (oldIndex null if not preserved)
  */
-const calculateSimilarity = (str1, str2) => {
-    const longer = str1.length > str2.length ? str1 : str2;
-    const shorter = str1.length > str2.length ? str2 : str1;
-
-    if (longer.length === 0) return 1.0;
-
-    const editDistance = levenshteinDistance(longer, shorter);
-    return (longer.length - editDistance) / longer.length;
+const findCaptures = (pairTemplates) => {
+    const { newInfo: sampleNew, oldInfo: sampleOld } = pairTemplates[0];
+    const oldIndexes = placeholderIndexes(sampleOld.parts);
+
+    return placeholderIndexes(sampleNew.parts).map(newIndex => {
+        const oldIndex = oldIndexes.find(candidate =>
+            pairTemplates.every(({ oldInfo, newInfo }) => oldInfo.values[candidate] === newInfo.values[newIndex])
+        );
+
+        return {
+            placeholder: sampleNew.parts[newIndex],
+            newIndex,
+            oldIndex: oldIndex === undefined ? null : oldIndex,
+        };
+    });
 };
 
 /**
- * Calculate Levenshtein distance between two strings
- * @param {string} str1 - First string
- * @param {string} str2 - Second string
- * @returns {number} Edit distance
+ * Detect URL template changes between the old and new site.
+ * Templates are inferred from full paths and paired through the URLs that map to each other.
+ * @param {Array<string>} oldUrls - Old site URLs
+ * @param {Array<string>} newUrls - New site URLs
+ * @param {Object} comparison - Results from compareUrls, used to pair old and new templates
+ * @param {Object} options - Detection options
+ * @returns {Object} Pattern analysis
  */
-const levenshteinDistance = (str1, str2) => {
-    const matrix = [];
+export const detectPatternChanges = (oldUrls, newUrls, comparison = null, options = {}) => {
+    const { minPairs = 2, minSuggestionScore = 0.8, maxExamples = 3 } = options;
 
-    for (let i = 0; i <= str2.length; i++) {
-        matrix[i] = [i];
-    }
+    const oldTemplates = inferTemplates(oldUrls);
+    const newTemplates = inferTemplates(newUrls);
+    const oldPatterns = countTemplates(oldTemplates);
+    const newPatterns = countTemplates(newTemplates);
 
-    for (let j = 0; j <= str1.length; j++) {
-        matrix[0][j] = j;
-    }
+    // Group mapped pairs by old → new template
+    const groups = new Map();
+    const pairsPerOldTemplate = {};
 
-    for (let i = 1; i <= str2.length; i++) {
-        for (let j = 1; j <= str1.length; j++) {
-            if (str2.charAt(i - 1) === str1.charAt(j - 1)) {
-                matrix[i][j] = matrix[i - 1][j - 1];
-            } else {
-                matrix[i][j] = Math.min(
-                    matrix[i - 1][j - 1] + 1,
-                    matrix[i][j - 1] + 1,
-                    matrix[i - 1][j] + 1
-                );
-            }
-        }
-    }
+    for (const pair of collectMappedPairs(comparison, minSuggestionScore)) {
+        const oldInfo = oldTemplates.get(pair.oldUrl);
+        const newInfo = newTemplates.get(pair.newUrl);
+        if (!oldInfo || !newInfo) continue;
 
-    return matrix[str2.length][str1.length];
-};
+        pairsPerOldTemplate[oldInfo.template] = (pairsPerOldTemplate[oldInfo.template] || 0) + 1;
 
-/**
- * Detect URL pattern changes
- * @param {Array<string>} oldUrls - Old site URLs
- * @param {Array<string>} newUrls - New site URLs
- * @returns {Object} Pattern analysis
- */
-export const detectPatternChanges = (oldUrls, newUrls) => {
-    const oldPatterns = extractPatterns(oldUrls);
-    const newPatterns = extractPatterns(newUrls);
+        const key = `${oldInfo.template} -> ${newInfo.template}`;
+        if (!groups.has(key)) {
+            groups.set(key, { oldTemplate: oldInfo.template, newTemplate: newInfo.template, pairs: [] });
+        }
+        groups.get(key).pairs.push({ ...pair, oldInfo, newInfo });
+    }
 
     const changes = [];
 
-    for (const [oldPattern, oldCount] of Object.entries(oldPatterns)) {
-        const similarNewPattern = findSimilarPattern(oldPattern, Object.keys(newPatterns));
-
-        if (similarNewPattern && similarNewPattern !== oldPattern) {
-            changes.push({
-                oldPattern,
-                newPattern: similarNewPattern,
-                oldCount,
-                newCount: newPatterns[similarNewPattern],
-                confidence: calculateSimilarity(oldPattern, similarNewPattern),
-            });
-        }
+    for (const group of groups.values()) {
+        const { oldTemplate, newTemplate, pairs } = group;
+        if (oldTemplate === newTemplate || pairs.length < minPairs) continue;
+
+        const oldCount = oldPatterns[oldTemplate] || 0;
+
+        changes.push({
+            oldTemplate,
+            newTemplate,
+            pairCount: pairs.length,
+            oldCount,
+            newCount: newPatterns[newTemplate] || 0,
+            coverage: oldCount > 0 ? Math.round(pairs.length / oldCount * 100) / 100 : 0,
+            confidence: Math.round(pairs.length / pairsPerOldTemplate[oldTemplate] * 100) / 100,
+            captures: findCaptures(pairs),
+            sources: pairs.reduce((counts, p) => ({ ...counts, [p.source]: (counts[p.source] || 0) + 1 }), {}),
+            examples: pairs.slice(0, maxExamples).map(p => ({ oldUrl: p.oldUrl, newUrl: p.newUrl })),
+        });
     }
 
+    changes.sort((a, b) => b.pairCount - a.pairCount);
+
     return {
         changes,
         oldPatterns,
@@ -219,52 +331,6 @@ export const detectPatternChanges = (oldUrls, newUrls) => {
     };
 };
 
-/**
- * Extract URL patterns from a list of URLs
- * @param {Array<string>} urls - List of URLs
- * @returns {Object} Pattern counts
- */
-const extractPatterns = (urls) => {
-    const patterns = {};
-
-    for (const url of urls) {
-        try {
-            const urlObj = new URL(url);
-            const pathParts = urlObj.pathname.split('/').filter(part => part.length > 0);
-
-            if (pathParts.length > 0) {
-                const pattern = `/${pathParts[0]}/`;
-                patterns[pattern] = (patterns[pattern] || 0) + 1;
-            }
-        } catch {
-            continue;
-        }
-    }
-
-    return patterns;
-};
-
-/**
- * Find similar pattern
- * @param {string} targetPattern - Pattern to match
- * @param {Array<string>} patterns - List of patterns
- * @returns {string|null} Most similar pattern
- */
-const findSimilarPattern = (targetPattern, patterns) => {
-    let maxSimilarity = 0;
-    let mostSimilar = null;
-
-    for (const pattern of patterns) {
-        const similarity = calculateSimilarity(targetPattern, pattern);
-        if (similarity > maxSimilarity) {
-            maxSimilarity = similarity;
-            mostSimilar = pattern;
-        }
-    }
-
-    return maxSimilarity > 0.6 ? mostSimilar : null;
-};
-
 export default {
     compareUrls,
     detectPatternChanges,
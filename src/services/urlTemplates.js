@@ -0,0 +1,190 @@
+/**
+ * URL Templates
+ * Infers path templates with typed placeholders ({year}, {id}, {slug}, ...)
+ * from a list of URLs, and converts templates to regular expressions
+ */
+
+// Distinct words needed at a path position before it is treated as a {slug}
+const SLUG_VARIETY = 3;
+
+/**
+ * Regular expression fragment for each placeholder type
+ */
+export const PLACEHOLDER_PATTERNS = {
+    '{date}': '\\d{4}-\\d{2}-\\d{2}',
+    '{year}': '\\d{4}',
+    '{month}': '\\d{1,2}',
+    '{day}': '\\d{1,2}',
+    '{id}': '\\d+',
+    '{slug}': '[^/]+',
+};
+
+/**
+ * Example value for each placeholder type
+ */
+const PLACEHOLDER_EXAMPLES = {
+    '{date}': '2020-01-01',
+    '{year}': '2020',
+    '{month}': '01',
+    '{day}': '01',
+    '{id}': '1',
+    '{slug}': 'example',
+};
+
+/**
+ * Determine the placeholder type of a path segment, if it has one
+ * @param {string} segment - Path segment
+ * @param {string|null} previousType - Placeholder type of the previous segment
+ * @returns {string|null} Placeholder or null for a word segment
+ */
+const typeSegment = (segment, previousType) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(segment)) return '{date}';
+    if (/^(19|20)\d{2}$/.test(segment)) return '{year}';
+    if (/^\d{1,2}$/.test(segment) && previousType === '{year}') return '{month}';
+    if (/^\d{1,2}$/.test(segment) && previousType === '{month}') return '{day}';
+    if (/^\d+$/.test(segment)) return '{id}';
+    return null;
+};
+
+/**
+ * Split a URL into path segments
+ * @param {string} url - URL
+ * @returns {Array<string>|null} Segments or null if invalid
+ */
+const toSegments = (url) => {
+    try {
+        return new URL(url).pathname.split('/').filter(part => part.length > 0);
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Check whether a template part is a placeholder
+ */
+const isPlaceholder = (part) => Object.prototype.hasOwnProperty.call(PLACEHOLDER_PATTERNS, part);
+
+/**
+ * Infer a path template for every URL.
+ * Numeric and date segments always become typed placeholders. Word segments become
+ * {slug} when URLs sharing the same template prefix use many different words there.
+ * @param {Array<string>} urls - URLs from one site
+ * @returns {Map<string, Object>} URL to { template, parts, values }
+ */
+export const inferTemplates = (urls) => {
+    const items = [];
+
+    for (const url of urls) {
+        const segments = toSegments(url);
+        if (!segments) continue;
+
+        const types = [];
+        segments.forEach((segment, i) => types.push(typeSegment(segment, types[i - 1] || null)));
+        items.push({ url, segments, types, parts: [] });
+    }
+
+    const maxDepth = items.reduce((max, item) => Math.max(max, item.segments.length), 0);
+
+    // Generalize one position at a time, grouping URLs by depth and the template so far
+    for (let position = 0; position < maxDepth; position++) {
+        const groups = new Map();
+
+        for (const item of items) {
+            if (item.segments.length <= position) continue;
+
+            const key = `${item.segments.length}|${item.parts.join('/')}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        }
+
+        for (const group of groups.values()) {
+            const words = new Set(
+                group.filter(item => !item.types[position]).map(item => item.segments[position])
+            );
+            const variable = words.size >= SLUG_VARIETY;
+
+            for (const item of group) {
+                const type = item.types[position];
+                item.parts.push(type || (variable ? '{slug}' : item.segments[position]));
+            }
+        }
+    }
+
+    const templates = new Map();
+    for (const item of items) {
+        templates.set(item.url, {
+            template: `/${item.parts.join('/')}`,
+            parts: item.parts,
+            values: item.parts
+                .map((part, i) => (isPlaceholder(part) ? item.segments[i] : null)),
+        });
+    }
+
+    return templates;
+};
+
+/**
+ * Count URLs per template
+ * @param {Map<string, Object>} templates - Result of inferTemplates
+ * @returns {Object} Template to URL count
+ */
+export const countTemplates = (templates) => {
+    const counts = {};
+    for (const { template } of templates.values()) {
+        counts[template] = (counts[template] || 0) + 1;
+    }
+    return counts;
+};
+
+/**
+ * Split a template string into parts
+ * @param {string} template - Template such as /blog/{year}/{slug}
+ * @returns {Array<string>} Parts
+ */
+export const templateParts = (template) => template.split('/').filter(part => part.length > 0);
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convert a template to a regular expression with one capture group per placeholder
+ * @param {string} template - Template such as /blog/{year}/{slug}
+ * @returns {string} Anchored regular expression source
+ */
+export const templateToRegex = (template) => {
+    const parts = templateParts(template).map(part =>
+        (isPlaceholder(part) ? `(${PLACEHOLDER_PATTERNS[part]})` : escapeRegex(part))
+    );
+    return `^/${parts.join('/')}/?$`;
+};
+
+/**
+ * Fill a template's placeholders with example values
+ * @param {string} template - Template
+ * @returns {string} Example path
+ */
+export const exampleFromTemplate = (template) => {
+    const parts = templateParts(template).map(part => PLACEHOLDER_EXAMPLES[part] || part);
+    return `/${parts.join('/')}`;
+};
+
+/**
+ * Get the positions of placeholders in a template's parts
+ * @param {Array<string>} parts - Template parts
+ * @returns {Array<number>} Indexes of placeholder parts
+ */
+export const placeholderIndexes = (parts) => {
+    return parts.reduce((indexes, part, i) => (isPlaceholder(part) ? [...indexes, i] : indexes), []);
+};
+
+export default {
+    PLACEHOLDER_PATTERNS,
+    inferTemplates,
+    countTemplates,
+    templateParts,
+    templateToRegex,
+    exampleFromTemplate,
+    placeholderIndexes,
+};